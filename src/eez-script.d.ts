@@ -14,11 +14,22 @@ declare namespace EEZScript {
   interface SourceLocation {
     line: number;
     column: number;
+    length?: number;
   }
 
   interface BaseNode {
     type: string;
     loc?: SourceLocation;
+    /** First and last token of statements and blocks */
+    start?: SourceLocation;
+    end?: SourceLocation;
+    /** Set by eez_script_compile and eez_script_format on statements, blocks and switch cases */
+    leadingComments?: Comment[];
+    trailingComments?: Comment[];
+    /** Comments after '{' on the same line (blocks) */
+    openingComments?: Comment[];
+    /** Comments after the last statement (program, blocks and switch cases) */
+    innerComments?: Comment[];
   }
 
   interface ProgramNode extends BaseNode {
@@ -28,11 +39,16 @@ declare namespace EEZScript {
 
   type StatementNode =
     | FunctionDeclarationNode
+    | StructDeclarationNode
     | VariableDeclarationNode
     | IfStatementNode
     | ForStatementNode
     | WhileStatementNode
+    | DoWhileStatementNode
+    | SwitchStatementNode
     | ReturnStatementNode
+    | BreakStatementNode
+    | ContinueStatementNode
     | BlockStatementNode
     | ExpressionStatementNode;
 
@@ -49,6 +65,7 @@ declare namespace EEZScript {
   interface FunctionParam {
     name: string;
     type: PrimitiveType | null;
+    loc?: SourceLocation;
   }
 
   interface FunctionDeclarationNode extends BaseNode {
@@ -59,6 +76,20 @@ declare namespace EEZScript {
     body: BlockStatementNode;
   }
 
+  interface StructField {
+    name: string;
+    type: PrimitiveType;
+    loc?: SourceLocation;
+  }
+
+  interface StructDeclarationNode extends BaseNode {
+    type: 'StructDeclaration';
+    name: string;
+    fields: StructField[];
+    /** Declared with 'type Name = { ... }' */
+    typeAlias: boolean;
+  }
+
   interface VariableDeclarationNode extends BaseNode {
     type: 'VariableDeclaration';
     kind: 'let' | 'const';
@@ -88,6 +119,33 @@ declare namespace EEZScript {
     body: StatementNode;
   }
 
+  interface DoWhileStatementNode extends BaseNode {
+    type: 'DoWhileStatement';
+    body: StatementNode;
+    test: ExpressionNode;
+  }
+
+  interface SwitchCaseNode extends BaseNode {
+    type: 'SwitchCase';
+    /** null for the default clause */
+    test: ExpressionNode | null;
+    consequent: StatementNode[];
+  }
+
+  interface SwitchStatementNode extends BaseNode {
+    type: 'SwitchStatement';
+    discriminant: ExpressionNode;
+    cases: SwitchCaseNode[];
+  }
+
+  interface BreakStatementNode extends BaseNode {
+    type: 'BreakStatement';
+  }
+
+  interface ContinueStatementNode extends BaseNode {
+    type: 'ContinueStatement';
+  }
+
   interface ReturnStatementNode extends BaseNode {
     type: 'ReturnStatement';
     argument: ExpressionNode | null;
@@ -100,12 +158,17 @@ declare namespace EEZScript {
     | UnaryExpressionNode
     | UpdateExpressionNode
     | AssignmentExpressionNode
+    | ConditionalExpressionNode
     | CallExpressionNode
-    | MemberExpressionNode;
+    | MemberExpressionNode
+    | ArrayExpressionNode
+    | ObjectExpressionNode;
 
   interface LiteralNode extends BaseNode {
     type: 'Literal';
     value: any;
+    /** Source text of number and string literals */
+    raw?: string;
   }
 
   interface IdentifierNode extends BaseNode {
@@ -141,6 +204,13 @@ declare namespace EEZScript {
     right: ExpressionNode;
   }
 
+  interface ConditionalExpressionNode extends BaseNode {
+    type: 'ConditionalExpression';
+    test: ExpressionNode;
+    consequent: ExpressionNode;
+    alternate: ExpressionNode;
+  }
+
   interface CallExpressionNode extends BaseNode {
     type: 'CallExpression';
     callee: ExpressionNode;
@@ -154,6 +224,22 @@ declare namespace EEZScript {
     computed: boolean;
   }
 
+  interface ArrayExpressionNode extends BaseNode {
+    type: 'ArrayExpression';
+    elements: ExpressionNode[];
+  }
+
+  interface ObjectProperty {
+    key: string;
+    value: ExpressionNode;
+    loc?: SourceLocation;
+  }
+
+  interface ObjectExpressionNode extends BaseNode {
+    type: 'ObjectExpression';
+    properties: ObjectProperty[];
+  }
+
   interface EEZScriptVersionInfo {
     version: string;
     name: string;
@@ -169,15 +255,105 @@ declare namespace EEZScript {
   interface ValidationError {
     valid: false;
     error: string;
+    diagnostic: Diagnostic;
   }
 
   type ValidationResult = ValidationOk | ValidationError;
 
+  type DiagnosticSeverity = 'error' | 'warning' | 'info';
+
+  /** 1-based, endColumn is exclusive */
+  interface DiagnosticRange {
+    startLine: number;
+    startColumn: number;
+    endLine: number;
+    endColumn: number;
+  }
+
+  interface DiagnosticRelatedInformation {
+    message: string;
+    range: DiagnosticRange;
+  }
+
+  interface Diagnostic {
+    severity: DiagnosticSeverity;
+    /** e.g. 'unexpected-token', 'type-mismatch', 'undefined-variable', 'runtime-error' */
+    code: string;
+    /** Starts with "Syntax error:", "Type error:" or "Runtime error:" */
+    message: string;
+    /** null when the problem has no location in the script */
+    range: DiagnosticRange | null;
+    relatedInformation: DiagnosticRelatedInformation[];
+    line: number | null;
+    column: number | null;
+    length: number | null;
+  }
+
+  /** Errors returned by eez_script_check are diagnostics */
+  type CheckError = Diagnostic;
+
+  interface CheckResult {
+    valid: boolean;
+    errors: CheckError[];
+    /** Partial AST when the script has syntax errors (broken statements are left out) */
+    ast: ProgramNode;
+  }
+
+  interface ScopeSymbol {
+    name: string;
+    kind: 'let' | 'const' | 'param' | 'function';
+    type: PrimitiveType | null;
+    value: any;
+    node: BaseNode | null;
+  }
+
+  interface SymbolReference {
+    loc: SourceLocation;
+    scope: Scope;
+  }
+
+  interface ResolvedSymbol extends ScopeSymbol {
+    kind: ScopeSymbol['kind'] | 'struct';
+    /** Location of the declared name */
+    loc: SourceLocation | null;
+    /** Scope the symbol is declared in */
+    scope: Scope;
+    /** Enclosing function declaration, null for globals */
+    container: FunctionDeclarationNode | null;
+    references: SymbolReference[];
+  }
+
+  interface Comment {
+    /** Including the // or /* */ delimiters */
+    text: string;
+    line: number;
+    column: number;
+    endLine: number;
+  }
+
+  interface RecoveryOptions {
+    /** Report errors in `diagnostics` and keep going instead of throwing */
+    recover?: boolean;
+  }
+
+  interface ParseResult {
+    /** Statements that couldn't be parsed are left out */
+    ast: ProgramNode;
+    /** Syntax errors, empty when the script is valid */
+    diagnostics: Diagnostic[];
+  }
+
   type ArgCountSpec = number | { min?: number; max?: number };
 
   interface FunctionTypeSpec {
     params: PrimitiveType[];
     returnType?: PrimitiveType;
+    /** Name of the function in the selected LVGL version when this is an alias */
+    aliasOf?: string;
+    /** C types of the parameters, as declared in the LVGL headers */
+    cParams?: string[];
+    /** C return type, as declared in the LVGL headers */
+    cReturnType?: string;
   }
 
   type AllowedFunctions =
@@ -201,22 +377,156 @@ declare namespace EEZScript {
       globals: GlobalsObject,
       lvgl: any,
       constants: LVGLConstants,
-      allowedFunctions?: AllowedFunctions
+      allowedFunctions?: AllowedFunctions,
+      executionLimits?: ExecutionLimits
+    ) => void;
+
+    /** Like init(), but runs the emitJS output; callbacks passed to lv_obj_add_event_cb are registered with eventManager */
+    initJS: (
+      globals: GlobalsObject,
+      lvgl: any,
+      constants: LVGLConstants,
+      allowedFunctions: AllowedFunctions | undefined,
+      eventManager: any,
+      executionLimits?: ExecutionLimits
+    ) => void;
+
+    /**
+     * Like init(), but runs the top level code and then entryFunction in the DebugInterpreter.
+     * The run may already be paused or finished when this returns.
+     */
+    initDebug: (
+      globals: GlobalsObject,
+      lvgl: any,
+      constants: LVGLConstants,
+      allowedFunctions: AllowedFunctions | undefined,
+      eventManager: any,
+      entryFunction: string | null,
+      options?: DebuggerOptions
+    ) => Debugger;
+
+    /** Like initJS(), but runs the script as bytecode in the BytecodeVM */
+    initBytecode: (
+      globals: GlobalsObject,
+      lvgl: any,
+      constants: LVGLConstants,
+      allowedFunctions: AllowedFunctions | undefined,
+      eventManager: any,
+      executionLimits?: ExecutionLimits
     ) => void;
 
     exec: (functionName: string, ...args: any[]) => any;
 
     emitJS: () => string;
-    emitC: () => string;
+    /** Bytecode in the binary format, see serializeBytecode */
+    emitBytecode: () => Uint8Array;
+    emitC: (options?: CEmitOptions) => string;
+    /** C project: <name>.h with the struct types and <name>_init(), <name>.c with the rest (name defaults to 'ui') */
+    emitCProject: (name?: string, options?: CEmitOptions) => CProject;
+  }
+
+  interface DebuggerOptions {
+    /** Line numbers to stop at */
+    breakpoints?: number[];
+    /** Stop at runtime errors before the call stack unwinds, default true */
+    pauseOnError?: boolean;
+    executionLimits?: ExecutionLimits;
+    onPause?: (scriptDebugger: Debugger) => void;
+    onResume?: (scriptDebugger: Debugger) => void;
+    /** The run ended, error is null if it succeeded */
+    onFinish?: (error: Error | null, value: any) => void;
+  }
+
+  interface DebugPause {
+    /** Statement that runs next, or failed */
+    node: StatementNode;
+    scope: Scope;
+    error?: Error;
+    /** Number of frames in the call stack */
+    depth: number;
+  }
+
+  interface CallStackFrame {
+    /** Function name, or '(top level)' */
+    name: string;
+    line: number | null;
+    column: number | null;
+  }
+
+  interface VariableGroup {
+    name: 'Locals' | 'Globals';
+    variables: { name: string; type: string | null; value: string }[];
+  }
+
+  /** Limits of one run (top level code or one call from the host), exceeding them is an 'execution-limit' runtime error */
+  interface ExecutionLimits {
+    /** Loop iterations and function calls, default 10000000 */
+    maxSteps?: number;
+    /** Milliseconds, default 2000 */
+    maxTime?: number;
+    /** Nested script function calls, default 200 (the interpreter and the bytecode VM) */
+    maxCallDepth?: number;
+  }
+
+  interface BytecodeFunction {
+    name: string;
+    params: { name: string; type: string | null }[];
+    returnType: string | null;
+    /** Number of local slots, parameters first */
+    localCount: number;
+    code: Uint8Array;
+    /** [pc, line, column, length] of the instructions compiled from each source location, sorted by pc */
+    locations: [number, number, number, number][];
+  }
+
+  interface BytecodeProgram {
+    /** Literals, names and types referenced by the instructions */
+    constants: (number | string | boolean | null)[];
+    structs: { name: string; fields: { name: string; type: string }[] }[];
+    /** LVGL functions called by the script, with the signatures used for argument conversion */
+    lvglFunctions: { name: string; runtimeName: string; params: string[]; returnType: string | null }[];
+    globals: string[];
+    functions: BytecodeFunction[];
+    /** Index of the function with the top level code */
+    main: number;
+  }
+
+  interface CEmitOptions {
+    /** Target LVGL version, e.g. '8.4.0'; colors are emitted with LV_COLOR_MAKE for v8 */
+    lvglVersion?: string;
+    /** Constant name -> name of the same constant in the target version */
+    constantAliases?: Record<string, string>;
+  }
+
+  interface CProject {
+    header: string;
+    source: string;
   }
 
   interface Exports {
     eez_script_compile: typeof eez_script_compile;
     eez_script_version: typeof eez_script_version;
     eez_script_validate: typeof eez_script_validate;
+    eez_script_parse: typeof eez_script_parse;
+    eez_script_check: typeof eez_script_check;
+    eez_script_format: typeof eez_script_format;
+    KEYWORDS: typeof KEYWORDS;
     Lexer: typeof Lexer;
     Parser: typeof Parser;
     Interpreter: typeof Interpreter;
+    DebugInterpreter: typeof DebugInterpreter;
+    Debugger: typeof Debugger;
+    BytecodeVM: typeof BytecodeVM;
+    compileBytecode: typeof compileBytecode;
+    serializeBytecode: typeof serializeBytecode;
+    deserializeBytecode: typeof deserializeBytecode;
+    TypeChecker: typeof TypeChecker;
+    SymbolResolver: typeof SymbolResolver;
+    Scope: typeof Scope;
+    ScriptError: typeof ScriptError;
+    getErrorDiagnostic: typeof getErrorDiagnostic;
+    CONSOLE_FUNCTIONS: typeof CONSOLE_FUNCTIONS;
+    createConsoleGlobals: typeof createConsoleGlobals;
   }
 }
 
@@ -230,13 +540,67 @@ declare function eez_script_version(): EEZScript.EEZScriptVersionInfo;
  */
 declare function eez_script_validate(script: string): EEZScript.ValidationResult;
 
+/**
+ * Browser global: parses a script, recovering from syntax errors.
+ */
+declare function eez_script_parse(script: string): EEZScript.ParseResult;
+
+/**
+ * Browser global: statically checks a script without running it and reports all errors.
+ */
+declare function eez_script_check(
+  script: string,
+  allowedFunctions?: EEZScript.AllowedFunctions,
+  constants?: EEZScript.LVGLConstants | null,
+  globals?: EEZScript.GlobalsObject | null
+): EEZScript.CheckResult;
+
+/**
+ * Browser global: formats a script, keeping its comments. Throws on syntax errors.
+ */
+declare function eez_script_format(script: string): string;
+
+/**
+ * Browser global: diagnostic for an error thrown while compiling or running a script.
+ */
+declare function getErrorDiagnostic(error: any): EEZScript.Diagnostic;
+
+/** Output level of a console function: 'log' for print() */
+type ConsoleLevel = 'log' | 'user' | 'warn';
+
+/**
+ * Browser global: print(), log_user() and log_warn() and the C code emitC generates for them
+ * (printf, LV_LOG_USER, LV_LOG_WARN).
+ */
+declare const CONSOLE_FUNCTIONS: {
+  [name: string]: { level: ConsoleLevel; cFunction: string; cFormat: string };
+};
+
+/**
+ * Browser global: globals with types for the CONSOLE_FUNCTIONS, to pass with the other globals.
+ * Each takes a string, write gets the level and the string.
+ */
+declare function createConsoleGlobals(write: (level: ConsoleLevel, message: string) => void): EEZScript.GlobalsObject;
+
 /**
  * Browser global: compiles a script into an executable handle.
  */
 declare function eez_script_compile(script: string): EEZScript.CompiledScript;
 
+/** Thrown by the Lexer, Parser and Interpreter */
+declare class ScriptError extends Error {
+  constructor(diagnostic: EEZScript.Diagnostic, message?: string);
+  diagnostic: EEZScript.Diagnostic;
+}
+
+/** Keyword -> token type, e.g. 'function' -> 'FUNCTION', 'bool' -> 'TYPE_BOOL' */
+declare const KEYWORDS: Record<string, string>;
+
 declare class Lexer {
-  constructor(input: string);
+  constructor(input: string, options?: EEZScript.RecoveryOptions);
+  diagnostics: EEZScript.Diagnostic[];
+  /** Comments skipped while tokenizing */
+  comments: EEZScript.Comment[];
   peek(): string | undefined;
   advance(): string | undefined;
   skipWhitespace(): void;
@@ -250,7 +614,8 @@ declare class Lexer {
 }
 
 declare class Parser {
-  constructor(tokens: EEZScript.Token[]);
+  constructor(tokens: EEZScript.Token[], options?: EEZScript.RecoveryOptions);
+  diagnostics: EEZScript.Diagnostic[];
   peek(): EEZScript.Token;
   advance(): EEZScript.Token;
   expect(type: string): EEZScript.Token;
@@ -262,11 +627,109 @@ declare class Interpreter {
     globals: EEZScript.GlobalsObject,
     lvgl: any,
     constants: EEZScript.LVGLConstants,
-    allowedFunctions?: EEZScript.AllowedFunctions
+    allowedFunctions?: EEZScript.AllowedFunctions,
+    executionLimits?: EEZScript.ExecutionLimits
   );
 
+  executionLimits: EEZScript.ExecutionLimits;
   execute(ast: EEZScript.ProgramNode): void;
 }
 
+/** Interpreter with generator based statement execution, so a run can be paused between statements */
+declare class DebugInterpreter extends Interpreter {
+  /** Running functions, innermost last */
+  callStack: { name: string; node: any; scope: Scope }[];
+  debugger: Debugger | null;
+  /** Runs the top level code, then entryFunction if given */
+  stepProgram(ast: EEZScript.ProgramNode, entryFunction?: string | null): Generator<any, any, void>;
+  stepFunction(name: string, args: any[]): Generator<any, any, void>;
+}
+
+/** Breakpoints, stepping and pause on error for a DebugInterpreter */
+declare class Debugger {
+  constructor(interpreter: DebugInterpreter, options?: EEZScript.DebuggerOptions);
+  interpreter: DebugInterpreter;
+  breakpoints: Set<number>;
+  pauseOnError: boolean;
+  /** Where the current run stopped, or null */
+  paused: EEZScript.DebugPause | null;
+  setBreakpoints(lines: number[]): void;
+  /** Starts a run, returns its value if it finishes without stopping */
+  start(run: Generator<any, any, void>): any;
+  continue(): any;
+  stepOver(): any;
+  stepInto(): any;
+  stepOut(): any;
+  /** Ends the current run without running the rest of it */
+  stop(): void;
+  /** stop(), and script functions called from the host run without the debugger from now on */
+  detach(): void;
+  /** Innermost first */
+  getCallStack(): EEZScript.CallStackFrame[];
+  /** Variables of a getCallStack() frame */
+  getVariables(frameIndex?: number): EEZScript.VariableGroup[];
+}
+
+/** Runs a BytecodeProgram, with the value handling and LVGL call bridging of the Interpreter */
+declare class BytecodeVM extends Interpreter {
+  constructor(
+    program: EEZScript.BytecodeProgram,
+    globals: EEZScript.GlobalsObject,
+    lvgl: any,
+    constants: EEZScript.LVGLConstants,
+    executionLimits?: EEZScript.ExecutionLimits
+  );
+
+  program: EEZScript.BytecodeProgram;
+  /** Runs the top level code */
+  init(): void;
+  callFunction(name: string, args: any[]): any;
+}
+
+/** Compiles a parsed (and type checked) script to bytecode */
+declare function compileBytecode(
+  ast: EEZScript.ProgramNode,
+  allowedFunctions?: EEZScript.AllowedFunctions
+): EEZScript.BytecodeProgram;
+
+declare function serializeBytecode(program: EEZScript.BytecodeProgram): Uint8Array;
+
+/** Throws if the bytes are not EEZ Script bytecode of a supported format version */
+declare function deserializeBytecode(bytes: Uint8Array): EEZScript.BytecodeProgram;
+
+declare class Scope {
+  constructor(parent?: Scope | null);
+  parent: Scope | null;
+  symbols: Map<string, EEZScript.ScopeSymbol>;
+  /** Returns null if the name is already declared in this scope */
+  declare(name: string, symbol: Partial<EEZScript.ScopeSymbol>): EEZScript.ScopeSymbol | null;
+  /** Innermost symbol with this name, or null */
+  lookup(name: string): EEZScript.ScopeSymbol | null;
+}
+
+declare class TypeChecker {
+  constructor(
+    allowedFunctions?: EEZScript.AllowedFunctions,
+    constants?: EEZScript.LVGLConstants | null,
+    globals?: EEZScript.GlobalsObject | null
+  );
+
+  check(ast: EEZScript.ProgramNode): EEZScript.CheckError[];
+}
+
+/** Resolves identifiers to their declarations, for editor navigation */
+declare class SymbolResolver {
+  constructor();
+  globalScope: Scope;
+  symbols: EEZScript.ResolvedSymbol[];
+  resolve(ast: EEZScript.ProgramNode): this;
+  /** Symbol declared or referenced at this position (1-based), or null */
+  symbolAt(line: number, column: number): EEZScript.ResolvedSymbol | null;
+  /** Why the symbol can't be renamed at all, or null */
+  validateRenameTarget(symbol: EEZScript.ResolvedSymbol): string | null;
+  /** Why the symbol can't be renamed to newName, or null if the rename is safe */
+  validateRename(symbol: EEZScript.ResolvedSymbol, newName: string): string | null;
+}
+
 declare const eezScript: EEZScript.Exports;
 export = eezScript;
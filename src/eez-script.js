@@ -2,20 +2,117 @@
  * EEZ Script - A JavaScript-like scripting language
  * 
  * This provides a controlled execution environment with type checking and security features.
- * Features: functions, variables (let/const), expressions, function calls, if/for/while loops,
- * typed parameters, automatic string-to-cstring conversion, LVGL integration
+ * Features: functions, variables (let/const), expressions, function calls, if/for/while/do-while loops,
+ * switch/break/continue, ternary and bitwise/shift operators, fixed-size arrays, structs, typed parameters,
+ * automatic string-to-cstring conversion, LVGL integration
  */
 
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+// Every problem found by the Lexer, Parser, TypeChecker and Interpreter is described by a diagnostic:
+//   { severity: 'error' | 'warning' | 'info', code, message, range, relatedInformation }
+// range is { startLine, startColumn, endLine, endColumn } (1-based, end column exclusive) or null,
+// relatedInformation is a list of { message, range } pointing at other code (like a declaration).
+// line, column and length of the start are included too, for simple consumers.
+function createDiagnostic(severity, code, message, loc, relatedInformation = []) {
+    return {
+        severity,
+        code,
+        message,
+        range: locationToRange(loc),
+        relatedInformation,
+        line: loc ? loc.line : null,
+        column: loc ? loc.column : null,
+        length: loc ? loc.length || 1 : null
+    };
+}
+
+function locationToRange(loc) {
+    if (!loc || !loc.line) return null;
+    return {
+        startLine: loc.line,
+        startColumn: loc.column,
+        endLine: loc.line,
+        endColumn: loc.column + (loc.length || 1)
+    };
+}
+
+function tokenLocation(token) {
+    return { line: token.line, column: token.column, length: token.length };
+}
+
+// Error thrown by the Lexer, Parser and Interpreter. The message keeps the location in text form
+// (for logs and plain error displays), the diagnostic has the structured information.
+class ScriptError extends Error {
+    constructor(diagnostic, message = diagnostic.message) {
+        super(message);
+        this.name = 'ScriptError';
+        this.diagnostic = diagnostic;
+    }
+}
+
+function createSyntaxError(message, loc, code = 'syntax-error') {
+    const location = loc && loc.line ? ` at line ${loc.line}:${loc.column}` : '';
+    const diagnostic = createDiagnostic('error', code, `Syntax error: ${message}`, loc);
+    return new ScriptError(diagnostic, `Syntax error: ${message}${location}`);
+}
+
+// Diagnostic for any error thrown while compiling or running a script. Errors that don't come
+// from the compiler (e.g. thrown by LVGL bindings) get a diagnostic without a range.
+function getErrorDiagnostic(error) {
+    if (error && error.diagnostic) {
+        return error.diagnostic;
+    }
+    const message = error && error.message ? error.message : String(error);
+    return createDiagnostic('error', 'error', message, null);
+}
+
 // ============================================================================
 // LEXER (Tokenizer)
 // ============================================================================
 
+// Keyword -> token type, also used by the editor's syntax highlighting
+const KEYWORDS = {
+    'function': 'FUNCTION',
+    'return': 'RETURN',
+    'if': 'IF',
+    'else': 'ELSE',
+    'for': 'FOR',
+    'while': 'WHILE',
+    'do': 'DO',
+    'break': 'BREAK',
+    'continue': 'CONTINUE',
+    'switch': 'SWITCH',
+    'case': 'CASE',
+    'default': 'DEFAULT',
+    'struct': 'STRUCT',
+    'let': 'LET',
+    'const': 'CONST',
+    'true': 'TRUE',
+    'false': 'FALSE',
+    'null': 'NULL',
+    'undefined': 'UNDEFINED',
+    'number': 'TYPE_NUMBER',
+    'bool': 'TYPE_BOOL',
+    'string': 'TYPE_STRING',
+    'cstring': 'TYPE_CSTRING',
+    'lv_color': 'TYPE_LV_COLOR'
+};
+
 class Lexer {
-    constructor(input) {
+    // With options.recover, unexpected characters are skipped and reported in this.diagnostics
+    // instead of throwing, so the rest of the script can still be parsed (used by the editor)
+    constructor(input, options = {}) {
         this.input = input;
         this.pos = 0;
         this.line = 1;
         this.column = 1;
+        this.recover = !!options.recover;
+        this.diagnostics = [];
+        // Skipped comments: { text, line, column, endLine }, used by the formatter
+        this.comments = [];
     }
 
     peek() {
@@ -57,9 +154,15 @@ class Lexer {
         }
     }
 
+    addComment(start, line, column) {
+        const text = this.input.slice(start, this.pos).trimEnd();
+        this.comments.push({ text, line, column, endLine: this.line });
+    }
+
     readNumber() {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         let num = '';
 
         // Check for hexadecimal (0x or 0X prefix)
@@ -69,19 +172,20 @@ class Lexer {
             while (this.pos < this.input.length && /[0-9a-fA-F]/.test(this.peek())) {
                 num += this.advance();
             }
-            return { type: 'NUMBER', value: parseInt(num, 16), line: startLine, column: startColumn };
+            return { type: 'NUMBER', value: parseInt(num, 16), raw: num, line: startLine, column: startColumn };
         }
 
         // Regular decimal number
         while (this.pos < this.input.length && /[0-9.]/.test(this.peek())) {
             num += this.advance();
         }
-        return { type: 'NUMBER', value: parseFloat(num), line: startLine, column: startColumn };
+        return { type: 'NUMBER', value: parseFloat(num), raw: this.input.slice(startPos, this.pos), line: startLine, column: startColumn };
     }
 
     readString(quote) {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         this.advance(); // skip opening quote
         let str = '';
         while (this.pos < this.input.length && this.peek() !== quote) {
@@ -102,7 +206,7 @@ class Lexer {
             }
         }
         this.advance(); // skip closing quote
-        return { type: 'STRING', value: str, line: startLine, column: startColumn };
+        return { type: 'STRING', value: str, raw: this.input.slice(startPos, this.pos), line: startLine, column: startColumn };
     }
 
     readIdentifier() {
@@ -114,28 +218,7 @@ class Lexer {
             id += this.advance();
         }
 
-        // Check for keywords
-        const keywords = {
-            'function': 'FUNCTION',
-            'return': 'RETURN',
-            'if': 'IF',
-            'else': 'ELSE',
-            'for': 'FOR',
-            'while': 'WHILE',
-            'let': 'LET',
-            'const': 'CONST',
-            'true': 'TRUE',
-            'false': 'FALSE',
-            'null': 'NULL',
-            'undefined': 'UNDEFINED',
-            'number': 'TYPE_NUMBER',
-            'bool': 'TYPE_BOOL',
-            'string': 'TYPE_STRING',
-            'cstring': 'TYPE_CSTRING',
-            'lv_color': 'TYPE_LV_COLOR'
-        };
-
-        return { type: keywords[id] || 'IDENTIFIER', value: id, line: startLine, column: startColumn, length: this.pos - startPos };
+        return { type: KEYWORDS[id] || 'IDENTIFIER', value: id, line: startLine, column: startColumn, length: this.pos - startPos };
     }
 
     nextToken() {
@@ -152,13 +235,17 @@ class Lexer {
 
         // Comments
         if (ch === '/' && this.input[this.pos + 1] === '/') {
+            const start = this.pos;
             this.skipLineComment();
+            this.addComment(start, tokenLine, tokenColumn);
             return this.nextToken();
         }
 
         if (ch === '/' && this.input[this.pos + 1] === '*') {
+            const start = this.pos;
             this.advance(); // skip /
             this.skipBlockComment();
+            this.addComment(start, tokenLine, tokenColumn);
             return this.nextToken();
         }
 
@@ -178,8 +265,20 @@ class Lexer {
         }
 
         // Operators and punctuation
+        const tripleChar = this.input.substr(this.pos, 3);
+        const operators3 = ['<<=', '>>='];
+        if (operators3.includes(tripleChar)) {
+            this.advance();
+            this.advance();
+            this.advance();
+            return { type: tripleChar, value: tripleChar, line: tokenLine, column: tokenColumn, length: 3 };
+        }
+
         const doubleChar = ch + this.input[this.pos + 1];
-        const operators2 = ['==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/='];
+        const operators2 = [
+            '==', '!=', '<=', '>=', '&&', '||', '++', '--', '<<', '>>',
+            '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^='
+        ];
         if (operators2.includes(doubleChar)) {
             this.advance();
             this.advance();
@@ -197,7 +296,7 @@ class Lexer {
             '*': 'STAR', '/': 'SLASH',
             '%': 'PERCENT',
             '<': 'LT', '>': 'GT',
-            '!': 'NOT',
+            '!': 'NOT', '~': 'TILDE', '?': 'QUESTION',
             '&': 'AMP', '|': 'PIPE', '^': 'CARET'
         };
 
@@ -206,18 +305,30 @@ class Lexer {
             return { type: singleChar[ch], value: ch, line: tokenLine, column: tokenColumn, length: 1 };
         }
 
-        throw new Error(`Syntax error: Unexpected character '${ch}' at line ${this.line}:${this.column}`);
+        throw createSyntaxError(`Unexpected character '${ch}'`, { line: this.line, column: this.column, length: 1 }, 'unexpected-character');
     }
 
     tokenize() {
         const tokens = [];
         let token;
-        while ((token = this.nextToken()).type !== 'EOF') {
+        while ((token = this.nextTokenWithRecovery()).type !== 'EOF') {
             tokens.push(token);
         }
         tokens.push(token); // Add EOF
         return tokens;
     }
+
+    nextTokenWithRecovery() {
+        while (true) {
+            try {
+                return this.nextToken();
+            } catch (error) {
+                if (!this.recover || !error.diagnostic) throw error;
+                this.diagnostics.push(error.diagnostic);
+                this.advance(); // Skip the character that can't start a token
+            }
+        }
+    }
 }
 
 // ============================================================================
@@ -225,9 +336,16 @@ class Lexer {
 // ============================================================================
 
 class Parser {
-    constructor(tokens) {
+    // With options.recover, a syntax error doesn't stop parsing: it is added to this.diagnostics,
+    // the parser skips to the next statement boundary (panic mode) and the broken statement is left
+    // out of the AST. This gives all syntax errors at once and a partial AST for editor features.
+    constructor(tokens, options = {}) {
         this.tokens = tokens;
         this.pos = 0;
+        this.loopDepth = 0;   // Nesting depth of loops, for validating continue
+        this.switchDepth = 0; // Nesting depth of switch statements, for validating break
+        this.recover = !!options.recover;
+        this.diagnostics = [];
     }
 
     peek() {
@@ -235,34 +353,118 @@ class Parser {
     }
 
     advance() {
-        return this.tokens[this.pos++];
+        const token = this.tokens[this.pos];
+        if (token.type !== 'EOF') {
+            this.pos++; // EOF is never consumed, so peek() always has a token
+        }
+        return token;
     }
 
     expect(type) {
         const token = this.advance();
         if (token.type !== type) {
-            const location = token.line && token.column ? ` at line ${token.line}:${token.column}` : '';
-            throw new Error(`Syntax error: Expected ${type} but got ${token.type}${location}`);
+            throw this.syntaxError(`Expected ${type} but got ${token.type}`, token, 'unexpected-token');
         }
         return token;
     }
 
-    // Program = Statement*
+    // Error at a token, e.g. "Syntax error: Unexpected token RPAREN at line 3:5"
+    syntaxError(message, token, code = 'syntax-error') {
+        return createSyntaxError(message, token, code);
+    }
+
+    // Program = (StructDeclaration | Statement)*
     parseProgram() {
         const statements = [];
         while (this.peek().type !== 'EOF') {
-            statements.push(this.parseStatement());
+            const statement = this.parseWithRecovery(() => this.isStructDeclarationStart()
+                ? this.parseStructDeclaration()
+                : this.parseStatement());
+            if (statement) {
+                statements.push(statement);
+            }
         }
         return { type: 'Program', body: statements };
     }
 
-    // Statement = FunctionDeclaration | IfStatement | ForStatement | WhileStatement | ReturnStatement | ExpressionStatement
+    // Parse one statement. In recovery mode a syntax error is recorded and null is returned
+    // after skipping to where the next statement is likely to start.
+    parseWithRecovery(parse) {
+        if (!this.recover) {
+            return this.withSourceRange(parse);
+        }
+
+        const start = this.pos;
+        const loopDepth = this.loopDepth;
+        const switchDepth = this.switchDepth;
+        try {
+            return this.withSourceRange(parse);
+        } catch (error) {
+            if (!error.diagnostic) throw error;
+            this.diagnostics.push(error.diagnostic);
+            this.loopDepth = loopDepth;
+            this.switchDepth = switchDepth;
+            this.synchronize(start);
+            return null;
+        }
+    }
+
+    // Statements get start and end: the locations of their first and last token, so comments
+    // can be put back in place by the formatter
+    withSourceRange(parse) {
+        const startToken = this.peek();
+        const node = parse();
+        node.start = tokenLocation(startToken);
+        node.end = tokenLocation(this.tokens[this.pos - 1]);
+        return node;
+    }
+
+    // Skip tokens up to a statement boundary: after a ';' or a '{ ... }' block, or before a '}'
+    // closing the enclosing block, a 'function' keyword or the end of the script
+    synchronize(start) {
+        // The failing token may have been the ';' ending the statement
+        if (this.pos > start && this.tokens[this.pos - 1].type === 'SEMICOLON') {
+            return;
+        }
+
+        let depth = 0;
+        while (this.peek().type !== 'EOF') {
+            const type = this.peek().type;
+            if (depth === 0 && (type === 'RBRACE' || type === 'FUNCTION')) {
+                // Always make progress, the statement may have failed on this very token
+                if (this.pos === start) this.advance();
+                return;
+            }
+            this.advance();
+            if (type === 'LBRACE') {
+                depth++;
+            } else if (type === 'RBRACE') {
+                if (--depth === 0) return;
+            } else if (type === 'SEMICOLON' && depth === 0) {
+                return;
+            }
+        }
+    }
+
+    // 'type' is only a keyword in 'type Name = { ... }', so it can still be used as a variable name
+    isStructDeclarationStart() {
+        const token = this.peek();
+        return token.type === 'STRUCT' ||
+            (token.type === 'IDENTIFIER' && token.value === 'type' &&
+             this.tokens[this.pos + 1].type === 'IDENTIFIER' && this.tokens[this.pos + 2].type === 'ASSIGN');
+    }
+
+    // Statement = FunctionDeclaration | IfStatement | ForStatement | WhileStatement | DoWhileStatement | SwitchStatement
+    //           | ReturnStatement | BreakStatement | ContinueStatement | ExpressionStatement
     parseStatement() {
         const token = this.peek();
 
         if (token.type === 'FUNCTION') {
             return this.parseFunctionDeclaration();
         }
+        if (token.type === 'STRUCT') {
+            throw this.syntaxError('Structs can only be declared at the top level', token);
+        }
         if (token.type === 'IF') {
             return this.parseIfStatement();
         }
@@ -272,9 +474,18 @@ class Parser {
         if (token.type === 'WHILE') {
             return this.parseWhileStatement();
         }
+        if (token.type === 'DO') {
+            return this.parseDoWhileStatement();
+        }
+        if (token.type === 'SWITCH') {
+            return this.parseSwitchStatement();
+        }
         if (token.type === 'RETURN') {
             return this.parseReturnStatement();
         }
+        if (token.type === 'BREAK' || token.type === 'CONTINUE') {
+            return this.parseJumpStatement();
+        }
         if (token.type === 'LET' || token.type === 'CONST') {
             return this.parseVariableDeclaration();
         }
@@ -288,29 +499,30 @@ class Parser {
     // FunctionDeclaration = 'function' Identifier '(' Parameters? ')' (':' Type)? BlockStatement
     parseFunctionDeclaration() {
         this.expect('FUNCTION');
-        const name = this.expect('IDENTIFIER').value;
+        const nameToken = this.expect('IDENTIFIER');
+        const name = nameToken.value;
         this.expect('LPAREN');
 
         const params = [];
         if (this.peek().type !== 'RPAREN') {
             // Parse parameter with optional type annotation
-            const paramName = this.expect('IDENTIFIER').value;
+            const paramToken = this.expect('IDENTIFIER');
             let paramType = null;
             if (this.peek().type === 'COLON') {
                 this.advance(); // skip ':'
                 paramType = this.parseType();
             }
-            params.push({ name: paramName, type: paramType });
+            params.push({ name: paramToken.value, type: paramType, loc: tokenLocation(paramToken) });
 
             while (this.peek().type === 'COMMA') {
                 this.advance();
-                const pName = this.expect('IDENTIFIER').value;
+                const pToken = this.expect('IDENTIFIER');
                 let pType = null;
                 if (this.peek().type === 'COLON') {
                     this.advance();
                     pType = this.parseType();
                 }
-                params.push({ name: pName, type: pType });
+                params.push({ name: pToken.value, type: pType, loc: tokenLocation(pToken) });
             }
         }
 
@@ -323,13 +535,93 @@ class Parser {
             returnType = this.parseType();
         }
 
+        // break/continue can't cross function boundaries
+        const outerLoopDepth = this.loopDepth;
+        const outerSwitchDepth = this.switchDepth;
+        this.loopDepth = 0;
+        this.switchDepth = 0;
         const body = this.parseBlockStatement();
+        this.loopDepth = outerLoopDepth;
+        this.switchDepth = outerSwitchDepth;
+
+        return {
+            type: 'FunctionDeclaration',
+            name,
+            params,
+            returnType,
+            body,
+            loc: { line: nameToken.line, column: nameToken.column, length: nameToken.length }
+        };
+    }
+
+    // StructDeclaration = 'struct' Identifier StructBody | 'type' Identifier '=' StructBody ';'?
+    // StructBody = '{' (Identifier ':' Type (';' | ',')?)* '}'
+    parseStructDeclaration() {
+        const isTypeAlias = this.advance().type === 'IDENTIFIER'; // STRUCT or 'type'
+        const nameToken = this.expect('IDENTIFIER');
+        const name = nameToken.value;
+        if (name.startsWith('lv_')) {
+            throw this.syntaxError(`Struct name ${name} is reserved for LVGL types`, nameToken);
+        }
+        if (isTypeAlias) {
+            this.expect('ASSIGN');
+        }
+
+        this.expect('LBRACE');
+        const fields = [];
+        while (this.peek().type !== 'RBRACE') {
+            const fieldToken = this.expect('IDENTIFIER');
+            if (fields.some(f => f.name === fieldToken.value)) {
+                throw this.syntaxError(`Duplicate field ${fieldToken.value} in struct ${name}`, fieldToken);
+            }
+            this.expect('COLON');
+            fields.push({ name: fieldToken.value, type: this.parseType(), loc: tokenLocation(fieldToken) });
+            if (this.peek().type === 'SEMICOLON' || this.peek().type === 'COMMA') {
+                this.advance();
+            }
+        }
+        this.expect('RBRACE');
+
+        if (fields.length === 0) {
+            throw this.syntaxError(`Struct ${name} must have at least one field`, nameToken);
+        }
+        if (this.peek().type === 'SEMICOLON') {
+            this.advance();
+        }
 
-        return { type: 'FunctionDeclaration', name, params, returnType, body };
+        return {
+            type: 'StructDeclaration',
+            name,
+            fields,
+            typeAlias: isTypeAlias,
+            loc: { line: nameToken.line, column: nameToken.column, length: nameToken.length }
+        };
     }
 
-    // Type = 'number' | 'bool' | 'string' | 'cstring' | 'lv_color' | Identifier
+    // Type = BaseType ('[' Number? ']')?
     parseType() {
+        const baseType = this.parseBaseType();
+
+        // Array type: number[] (size taken from the initializer) or number[8] (explicit size)
+        if (this.peek().type === 'LBRACKET') {
+            this.advance();
+            let size = '';
+            if (this.peek().type === 'NUMBER') {
+                const sizeToken = this.advance();
+                if (!Number.isInteger(sizeToken.value) || sizeToken.value <= 0) {
+                    throw this.syntaxError('Array size must be a positive integer', sizeToken);
+                }
+                size = String(sizeToken.value);
+            }
+            this.expect('RBRACKET');
+            return `${baseType}[${size}]`;
+        }
+
+        return baseType;
+    }
+
+    // BaseType = 'number' | 'bool' | 'string' | 'cstring' | 'lv_color' | Identifier (lv_* or struct name)
+    parseBaseType() {
         const token = this.advance();
         if (token.type === 'TYPE_NUMBER') {
             return 'number';
@@ -344,10 +636,9 @@ class Parser {
         } else if (token.type === 'FUNCTION') {
             return 'function';
         } else if (token.type === 'IDENTIFIER') {
-            return token.value; // Custom type like lv_obj
+            return token.value; // Custom type like lv_obj or a struct name
         } else {
-            const location = token.line && token.column ? ` at line ${token.line}:${token.column}` : '';
-            throw new Error(`Syntax error: Expected type but got ${token.type}${location}`);
+            throw this.syntaxError(`Expected type but got ${token.type}`, token, 'unexpected-token');
         }
     }
 
@@ -355,22 +646,34 @@ class Parser {
     parseBlockStatement() {
         const token = this.peek();
         if (token.type !== 'LBRACE') {
-            const location = token.line && token.column ? ` at line ${token.line}:${token.column}` : '';
-            throw new Error(`Syntax error: Expected { but got ${token.type}${location}. Function bodies must be wrapped in curly braces { }`);
+            throw this.syntaxError(`Expected { but got ${token.type}, function bodies must be wrapped in curly braces { }`, token, 'unexpected-token');
         }
         this.expect('LBRACE');
         const statements = [];
-        while (this.peek().type !== 'RBRACE') {
-            statements.push(this.parseStatement());
+        while (this.peek().type !== 'RBRACE' && this.peek().type !== 'EOF') {
+            const statement = this.parseWithRecovery(() => this.parseStatement());
+            if (statement) {
+                statements.push(statement);
+            }
         }
-        this.expect('RBRACE');
-        return { type: 'BlockStatement', body: statements };
+        if (this.recover && this.peek().type === 'EOF') {
+            // Unclosed block (e.g. while typing a new function): keep what was parsed.
+            // Nested blocks all end here, report it once.
+            const error = this.syntaxError('Expected RBRACE but got EOF', this.peek(), 'unexpected-token');
+            if (!this.diagnostics.some(d => d.message === error.diagnostic.message)) {
+                this.diagnostics.push(error.diagnostic);
+            }
+            return { type: 'BlockStatement', body: statements, start: tokenLocation(token), end: tokenLocation(this.tokens[this.pos - 1]) };
+        }
+        const endToken = this.expect('RBRACE');
+        return { type: 'BlockStatement', body: statements, start: tokenLocation(token), end: tokenLocation(endToken) };
     }
 
     // VariableDeclaration = ('let' | 'const') Identifier (':' Type)? ('=' Expression)? ';'
     parseVariableDeclaration() {
         const kind = this.advance().type; // LET or CONST
-        const name = this.expect('IDENTIFIER').value;
+        const nameToken = this.expect('IDENTIFIER');
+        const name = nameToken.value;
         let varType = null;
         let init = null;
 
@@ -383,13 +686,22 @@ class Parser {
         if (this.peek().type === 'ASSIGN') {
             this.advance();
             init = this.parseExpression();
+        } else if (kind === 'CONST') {
+            throw this.syntaxError(`Missing initializer in const declaration ${name}`, nameToken);
         }
 
         if (this.peek().type === 'SEMICOLON') {
             this.advance();
         }
 
-        return { type: 'VariableDeclaration', kind: kind.toLowerCase(), name, varType, init };
+        return {
+            type: 'VariableDeclaration',
+            kind: kind.toLowerCase(),
+            name,
+            varType,
+            init,
+            loc: { line: nameToken.line, column: nameToken.column, length: nameToken.length }
+        };
     }
 
     // IfStatement = 'if' '(' Expression ')' Statement ('else' Statement)?
@@ -400,18 +712,19 @@ class Parser {
         this.expect('RPAREN');
         const consequent = this.parseStatement();
         let alternate = null;
+        let elseLoc = null;
 
         if (this.peek().type === 'ELSE') {
-            this.advance();
+            elseLoc = tokenLocation(this.advance());
             alternate = this.parseStatement();
         }
 
-        return { type: 'IfStatement', test, consequent, alternate };
+        return { type: 'IfStatement', test, consequent, alternate, elseLoc };
     }
 
     // ForStatement = 'for' '(' (VariableDeclaration | ExpressionStatement) Expression ';' Expression ')' Statement
     parseForStatement() {
-        this.expect('FOR');
+        const forToken = this.expect('FOR');
         this.expect('LPAREN');
 
         let init = null;
@@ -432,25 +745,109 @@ class Parser {
         const update = this.peek().type !== 'RPAREN' ? this.parseExpression() : null;
         this.expect('RPAREN');
 
-        const body = this.parseStatement();
+        const body = this.parseLoopBody();
 
-        return { type: 'ForStatement', init, test, update, body };
+        return { type: 'ForStatement', init, test, update, body, loc: tokenLocation(forToken) };
     }
 
     // WhileStatement = 'while' '(' Expression ')' Statement
     parseWhileStatement() {
+        const whileToken = this.expect('WHILE');
+        this.expect('LPAREN');
+        const test = this.parseExpression();
+        this.expect('RPAREN');
+        const body = this.parseLoopBody();
+
+        return { type: 'WhileStatement', test, body, loc: tokenLocation(whileToken) };
+    }
+
+    // DoWhileStatement = 'do' Statement 'while' '(' Expression ')' ';'
+    parseDoWhileStatement() {
+        const doToken = this.expect('DO');
+        const body = this.parseLoopBody();
         this.expect('WHILE');
         this.expect('LPAREN');
         const test = this.parseExpression();
         this.expect('RPAREN');
+        if (this.peek().type === 'SEMICOLON') {
+            this.advance();
+        }
+
+        return { type: 'DoWhileStatement', body, test, loc: tokenLocation(doToken) };
+    }
+
+    parseLoopBody() {
+        this.loopDepth++;
         const body = this.parseStatement();
+        this.loopDepth--;
+        return body;
+    }
+
+    // SwitchStatement = 'switch' '(' Expression ')' '{' SwitchCase* '}'
+    // SwitchCase = ('case' Expression | 'default') ':' Statement*
+    parseSwitchStatement() {
+        this.expect('SWITCH');
+        this.expect('LPAREN');
+        const discriminant = this.parseExpression();
+        this.expect('RPAREN');
+        this.expect('LBRACE');
+
+        const cases = [];
+        let hasDefault = false;
+        this.switchDepth++;
+        while (this.peek().type !== 'RBRACE') {
+            const token = this.peek();
+            let test = null;
+            if (token.type === 'CASE') {
+                this.advance();
+                test = this.parseExpression();
+            } else if (token.type === 'DEFAULT') {
+                this.advance();
+                if (hasDefault) {
+                    throw this.syntaxError('Multiple default clauses in switch', token);
+                }
+                hasDefault = true;
+            } else {
+                throw this.syntaxError(`Expected case or default but got ${token.type}`, token, 'unexpected-token');
+            }
+            this.expect('COLON');
+
+            const consequent = [];
+            while (!['CASE', 'DEFAULT', 'RBRACE'].includes(this.peek().type)) {
+                consequent.push(this.withSourceRange(() => this.parseStatement()));
+            }
+            cases.push({ type: 'SwitchCase', test, consequent, start: tokenLocation(token) });
+        }
+        this.switchDepth--;
+        this.expect('RBRACE');
+
+        return { type: 'SwitchStatement', discriminant, cases };
+    }
+
+    // BreakStatement = 'break' ';'
+    // ContinueStatement = 'continue' ';'
+    parseJumpStatement() {
+        const token = this.advance();
+        const isBreak = token.type === 'BREAK';
+
+        if (isBreak ? this.loopDepth === 0 && this.switchDepth === 0 : this.loopDepth === 0) {
+            const where = isBreak ? 'loop or switch' : 'loop';
+            throw this.syntaxError(`${token.value} outside of ${where}`, token);
+        }
+
+        if (this.peek().type === 'SEMICOLON') {
+            this.advance();
+        }
 
-        return { type: 'WhileStatement', test, body };
+        return {
+            type: isBreak ? 'BreakStatement' : 'ContinueStatement',
+            loc: { line: token.line, column: token.column, length: token.length }
+        };
     }
 
     // ReturnStatement = 'return' Expression? ';'
     parseReturnStatement() {
-        this.expect('RETURN');
+        const returnToken = this.expect('RETURN');
         let argument = null;
 
         if (this.peek().type !== 'SEMICOLON' && this.peek().type !== 'RBRACE') {
@@ -461,7 +858,11 @@ class Parser {
             this.advance();
         }
 
-        return { type: 'ReturnStatement', argument };
+        return {
+            type: 'ReturnStatement',
+            argument,
+            loc: { line: returnToken.line, column: returnToken.column, length: returnToken.length }
+        };
     }
 
     // ExpressionStatement = Expression ';'
@@ -478,19 +879,35 @@ class Parser {
         return this.parseAssignmentExpression();
     }
 
-    // AssignmentExpression = LogicalOrExpression (('=' | '+=' | '-=') AssignmentExpression)?
+    // AssignmentExpression = ConditionalExpression (AssignmentOperator AssignmentExpression)?
+    // AssignmentOperator = '=' | '+=' | '-=' | '*=' | '/=' | '%=' | '|=' | '&=' | '^=' | '<<=' | '>>='
     parseAssignmentExpression() {
-        const left = this.parseLogicalOrExpression();
+        const left = this.parseConditionalExpression();
 
-        if (['ASSIGN', '+=', '-=', '*=', '/='].includes(this.peek().type)) {
+        if (['ASSIGN', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=', '<<=', '>>='].includes(this.peek().type)) {
             const operator = this.advance().value;
             const right = this.parseAssignmentExpression();
-            return { type: 'AssignmentExpression', operator, left, right };
+            return { type: 'AssignmentExpression', operator, left, right, loc: left.loc };
         }
 
         return left;
     }
 
+    // ConditionalExpression = LogicalOrExpression ('?' AssignmentExpression ':' AssignmentExpression)?
+    parseConditionalExpression() {
+        const test = this.parseLogicalOrExpression();
+
+        if (this.peek().type === 'QUESTION') {
+            this.advance();
+            const consequent = this.parseAssignmentExpression();
+            this.expect('COLON');
+            const alternate = this.parseAssignmentExpression();
+            return { type: 'ConditionalExpression', test, consequent, alternate, loc: test.loc };
+        }
+
+        return test;
+    }
+
     // LogicalOrExpression = LogicalAndExpression ('||' LogicalAndExpression)*
     parseLogicalOrExpression() {
         let left = this.parseLogicalAndExpression();
@@ -569,11 +986,24 @@ class Parser {
         return left;
     }
 
-    // RelationalExpression = AdditiveExpression (('<' | '>' | '<=' | '>=') AdditiveExpression)*
+    // RelationalExpression = ShiftExpression (('<' | '>' | '<=' | '>=') ShiftExpression)*
     parseRelationalExpression() {
-        let left = this.parseAdditiveExpression();
+        let left = this.parseShiftExpression();
 
         while (['LT', 'GT', '<=', '>='].includes(this.peek().type)) {
+            const operator = this.advance().value;
+            const right = this.parseShiftExpression();
+            left = { type: 'BinaryExpression', operator, left, right };
+        }
+
+        return left;
+    }
+
+    // ShiftExpression = AdditiveExpression (('<<' | '>>') AdditiveExpression)*
+    parseShiftExpression() {
+        let left = this.parseAdditiveExpression();
+
+        while (['<<', '>>'].includes(this.peek().type)) {
             const operator = this.advance().value;
             const right = this.parseAdditiveExpression();
             left = { type: 'BinaryExpression', operator, left, right };
@@ -608,9 +1038,9 @@ class Parser {
         return left;
     }
 
-    // UnaryExpression = ('!' | '-' | '++' | '--') UnaryExpression | PostfixExpression
+    // UnaryExpression = ('!' | '-' | '~' | '++' | '--') UnaryExpression | PostfixExpression
     parseUnaryExpression() {
-        if (['NOT', 'MINUS', '++', '--'].includes(this.peek().type)) {
+        if (['NOT', 'MINUS', 'TILDE', '++', '--'].includes(this.peek().type)) {
             const operator = this.advance().value;
             const argument = this.parseUnaryExpression();
             return { type: 'UnaryExpression', operator, prefix: true, argument };
@@ -648,16 +1078,16 @@ class Parser {
                 // Member access
                 this.advance();
                 const property = this.expect('IDENTIFIER').value;
-                expr = { type: 'MemberExpression', object: expr, property, computed: false };
+                expr = { type: 'MemberExpression', object: expr, property, computed: false, loc: expr.loc };
             } else if (token.type === 'LBRACKET') {
                 // Computed member access
                 this.advance();
                 const property = this.parseExpression();
                 this.expect('RBRACKET');
-                expr = { type: 'MemberExpression', object: expr, property, computed: true };
+                expr = { type: 'MemberExpression', object: expr, property, computed: true, loc: expr.loc };
             } else if (token.type === '++' || token.type === '--') {
                 const operator = this.advance().value;
-                expr = { type: 'UpdateExpression', operator, prefix: false, argument: expr };
+                expr = { type: 'UpdateExpression', operator, prefix: false, argument: expr, loc: expr.loc };
             } else {
                 break;
             }
@@ -666,7 +1096,7 @@ class Parser {
         return expr;
     }
 
-    // PrimaryExpression = Identifier | Literal | '(' Expression ')'
+    // PrimaryExpression = Identifier | Literal | ArrayExpression | ObjectExpression | '(' Expression ')'
     parsePrimaryExpression() {
         const token = this.peek();
 
@@ -677,12 +1107,12 @@ class Parser {
 
         if (token.type === 'NUMBER') {
             const numToken = this.advance();
-            return { type: 'Literal', value: numToken.value, loc: { line: numToken.line, column: numToken.column, length: numToken.length } };
+            return { type: 'Literal', value: numToken.value, raw: numToken.raw, loc: { line: numToken.line, column: numToken.column, length: numToken.length } };
         }
 
         if (token.type === 'STRING') {
             const strToken = this.advance();
-            return { type: 'Literal', value: strToken.value, loc: { line: strToken.line, column: strToken.column, length: strToken.length } };
+            return { type: 'Literal', value: strToken.value, raw: strToken.raw, loc: { line: strToken.line, column: strToken.column, length: strToken.length } };
         }
 
         if (token.type === 'TRUE') {
@@ -696,13 +1126,13 @@ class Parser {
         }
 
         if (token.type === 'NULL') {
-            this.advance();
-            return { type: 'Literal', value: null };
+            const nullToken = this.advance();
+            return { type: 'Literal', value: null, loc: { line: nullToken.line, column: nullToken.column, length: nullToken.length } };
         }
 
         if (token.type === 'UNDEFINED') {
-            this.advance();
-            return { type: 'Literal', value: undefined };
+            const undefinedToken = this.advance();
+            return { type: 'Literal', value: undefined, loc: { line: undefinedToken.line, column: undefinedToken.column, length: undefinedToken.length } };
         }
 
         if (token.type === 'LPAREN') {
@@ -712,105 +1142,578 @@ class Parser {
             return expr;
         }
 
-        const location = token.line && token.column ? ` at line ${token.line}:${token.column}` : '';
-        throw new Error(`Syntax error: Unexpected token ${token.type}${location}`);
-    }
-}
-
-// ============================================================================
-// INTERPRETER (AST Evaluator)
-// ============================================================================
-
-class Interpreter {
-    constructor(globals, lvgl, constants, allowedFunctions) {
-        // Process globals: extract functions and their type specifications
-        // globals can be:
-        // - plain values/functions: { funcName: function }
-        // - functions with types: { funcName: { function: fn, params: [...], returnType: type } }
-        this.globalFunctionTypes = {};
-        this.globals = this.processGlobalsObject(globals, '');
+        if (token.type === 'LBRACKET') {
+            return this.parseArrayExpression();
+        }
 
-        this.lvgl = lvgl;
-        this.constants = constants;
+        if (token.type === 'LBRACE') {
+            return this.parseObjectExpression();
+        }
 
-        // allowedFunctions can be:
-        // - null: allow all functions
-        // - array: whitelist of function names
-        // - object: { functionName: argCount } for whitelist with arg count validation
-        // - object: { functionName: { params: [types], returnType: type } } for full type checking
-        this.allowedFunctions = null;
-        this.functionArgCounts = {};
-        this.functionTypes = {};
+        throw this.syntaxError(`Unexpected token ${token.type}`, token, 'unexpected-token');
+    }
 
-        if (allowedFunctions) {
-            if (Array.isArray(allowedFunctions)) {
-                // Array format: just function names
-                this.allowedFunctions = allowedFunctions;
-            } else if (typeof allowedFunctions === 'object') {
-                // Object format with type info
-                this.allowedFunctions = Object.keys(allowedFunctions);
-                for (const funcName in allowedFunctions) {
-                    const spec = allowedFunctions[funcName];
-                    if (typeof spec === 'number' || (typeof spec === 'object' && ('min' in spec || 'max' in spec))) {
-                        // Old format: just arg count
-                        this.functionArgCounts[funcName] = spec;
-                    } else if (typeof spec === 'object' && 'params' in spec) {
-                        // New format: full type info
-                        this.functionTypes[funcName] = spec;
-                        this.functionArgCounts[funcName] = spec.params.length;
-                    }
-                }
+    // ArrayExpression = '[' (Expression (',' Expression)* ','?)? ']'
+    parseArrayExpression() {
+        const startToken = this.expect('LBRACKET');
+        const elements = [];
+        while (this.peek().type !== 'RBRACKET') {
+            elements.push(this.parseExpression());
+            if (this.peek().type !== 'COMMA') {
+                break;
             }
+            this.advance();
         }
-
-        this.globalScope = {};
-        this.functions = {};
-        this.variableTypes = {};
-        this.sourceCode = '';
-        this.currentNode = null;
-        this._colorBuffer = null; // Pre-allocated buffer for lv_color operations
-        this.eventManager = null; // Will be set by runtime if event handling is supported
+        this.expect('RBRACKET');
+        return {
+            type: 'ArrayExpression',
+            elements,
+            loc: { line: startToken.line, column: startToken.column, length: startToken.length }
+        };
     }
 
-    // Recursively process globals object to extract functions and type info
-    processGlobalsObject(obj, pathPrefix) {
-        if (!obj) return {};
-
-        const result = {};
-        for (const key in obj) {
-            const value = obj[key];
-            const fullPath = pathPrefix ? `${pathPrefix}.${key}` : key;
-
-            if (typeof value === 'object' && value !== null && 'function' in value) {
-                // Extract function and type info
-                result[key] = value.function;
-                if (value.params || value.returnType) {
-                    this.globalFunctionTypes[fullPath] = {
-                        params: value.params || [],
-                        returnType: value.returnType
-                    };
-                }
-            } else if (typeof value === 'object' && value !== null && typeof value !== 'function') {
-                // Recursively process nested objects
-                result[key] = this.processGlobalsObject(value, fullPath);
-            } else {
-                // Plain value or function
-                result[key] = value;
+    // ObjectExpression = '{' (Identifier ':' Expression (',' Identifier ':' Expression)* ','?)? '}'
+    parseObjectExpression() {
+        const startToken = this.expect('LBRACE');
+        const properties = [];
+        while (this.peek().type !== 'RBRACE') {
+            const keyToken = this.expect('IDENTIFIER');
+            if (properties.some(p => p.key === keyToken.value)) {
+                throw this.syntaxError(`Duplicate field ${keyToken.value} in object literal`, keyToken);
+            }
+            this.expect('COLON');
+            properties.push({
+                key: keyToken.value,
+                value: this.parseExpression(),
+                loc: { line: keyToken.line, column: keyToken.column, length: keyToken.length }
+            });
+            if (this.peek().type !== 'COMMA') {
+                break;
             }
+            this.advance();
         }
-        return result;
+        this.expect('RBRACE');
+        return {
+            type: 'ObjectExpression',
+            properties,
+            loc: { line: startToken.line, column: startToken.column, length: startToken.length }
+        };
     }
+}
 
-    // Build path string from MemberExpression for global function lookup
-    getMemberExpressionPath(node) {
-        if (node.type === 'Identifier') {
-            return node.name;
-        } else if (node.type === 'MemberExpression' && !node.computed) {
-            const objectPath = this.getMemberExpressionPath(node.object);
-            return objectPath ? `${objectPath}.${node.property}` : null;
+// Attach the comments collected by the Lexer to the statements around them, so the emitters and
+// the formatter can reproduce them:
+//   statement.leadingComments  - on the lines before the statement
+//   statement.trailingComments - after the statement on its last line (and any inside expressions)
+//   block.openingComments      - after '{' on the same line
+//   ifStatement.elseComments   - after the consequent, before 'else' (after '}' if it's a block)
+//   innerComments              - after the last statement of a program, block or switch case
+// Comments before a case label are the case's leadingComments.
+function attachComments(ast, comments) {
+    let next = 0;
+
+    function takeBefore(loc) {
+        const taken = [];
+        while (next < comments.length && (!loc || comments[next].line < loc.line ||
+               (comments[next].line === loc.line && comments[next].column < loc.column))) {
+            taken.push(comments[next++]);
+        }
+        return taken;
+    }
+
+    function takeOnLine(line) {
+        const taken = [];
+        while (next < comments.length && comments[next].line === line) {
+            taken.push(comments[next++]);
+        }
+        return taken;
+    }
+
+    // Returns the comments after the last statement, before endLoc
+    function attachToList(statements, endLoc) {
+        for (const stmt of statements) {
+            stmt.leadingComments = takeBefore(stmt.start);
+            attachToStatement(stmt);
+            stmt.trailingComments = [...takeBefore(stmt.end), ...takeOnLine(stmt.end.line)];
+        }
+        return takeBefore(endLoc);
+    }
+
+    function attachToBlock(block) {
+        block.openingComments = takeOnLine(block.start.line);
+        block.innerComments = attachToList(block.body, block.end);
+    }
+
+    // Statements nested in another one without a block (if (x) foo();) have no source range,
+    // their comments go to the enclosing statement
+    function attachToStatement(node) {
+        if (!node) return;
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                attachToBlock(node.body);
+                break;
+            case 'BlockStatement':
+                attachToBlock(node);
+                break;
+            case 'IfStatement':
+                attachToStatement(node.consequent);
+                node.elseComments = node.alternate ? takeBefore(node.elseLoc) : [];
+                attachToStatement(node.alternate);
+                break;
+            case 'ForStatement':
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                attachToStatement(node.body);
+                break;
+            case 'SwitchStatement':
+                node.cases.forEach((c, i) => {
+                    c.leadingComments = takeBefore(c.start);
+                    const isLast = i === node.cases.length - 1;
+                    c.innerComments = attachToList(c.consequent, isLast ? node.end : c.start);
+                });
+                break;
+            case 'StructDeclaration':
+                // Fields get the comments above them and at the end of their line, like statements.
+                // Comments on the line of the closing brace stay with the struct.
+                for (const field of node.fields) {
+                    field.leadingComments = takeBefore(field.loc);
+                    field.trailingComments = field.loc.line !== node.end.line ? takeOnLine(field.loc.line) : [];
+                }
+                node.innerComments = takeBefore(node.end);
+                break;
+        }
+    }
+
+    ast.innerComments = attachToList(ast.body, null);
+    return ast;
+}
+
+// ============================================================================
+// TYPE HELPERS
+// ============================================================================
+
+// Split an array type like 'number[]' or 'lv_obj[8]' into element type and size.
+// Returns null for non-array types. Size is null when it comes from the initializer.
+function parseArrayType(type) {
+    if (typeof type !== 'string') return null;
+    const match = type.match(/^(.+)\[(\d*)\]$/);
+    if (!match) return null;
+    return {
+        elementType: match[1],
+        size: match[2] ? parseInt(match[2], 10) : null
+    };
+}
+
+// Map of struct name -> declaration for all struct declarations in a program
+function collectStructTypes(ast) {
+    const structTypes = {};
+    ast.body.forEach(stmt => {
+        if (stmt.type === 'StructDeclaration') {
+            structTypes[stmt.name] = stmt;
+        }
+    });
+    return structTypes;
+}
+
+// LVGL functions known to copy their C string arguments, or to only read them during the call.
+// Strings converted for them are freed after the call. All other functions may keep the pointer
+// (lv_label_set_text_static, lv_textarea_set_accepted_chars, lv_label_bind_text, ...), so their
+// strings stay allocated. Functions returning a pointer into an argument (lv_fs_get_ext) are
+// not in the list either.
+const CSTRING_COPYING_FUNCTIONS = new Set([
+    'lv_arclabel_set_text', 'lv_bidi_calculate_align', 'lv_calendar_header_dropdown_set_year_list',
+    'lv_canvas_draw_text', 'lv_checkbox_set_text', 'lv_display_get_screen_by_name', 'lv_draw_buf_save_to_file',
+    'lv_dropdown_add_option', 'lv_dropdown_get_option_index', 'lv_dropdown_set_options',
+    'lv_fs_dir_open', 'lv_fs_load_to_buf', 'lv_fs_make_path_from_buffer', 'lv_fs_open', 'lv_fs_path_get_size',
+    'lv_fs_path_join', 'lv_label_ins_text', 'lv_label_set_text', 'lv_label_set_text_vfmt',
+    'lv_list_add_btn', 'lv_list_add_button', 'lv_list_add_text', 'lv_list_set_button_text', 'lv_lottie_set_src_file',
+    'lv_menu_page_create', 'lv_msgbox_add_footer_button', 'lv_msgbox_add_text', 'lv_msgbox_add_title',
+    'lv_msgbox_create', 'lv_obj_calculate_style_text_align', 'lv_obj_class_property_get_id',
+    'lv_obj_find_by_name', 'lv_obj_get_child_by_name', 'lv_obj_property_get_id', 'lv_obj_set_name',
+    'lv_profiler_builtin_write', 'lv_roller_set_options', 'lv_roller_set_selected_str',
+    'lv_span_set_text', 'lv_spangroup_set_span_text', 'lv_style_property_get_id',
+    'lv_table_set_cell_value', 'lv_table_set_cell_value_fmt', 'lv_tabview_add_tab', 'lv_tabview_rename_tab',
+    'lv_text_ap_calc_bytes_count', 'lv_text_get_size', 'lv_text_get_width', 'lv_text_get_width_with_flags',
+    'lv_textarea_add_text', 'lv_textarea_set_password_bullet', 'lv_textarea_set_placeholder_text',
+    'lv_textarea_set_text', 'lv_txt_get_size', 'lv_txt_get_width', 'lv_win_add_title'
+]);
+
+function keepsCStringArguments(functionName) {
+    return !CSTRING_COPYING_FUNCTIONS.has(functionName);
+}
+
+const LV_COLOR_HEX_UNAVAILABLE = 'lv_color_hex is not available in this LVGL version. Use lv_color_make(r, g, b) instead, or upgrade to LVGL v9+';
+
+// Assignment compatibility between types, shared by the interpreter and the type checker
+function isTypeCompatible(actualType, expectedType) {
+    if (expectedType === actualType) return true;
+    // Arrays are compatible when their element types are (sizes are checked on declaration)
+    const expectedArray = parseArrayType(expectedType);
+    const actualArray = parseArrayType(actualType);
+    if (expectedArray || actualArray) {
+        if (!expectedArray || !actualArray) return false;
+        return isTypeCompatible(actualArray.elementType, expectedArray.elementType);
+    }
+    // Function types are compatible
+    if (expectedType === 'function' && actualType === 'function') return true;
+    // All lv_* widget types are compatible with lv_obj
+    if (expectedType === 'lv_obj' && actualType.startsWith('lv_')) return true;
+    // lv_obj is also compatible with number (since it's represented as pointer/number in C)
+    if (expectedType === 'lv_obj' && actualType === 'number') return true;
+    // cstring is stored as number (pointer) so they're compatible
+    if (expectedType === 'cstring' && actualType === 'number') return true;
+    if (expectedType === 'number' && actualType === 'cstring') return true;
+    // lv_color is stored as number at runtime but is a distinct type in C
+    if (expectedType === 'lv_color' && actualType === 'number') return true;
+    if (expectedType === 'number' && actualType === 'lv_color') return true;
+    return false;
+}
+
+// Whether the left operand value of a && or || expression is its result
+function isShortCircuited(node, left) {
+    return node.operator === '&&' ? !left : node.operator === '||' ? !!left : false;
+}
+
+// Build path string like 'System.UTF8ToString' from a MemberExpression
+function getMemberExpressionPath(node) {
+    if (node.type === 'Identifier') {
+        return node.name;
+    } else if (node.type === 'MemberExpression' && !node.computed) {
+        const objectPath = getMemberExpressionPath(node.object);
+        return objectPath ? `${objectPath}.${node.property}` : null;
+    }
+    return null;
+}
+
+// Source location of a node, or of its first descendant that has one
+function findLocation(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (node.loc) return node.loc;
+    for (const key of Object.keys(node)) {
+        const child = node[key];
+        const children = Array.isArray(child) ? child : [child];
+        for (const item of children) {
+            if (item && typeof item === 'object' && typeof item.type === 'string') {
+                const loc = findLocation(item);
+                if (loc) return loc;
+            }
+        }
+    }
+    return null;
+}
+
+// Binary operators, shared by the interpreter and constant folding
+const BINARY_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '==': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+    '&&': (a, b) => a && b,
+    '||': (a, b) => a || b,
+    '|': (a, b) => a | b,
+    '&': (a, b) => a & b,
+    '^': (a, b) => a ^ b,
+    '<<': (a, b) => a << b,
+    '>>': (a, b) => a >> b
+};
+
+// Compile-time value of an expression made only of literals, operators and known constants
+// (`constants` maps names like LV_ALIGN_CENTER or const globals to values).
+// Returns undefined if the expression isn't constant or uses an unknown name.
+function evaluateConstantExpression(node, constants) {
+    if (!node) return undefined;
+    switch (node.type) {
+        case 'Literal':
+            return node.value;
+        case 'Identifier':
+            return constants && Object.prototype.hasOwnProperty.call(constants, node.name) ? constants[node.name] : undefined;
+        case 'UnaryExpression': {
+            const value = evaluateConstantExpression(node.argument, constants);
+            if (value === undefined) return undefined;
+            switch (node.operator) {
+                case '-': return -value;
+                case '!': return !value;
+                case '~': return ~value;
+                default: return undefined;
+            }
+        }
+        case 'BinaryExpression': {
+            const left = evaluateConstantExpression(node.left, constants);
+            const right = evaluateConstantExpression(node.right, constants);
+            if (left === undefined || right === undefined || !BINARY_OPERATORS[node.operator]) return undefined;
+            return BINARY_OPERATORS[node.operator](left, right);
+        }
+        case 'ConditionalExpression': {
+            const test = evaluateConstantExpression(node.test, constants);
+            if (test === undefined) return undefined;
+            return evaluateConstantExpression(test ? node.consequent : node.alternate, constants);
+        }
+        default:
+            return undefined;
+    }
+}
+
+// Whether an expression is a compile-time constant in C: literals, LV_* constants (enums and
+// macros in lvgl.h, so their values don't need to be known) and the given constant names
+function isConstantExpression(node, constantNames) {
+    if (!node) return false;
+    switch (node.type) {
+        case 'Literal':
+            return typeof node.value !== 'string';
+        case 'Identifier':
+            return node.name.startsWith('LV_') || constantNames.has(node.name);
+        case 'UnaryExpression':
+            return ['-', '!', '~'].includes(node.operator) && isConstantExpression(node.argument, constantNames);
+        case 'BinaryExpression':
+            return node.operator in BINARY_OPERATORS &&
+                isConstantExpression(node.left, constantNames) && isConstantExpression(node.right, constantNames);
+        case 'ConditionalExpression':
+            return isConstantExpression(node.test, constantNames) &&
+                isConstantExpression(node.consequent, constantNames) && isConstantExpression(node.alternate, constantNames);
+        default:
+            return false;
+    }
+}
+
+// Built-in value types (struct names are user-defined and not included)
+function isBuiltinType(type) {
+    return ['number', 'bool', 'string', 'cstring', 'lv_color', 'function'].includes(type) || type.startsWith('lv_');
+}
+
+// Zero value used to fill arrays declared with a size but without an initializer
+function getDefaultValueForType(type) {
+    if (type === 'bool') return false;
+    if (type === 'string') return '';
+    return 0;
+}
+
+// ============================================================================
+// SCOPES (Symbol Tables)
+// ============================================================================
+
+// Lexical scope shared by the interpreter, the type checker and the type inference used by the
+// emitters. The program, each function call (parameters and the declarations of the body), block,
+// for and switch statement get their own scope, so inner declarations shadow outer ones and
+// disappear at the end of the block, like in JS and C.
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.symbols = new Map();
+    }
+
+    // Symbol: { name, kind: 'let' | 'const' | 'param' | 'function', type, value, node }
+    // Returns null if the name is already declared in this scope
+    declare(name, symbol) {
+        if (this.symbols.has(name)) return null;
+        const entry = { name, kind: 'let', type: null, value: undefined, node: null, ...symbol };
+        this.symbols.set(name, entry);
+        return entry;
+    }
+
+    // Find the innermost symbol with this name, or null
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const symbol = scope.symbols.get(name);
+            if (symbol) return symbol;
         }
         return null;
     }
+}
+
+// Suffix for error messages pointing at where a symbol was declared
+function describeDeclaration(symbol) {
+    const loc = symbol.loc || (symbol.node ? symbol.node.loc : null);
+    return loc ? ` (declared at line ${loc.line})` : '';
+}
+
+// Related information for a diagnostic, pointing at the declaration of a symbol
+function declarationInfo(symbol, message) {
+    const range = symbol && symbol.node ? locationToRange(symbol.node.loc) : null;
+    return range ? [{ message, range }] : [];
+}
+
+// ============================================================================
+// INTERPRETER (AST Evaluator)
+// ============================================================================
+
+// Limits of one run (the top level code, or one call from the host like an event callback),
+// so a script stuck in a loop fails with an error instead of freezing the page.
+// Steps are loop iterations and function calls, the time is checked every TIME_CHECK_STEPS steps.
+// The call depth stays well below the nesting where the interpreter runs out of JS stack.
+const DEFAULT_EXECUTION_LIMITS = {
+    maxSteps: 10000000,
+    maxTime: 2000, // ms
+    maxCallDepth: 200
+};
+
+const TIME_CHECK_STEPS = 1024;
+
+// Counts one step of a run ({ steps, startTime }), returns the error message if a limit is exceeded
+function countBudgetStep(budget, limits) {
+    budget.steps++;
+    if (budget.steps > limits.maxSteps) {
+        return `Execution limit exceeded: more than ${limits.maxSteps} steps, is there an infinite loop?`;
+    }
+    if (budget.steps % TIME_CHECK_STEPS === 0 && Date.now() - budget.startTime > limits.maxTime) {
+        return `Execution limit exceeded: running for more than ${limits.maxTime} ms, is there an infinite loop?`;
+    }
+    return null;
+}
+
+// Counts a function call of a run ({ steps, startTime, callDepth }) as a step and one more nested
+// call, returns the error message if a limit is exceeded
+function enterBudgetCall(budget, limits) {
+    const message = countBudgetStep(budget, limits);
+    if (message) {
+        return message;
+    }
+    if (budget.callDepth >= limits.maxCallDepth) {
+        return `Execution limit exceeded: more than ${limits.maxCallDepth} nested function calls, is there an infinite recursion?`;
+    }
+    budget.callDepth++;
+    return null;
+}
+
+// Runtime error at loc, the message also has the location as an "At line X, column Y, length Z:" prefix
+function createLocatedRuntimeError(message, loc, code = 'runtime-error', relatedInformation = []) {
+    const diagnostic = createDiagnostic('error', code, `Runtime error: ${message}`, loc, relatedInformation);
+    if (loc) {
+        return new ScriptError(diagnostic, `At line ${loc.line}, column ${loc.column}, length ${diagnostic.length}: ${diagnostic.message}`);
+    }
+    return new ScriptError(diagnostic);
+}
+
+class Interpreter {
+    constructor(globals, lvgl, constants, allowedFunctions, executionLimits) {
+        // Process globals: extract functions and their type specifications
+        // globals can be:
+        // - plain values/functions: { funcName: function }
+        // - functions with types: { funcName: { function: fn, params: [...], returnType: type } }
+        this.globalFunctionTypes = {};
+        this.globals = this.processGlobalsObject(globals, '');
+
+        this.lvgl = lvgl;
+        this.constants = constants;
+
+        // allowedFunctions can be:
+        // - null: allow all functions
+        // - array: whitelist of function names
+        // - object: { functionName: argCount } for whitelist with arg count validation
+        // - object: { functionName: { params: [types], returnType: type } } for full type checking
+        this.allowedFunctions = null;
+        this.functionArgCounts = {};
+        this.functionTypes = {};
+
+        if (allowedFunctions) {
+            if (Array.isArray(allowedFunctions)) {
+                // Array format: just function names
+                this.allowedFunctions = allowedFunctions;
+            } else if (typeof allowedFunctions === 'object') {
+                // Object format with type info
+                this.allowedFunctions = Object.keys(allowedFunctions);
+                for (const funcName in allowedFunctions) {
+                    const spec = allowedFunctions[funcName];
+                    if (typeof spec === 'number' || (typeof spec === 'object' && ('min' in spec || 'max' in spec))) {
+                        // Old format: just arg count
+                        this.functionArgCounts[funcName] = spec;
+                    } else if (typeof spec === 'object' && 'params' in spec) {
+                        // New format: full type info
+                        this.functionTypes[funcName] = spec;
+                        this.functionArgCounts[funcName] = spec.params.length;
+                    }
+                }
+            }
+        }
+
+        this.globalScope = new Scope();
+        this.functions = {};
+        this.structTypes = {};
+        this.sourceCode = '';
+        this.currentNode = null;
+        this.eventManager = null; // Will be set by runtime if event handling is supported
+
+        this.executionLimits = { ...DEFAULT_EXECUTION_LIMITS, ...executionLimits };
+        this.executionBudget = null; // { steps, startTime, callDepth } of the current run
+    }
+
+    // Runs fn with a new execution budget, or in the budget of the run it is nested in
+    // (script functions called from LVGL during an LVGL call, like lv_obj_send_event)
+    withExecutionBudget(fn) {
+        if (this.executionBudget) {
+            return fn();
+        }
+        this.executionBudget = { steps: 0, startTime: Date.now(), callDepth: 0 };
+        try {
+            return fn();
+        } finally {
+            this.executionBudget = null;
+        }
+    }
+
+    // Counts a loop iteration or function call, node is the loop or call for the error location
+    countExecutionStep(node) {
+        if (!this.executionBudget) return;
+        const message = countBudgetStep(this.executionBudget, this.executionLimits);
+        if (message) {
+            throw this.createRuntimeError(message, node, 'execution-limit');
+        }
+    }
+
+    // Counts a function call as a step and checks the call depth, node is the call for the
+    // error location; every enterCall() is followed by a leaveCall() when the function returns
+    enterCall(node) {
+        const message = this.executionBudget && enterBudgetCall(this.executionBudget, this.executionLimits);
+        if (message) {
+            throw this.createRuntimeError(message, node, 'execution-limit');
+        }
+    }
+
+    leaveCall() {
+        if (this.executionBudget) {
+            this.executionBudget.callDepth--;
+        }
+    }
+
+    // Recursively process globals object to extract functions and type info
+    processGlobalsObject(obj, pathPrefix) {
+        if (!obj) return {};
+
+        const result = {};
+        for (const key in obj) {
+            const value = obj[key];
+            const fullPath = pathPrefix ? `${pathPrefix}.${key}` : key;
+
+            if (typeof value === 'object' && value !== null && 'function' in value) {
+                // Extract function and type info
+                result[key] = value.function;
+                if (value.params || value.returnType) {
+                    this.globalFunctionTypes[fullPath] = {
+                        params: value.params || [],
+                        returnType: value.returnType
+                    };
+                }
+            } else if (typeof value === 'object' && value !== null && typeof value !== 'function') {
+                // Recursively process nested objects
+                result[key] = this.processGlobalsObject(value, fullPath);
+            } else {
+                // Plain value or function
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    // Build path string from MemberExpression for global function lookup
+    getMemberExpressionPath(node) {
+        return getMemberExpressionPath(node);
+    }
 
     // Control flow exception for return statements
     createReturnValue(value) {
@@ -821,30 +1724,35 @@ class Interpreter {
         return value && value.__return === true;
     }
 
-    createRuntimeError(message, node = null) {
-        const errorNode = node || this.currentNode;
-        let errorMsg = message;
+    // Control flow signals for break/continue statements
+    createBreakSignal() {
+        return { __break: true };
+    }
 
-        // Add source context if available (but don't duplicate line/column in message)
-        if (errorNode && errorNode.loc) {
-            const line = errorNode.loc.line;
-            const col = errorNode.loc.column; // Already 1-based from lexer
-            const len = errorNode.loc.length || 1; // Token length from lexer
+    isBreakSignal(value) {
+        return value && value.__break === true;
+    }
 
-            // Add "At line X, column Y, length Z:" prefix for error extraction with Runtime error label
-            errorMsg = `At line ${line}, column ${col}, length ${len}: Runtime error: ${message}`;
-            
-            // Don't add source code snippet - it clutters the display
-        } else {
-            // No location info, just add Runtime error prefix
-            errorMsg = `Runtime error: ${message}`;
-        }
+    createContinueSignal() {
+        return { __continue: true };
+    }
+
+    isContinueSignal(value) {
+        return value && value.__continue === true;
+    }
+
+    // Any signal that must stop execution of the current statement list
+    isControlSignal(value) {
+        return this.isReturnValue(value) || this.isBreakSignal(value) || this.isContinueSignal(value);
+    }
 
-        return new Error(errorMsg);
+    createRuntimeError(message, node = null, code = 'runtime-error', relatedInformation = []) {
+        return createLocatedRuntimeError(message, findLocation(node || this.currentNode), code, relatedInformation);
     }
 
+
     execute(ast) {
-        this.visitProgram(ast);
+        this.withExecutionBudget(() => this.visitProgram(ast));
     }
 
     visitProgram(node) {
@@ -857,6 +1765,8 @@ class Interpreter {
         switch (node.type) {
             case 'FunctionDeclaration':
                 return this.visitFunctionDeclaration(node, scope);
+            case 'StructDeclaration':
+                return this.visitStructDeclaration(node);
             case 'VariableDeclaration':
                 return this.visitVariableDeclaration(node, scope);
             case 'ExpressionStatement':
@@ -869,8 +1779,16 @@ class Interpreter {
                 return this.visitForStatement(node, scope);
             case 'WhileStatement':
                 return this.visitWhileStatement(node, scope);
+            case 'DoWhileStatement':
+                return this.visitDoWhileStatement(node, scope);
+            case 'SwitchStatement':
+                return this.visitSwitchStatement(node, scope);
             case 'ReturnStatement':
                 return this.visitReturnStatement(node, scope);
+            case 'BreakStatement':
+                return this.createBreakSignal();
+            case 'ContinueStatement':
+                return this.createContinueSignal();
             default:
                 throw this.createRuntimeError(`Unknown statement type: ${node.type}`, node);
         }
@@ -878,30 +1796,111 @@ class Interpreter {
 
     visitFunctionDeclaration(node, scope) {
         this.functions[node.name] = node;
-        scope[node.name] = (...args) => this.callFunction(node.name, args);
+        this.declareSymbol(scope, node.name, {
+            kind: 'function',
+            type: 'function',
+            value: (...args) => this.callFunction(node.name, args),
+            node
+        });
+    }
+
+    declareSymbol(scope, name, symbol) {
+        const uninitialized = scope.symbols.get(name);
+        if (uninitialized && uninitialized.uninitialized && uninitialized.node === symbol.node) {
+            return Object.assign(uninitialized, symbol, { uninitialized: false });
+        }
+        const declared = scope.declare(name, symbol);
+        if (!declared) {
+            const previous = scope.symbols.get(name);
+            throw this.createRuntimeError(`${name} is already declared in this scope`, symbol.node, 'redeclaration',
+                declarationInfo(previous, `${name} is first declared here`));
+        }
+        return declared;
+    }
+
+    // The let and const of the cases belong to the whole switch body, like in JS. They are declared
+    // when the switch starts and initialized when their declaration runs, so the cases the switch
+    // jumps to can't use the variables of the cases before them.
+    declareCaseVariables(node, switchScope) {
+        for (const switchCase of node.cases) {
+            for (const statement of switchCase.consequent) {
+                if (statement.type === 'VariableDeclaration') {
+                    this.declareSymbol(switchScope, statement.name, { kind: statement.kind, type: statement.varType, node: statement, uninitialized: true });
+                }
+            }
+        }
+    }
+
+    checkInitialized(symbol, node) {
+        if (symbol.uninitialized) {
+            throw this.createRuntimeError(`Cannot access ${symbol.name} before its declaration`, node, 'uninitialized-variable',
+                declarationInfo(symbol, `${symbol.name} is declared here`));
+        }
+    }
+
+    // Find the symbol an assignment or increment writes to
+    lookupAssignable(name, scope, node) {
+        const symbol = scope.lookup(name);
+        if (!symbol) {
+            throw this.createRuntimeError(`Cannot assign to undefined variable: ${name}`, node, 'undefined-variable');
+        }
+        this.checkInitialized(symbol, node);
+        if (symbol.kind === 'const') {
+            throw this.createRuntimeError(`Cannot assign to const variable: ${name}${describeDeclaration(symbol)}`, node, 'const-assignment',
+                declarationInfo(symbol, `${name} is declared const here`));
+        }
+        if (symbol.kind === 'function') {
+            throw this.createRuntimeError(`Cannot assign to function: ${name}`, node);
+        }
+        return symbol;
+    }
+
+    visitStructDeclaration(node) {
+        if (this.structTypes[node.name]) {
+            throw this.createRuntimeError(`Struct ${node.name} is already declared`, node);
+        }
 
-        // Store parameter types for this function
-        if (node.params && node.params.length > 0 && node.params[0].type) {
-            this.variableTypes[node.name] = {
-                params: node.params.map(p => p.type),
-                returnType: node.returnType
-            };
+        for (const field of node.fields) {
+            const arrayType = parseArrayType(field.type);
+            if (arrayType && arrayType.size === null) {
+                throw this.createRuntimeError(`Field ${node.name}.${field.name} needs an array size, like number[4]`, node);
+            }
+            const baseType = arrayType ? arrayType.elementType : field.type;
+            if (baseType === node.name) {
+                throw this.createRuntimeError(`Struct ${node.name} cannot contain itself`, node);
+            }
+            if (!this.isKnownType(baseType)) {
+                throw this.createRuntimeError(`Unknown type ${baseType} for field ${node.name}.${field.name}`, node);
+            }
         }
+
+        this.structTypes[node.name] = node;
+    }
+
+    isKnownType(type) {
+        return isBuiltinType(type) || type in this.structTypes;
     }
 
     visitVariableDeclaration(node, scope) {
         let value = node.init ? this.visitExpression(node.init, scope) : undefined;
         let inferredType = null;
 
+        const arrayType = parseArrayType(node.varType);
+        if (arrayType) {
+            value = this.createArrayValue(node, arrayType, value);
+        } else if (Array.isArray(value) && value.length === 0) {
+            throw this.createRuntimeError(`Cannot infer element type of empty array ${node.name}, add a type annotation like number[4]`, node);
+        } else if (node.varType in this.structTypes || value !== undefined) {
+            value = this.prepareStoredValue(value, node.varType, node);
+        }
+
         // Infer type from initial value if no type annotation
         if (!node.varType && value !== undefined) {
             inferredType = this.getValueType(value);
-            // Store inferred type
-            this.variableTypes[node.name] = inferredType;
         }
 
-        // Type check if type annotation is present
-        if (node.varType && value !== undefined) {
+        // Type check if type annotation is present (array elements were checked above)
+        if (node.varType && !arrayType && value !== undefined) {
             const actualType = this.getValueType(value);
 
             // Auto-convert string to cstring
@@ -912,55 +1911,253 @@ class Interpreter {
             }
         }
 
-        scope[node.name] = value;
-
-        // Store variable type (explicit or inferred)
-        if (node.varType) {
-            this.variableTypes[node.name] = node.varType;
-        } else if (inferredType) {
-            this.variableTypes[node.name] = inferredType;
-        }
+        // Store the variable with its type (explicit or inferred)
+        this.declareSymbol(scope, node.name, {
+            kind: node.kind,
+            type: node.varType || inferredType,
+            value,
+            node
+        });
     }
 
-    getValueType(value) {
-        // Note: cstring is stored as a number (pointer), so we can't distinguish it from number at runtime
-        // Type checking for cstring happens at assignment/call time
-        if (typeof value === 'number') return 'number';
-        if (typeof value === 'boolean') return 'bool';
-        if (typeof value === 'string') return 'string';
-        if (typeof value === 'function') return 'function';
-        if (value === null) return 'null';
-        if (value === undefined) return 'undefined';
-        // Check if it's an LVGL object (represented as object with type property)
-        if (typeof value === 'object' && value !== null && value.type) {
-            // Map object types to lv_obj compatible types
-            if (value.type === 'obj' || value.type === 'button' || value.type === 'label') {
-                return 'lv_obj';
+    // Build the fixed-size array for a declaration with an array type annotation,
+    // checking element types and padding missing elements with zero values (like C)
+    createArrayValue(node, arrayType, value) {
+        if (value === undefined) {
+            if (arrayType.size === null) {
+                throw this.createRuntimeError(`Array ${node.name} needs a size or an initializer`, node);
             }
-            return value.type;
+            return this.createDefaultValue(node.varType);
         }
-        return 'unknown';
-    }
 
-    isTypeCompatible(actualType, expectedType) {
-        if (expectedType === actualType) return true;
-        // Function types are compatible
-        if (expectedType === 'function' && actualType === 'function') return true;
-        // All lv_* widget types are compatible with lv_obj
-        if (expectedType === 'lv_obj' && actualType.startsWith('lv_')) return true;
-        // lv_obj is also compatible with number (since it's represented as pointer/number in C)
-        if (expectedType === 'lv_obj' && actualType === 'number') return true;
-        // cstring is stored as number (pointer) so they're compatible
-        if (expectedType === 'cstring' && actualType === 'number') return true;
-        if (expectedType === 'number' && actualType === 'cstring') return true;
-        // lv_color is stored as number at runtime but is a distinct type in C
-        if (expectedType === 'lv_color' && actualType === 'number') return true;
-        if (expectedType === 'number' && actualType === 'lv_color') return true;
-        return false;
-    }
+        if (!Array.isArray(value)) {
+            throw this.createRuntimeError(`Type mismatch: Cannot assign ${this.getValueType(value)} to ${node.varType}`, node);
+        }
 
-    convertStringToCString(value) {
-        // Convert JavaScript string to C string using System.stringToNewUTF8
+        const size = arrayType.size !== null ? arrayType.size : value.length;
+        if (value.length > size) {
+            throw this.createRuntimeError(`Too many elements for ${node.varType}: got ${value.length}`, node);
+        }
+
+        const result = this.createDefaultValue(`${arrayType.elementType}[${size}]`);
+        for (let i = 0; i < value.length; i++) {
+            result[i] = this.checkArrayElement(value[i], arrayType.elementType, node);
+        }
+        return result;
+    }
+
+    // Type check (and auto-convert) a value stored into an array element
+    checkArrayElement(value, elementType, node) {
+        if (elementType in this.structTypes) {
+            return this.createStructValue(elementType, value, node);
+        }
+        const actualType = this.getValueType(value);
+        if (elementType === 'cstring' && actualType === 'string') {
+            return this.convertStringToCString(value);
+        }
+        if (!this.isTypeCompatible(actualType, elementType)) {
+            throw this.createRuntimeError(`Type mismatch: Cannot assign ${actualType} to array element of type ${elementType}`, node);
+        }
+        return value;
+    }
+
+    // Resolve arr[index] to the array and a bounds-checked index
+    resolveArrayElement(node, scope) {
+        const array = this.visitExpression(node.object, scope);
+        if (!Array.isArray(array)) {
+            throw this.createRuntimeError(`Cannot index non-array value of type ${this.getValueType(array)}`, node);
+        }
+        const index = this.checkArrayIndex(array, this.visitExpression(node.property, scope), node);
+        return { array, index };
+    }
+
+    checkArrayIndex(array, index, node) {
+        if (!Number.isInteger(index) || index < 0 || index >= array.length) {
+            throw this.createRuntimeError(`Array index out of bounds: ${index} (length ${array.length})`, node);
+        }
+        return index;
+    }
+
+    // Zero value for any declared type: structs get all fields zeroed, sized arrays get zeroed elements
+    createDefaultValue(type) {
+        if (type in this.structTypes) {
+            return this.createStructValue(type, undefined, null);
+        }
+        const arrayType = parseArrayType(type);
+        if (arrayType && arrayType.size !== null) {
+            return Array.from({ length: arrayType.size }, () => this.createDefaultValue(arrayType.elementType));
+        }
+        return getDefaultValueForType(type);
+    }
+
+    // Struct values carry their type name in a non-enumerable __struct property,
+    // object literals are marked with __literal until they are converted to a struct
+    isStructValue(value) {
+        return typeof value === 'object' && value !== null && typeof value.__struct === 'string';
+    }
+
+    isObjectLiteral(value) {
+        return typeof value === 'object' && value !== null && value.__literal === true;
+    }
+
+    visitObjectExpression(node, scope) {
+        const result = {};
+        Object.defineProperty(result, '__literal', { value: true });
+        for (const property of node.properties) {
+            result[property.key] = this.visitExpression(property.value, scope);
+        }
+        return result;
+    }
+
+    // Build a struct value from an object literal (missing fields are zeroed),
+    // or copy an existing struct value of the same type (structs have value semantics like in C)
+    createStructValue(structName, value, node) {
+        const struct = this.structTypes[structName];
+
+        if (value !== undefined && !this.isObjectLiteral(value)) {
+            const actualType = this.getValueType(value);
+            if (actualType !== structName) {
+                throw this.createRuntimeError(`Type mismatch: Cannot assign ${actualType} to ${structName}`, node);
+            }
+            return this.copyValue(value);
+        }
+
+        if (value) {
+            for (const key of Object.keys(value)) {
+                if (!struct.fields.some(field => field.name === key)) {
+                    throw this.createRuntimeError(`Unknown field ${key} in struct ${structName}`, node);
+                }
+            }
+        }
+
+        const result = {};
+        Object.defineProperty(result, '__struct', { value: structName });
+        for (const field of struct.fields) {
+            result[field.name] = value && field.name in value
+                ? this.checkFieldValue(value[field.name], structName, field, node)
+                : this.createDefaultValue(field.type);
+        }
+        return result;
+    }
+
+    // Deep copy of struct values (including struct and array fields), other values are returned as is
+    copyValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(element => this.copyValue(element));
+        }
+        if (this.isStructValue(value)) {
+            const result = {};
+            Object.defineProperty(result, '__struct', { value: value.__struct });
+            for (const key of Object.keys(value)) {
+                result[key] = this.copyValue(value[key]);
+            }
+            return result;
+        }
+        return value;
+    }
+
+    // Prepare a value for storing into a variable, parameter or return slot of the given (optional) type
+    prepareStoredValue(value, type, node) {
+        if (type in this.structTypes) {
+            return this.createStructValue(type, value, node);
+        }
+        if (this.isObjectLiteral(value)) {
+            throw this.createRuntimeError('Object literals need a struct type, like let p: Point = { x: 0, y: 0 }', node);
+        }
+        if (this.isStructValue(value)) {
+            return this.copyValue(value);
+        }
+        return value;
+    }
+
+    // Type check (and auto-convert) a value stored into a struct field
+    checkFieldValue(value, structName, field, node) {
+        if (field.type in this.structTypes) {
+            return this.createStructValue(field.type, value, node);
+        }
+
+        const arrayType = parseArrayType(field.type);
+        if (arrayType) {
+            if (!Array.isArray(value) || value.length > arrayType.size) {
+                throw this.createRuntimeError(`Type mismatch: Cannot assign ${this.getValueType(value)} to field ${structName}.${field.name} of type ${field.type}`, node);
+            }
+            const result = this.createDefaultValue(field.type);
+            value.forEach((element, i) => {
+                result[i] = this.checkArrayElement(element, arrayType.elementType, node);
+            });
+            return result;
+        }
+
+        const actualType = this.getValueType(value);
+        if (field.type === 'cstring' && actualType === 'string') {
+            return this.convertStringToCString(value);
+        }
+        if (!this.isTypeCompatible(actualType, field.type)) {
+            throw this.createRuntimeError(`Type mismatch: Cannot assign ${actualType} to field ${structName}.${field.name} of type ${field.type}`, node);
+        }
+        return value;
+    }
+
+    // Resolve obj.field to the struct value and the field declaration
+    resolveStructField(node, scope) {
+        const struct = this.visitExpression(node.object, scope);
+        if (!this.isStructValue(struct)) {
+            throw this.createRuntimeError(`Cannot set property ${node.property} on value of type ${this.getValueType(struct)}`, node);
+        }
+        return { struct, field: this.getStructField(struct, node) };
+    }
+
+    getStructField(struct, node) {
+        const field = this.structTypes[struct.__struct].fields.find(f => f.name === node.property);
+        if (!field) {
+            throw this.createRuntimeError(`Unknown field ${node.property} in struct ${struct.__struct}`, node);
+        }
+        return field;
+    }
+
+    // Declared element type of the array behind an indexing expression, if known
+    getArrayElementType(node, scope) {
+        if (node.object.type === 'Identifier') {
+            const symbol = scope.lookup(node.object.name);
+            const arrayType = symbol ? parseArrayType(symbol.type) : null;
+            if (arrayType) return arrayType.elementType;
+        }
+        return null;
+    }
+
+    getValueType(value) {
+        // Note: cstring is stored as a number (pointer), so we can't distinguish it from number at runtime
+        // Type checking for cstring happens at assignment/call time
+        if (Array.isArray(value)) {
+            if (value.length === 0) return 'array';
+            const elementType = this.getValueType(value[0]);
+            return value.every(v => this.getValueType(v) === elementType) ? `${elementType}[]` : 'array';
+        }
+        if (this.isStructValue(value)) return value.__struct;
+        if (this.isObjectLiteral(value)) return 'object';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'boolean') return 'bool';
+        if (typeof value === 'string') return 'string';
+        if (typeof value === 'function') return 'function';
+        if (value === null) return 'null';
+        if (value === undefined) return 'undefined';
+        // Check if it's an LVGL object (represented as object with type property)
+        if (typeof value === 'object' && value !== null && value.type) {
+            // Map object types to lv_obj compatible types
+            if (value.type === 'obj' || value.type === 'button' || value.type === 'label') {
+                return 'lv_obj';
+            }
+            return value.type;
+        }
+        return 'unknown';
+    }
+
+    isTypeCompatible(actualType, expectedType) {
+        return isTypeCompatible(actualType, expectedType);
+    }
+
+    convertStringToCString(value) {
+        // Convert JavaScript string to C string using System.stringToNewUTF8
         if (!this.globals.System || !this.globals.System.stringToNewUTF8) {
             throw this.createRuntimeError('System.stringToNewUTF8 is required for cstring conversion but is not available', this.currentNode);
         }
@@ -970,6 +2167,21 @@ class Interpreter {
         return fn(stringValue);
     }
 
+    // lv_color values are 0xRRGGBB numbers at runtime. LVGL functions get a pointer to the
+    // lv_color_t made by lv_color_hex() in a buffer for the argument position, so a call can
+    // take more than one color. The buffers are kept on the lvgl instance, shared with emitJS code.
+    convertNumberToLvColor(value, index, node) {
+        if (!this.lvgl._lv_color_hex) {
+            throw this.createRuntimeError(LV_COLOR_HEX_UNAVAILABLE, node);
+        }
+        const buffers = this.lvgl.$colorBuffers || (this.lvgl.$colorBuffers = []);
+        if (!buffers[index]) {
+            buffers[index] = this.lvgl._lv_malloc(4);
+        }
+        this.lvgl._lv_color_hex(buffers[index], value);
+        return buffers[index];
+    }
+
     visitExpressionStatement(node, scope) {
         this.currentNode = node;
         return this.visitExpression(node.expression, scope);
@@ -977,11 +2189,14 @@ class Interpreter {
 
     visitBlockStatement(node, scope) {
         this.currentNode = node;
-        const blockScope = Object.create(scope);
+        return this.visitStatements(node.body, new Scope(scope));
+    }
 
-        for (const statement of node.body) {
-            const result = this.visitStatement(statement, blockScope);
-            if (this.isReturnValue(result)) {
+    // Statements of a block, or of a function body in the scope of the parameters
+    visitStatements(statements, scope) {
+        for (const statement of statements) {
+            const result = this.visitStatement(statement, scope);
+            if (this.isControlSignal(result)) {
                 return result;
             }
         }
@@ -997,7 +2212,7 @@ class Interpreter {
     }
 
     visitForStatement(node, scope) {
-        const forScope = Object.create(scope);
+        const forScope = new Scope(scope);
 
         if (node.init) {
             if (node.init.type === 'VariableDeclaration') {
@@ -1008,6 +2223,7 @@ class Interpreter {
         }
 
         while (true) {
+            this.countExecutionStep(node);
             if (node.test) {
                 const test = this.visitExpression(node.test, forScope);
                 if (!test) break;
@@ -1017,6 +2233,9 @@ class Interpreter {
             if (this.isReturnValue(result)) {
                 return result;
             }
+            if (this.isBreakSignal(result)) {
+                break;
+            }
 
             if (node.update) {
                 this.visitExpression(node.update, forScope);
@@ -1026,6 +2245,7 @@ class Interpreter {
 
     visitWhileStatement(node, scope) {
         while (true) {
+            this.countExecutionStep(node);
             const test = this.visitExpression(node.test, scope);
             if (!test) break;
 
@@ -1033,6 +2253,50 @@ class Interpreter {
             if (this.isReturnValue(result)) {
                 return result;
             }
+            if (this.isBreakSignal(result)) {
+                break;
+            }
+        }
+    }
+
+    visitDoWhileStatement(node, scope) {
+        do {
+            this.countExecutionStep(node);
+            const result = this.visitStatement(node.body, scope);
+            if (this.isReturnValue(result)) {
+                return result;
+            }
+            if (this.isBreakSignal(result)) {
+                break;
+            }
+        } while (this.visitExpression(node.test, scope));
+    }
+
+    visitSwitchStatement(node, scope) {
+        const discriminant = this.visitExpression(node.discriminant, scope);
+        const switchScope = new Scope(scope);
+        this.declareCaseVariables(node, switchScope);
+
+        // Find the first matching case, falling back to default
+        let startIndex = node.cases.findIndex(c => c.test && this.visitExpression(c.test, switchScope) === discriminant);
+        if (startIndex === -1) {
+            startIndex = node.cases.findIndex(c => !c.test);
+        }
+        if (startIndex === -1) {
+            return;
+        }
+
+        // Execute from the matched case, falling through until break
+        for (let i = startIndex; i < node.cases.length; i++) {
+            for (const statement of node.cases[i].consequent) {
+                const result = this.visitStatement(statement, switchScope);
+                if (this.isBreakSignal(result)) {
+                    return;
+                }
+                if (this.isControlSignal(result)) {
+                    return result;
+                }
+            }
         }
     }
 
@@ -1060,6 +2324,15 @@ class Interpreter {
                 return this.visitCallExpression(node, scope);
             case 'MemberExpression':
                 return this.visitMemberExpression(node, scope);
+            case 'ArrayExpression':
+                return node.elements.map(element => this.visitExpression(element, scope));
+            case 'ObjectExpression':
+                return this.visitObjectExpression(node, scope);
+            case 'ConditionalExpression':
+                // Only the selected branch is evaluated
+                return this.visitExpression(node.test, scope)
+                    ? this.visitExpression(node.consequent, scope)
+                    : this.visitExpression(node.alternate, scope);
             default:
                 throw this.createRuntimeError(`Unknown expression type: ${node.type}`, node);
         }
@@ -1079,41 +2352,28 @@ class Interpreter {
         }
 
         // Look up in scope chain
-        let currentScope = scope;
-        while (currentScope) {
-            if (node.name in currentScope) {
-                return currentScope[node.name];
-            }
-            currentScope = Object.getPrototypeOf(currentScope);
+        const symbol = scope.lookup(node.name);
+        if (symbol) {
+            this.checkInitialized(symbol, node);
+            return symbol.value;
         }
 
-        throw this.createRuntimeError(`Undefined variable: ${node.name}`, node);
+        throw this.createRuntimeError(`Undefined variable: ${node.name}`, node, 'undefined-variable');
     }
 
     visitBinaryExpression(node, scope) {
         const left = this.visitExpression(node.left, scope);
+        // && and || only evaluate the right operand when the left one doesn't decide, like JS and C
+        if (isShortCircuited(node, left)) {
+            return left;
+        }
         const right = this.visitExpression(node.right, scope);
 
-        switch (node.operator) {
-            case '+': return left + right;
-            case '-': return left - right;
-            case '*': return left * right;
-            case '/': return left / right;
-            case '%': return left % right;
-            case '==': return left == right;
-            case '!=': return left != right;
-            case '<': return left < right;
-            case '>': return left > right;
-            case '<=': return left <= right;
-            case '>=': return left >= right;
-            case '&&': return left && right;
-            case '||': return left || right;
-            case '|': return left | right;
-            case '&': return left & right;
-            case '^': return left ^ right;
-            default:
-                throw this.createRuntimeError(`Unknown binary operator: ${node.operator}`, node);
+        const operator = BINARY_OPERATORS[node.operator];
+        if (!operator) {
+            throw this.createRuntimeError(`Unknown binary operator: ${node.operator}`, node);
         }
+        return operator(left, right);
     }
 
     visitUnaryExpression(node, scope) {
@@ -1122,6 +2382,7 @@ class Interpreter {
         switch (node.operator) {
             case '!': return !argument;
             case '-': return -argument;
+            case '~': return ~argument;
             case '++':
                 if (node.prefix) {
                     return this.incrementVariable(node.argument, scope, 1, true);
@@ -1143,6 +2404,20 @@ class Interpreter {
     }
 
     incrementVariable(node, scope, delta, prefix) {
+        if (node.type === 'MemberExpression' && node.computed) {
+            const { array, index } = this.resolveArrayElement(node, scope);
+            const oldValue = array[index];
+            array[index] = oldValue + delta;
+            return prefix ? array[index] : oldValue;
+        }
+
+        if (node.type === 'MemberExpression') {
+            const { struct, field } = this.resolveStructField(node, scope);
+            const oldValue = struct[field.name];
+            struct[field.name] = this.checkFieldValue(oldValue + delta, struct.__struct, field, node);
+            return prefix ? struct[field.name] : oldValue;
+        }
+
         if (node.type !== 'Identifier') {
             throw this.createRuntimeError('Can only increment variables', node);
         }
@@ -1150,64 +2425,69 @@ class Interpreter {
         const oldValue = this.visitIdentifier(node, scope);
         const newValue = oldValue + delta;
 
-        // Find the scope that contains this variable and update it
-        let currentScope = scope;
-        while (currentScope) {
-            if (Object.prototype.hasOwnProperty.call(currentScope, node.name)) {
-                currentScope[node.name] = newValue;
-                return prefix ? newValue : oldValue;
-            }
-            currentScope = Object.getPrototypeOf(currentScope);
-        }
-
-        // If not found in any scope, this shouldn't happen since visitIdentifier succeeded
-        throw this.createRuntimeError(`Cannot increment undefined variable: ${node.name}`, node);
+        const symbol = this.lookupAssignable(node.name, scope, node);
+        symbol.value = newValue;
+        return prefix ? newValue : oldValue;
     }
 
     visitAssignmentExpression(node, scope) {
-        const value = this.visitExpression(node.right, scope);
+        let value = this.visitExpression(node.right, scope);
 
         if (node.left.type === 'Identifier') {
             const name = node.left.name;
 
             if (node.operator === '=') {
-                // Find the scope that contains this variable and update it
-                let currentScope = scope;
-                while (currentScope) {
-                    if (Object.prototype.hasOwnProperty.call(currentScope, name)) {
-                        currentScope[name] = value;
-                        return value;
-                    }
-                    currentScope = Object.getPrototypeOf(currentScope);
-                }
-                throw this.createRuntimeError(`Cannot assign to undefined variable: ${name}`, node);
+                const symbol = this.lookupAssignable(name, scope, node.left);
+                symbol.value = this.prepareStoredValue(value, symbol.type, node);
+                return symbol.value;
             } else {
                 // Compound assignment
                 const oldValue = this.visitIdentifier(node.left, scope);
-                let newValue;
-                switch (node.operator) {
-                    case '+=': newValue = oldValue + value; break;
-                    case '-=': newValue = oldValue - value; break;
-                    case '*=': newValue = oldValue * value; break;
-                    case '/=': newValue = oldValue / value; break;
-                    default: throw this.createRuntimeError(`Unknown assignment operator: ${node.operator}`, node);
-                }
-
-                let currentScope = scope;
-                while (currentScope) {
-                    if (Object.prototype.hasOwnProperty.call(currentScope, name)) {
-                        currentScope[name] = newValue;
-                        return newValue;
-                    }
-                    currentScope = Object.getPrototypeOf(currentScope);
-                }
-                throw this.createRuntimeError(`Cannot assign to undefined variable: ${name}`, node);
+                const symbol = this.lookupAssignable(name, scope, node.left);
+                symbol.value = this.applyCompoundAssignment(node, oldValue, value);
+                return symbol.value;
+            }
+        }
+
+        if (node.left.type === 'MemberExpression' && node.left.computed) {
+            const { array, index } = this.resolveArrayElement(node.left, scope);
+            let newValue = node.operator === '=' ? value : this.applyCompoundAssignment(node, array[index], value);
+
+            const elementType = this.getArrayElementType(node.left, scope);
+            if (elementType) {
+                newValue = this.checkArrayElement(newValue, elementType, node);
             }
+
+            array[index] = newValue;
+            return newValue;
+        }
+
+        if (node.left.type === 'MemberExpression') {
+            const { struct, field } = this.resolveStructField(node.left, scope);
+            const newValue = node.operator === '=' ? value : this.applyCompoundAssignment(node, struct[field.name], value);
+            struct[field.name] = this.checkFieldValue(newValue, struct.__struct, field, node);
+            return struct[field.name];
         }
 
         throw this.createRuntimeError('Invalid assignment target', node);
     }
 
+    applyCompoundAssignment(node, oldValue, value) {
+        switch (node.operator) {
+            case '+=': return oldValue + value;
+            case '-=': return oldValue - value;
+            case '*=': return oldValue * value;
+            case '/=': return oldValue / value;
+            case '%=': return oldValue % value;
+            case '|=': return oldValue | value;
+            case '&=': return oldValue & value;
+            case '^=': return oldValue ^ value;
+            case '<<=': return oldValue << value;
+            case '>>=': return oldValue >> value;
+            default: throw this.createRuntimeError(`Unknown assignment operator: ${node.operator}`, node);
+        }
+    }
+
     visitCallExpression(node, scope) {
         // Evaluate callee
         let func;
@@ -1282,17 +2562,10 @@ class Interpreter {
         // Helper function to get the declared type of an argument
         const getArgumentDeclaredType = (argNode, scope) => {
             if (argNode.type === 'Identifier') {
-                // Check if this identifier has a declared type in variableTypes
-                let currentScope = scope;
-                while (currentScope) {
-                    if (argNode.name in currentScope) {
-                        // Found the variable, check if we have type info
-                        if (argNode.name in this.variableTypes) {
-                            return this.variableTypes[argNode.name];
-                        }
-                        break;
-                    }
-                    currentScope = Object.getPrototypeOf(currentScope);
+                // Declared (or inferred) type of the variable in scope
+                const symbol = scope.lookup(argNode.name);
+                if (symbol) {
+                    return symbol.type;
                 }
             }
             return null;
@@ -1304,7 +2577,7 @@ class Interpreter {
 
             // Check argument count
             if (args.length !== typeSpec.params.length) {
-                throw new Error(`Function ${functionName} expects ${typeSpec.params.length} argument(s), but got ${args.length}`);
+                throw this.createRuntimeError(`Function ${functionName} expects ${typeSpec.params.length} argument(s), but got ${args.length}`, node, 'argument-count');
             }
 
             // Check argument types and perform auto-conversion
@@ -1321,14 +2594,8 @@ class Interpreter {
                     args[i] = this.convertStringToCString(args[i]);
                 }
                 // Auto-convert number to lv_color
-                else if (expectedType === 'lv_color' && actualType === 'number') {
-                    // Allocate color buffer on first use (reused for all color operations)
-                    if (!this._colorBuffer && this.lvgl && this.lvgl._lv_malloc) {
-                        this._colorBuffer = this.lvgl._lv_malloc(4);
-                    }
-                    // Call lv_color_hex with sret convention
-                    this.lvgl._lv_color_hex(this._colorBuffer, args[i]);
-                    args[i] = this._colorBuffer;
+                else if (expectedType === 'lv_color' && typeof args[i] === 'number') {
+                    args[i] = this.convertNumberToLvColor(args[i], i, argNode);
                 }
                 else if (!this.isTypeCompatible(actualType, expectedType)) {
                     const displayType = typeof evalArg === 'function' ? 'function' : actualType;
@@ -1337,6 +2604,9 @@ class Interpreter {
             }
         }
 
+        // C strings converted for the call, freed after it (see keepsCStringArguments)
+        const temporaryCStrings = [];
+
         // Validate argument count and types for lv_* functions if specified
         if (functionName && functionName.startsWith('lv_')) {
             // Check argument count
@@ -1344,13 +2614,13 @@ class Interpreter {
                 const expectedCount = this.functionArgCounts[functionName];
                 if (typeof expectedCount === 'number') {
                     if (args.length !== expectedCount) {
-                        throw new Error(`Function ${functionName} expects ${expectedCount} argument(s), but got ${args.length}`);
+                        throw this.createRuntimeError(`Function ${functionName} expects ${expectedCount} argument(s), but got ${args.length}`, node, 'argument-count');
                     }
                 } else if (typeof expectedCount === 'object' && ('min' in expectedCount || 'max' in expectedCount)) {
                     const min = expectedCount.min || 0;
                     const max = expectedCount.max || Infinity;
                     if (args.length < min || args.length > max) {
-                        throw new Error(`Function ${functionName} expects ${min}-${max} arguments, but got ${args.length}`);
+                        throw this.createRuntimeError(`Function ${functionName} expects ${min}-${max} arguments, but got ${args.length}`, node, 'argument-count');
                     }
                 }
             }
@@ -1371,19 +2641,13 @@ class Interpreter {
                     // Auto-convert string to cstring
                     if (expectedType === 'cstring' && actualType === 'string') {
                         args[i] = this.convertStringToCString(args[i]);
-                    }
-                    // Auto-convert number to lv_color
-                    else if (expectedType === 'lv_color' && actualType === 'number') {
-                        // Allocate color buffer on first use (reused for all color operations)
-                        if (!this._colorBuffer && this.lvgl && this.lvgl._lv_malloc) {
-                            this._colorBuffer = this.lvgl._lv_malloc(4);
-                        }
-                        // Call lv_color_hex with sret convention (only available in v9+)
-                        if (!this.lvgl._lv_color_hex) {
-                            throw this.createRuntimeError(`lv_color_hex is not available in this LVGL version. Use lv_color_make(r, g, b) instead, or upgrade to LVGL v9+`, argNode);
+                        if (!keepsCStringArguments(functionName)) {
+                            temporaryCStrings.push(args[i]);
                         }
-                        this.lvgl._lv_color_hex(this._colorBuffer, args[i]);
-                        args[i] = this._colorBuffer;
+                    }
+                    // Auto-convert number (and lv_color, also a number) to lv_color
+                    else if (expectedType === 'lv_color' && typeof args[i] === 'number') {
+                        args[i] = this.convertNumberToLvColor(args[i], i, argNode);
                     }
                     else if (!this.isTypeCompatible(actualType, expectedType)) {
                         const displayType = typeof args[i] === 'function' ? 'function' : actualType;
@@ -1393,117 +2657,2854 @@ class Interpreter {
             }
         }
 
-        // Call function
-        if (typeof func !== 'function') {
-            throw this.createRuntimeError(`Cannot call non-function: ${typeof func}`, node);
+        // Call function
+        if (typeof func !== 'function') {
+            throw this.createRuntimeError(`Cannot call non-function: ${typeof func}`, node);
+        }
+
+        // Special handling for lv_obj_add_event_cb
+        if (functionName === 'lv_obj_add_event_cb') {
+            // args: [obj, callback_function, event_code, user_data]
+            // Register the callback with the event manager
+            if (this.eventManager && typeof args[1] === 'function') {
+                // EventManager handles the entire registration internally
+                // It will call wasm._lv_obj_add_event_cb with the global dispatcher
+                this.eventManager.register(args[0], args[2], args[1], scope);
+                // Don't call the function again - return early
+                return 0;
+            }
+        }
+
+        // lv_color values are numbers, converted to lv_color_t when passed to LVGL
+        if (functionName === 'lv_color_hex') {
+            return args[0];
+        }
+
+        let returnValue;
+        try {
+            returnValue = func.apply(thisContext, args);
+        } finally {
+            if (temporaryCStrings.length > 0 && this.lvgl._free) {
+                temporaryCStrings.forEach(ptr => this.lvgl._free(ptr));
+            }
+        }
+
+        // Validate return type for global functions if specified
+        if (isGlobalFunction && functionName in this.globalFunctionTypes) {
+            const typeSpec = this.globalFunctionTypes[functionName];
+            if (typeSpec.returnType && returnValue !== undefined) {
+                const actualType = this.getValueType(returnValue);
+                if (!this.isTypeCompatible(actualType, typeSpec.returnType)) {
+                    throw this.createRuntimeError(`Function ${functionName} return type mismatch: expected ${typeSpec.returnType}, but got ${actualType}`, node, 'type-mismatch');
+                }
+            }
+        }
+
+        // Auto-convert cstring return values to JavaScript strings
+        if (functionName && functionName.startsWith('lv_') && functionName in this.functionTypes) {
+            const typeSpec = this.functionTypes[functionName];
+            if (typeSpec.returnType === 'cstring' && typeof returnValue === 'number' && returnValue !== 0) {
+                // Convert C string pointer to JavaScript string using System.UTF8ToString
+                if (this.globals.System && this.globals.System.UTF8ToString) {
+                    const fn = this.globals.System.UTF8ToString.function || this.globals.System.UTF8ToString;
+                    return fn(returnValue);
+                }
+            }
+        }
+
+        return returnValue;
+    }
+
+    visitMemberExpression(node, scope) {
+        const object = this.visitExpression(node.object, scope);
+        if (Array.isArray(object)) {
+            if (node.computed) {
+                const index = this.checkArrayIndex(object, this.visitExpression(node.property, scope), node);
+                return object[index];
+            }
+            if (node.property === 'length') {
+                return object.length;
+            }
+            throw this.createRuntimeError(`Arrays only support the .length property, got .${node.property}`, node);
+        }
+
+        if (this.isStructValue(object)) {
+            if (node.computed) {
+                throw this.createRuntimeError(`Cannot index struct ${object.__struct}, use .field access`, node);
+            }
+            return object[this.getStructField(object, node).name];
+        }
+
+        const property = node.computed
+            ? this.visitExpression(node.property, scope)
+            : node.property;
+
+        return object[property];
+    }
+
+    callFunction(name, args) {
+        const func = this.functions[name];
+        if (!func) {
+            // Called by name from the host (exec), there is no location in the script
+            throw new ScriptError(createDiagnostic('error', 'undefined-function', `Runtime error: Function not found: ${name}`, null));
+        }
+        return this.withExecutionBudget(() => this.runFunction(func, name, args));
+    }
+
+    runFunction(func, name, args) {
+        this.enterCall(this.currentNode);
+        try {
+            const funcScope = this.bindParameters(func, name, args);
+
+            // Execute function body, its declarations are in the scope of the parameters like in JS and C
+            this.currentNode = func.body;
+            const result = this.visitStatements(func.body.body, funcScope);
+
+            return this.prepareReturnValue(func, name, this.isReturnValue(result) ? result.value : undefined);
+        } finally {
+            this.leaveCall();
+        }
+    }
+
+    // New scope for a function call with the parameters declared
+    bindParameters(func, name, args) {
+        const funcScope = new Scope(this.globalScope);
+
+        // Bind parameters with type checking
+        for (let i = 0; i < func.params.length; i++) {
+            const param = func.params[i];
+            const paramName = typeof param === 'string' ? param : param.name;
+            const paramType = typeof param === 'object' ? param.type : null;
+
+            if (args[i] !== undefined) {
+                args[i] = this.prepareStoredValue(args[i], paramType, null);
+            }
+
+            // Type check parameter if type is specified
+            if (paramType && args[i] !== undefined) {
+                const actualType = this.getValueType(args[i]);
+
+                // Auto-convert string to cstring
+                if (paramType === 'cstring' && actualType === 'string') {
+                    args[i] = this.convertStringToCString(args[i]);
+                } else if (!this.isTypeCompatible(actualType, paramType)) {
+                    throw this.createRuntimeError(`Function ${name} parameter ${i + 1} expects type ${paramType}, but got ${actualType}`, null, 'type-mismatch',
+                        declarationInfo({ node: func }, `${name} is declared here`));
+                }
+
+                const paramArrayType = parseArrayType(paramType);
+                if (paramArrayType && paramArrayType.size !== null && args[i].length !== paramArrayType.size) {
+                    throw this.createRuntimeError(`Function ${name} parameter ${i + 1} expects an array of length ${paramArrayType.size}, but got ${args[i].length}`, null, 'type-mismatch',
+                        declarationInfo({ node: func }, `${name} is declared here`));
+                }
+            }
+
+            this.declareSymbol(funcScope, paramName, { kind: 'param', type: paramType, value: args[i], node: func });
+        }
+
+        return funcScope;
+    }
+
+    // Return value with type checking
+    prepareReturnValue(func, name, returnValue) {
+        if (returnValue !== undefined) {
+            returnValue = this.prepareStoredValue(returnValue, func.returnType, null);
+        }
+
+        if (func.returnType && returnValue !== undefined) {
+            const actualType = this.getValueType(returnValue);
+            if (!this.isTypeCompatible(actualType, func.returnType)) {
+                throw this.createRuntimeError(`Function ${name} return type mismatch: expected ${func.returnType}, but got ${actualType}`, null, 'type-mismatch',
+                    declarationInfo({ node: func }, `${name} is declared here`));
+            }
+        }
+
+        return returnValue;
+    }
+}
+
+// ============================================================================
+// DEBUGGER (Resumable Interpreter)
+// ============================================================================
+
+// Statements the debugger can pause at: it pauses before the statement runs
+const PAUSABLE_STATEMENTS = new Set([
+    'VariableDeclaration', 'ExpressionStatement', 'IfStatement', 'ForStatement', 'WhileStatement',
+    'DoWhileStatement', 'SwitchStatement', 'ReturnStatement', 'BreakStatement', 'ContinueStatement'
+]);
+
+// Interpreter that runs statements and script function calls as generators, so a run can stop
+// between two statements and continue later. Every pausable statement yields { node, scope }
+// before it runs and { node, scope, error } when it fails, the Debugger decides where to stop.
+// Expressions without script function calls are evaluated by the Interpreter in one go, the
+// same goes for functions called from inside a run by LVGL (like callbacks of lv_obj_send_event).
+class DebugInterpreter extends Interpreter {
+    constructor(globals, lvgl, constants, allowedFunctions, executionLimits) {
+        super(globals, lvgl, constants, allowedFunctions, executionLimits);
+        this.callStack = []; // { name, node, scope } of the running functions, innermost last
+        this.scriptFunctionNames = new Set();
+        this.reportedErrors = new WeakSet(); // errors already yielded by an inner statement
+        this.debugger = null;
+    }
+
+    // Script functions called from the host (event callbacks) run in the debugger,
+    // unless a run is in progress or paused
+    visitFunctionDeclaration(node, scope) {
+        this.functions[node.name] = node;
+        this.declareSymbol(scope, node.name, {
+            kind: 'function',
+            type: 'function',
+            value: (...args) => this.callFromHost(node.name, args),
+            node
+        });
+    }
+
+    callFromHost(name, args) {
+        if (!this.debugger || this.debugger.run) {
+            return this.callFunction(name, args);
+        }
+        return this.debugger.start(this.stepFunction(name, args));
+    }
+
+    // Runs the top level code, then entryFunction if given
+    *stepProgram(ast, entryFunction = null) {
+        collectFunctionNames(ast, this.scriptFunctionNames);
+
+        this.callStack.push({ name: '(top level)', node: null, scope: this.globalScope });
+        try {
+            for (const statement of ast.body) {
+                yield* this.stepStatement(statement, this.globalScope);
+            }
+        } finally {
+            this.callStack.pop();
+        }
+
+        if (entryFunction) {
+            if (!this.functions[entryFunction]) {
+                throw new ScriptError(createDiagnostic('error', 'undefined-function', `Runtime error: Function not found: ${entryFunction}`, null));
+            }
+            return yield* this.stepFunction(entryFunction, []);
+        }
+    }
+
+    // See Interpreter.runFunction
+    *stepFunction(name, args) {
+        const func = this.functions[name];
+        this.enterCall(this.currentNode);
+        try {
+            const funcScope = this.bindParameters(func, name, args);
+
+            this.callStack.push({ name, node: func, scope: funcScope });
+            try {
+                this.currentNode = func.body;
+                const result = yield* this.stepStatements(func.body.body, funcScope);
+                return this.prepareReturnValue(func, name, this.isReturnValue(result) ? result.value : undefined);
+            } finally {
+                this.callStack.pop();
+            }
+        } finally {
+            this.leaveCall();
+        }
+    }
+
+    *stepStatement(node, scope) {
+        if (!PAUSABLE_STATEMENTS.has(node.type)) {
+            return yield* this.stepStatementBody(node, scope);
+        }
+
+        const frame = this.callStack[this.callStack.length - 1];
+        frame.node = node;
+        frame.scope = scope;
+        yield { node, scope };
+
+        try {
+            return yield* this.stepStatementBody(node, scope);
+        } catch (error) {
+            // Stop where the error happened, before the call stack unwinds
+            if (error instanceof Error && !this.reportedErrors.has(error)) {
+                this.reportedErrors.add(error);
+                frame.node = node;
+                frame.scope = scope;
+                yield { node, scope, error };
+            }
+            throw error;
+        }
+    }
+
+    // Same control flow as the visit*Statement methods of the Interpreter
+    *stepStatementBody(node, scope) {
+        this.currentNode = node;
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return this.visitVariableDeclaration(yield* this.evaluateOperands(node, scope), scope);
+            case 'ExpressionStatement':
+                yield* this.evaluate(node.expression, scope);
+                return;
+            case 'BlockStatement':
+                return yield* this.stepStatements(node.body, new Scope(scope));
+            case 'IfStatement':
+                if (yield* this.evaluate(node.test, scope)) {
+                    return yield* this.stepStatement(node.consequent, scope);
+                } else if (node.alternate) {
+                    return yield* this.stepStatement(node.alternate, scope);
+                }
+                return;
+            case 'ForStatement': {
+                const forScope = new Scope(scope);
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') {
+                        yield* this.stepStatement(node.init, forScope);
+                    } else {
+                        yield* this.evaluate(node.init, forScope);
+                    }
+                }
+                while (true) {
+                    this.countExecutionStep(node);
+                    if (node.test && !(yield* this.evaluate(node.test, forScope))) break;
+
+                    const result = yield* this.stepStatement(node.body, forScope);
+                    if (this.isReturnValue(result)) return result;
+                    if (this.isBreakSignal(result)) break;
+
+                    if (node.update) {
+                        yield* this.evaluate(node.update, forScope);
+                    }
+                }
+                return;
+            }
+            case 'WhileStatement':
+                while (true) {
+                    this.countExecutionStep(node);
+                    if (!(yield* this.evaluate(node.test, scope))) break;
+
+                    const result = yield* this.stepStatement(node.body, scope);
+                    if (this.isReturnValue(result)) return result;
+                    if (this.isBreakSignal(result)) break;
+                }
+                return;
+            case 'DoWhileStatement':
+                do {
+                    this.countExecutionStep(node);
+                    const result = yield* this.stepStatement(node.body, scope);
+                    if (this.isReturnValue(result)) return result;
+                    if (this.isBreakSignal(result)) break;
+                } while (yield* this.evaluate(node.test, scope));
+                return;
+            case 'SwitchStatement': {
+                const discriminant = yield* this.evaluate(node.discriminant, scope);
+                const switchScope = new Scope(scope);
+                this.declareCaseVariables(node, switchScope);
+
+                let startIndex = -1;
+                for (let i = 0; i < node.cases.length && startIndex === -1; i++) {
+                    if (node.cases[i].test && (yield* this.evaluate(node.cases[i].test, switchScope)) === discriminant) {
+                        startIndex = i;
+                    }
+                }
+                if (startIndex === -1) {
+                    startIndex = node.cases.findIndex(c => !c.test);
+                }
+                if (startIndex === -1) {
+                    return;
+                }
+
+                for (let i = startIndex; i < node.cases.length; i++) {
+                    for (const statement of node.cases[i].consequent) {
+                        const result = yield* this.stepStatement(statement, switchScope);
+                        if (this.isBreakSignal(result)) return;
+                        if (this.isControlSignal(result)) return result;
+                    }
+                }
+                return;
+            }
+            case 'ReturnStatement':
+                return this.createReturnValue(node.argument ? yield* this.evaluate(node.argument, scope) : undefined);
+            default:
+                return this.visitStatement(node, scope);
+        }
+    }
+
+    // See Interpreter.visitStatements
+    *stepStatements(statements, scope) {
+        for (const statement of statements) {
+            const result = yield* this.stepStatement(statement, scope);
+            if (this.isControlSignal(result)) {
+                return result;
+            }
+        }
+    }
+
+    // Calls of script functions step into the function, everything else is left to visitExpression
+    *evaluate(node, scope) {
+        if (!this.containsScriptCall(node)) {
+            return this.visitExpression(node, scope);
+        }
+
+        if (node.type === 'CallExpression' && this.isScriptCall(node)) {
+            const args = [];
+            for (const arg of node.arguments) {
+                args.push(yield* this.evaluate(arg, scope));
+            }
+            this.currentNode = node;
+            return yield* this.stepFunction(node.callee.name, args);
+        }
+
+        // Only the selected branch is evaluated
+        if (node.type === 'ConditionalExpression') {
+            return (yield* this.evaluate(node.test, scope))
+                ? yield* this.evaluate(node.consequent, scope)
+                : yield* this.evaluate(node.alternate, scope);
+        }
+        if (node.type === 'BinaryExpression' && (node.operator === '&&' || node.operator === '||')) {
+            const left = yield* this.evaluate(node.left, scope);
+            return isShortCircuited(node, left) ? left : yield* this.evaluate(node.right, scope);
+        }
+
+        return this.visitExpression(yield* this.evaluateOperands(node, scope), scope);
+    }
+
+    // Copy of the node with the operands that call script functions replaced by their values
+    *evaluateOperands(node, scope) {
+        if (!this.containsScriptCall(node)) {
+            return node;
+        }
+
+        const evaluated = { ...node };
+        const evaluateOperand = function* (operand) {
+            if (!this.containsScriptCall(operand)) return operand;
+            return { type: 'Literal', value: yield* this.evaluate(operand, scope), loc: findLocation(operand) };
+        }.bind(this);
+
+        for (const key of Object.keys(node)) {
+            const child = node[key];
+            if (this.isAssignmentTarget(node, key) && child.type === 'MemberExpression') {
+                // arr[f()] = x still needs the array and the index
+                evaluated[key] = yield* this.evaluateOperands(child, scope);
+            } else if (key === 'properties' && node.type === 'ObjectExpression') {
+                evaluated.properties = [];
+                for (const property of child) {
+                    evaluated.properties.push({ ...property, value: yield* evaluateOperand(property.value) });
+                }
+            } else if (Array.isArray(child)) {
+                evaluated[key] = [];
+                for (const item of child) {
+                    evaluated[key].push(yield* evaluateOperand(item));
+                }
+            } else if (child && typeof child === 'object' && typeof child.type === 'string') {
+                evaluated[key] = yield* evaluateOperand(child);
+            }
+        }
+        return evaluated;
+    }
+
+    isAssignmentTarget(node, key) {
+        return (node.type === 'AssignmentExpression' && key === 'left') ||
+            (key === 'argument' && (node.type === 'UpdateExpression' || node.operator === '++' || node.operator === '--'));
+    }
+
+    isScriptCall(node) {
+        const name = node.callee.type === 'Identifier' ? node.callee.name : null;
+        return name !== null && this.scriptFunctionNames.has(name) && !(name in this.globals);
+    }
+
+    containsScriptCall(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (Array.isArray(node)) return node.some(item => this.containsScriptCall(item));
+        if (node.type === 'CallExpression' && this.isScriptCall(node)) return true;
+        if (node.type === 'ObjectExpression') return node.properties.some(property => this.containsScriptCall(property.value));
+        return Object.keys(node).some(key => key !== 'loc' && typeof node[key] === 'object' && this.containsScriptCall(node[key]));
+    }
+}
+
+function collectFunctionNames(node, names) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+        node.forEach(item => collectFunctionNames(item, names));
+        return;
+    }
+    if (node.type === 'FunctionDeclaration') {
+        names.add(node.name);
+    }
+    for (const key of Object.keys(node)) {
+        if (key !== 'loc' && typeof node[key] === 'object') collectFunctionNames(node[key], names);
+    }
+}
+
+function locationLine(node) {
+    const loc = findLocation(node);
+    return loc ? loc.line : null;
+}
+
+// Short text of a runtime value for the variables panel
+function describeDebugValue(value, depth = 0) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'function') return 'function';
+    if (Array.isArray(value)) {
+        if (depth > 1) return `[${value.length}]`;
+        const items = value.slice(0, 10).map(item => describeDebugValue(item, depth + 1));
+        return `[${items.join(', ')}${value.length > 10 ? ', ...' : ''}]`;
+    }
+    if (typeof value === 'object' && value !== null) {
+        const name = typeof value.__struct === 'string' ? `${value.__struct} ` : '';
+        if (depth > 1) return `${name}{...}`;
+        const fields = Object.keys(value).map(key => `${key}: ${describeDebugValue(value[key], depth + 1)}`);
+        return `${name}{ ${fields.join(', ')} }`;
+    }
+    return String(value);
+}
+
+// Runs a DebugInterpreter: stops at breakpoints (line numbers), after steps and on runtime errors.
+// One run (generator from stepProgram or stepFunction) at a time, script functions called from
+// the host while a run is paused don't stop. options:
+//   breakpoints: line numbers, pauseOnError: stop at runtime errors (default true)
+//   onPause(debugger), onResume(debugger): the run stopped / continues
+//   onFinish(error, value): the run ended, error is null if it succeeded
+class Debugger {
+    constructor(interpreter, options = {}) {
+        this.interpreter = interpreter;
+        interpreter.debugger = this;
+        this.options = options;
+        this.breakpoints = new Set(options.breakpoints || []);
+        this.pauseOnError = options.pauseOnError !== false;
+        this.run = null; // generator of the current run
+        this.paused = null; // { node, scope, error, depth } where the run stopped
+        this.step = null; // { kind: 'into' | 'over' | 'out', depth } while stepping
+        this.skip = null; // { line, depth } of the statement the run continued from
+        this.callDepth = 0; // of the paused run, carried over to the next execution budget
+    }
+
+    setBreakpoints(lines) {
+        this.breakpoints = new Set(lines);
+    }
+
+    // Starts a run, returns its value if it finishes without stopping
+    start(run) {
+        if (this.run) {
+            throw new Error('The debugger is already running a script');
+        }
+        this.run = run;
+        this.step = null;
+        this.skip = null;
+        this.callDepth = 0;
+        return this.drive();
+    }
+
+    continue() {
+        return this.resume(null);
+    }
+
+    stepOver() {
+        return this.resume('over');
+    }
+
+    stepInto() {
+        return this.resume('into');
+    }
+
+    stepOut() {
+        return this.resume('out');
+    }
+
+    // Ends the current run and lets script functions called from the host run without the debugger
+    detach() {
+        this.stop();
+        this.interpreter.debugger = null;
+    }
+
+    // Ends the current run without running the rest of it
+    stop() {
+        if (!this.run) return;
+        const run = this.run;
+        this.run = null;
+        this.paused = null;
+        this.step = null;
+        run.return();
+    }
+
+    resume(stepKind) {
+        if (!this.paused) return;
+        const { node, depth } = this.paused;
+        this.step = stepKind ? { kind: stepKind, depth } : null;
+        this.skip = { line: locationLine(node), depth };
+        this.paused = null;
+        if (this.options.onResume) this.options.onResume(this);
+        return this.drive();
+    }
+
+    drive() {
+        // Every continuation gets a new execution budget, paused time doesn't count
+        const budget = { steps: 0, startTime: Date.now(), callDepth: this.callDepth };
+        this.interpreter.executionBudget = budget;
+        let step;
+        try {
+            do {
+                step = this.run.next();
+            } while (!step.done && !this.shouldPause(step.value));
+        } catch (error) {
+            return this.finish(error);
+        } finally {
+            this.callDepth = budget.callDepth;
+            this.interpreter.executionBudget = null;
+        }
+
+        if (step.done) {
+            return this.finish(null, step.value);
+        }
+        this.paused = { ...step.value, depth: this.interpreter.callStack.length };
+        this.step = null;
+        if (this.options.onPause) this.options.onPause(this);
+    }
+
+    shouldPause({ node, error }) {
+        if (error) return this.pauseOnError;
+
+        const line = locationLine(node);
+        const depth = this.interpreter.callStack.length;
+        // Statements on the line the run continued from, like the call in "if (x) f();"
+        if (this.skip) {
+            if (line === this.skip.line && depth === this.skip.depth) return false;
+            this.skip = null;
+        }
+
+        if (this.step) {
+            if (this.step.kind === 'into') return true;
+            if (this.step.kind === 'over' && depth <= this.step.depth) return true;
+            if (this.step.kind === 'out' && depth < this.step.depth) return true;
+        }
+        return this.breakpoints.has(line);
+    }
+
+    finish(error, value) {
+        this.run = null;
+        this.paused = null;
+        this.step = null;
+        if (this.options.onFinish) this.options.onFinish(error, value);
+        return value;
+    }
+
+    // Running functions, innermost first: { name, line, column }
+    getCallStack() {
+        return this.interpreter.callStack.map(frame => {
+            const loc = findLocation(frame.node);
+            return { name: frame.name, line: loc ? loc.line : null, column: loc ? loc.column : null };
+        }).reverse();
+    }
+
+    // Variables visible in a frame of getCallStack(): [{ name: 'Locals' | 'Globals', variables: [{ name, type, value }] }]
+    getVariables(frameIndex = 0) {
+        const callStack = this.interpreter.callStack;
+        const frame = callStack[callStack.length - 1 - frameIndex];
+        if (!frame) return [];
+
+        const describe = symbol => ({
+            name: symbol.name,
+            type: typeof symbol.type === 'string' ? symbol.type : (symbol.value !== undefined ? this.interpreter.getValueType(symbol.value) : null),
+            value: describeDebugValue(symbol.value)
+        });
+
+        // Inner declarations hide outer ones with the same name
+        const locals = [];
+        const seen = new Set();
+        for (let scope = frame.scope; scope && scope !== this.interpreter.globalScope; scope = scope.parent) {
+            for (const symbol of scope.symbols.values()) {
+                if (!seen.has(symbol.name)) {
+                    seen.add(symbol.name);
+                    locals.push(describe(symbol));
+                }
+            }
+        }
+        const globals = [...this.interpreter.globalScope.symbols.values()]
+            .filter(symbol => symbol.kind !== 'function')
+            .map(describe);
+
+        const groups = [];
+        if (frame.scope !== this.interpreter.globalScope) {
+            groups.push({ name: 'Locals', variables: locals });
+        }
+        groups.push({ name: 'Globals', variables: globals });
+        return groups;
+    }
+}
+
+// ============================================================================
+// TYPE CHECKER
+// ============================================================================
+
+// Static checks over the whole AST, without running anything. Unlike the interpreter,
+// which only finds problems on code paths that actually run, this reports every error at once.
+class TypeChecker {
+    constructor(allowedFunctions, constants, globals) {
+        // allowedFunctions and constants use the same formats as for the Interpreter,
+        // null means anything is allowed (names can't be checked)
+        this.allowedFunctions = allowedFunctions || null;
+        this.constants = constants || null;
+        this.globals = globals || {};
+
+        this.functions = {};
+        this.structTypes = {};
+        this.globalScope = new Scope();
+        this.reassignedNames = new Set();
+        this.errors = [];
+    }
+
+    check(ast) {
+        this.collectReassignedNames(ast);
+
+        for (const stmt of ast.body) {
+            if (stmt.type === 'FunctionDeclaration') {
+                this.functions[stmt.name] = stmt;
+                this.declare(this.globalScope, stmt.name, { kind: 'function', type: 'function', node: stmt });
+            } else if (stmt.type === 'StructDeclaration') {
+                this.checkStructDeclaration(stmt);
+            }
+        }
+
+        // Function bodies run after the top level code, so they are checked last and see all globals
+        for (const stmt of ast.body) {
+            if (stmt.type !== 'FunctionDeclaration' && stmt.type !== 'StructDeclaration') {
+                this.checkStatement(stmt, this.globalScope, null);
+            }
+        }
+        for (const stmt of ast.body) {
+            if (stmt.type === 'FunctionDeclaration') {
+                this.checkFunction(stmt);
+            }
+        }
+
+        return this.errors;
+    }
+
+    // Names that are assigned after their declaration anywhere in the script. Variables without
+    // a type annotation that are reassigned are dynamically typed (like in JavaScript), so they
+    // don't get the type of their initializer. This is by name, so it errs on the permissive side.
+    collectReassignedNames(node) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => this.collectReassignedNames(child));
+            return;
+        }
+        const target = node.type === 'AssignmentExpression' ? node.left
+            : node.type === 'UpdateExpression' || (node.type === 'UnaryExpression' && (node.operator === '++' || node.operator === '--')) ? node.argument
+            : null;
+        if (target && target.type === 'Identifier') {
+            this.reassignedNames.add(target.name);
+        }
+        for (const key of Object.keys(node)) {
+            if (typeof node[key] === 'object') {
+                this.collectReassignedNames(node[key]);
+            }
+        }
+    }
+
+    error(message, node, code = 'type-error', relatedInformation = []) {
+        const error = createDiagnostic('error', code, `Type error: ${message}`, findLocation(node), relatedInformation);
+        // The same problem can be reached twice (e.g. a nested expression), report it once
+        if (!this.errors.some(e => e.message === error.message && e.line === error.line && e.column === error.column)) {
+            this.errors.push(error);
+        }
+    }
+
+    declare(scope, name, symbol) {
+        if (!scope.declare(name, symbol)) {
+            this.error(`${name} is already declared in this scope`, symbol.node, 'redeclaration',
+                declarationInfo(scope.symbols.get(name), `${name} is first declared here`));
+        }
+    }
+
+    isKnownType(type) {
+        return isBuiltinType(type) || type in this.structTypes;
+    }
+
+    checkTypeName(type, node) {
+        if (!type) return;
+        const arrayType = parseArrayType(type);
+        const baseType = arrayType ? arrayType.elementType : type;
+        if (!this.isKnownType(baseType)) {
+            this.error(`Unknown type ${baseType}`, node, 'unknown-type');
+        }
+    }
+
+    // Assignment compatibility including the implicit conversions done at runtime
+    isAssignable(actualType, expectedType) {
+        if (!actualType || !expectedType) return true;
+        if (expectedType === 'cstring' && actualType === 'string') return true;
+        return isTypeCompatible(actualType, expectedType);
+    }
+
+    checkStructDeclaration(node) {
+        if (this.structTypes[node.name]) {
+            this.error(`Struct ${node.name} is already declared`, node);
+        }
+        this.structTypes[node.name] = node;
+
+        for (const field of node.fields) {
+            const arrayType = parseArrayType(field.type);
+            if (arrayType && arrayType.size === null) {
+                this.error(`Field ${node.name}.${field.name} needs an array size, like number[4]`, node);
+            }
+            const baseType = arrayType ? arrayType.elementType : field.type;
+            if (baseType === node.name) {
+                this.error(`Struct ${node.name} cannot contain itself`, node);
+            } else if (!this.isKnownType(baseType)) {
+                this.error(`Unknown type ${baseType} for field ${node.name}.${field.name}`, node, 'unknown-type');
+            }
+        }
+    }
+
+    checkFunction(node) {
+        // Functions only see globals and their own parameters (like callFunction in the interpreter),
+        // the declarations of the body are in the same scope as the parameters
+        const scope = new Scope(this.globalScope);
+        for (const param of node.params) {
+            this.checkTypeName(param.type, node);
+            this.declare(scope, param.name, { kind: 'param', type: param.type, node });
+        }
+        this.checkTypeName(node.returnType, node);
+
+        node.body.body.forEach(stmt => this.checkStatement(stmt, scope, node));
+
+        if (node.returnType && !this.alwaysReturns(node.body)) {
+            this.error(`Function ${node.name} must return a value of type ${node.returnType} on all paths`, node, 'missing-return');
+        }
+    }
+
+    checkStatement(node, scope, func) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                this.functions[node.name] = node;
+                this.declare(scope, node.name, { kind: 'function', type: 'function', node });
+                this.checkFunction(node);
+                break;
+            case 'VariableDeclaration':
+                this.checkVariableDeclaration(node, scope);
+                break;
+            case 'ExpressionStatement':
+                this.checkExpression(node.expression, scope);
+                break;
+            case 'BlockStatement': {
+                const blockScope = new Scope(scope);
+                node.body.forEach(stmt => this.checkStatement(stmt, blockScope, func));
+                break;
+            }
+            case 'IfStatement':
+                this.checkExpression(node.test, scope);
+                this.checkStatement(node.consequent, scope, func);
+                if (node.alternate) this.checkStatement(node.alternate, scope, func);
+                break;
+            case 'ForStatement': {
+                const forScope = new Scope(scope);
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') {
+                        this.checkVariableDeclaration(node.init, forScope);
+                    } else {
+                        this.checkExpression(node.init, forScope);
+                    }
+                }
+                if (node.test) this.checkExpression(node.test, forScope);
+                if (node.update) this.checkExpression(node.update, forScope);
+                this.checkStatement(node.body, forScope, func);
+                break;
+            }
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.checkExpression(node.test, scope);
+                this.checkStatement(node.body, scope, func);
+                break;
+            case 'SwitchStatement': {
+                this.checkExpression(node.discriminant, scope);
+                // One scope for the switch body, the variables of a case are not initialized when
+                // the switch jumps to a case after it (see Interpreter.declareCaseVariables)
+                const switchScope = new Scope(scope);
+                for (const c of node.cases) {
+                    if (c.test) this.checkExpression(c.test, switchScope);
+                    c.consequent.forEach(stmt => this.checkStatement(stmt, switchScope, func));
+                    switchScope.symbols.forEach(symbol => {
+                        symbol.declaredByEarlierCase = true;
+                    });
+                }
+                break;
+            }
+            case 'ReturnStatement':
+                this.checkReturnStatement(node, scope, func);
+                break;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                break;
+            default:
+                this.error(`Unknown statement type: ${node.type}`, node);
+        }
+    }
+
+    checkVariableDeclaration(node, scope) {
+        this.checkTypeName(node.varType, node);
+        const arrayType = parseArrayType(node.varType);
+        let type = node.varType;
+
+        if (node.init) {
+            const initType = this.checkExpression(node.init, scope, node.varType);
+            if (!node.varType) {
+                type = this.reassignedNames.has(node.name) ? null : initType;
+                if (node.init.type === 'ArrayExpression' && node.init.elements.length === 0) {
+                    this.error(`Cannot infer element type of empty array ${node.name}, add a type annotation like number[4]`, node);
+                }
+            } else if (arrayType && node.init.type === 'ArrayExpression') {
+                const count = node.init.elements.length;
+                if (arrayType.size !== null && count > arrayType.size) {
+                    this.error(`Too many elements for ${node.varType}: got ${count}`, node);
+                }
+                if (arrayType.size === null) {
+                    type = `${arrayType.elementType}[${count}]`;
+                }
+            } else if (!this.isAssignable(initType, node.varType)) {
+                this.error(`Type mismatch: Cannot assign ${initType} to ${node.varType}`, node.init, 'type-mismatch');
+            }
+        } else if (arrayType && arrayType.size === null) {
+            this.error(`Array ${node.name} needs a size or an initializer`, node);
+        }
+
+        this.declare(scope, node.name, { kind: node.kind, type, node });
+    }
+
+    checkReturnStatement(node, scope, func) {
+        const returnType = func ? func.returnType : null;
+        if (!node.argument) {
+            if (returnType) {
+                this.error(`Function ${func.name} must return a value of type ${returnType}`, node, 'missing-return');
+            }
+            return;
+        }
+
+        const actualType = this.checkExpression(node.argument, scope, returnType);
+        if (returnType && !this.isAssignable(actualType, returnType)) {
+            this.error(`Function ${func.name} return type mismatch: expected ${returnType}, but got ${actualType}`, node.argument, 'type-mismatch');
+        }
+    }
+
+    // Whether every path through a statement ends with a return
+    alwaysReturns(node) {
+        if (!node) return false;
+        switch (node.type) {
+            case 'ReturnStatement':
+                return true;
+            case 'BlockStatement':
+                return node.body.some(stmt => this.alwaysReturns(stmt));
+            case 'IfStatement':
+                return !!node.alternate && this.alwaysReturns(node.consequent) && this.alwaysReturns(node.alternate);
+            case 'SwitchStatement': {
+                // Every case falls through to the last one unless something breaks out of the switch
+                const hasDefault = node.cases.some(c => !c.test);
+                const lastCase = node.cases[node.cases.length - 1];
+                return hasDefault &&
+                    !node.cases.some(c => c.consequent.some(stmt => this.containsBreak(stmt))) &&
+                    lastCase.consequent.some(stmt => this.alwaysReturns(stmt));
+            }
+            case 'WhileStatement':
+                // while (true) without break only exits through return
+                return node.test.type === 'Literal' && node.test.value === true && !this.containsBreak(node.body);
+            case 'ForStatement':
+                return !node.test && !this.containsBreak(node.body);
+            case 'DoWhileStatement':
+                return !this.containsBreak(node.body) && this.alwaysReturns(node.body);
+            default:
+                return false;
+        }
+    }
+
+    // Whether a statement contains a break that leaves the enclosing loop or switch
+    containsBreak(node) {
+        if (!node) return false;
+        switch (node.type) {
+            case 'BreakStatement':
+                return true;
+            case 'BlockStatement':
+                return node.body.some(stmt => this.containsBreak(stmt));
+            case 'IfStatement':
+                return this.containsBreak(node.consequent) || this.containsBreak(node.alternate);
+            default:
+                // Breaks inside nested loops and switches belong to them
+                return false;
+        }
+    }
+
+    // Returns the type of the expression, or null if it can't be determined statically.
+    // expectedType is the type required by the context, used for object and array literals.
+    checkExpression(node, scope, expectedType = null) {
+        switch (node.type) {
+            case 'Literal':
+                if (typeof node.value === 'number') return 'number';
+                if (typeof node.value === 'boolean') return 'bool';
+                if (typeof node.value === 'string') return 'string';
+                return null;
+            case 'Identifier':
+                return this.checkIdentifier(node, scope);
+            case 'BinaryExpression':
+                return this.checkBinaryExpression(node, scope);
+            case 'UnaryExpression':
+                return this.checkUnaryExpression(node, scope);
+            case 'UpdateExpression':
+                return this.checkUpdateTarget(node, node.argument, scope);
+            case 'AssignmentExpression':
+                return this.checkAssignmentExpression(node, scope);
+            case 'CallExpression':
+                return this.checkCallExpression(node, scope);
+            case 'MemberExpression':
+                return this.checkMemberExpression(node, scope);
+            case 'ArrayExpression':
+                return this.checkArrayExpression(node, scope, expectedType);
+            case 'ObjectExpression':
+                return this.checkObjectExpression(node, scope, expectedType);
+            case 'ConditionalExpression': {
+                this.checkExpression(node.test, scope);
+                const consequentType = this.checkExpression(node.consequent, scope, expectedType);
+                const alternateType = this.checkExpression(node.alternate, scope, expectedType);
+                if (!this.isAssignable(consequentType, alternateType) && !this.isAssignable(alternateType, consequentType)) {
+                    this.error(`Conditional branches have different types: ${consequentType} and ${alternateType}`, node);
+                }
+                return consequentType || alternateType;
+            }
+            default:
+                this.error(`Unknown expression type: ${node.type}`, node);
+                return null;
+        }
+    }
+
+    checkCaseVariable(variable, node) {
+        if (variable.declaredByEarlierCase) {
+            this.error(`${node.name} is declared by an earlier case, it is not initialized when the switch jumps to this case`, node, 'uninitialized-variable',
+                declarationInfo(variable, `${node.name} is declared here`));
+        }
+    }
+
+    checkIdentifier(node, scope) {
+        const name = node.name;
+        if (name.startsWith('LV_')) {
+            if (this.constants && !(name in this.constants)) {
+                this.error(`Unknown constant: ${name}`, node, 'unknown-constant');
+            }
+            return 'number';
+        }
+        if (name in this.globals) {
+            return null;
+        }
+        const variable = scope.lookup(name);
+        if (variable) {
+            this.checkCaseVariable(variable, node);
+            return variable.type;
+        }
+        if (this.functions[name]) {
+            return 'function';
+        }
+        this.error(`Undefined variable: ${name}`, node, 'undefined-variable');
+        return null;
+    }
+
+    checkBinaryExpression(node, scope) {
+        const leftType = this.checkExpression(node.left, scope);
+        const rightType = this.checkExpression(node.right, scope);
+        const op = node.operator;
+
+        if (['==', '!=', '&&', '||'].includes(op)) {
+            return 'bool';
+        }
+        // + also concatenates strings (anything can be appended to a string)
+        if (op === '+' && (leftType === 'string' || rightType === 'string')) {
+            return 'string';
+        }
+
+        const isNumeric = type => type === null || type === 'number';
+        if (!isNumeric(leftType) || !isNumeric(rightType)) {
+            this.error(`Operator ${op} cannot be applied to ${leftType} and ${rightType}`, node, 'invalid-operand');
+        }
+        return ['<', '>', '<=', '>='].includes(op) ? 'bool' : 'number';
+    }
+
+    checkUnaryExpression(node, scope) {
+        if (node.operator === '++' || node.operator === '--') {
+            return this.checkUpdateTarget(node, node.argument, scope);
+        }
+        const argumentType = this.checkExpression(node.argument, scope);
+        if (node.operator === '!') {
+            return 'bool';
+        }
+        if (argumentType && argumentType !== 'number') {
+            this.error(`Operator ${node.operator} cannot be applied to ${argumentType}`, node, 'invalid-operand');
+        }
+        return 'number';
+    }
+
+    checkUpdateTarget(node, target, scope) {
+        const targetType = this.checkAssignmentTarget(target, scope);
+        if (targetType && targetType !== 'number') {
+            this.error(`Operator ${node.operator} cannot be applied to ${targetType}`, node, 'invalid-operand');
+        }
+        return 'number';
+    }
+
+    // Type of an assignable expression (variable, array element or struct field)
+    checkAssignmentTarget(node, scope) {
+        if (node.type === 'Identifier') {
+            if (node.name.startsWith('LV_')) {
+                this.error(`Cannot assign to constant ${node.name}`, node, 'const-assignment');
+                return null;
+            }
+            const variable = scope.lookup(node.name);
+            if (!variable) {
+                if (!(node.name in this.globals)) {
+                    this.error(`Cannot assign to undefined variable: ${node.name}`, node, 'undefined-variable');
+                }
+                return null;
+            }
+            this.checkCaseVariable(variable, node);
+            if (variable.kind === 'function') {
+                this.error(`Cannot assign to function: ${node.name}`, node, 'invalid-assignment',
+                    declarationInfo(variable, `${node.name} is declared here`));
+                return null;
+            }
+            if (variable.kind === 'const') {
+                this.error(`Cannot assign to const variable: ${node.name}${describeDeclaration(variable)}`, node, 'const-assignment',
+                    declarationInfo(variable, `${node.name} is declared const here`));
+            }
+            return variable.type;
+        }
+        if (node.type === 'MemberExpression') {
+            return this.checkMemberExpression(node, scope);
+        }
+        this.error('Invalid assignment target', node);
+        return null;
+    }
+
+    checkAssignmentExpression(node, scope) {
+        const targetType = this.checkAssignmentTarget(node.left, scope);
+        const valueType = this.checkExpression(node.right, scope, targetType);
+
+        if (node.operator === '=') {
+            if (!this.isAssignable(valueType, targetType)) {
+                this.error(`Type mismatch: Cannot assign ${valueType} to ${targetType}`, node.right, 'type-mismatch');
+            }
+        } else if (!(node.operator === '+=' && targetType === 'string')) {
+            if ((targetType && targetType !== 'number') || (valueType && valueType !== 'number')) {
+                this.error(`Operator ${node.operator} cannot be applied to ${targetType} and ${valueType}`, node, 'invalid-operand');
+            }
+        }
+        return targetType;
+    }
+
+    checkMemberExpression(node, scope) {
+        const objectType = this.checkExpression(node.object, scope);
+        const arrayType = parseArrayType(objectType);
+        const struct = this.structTypes[objectType];
+
+        if (node.computed) {
+            const indexType = this.checkExpression(node.property, scope);
+            if (indexType && indexType !== 'number') {
+                this.error(`Array index must be a number, got ${indexType}`, node.property);
+            }
+            if (arrayType) return arrayType.elementType;
+            if (struct) {
+                this.error(`Cannot index struct ${objectType}, use .field access`, node);
+            } else if (objectType) {
+                this.error(`Cannot index non-array value of type ${objectType}`, node);
+            }
+            return null;
+        }
+
+        if (arrayType) {
+            if (node.property === 'length') return 'number';
+            this.error(`Arrays only support the .length property, got .${node.property}`, node);
+            return null;
+        }
+        if (struct) {
+            const field = struct.fields.find(f => f.name === node.property);
+            if (!field) {
+                this.error(`Unknown field ${node.property} in struct ${objectType}`, node, 'unknown-field');
+                return null;
+            }
+            return field.type;
+        }
+        if (objectType) {
+            this.error(`Cannot read property ${node.property} of type ${objectType}`, node);
+        }
+        return null;
+    }
+
+    checkArrayExpression(node, scope, expectedType) {
+        const expectedArray = parseArrayType(expectedType);
+        const elementType = expectedArray ? expectedArray.elementType : null;
+        const elementTypes = node.elements.map(element => {
+            const actualType = this.checkExpression(element, scope, elementType);
+            if (elementType && !this.isAssignable(actualType, elementType)) {
+                this.error(`Type mismatch: Cannot assign ${actualType} to array element of type ${elementType}`, element, 'type-mismatch');
+            }
+            return actualType;
+        });
+
+        const resultType = elementType || elementTypes[0];
+        return resultType ? `${resultType}[${node.elements.length}]` : null;
+    }
+
+    checkObjectExpression(node, scope, expectedType) {
+        const struct = this.structTypes[expectedType];
+        if (!struct) {
+            this.error('Object literals need a struct type, like let p: Point = { x: 0, y: 0 }', node);
+            node.properties.forEach(property => this.checkExpression(property.value, scope));
+            return null;
+        }
+
+        for (const property of node.properties) {
+            const field = struct.fields.find(f => f.name === property.key);
+            if (!field) {
+                this.error(`Unknown field ${property.key} in struct ${struct.name}`, property, 'unknown-field');
+                this.checkExpression(property.value, scope);
+                continue;
+            }
+            const valueType = this.checkExpression(property.value, scope, field.type);
+            if (!this.isAssignable(valueType, field.type)) {
+                this.error(`Type mismatch: Cannot assign ${valueType} to field ${struct.name}.${field.name} of type ${field.type}`, property.value, 'type-mismatch');
+            }
+        }
+        return struct.name;
+    }
+
+    checkCallExpression(node, scope) {
+        const callee = node.callee;
+
+        if (callee.type === 'Identifier' && callee.name.startsWith('lv_')) {
+            return this.checkLvglCall(node, scope);
+        }
+
+        const symbol = callee.type === 'Identifier' ? scope.lookup(callee.name) : null;
+        if (callee.type === 'Identifier' && !(callee.name in this.globals) && (!symbol || symbol.kind === 'function')) {
+            const func = this.functions[callee.name];
+            if (!func) {
+                this.error(`Undefined function: ${callee.name}`, callee, 'undefined-function');
+                node.arguments.forEach(arg => this.checkExpression(arg, scope));
+                return null;
+            }
+            this.checkArguments(node, scope, callee.name, func.params.map(p => p.type));
+            return func.returnType || null;
+        }
+
+        // Global functions with type specs, like System.UTF8ToString
+        const path = getMemberExpressionPath(callee);
+        const globalSpec = path ? this.getGlobalFunctionSpec(path) : null;
+        if (globalSpec) {
+            this.checkArguments(node, scope, path, globalSpec.params);
+            return globalSpec.returnType || null;
+        }
+
+        const calleeType = this.checkExpression(callee, scope);
+        if (calleeType && calleeType !== 'function') {
+            this.error(`Cannot call non-function of type ${calleeType}`, callee);
+        }
+        node.arguments.forEach(arg => this.checkExpression(arg, scope));
+        return null;
+    }
+
+    checkLvglCall(node, scope) {
+        const name = node.callee.name;
+        let spec = null;
+
+        if (Array.isArray(this.allowedFunctions)) {
+            if (!this.allowedFunctions.includes(name)) {
+                this.error(`Unknown LVGL function: ${name}`, node.callee, 'undefined-function');
+            }
+        } else if (this.allowedFunctions) {
+            spec = this.allowedFunctions[name];
+            if (!spec) {
+                this.error(`Unknown LVGL function: ${name}`, node.callee, 'undefined-function');
+            }
+        }
+
+        if (spec && typeof spec === 'object' && 'params' in spec) {
+            this.checkArguments(node, scope, name, spec.params);
+            // The interpreter converts returned C strings to JavaScript strings
+            return spec.returnType === 'cstring' ? 'string' : spec.returnType || null;
+        }
+
+        // Old format: just an argument count
+        if (spec !== null && spec !== undefined) {
+            const min = typeof spec === 'number' ? spec : spec.min || 0;
+            const max = typeof spec === 'number' ? spec : spec.max || Infinity;
+            const count = node.arguments.length;
+            if (count < min || count > max) {
+                const expected = min === max ? `${min} argument(s)` : `${min}-${max} arguments`;
+                this.error(`Function ${name} expects ${expected}, but got ${count}`, node.callee, 'argument-count');
+            }
+        }
+        node.arguments.forEach(arg => this.checkExpression(arg, scope));
+        return null;
+    }
+
+    checkArguments(node, scope, name, paramTypes) {
+        if (node.arguments.length !== paramTypes.length) {
+            this.error(`Function ${name} expects ${paramTypes.length} argument(s), but got ${node.arguments.length}`, node.callee, 'argument-count');
+        }
+
+        node.arguments.forEach((arg, i) => {
+            const expectedType = paramTypes[i] || null;
+            const actualType = this.checkExpression(arg, scope, expectedType);
+            // Numbers are converted to colors with lv_color_hex
+            if (expectedType === 'lv_color' && actualType === 'number') return;
+            if (!this.isAssignable(actualType, expectedType)) {
+                this.error(`Function ${name} parameter ${i + 1} expects type ${expectedType}, but got ${actualType}`, arg, 'type-mismatch');
+            }
+        });
+    }
+
+    getGlobalFunctionSpec(path) {
+        let value = this.globals;
+        for (const part of path.split('.')) {
+            if (!value || typeof value !== 'object' || !(part in value)) return null;
+            value = value[part];
+        }
+        if (value && typeof value === 'object' && 'function' in value && value.params) {
+            return { params: value.params, returnType: value.returnType };
+        }
+        return null;
+    }
+}
+
+// ============================================================================
+// SYMBOLS (Definitions and References)
+// ============================================================================
+
+// Resolves every identifier to the declaration it refers to, with the same scoping as the
+// type checker, for editor navigation (go to definition, references, outline and rename).
+// Symbol: { name, kind: 'function' | 'struct' | 'let' | 'const' | 'param', type, node, loc,
+//           scope, container, references: [{ loc, scope }] }
+// container is the enclosing function declaration (null for globals).
+// globals are the globals passed to the script (like for init()), only their names are used.
+class SymbolResolver {
+    constructor(globals = null) {
+        this.globals = globals || {};
+        this.globalScope = new Scope();
+        this.symbols = [];
+        // Every declaration and reference: { loc, symbol }
+        this.occurrences = [];
+    }
+
+    resolve(ast) {
+        for (const stmt of ast.body) {
+            if (stmt.type === 'FunctionDeclaration') {
+                this.declare(this.globalScope, stmt.name, { kind: 'function', type: 'function', node: stmt, loc: stmt.loc }, null);
+            } else if (stmt.type === 'StructDeclaration') {
+                this.declare(this.globalScope, stmt.name, { kind: 'struct', type: stmt.name, node: stmt, loc: stmt.loc }, null);
+            }
+        }
+
+        // Same order as the type checker: top level code first, function bodies see all globals
+        for (const stmt of ast.body) {
+            if (stmt.type !== 'FunctionDeclaration' && stmt.type !== 'StructDeclaration') {
+                this.visitStatement(stmt, this.globalScope, null);
+            }
+        }
+        for (const stmt of ast.body) {
+            if (stmt.type === 'FunctionDeclaration') {
+                this.visitFunction(stmt);
+            }
+        }
+
+        return this;
+    }
+
+    declare(scope, name, symbol, container) {
+        const entry = scope.declare(name, { ...symbol, scope, container, references: [] });
+        // A redeclaration is an error reported by the checker, references go to the first one
+        if (!entry) return null;
+        this.symbols.push(entry);
+        if (entry.loc) {
+            this.occurrences.push({ loc: entry.loc, symbol: entry });
+        }
+        return entry;
+    }
+
+    reference(node, scope) {
+        const symbol = scope.lookup(node.name);
+        if (!symbol || !node.loc) return;
+        symbol.references.push({ loc: node.loc, scope });
+        this.occurrences.push({ loc: node.loc, symbol });
+    }
+
+    visitFunction(node) {
+        // Functions only see globals and their own parameters
+        const scope = new Scope(this.globalScope);
+        for (const param of node.params) {
+            this.declare(scope, param.name, { kind: 'param', type: param.type, node, loc: param.loc }, node);
+        }
+        node.body.body.forEach(stmt => this.visitStatement(stmt, scope, node));
+    }
+
+    visitStatement(node, scope, func) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                this.declare(scope, node.name, { kind: 'function', type: 'function', node, loc: node.loc }, func);
+                this.visitFunction(node);
+                break;
+            case 'VariableDeclaration':
+                this.visitVariableDeclaration(node, scope, func);
+                break;
+            case 'ExpressionStatement':
+                this.visitExpression(node.expression, scope);
+                break;
+            case 'BlockStatement': {
+                const blockScope = new Scope(scope);
+                node.body.forEach(stmt => this.visitStatement(stmt, blockScope, func));
+                break;
+            }
+            case 'IfStatement':
+                this.visitExpression(node.test, scope);
+                this.visitStatement(node.consequent, scope, func);
+                if (node.alternate) this.visitStatement(node.alternate, scope, func);
+                break;
+            case 'ForStatement': {
+                const forScope = new Scope(scope);
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') {
+                        this.visitVariableDeclaration(node.init, forScope, func);
+                    } else {
+                        this.visitExpression(node.init, forScope);
+                    }
+                }
+                if (node.test) this.visitExpression(node.test, forScope);
+                if (node.update) this.visitExpression(node.update, forScope);
+                this.visitStatement(node.body, forScope, func);
+                break;
+            }
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.visitExpression(node.test, scope);
+                this.visitStatement(node.body, scope, func);
+                break;
+            case 'SwitchStatement': {
+                this.visitExpression(node.discriminant, scope);
+                const switchScope = new Scope(scope);
+                for (const c of node.cases) {
+                    if (c.test) this.visitExpression(c.test, switchScope);
+                    c.consequent.forEach(stmt => this.visitStatement(stmt, switchScope, func));
+                }
+                break;
+            }
+            case 'ReturnStatement':
+                if (node.argument) this.visitExpression(node.argument, scope);
+                break;
+        }
+    }
+
+    visitVariableDeclaration(node, scope, func) {
+        // The initializer can't see the variable being declared
+        if (node.init) this.visitExpression(node.init, scope);
+        this.declare(scope, node.name, { kind: node.kind, type: node.varType, node, loc: node.loc }, func);
+    }
+
+    visitExpression(node, scope) {
+        if (!node) return;
+        switch (node.type) {
+            case 'Identifier':
+                this.reference(node, scope);
+                break;
+            case 'BinaryExpression':
+            case 'AssignmentExpression':
+                this.visitExpression(node.left, scope);
+                this.visitExpression(node.right, scope);
+                break;
+            case 'UnaryExpression':
+            case 'UpdateExpression':
+                this.visitExpression(node.argument, scope);
+                break;
+            case 'ConditionalExpression':
+                this.visitExpression(node.test, scope);
+                this.visitExpression(node.consequent, scope);
+                this.visitExpression(node.alternate, scope);
+                break;
+            case 'CallExpression':
+                this.visitExpression(node.callee, scope);
+                node.arguments.forEach(arg => this.visitExpression(arg, scope));
+                break;
+            case 'MemberExpression':
+                this.visitExpression(node.object, scope);
+                // obj.field names a struct field, not a variable
+                if (node.computed) this.visitExpression(node.property, scope);
+                break;
+            case 'ArrayExpression':
+                node.elements.forEach(element => this.visitExpression(element, scope));
+                break;
+            case 'ObjectExpression':
+                node.properties.forEach(property => this.visitExpression(property.value, scope));
+                break;
+        }
+    }
+
+    // Symbol declared or referenced at this position (1-based), or null
+    symbolAt(line, column) {
+        const occurrence = this.occurrences.find(({ loc }) =>
+            loc.line === line && column >= loc.column && column <= loc.column + loc.length);
+        return occurrence ? occurrence.symbol : null;
+    }
+
+    // Why the symbol can't be renamed at all, or null
+    validateRenameTarget(symbol) {
+        if (symbol.kind === 'struct') {
+            // Struct names are used in type annotations, which aren't tracked as references
+            return 'Renaming struct types is not supported';
+        }
+        return null;
+    }
+
+    // Why the symbol can't be renamed to newName, or null if the rename is safe
+    validateRename(symbol, newName) {
+        const targetError = this.validateRenameTarget(symbol);
+        if (targetError) return targetError;
+        if (newName === symbol.name) return null;
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(newName)) {
+            return `${newName} is not a valid identifier`;
+        }
+        if (KEYWORDS[newName] || newName === 'type') {
+            return `${newName} is a keyword`;
+        }
+        if (/^lv_/i.test(newName)) {
+            return `Names starting with ${newName.slice(0, 3)} are reserved for LVGL`;
+        }
+        if (newName in this.globals) {
+            // The globals passed to the script hide its declarations with the same name
+            return `${newName} is a global passed to the script`;
+        }
+
+        // The new name must not be visible where the symbol is used (the references would bind to
+        // the other declaration) and must not be declared in the symbol's scope or any scope inside
+        // it (the other declaration would shadow the renamed one).
+        for (const scope of [symbol.scope, ...symbol.references.map(ref => ref.scope)]) {
+            const existing = scope.lookup(newName);
+            if (existing) {
+                return `${newName} is already declared${describeDeclaration(existing)}`;
+            }
+        }
+        const nested = this.symbols.find(other => other.name === newName && isScopeWithin(other.scope, symbol.scope));
+        if (nested) {
+            return `${newName} is already declared${describeDeclaration(nested)}`;
+        }
+
+        return null;
+    }
+}
+
+function isScopeWithin(scope, ancestor) {
+    for (let s = scope; s; s = s.parent) {
+        if (s === ancestor) return true;
+    }
+    return false;
+}
+
+// ============================================================================
+// BYTECODE (Compiler, Binary Format, VM)
+// ============================================================================
+
+// Stack machine instructions: [name, ...operand widths]. The opcode is the index in this list,
+// so instructions are only ever added at the end (the binary format depends on the numbering).
+// u16 operands index the constant pool (names, types, literals), locals, globals or functions.
+const BYTECODE_INSTRUCTIONS = [
+    ['PUSH_CONST', 'u16'],          // constant pool value
+    ['PUSH_UNDEFINED'],
+    ['POP'],
+    ['DUP'],
+    ['DUP2'],                       // a b -> a b a b
+    ['LOAD_LOCAL', 'u16'],
+    ['STORE_LOCAL', 'u16'],         // pops the value
+    ['LOAD_GLOBAL', 'u16'],
+    ['STORE_GLOBAL', 'u16'],
+    ['LOAD_LV_CONST', 'u16'],       // LVGL constant by name
+    ['LOAD_HOST', 'u16'],           // value of the globals passed by the host, by path
+    ['LOAD_FUNCTION', 'u16'],       // script function as a value (callbacks)
+    ['DECLARE', 'u16', 'u16'],      // type, name: value of a variable declaration (arrays, structs, cstring)
+    ['CONVERT', 'u16'],             // type: value assigned to a variable or returned from a function
+    ['CHECK_ELEMENT', 'u16'],       // type: value stored into an array element
+    ['ADD'], ['SUB'], ['MUL'], ['DIV'], ['MOD'],
+    ['EQ'], ['NE'], ['LT'], ['GT'], ['LE'], ['GE'], ['STRICT_EQ'],
+    ['BIT_AND'], ['BIT_OR'], ['BIT_XOR'], ['SHL'], ['SHR'],
+    ['NOT'], ['NEG'], ['BIT_NOT'],
+    ['JUMP', 'u32'],
+    ['JUMP_IF_FALSE', 'u32'],       // pops the condition
+    ['JUMP_IF_TRUE', 'u32'],
+    ['JUMP_IF_FALSE_KEEP', 'u32'],  // &&: keeps the value when jumping, pops it otherwise
+    ['JUMP_IF_TRUE_KEEP', 'u32'],   // ||
+    ['NEW_ARRAY', 'u16'],           // element count
+    ['NEW_OBJECT', 'u16'],          // property count, keys and values are on the stack in pairs
+    ['GET_INDEX'],                  // array index -> value
+    ['SET_INDEX'],                  // array index value -> value
+    ['GET_FIELD', 'u16'],           // object -> value
+    ['SET_FIELD', 'u16'],           // object value -> value
+    ['UPDATE_INDEX', 'u8'],         // array index -> value, flags: 1 decrement, 2 prefix
+    ['UPDATE_FIELD', 'u16', 'u8'],  // object -> value
+    ['CALL', 'u16', 'u8'],          // script function, argument count
+    ['CALL_LVGL', 'u16', 'u8'],     // LVGL function table entry
+    ['CALL_HOST', 'u16', 'u8'],     // path of a host function, like System.UTF8ToString
+    ['CALL_VALUE', 'u8'],           // callee below the arguments
+    ['RETURN'],
+    ['UNINITIALIZE', 'u16'],        // local declared by a switch case, until its declaration runs
+    ['CHECK_INITIALIZED', 'u16', 'u16'] // local, name: throws if the switch jumped past its declaration
+];
+
+const OPCODES = {};
+BYTECODE_INSTRUCTIONS.forEach(([name], opcode) => {
+    OPCODES[name] = opcode;
+});
+
+const OPERAND_SIZES = { u8: 1, u16: 2, u32: 4 };
+
+const BYTECODE_BINARY_OPCODES = {
+    '+': 'ADD', '-': 'SUB', '*': 'MUL', '/': 'DIV', '%': 'MOD',
+    '==': 'EQ', '!=': 'NE', '<': 'LT', '>': 'GT', '<=': 'LE', '>=': 'GE',
+    '&': 'BIT_AND', '|': 'BIT_OR', '^': 'BIT_XOR', '<<': 'SHL', '>>': 'SHR'
+};
+
+// Marks a missing type or name in u16 operands and in the binary format
+const BYTECODE_NONE = 0xFFFF;
+
+// Instruction bytes of one function, with jump patching and the source location of the instructions
+class BytecodeWriter {
+    constructor() {
+        this.bytes = [];
+        this.locations = []; // [pc, line, column, length], sorted by pc
+    }
+
+    get pc() {
+        return this.bytes.length;
+    }
+
+    emit(name, ...operands) {
+        const [, ...widths] = BYTECODE_INSTRUCTIONS[OPCODES[name]];
+        this.bytes.push(OPCODES[name]);
+        widths.forEach((width, i) => this.writeOperand(width, operands[i], this.bytes.length));
+        return this.bytes.length - (widths.length ? OPERAND_SIZES[widths[widths.length - 1]] : 0);
+    }
+
+    writeOperand(width, value, offset) {
+        for (let i = 0; i < OPERAND_SIZES[width]; i++) {
+            this.bytes[offset + i] = (value >>> (8 * i)) & 0xFF;
+        }
+    }
+
+    // Jump with the target set later by patch(), returns the position of the target operand
+    emitJump(name) {
+        return this.emit(name, 0);
+    }
+
+    patch(operandOffset, target = this.pc) {
+        this.writeOperand('u32', target, operandOffset);
+    }
+
+    mark(node) {
+        const loc = node && node.loc;
+        if (!loc || !loc.line) return;
+        const last = this.locations[this.locations.length - 1];
+        if (last && last[0] === this.pc) {
+            this.locations[this.locations.length - 1] = [this.pc, loc.line, loc.column, loc.length || 1];
+        } else if (!last || last[1] !== loc.line || last[2] !== loc.column) {
+            this.locations.push([this.pc, loc.line, loc.column, loc.length || 1]);
+        }
+    }
+}
+
+// Compiles the Parser AST to bytecode for the BytecodeVM:
+//   { constants, structs: [{ name, fields: [{ name, type }] }], lvglFunctions: [{ name, runtimeName, params, returnType }],
+//     globals: [name], functions: [{ name, params: [{ name, type }], returnType, localCount, code, locations }], main }
+// Names resolve to local, global and function slots at compile time. The LVGL functions the script
+// calls are listed with their signatures, so the VM only needs the LVGL module to run it.
+// Like emitJS, this expects a script that passes eez_script_check.
+class BytecodeCompiler {
+    constructor(allowedFunctions) {
+        this.allowedFunctions = allowedFunctions && !Array.isArray(allowedFunctions) ? allowedFunctions : {};
+        this.constants = [];
+        this.constantIndexes = new Map();
+        this.structs = [];
+        this.lvglFunctions = [];
+        this.lvglFunctionIndexes = new Map();
+        this.globals = new Map(); // name -> { slot, type, declaration }
+        this.functions = [];
+        this.functionIndexes = new Map();
+        this.context = null;
+    }
+
+    compile(ast) {
+        for (const stmt of ast.body) {
+            if (stmt.type === 'StructDeclaration') {
+                this.structs.push({ name: stmt.name, fields: stmt.fields.map(field => ({ name: field.name, type: field.type })) });
+            } else if (stmt.type === 'VariableDeclaration' && !this.globals.has(stmt.name)) {
+                this.globals.set(stmt.name, { slot: this.globals.size, type: stmt.varType, declaration: stmt });
+            }
+        }
+
+        // Functions can be called before their declaration, nested ones are global like in the interpreter
+        const declarations = [];
+        const collectFunctions = node => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(collectFunctions);
+                return;
+            }
+            if (node.type === 'FunctionDeclaration' && !this.functionIndexes.has(node.name)) {
+                this.functionIndexes.set(node.name, declarations.length);
+                declarations.push(node);
+            }
+            for (const key of Object.keys(node)) {
+                if (key !== 'loc' && typeof node[key] === 'object') collectFunctions(node[key]);
+            }
+        };
+        collectFunctions(ast.body);
+
+        declarations.forEach(declaration => this.compileFunction(declaration));
+
+        // The top level code runs as the main function, top level names are globals
+        const main = this.functions.length;
+        this.beginFunction(null);
+        for (const stmt of ast.body) {
+            this.compileStatement(stmt, true);
+        }
+        this.endFunction('<main>', [], null);
+
+        // The binary format stores the names and types of the tables as constant pool indexes
+        const names = [
+            ...this.structs.flatMap(struct => [struct.name, ...struct.fields.flatMap(field => [field.name, field.type])]),
+            ...this.lvglFunctions.flatMap(func => [func.name, func.runtimeName, func.returnType, ...func.params]),
+            ...this.globals.keys(),
+            ...this.functions.flatMap(func => [func.name, func.returnType, ...func.params.flatMap(param => [param.name, param.type])])
+        ];
+        names.forEach(name => this.optionalConstant(name));
+
+        return {
+            constants: this.constants,
+            structs: this.structs,
+            lvglFunctions: this.lvglFunctions,
+            globals: [...this.globals.keys()],
+            functions: this.functions,
+            main
+        };
+    }
+
+    constant(value) {
+        const key = `${typeof value}:${value}`;
+        if (!this.constantIndexes.has(key)) {
+            this.constantIndexes.set(key, this.constants.length);
+            this.constants.push(value);
+        }
+        return this.constantIndexes.get(key);
+    }
+
+    optionalConstant(value) {
+        return value === null || value === undefined ? BYTECODE_NONE : this.constant(value);
+    }
+
+    lvglFunction(name) {
+        if (!this.lvglFunctionIndexes.has(name)) {
+            const spec = typeof this.allowedFunctions[name] === 'object' ? this.allowedFunctions[name] : {};
+            this.lvglFunctionIndexes.set(name, this.lvglFunctions.length);
+            this.lvglFunctions.push({
+                name,
+                runtimeName: spec.runtimeName || spec.aliasOf || name,
+                params: spec.params || [],
+                returnType: spec.returnType || null
+            });
+        }
+        return this.lvglFunctionIndexes.get(name);
+    }
+
+    beginFunction(declaration) {
+        this.context = {
+            writer: new BytecodeWriter(),
+            scopes: [new Map()], // name -> { slot, type, declaration }
+            localCount: 0,
+            jumpTargets: [], // { isLoop, breaks: [], continues: [] }
+            returnType: declaration ? declaration.returnType : null
+        };
+    }
+
+    endFunction(name, params, returnType) {
+        const { writer, localCount } = this.context;
+        writer.emit('PUSH_UNDEFINED');
+        writer.emit('RETURN');
+        this.functions.push({ name, params, returnType, localCount, code: Uint8Array.from(writer.bytes), locations: writer.locations });
+        this.context = null;
+    }
+
+    compileFunction(node) {
+        this.beginFunction(node);
+        const params = node.params.map(param => ({ name: param.name, type: param.type || null }));
+        params.forEach(param => this.declareLocal(param.name, param.type, node));
+        // The body is in the scope of the parameters, like in the interpreter
+        node.body.body.forEach(stmt => this.compileStatement(stmt, false));
+        this.endFunction(node.name, params, node.returnType || null);
+    }
+
+    declareLocal(name, type, node = null) {
+        const scope = this.context.scopes[this.context.scopes.length - 1];
+        if (scope.has(name)) {
+            throw this.error(`${name} is already declared in this scope`, node, 'redeclaration');
+        }
+        const local = { slot: this.context.localCount++, type, declaration: node };
+        scope.set(name, local);
+        return local;
+    }
+
+    // Errors the interpreter reports when it runs the code are reported when compiling it
+    error(message, node, code, relatedInformation) {
+        return createLocatedRuntimeError(message, findLocation(node), code, relatedInformation);
+    }
+
+    // { kind: 'local' | 'global' | 'function', slot, type } or null
+    resolve(name) {
+        const scopes = this.context.scopes;
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            if (scopes[i].has(name)) return { kind: 'local', ...scopes[i].get(name) };
+        }
+        if (this.globals.has(name)) return { kind: 'global', ...this.globals.get(name) };
+        if (this.functionIndexes.has(name)) return { kind: 'function', slot: this.functionIndexes.get(name) };
+        return null;
+    }
+
+    compileBlock(statements) {
+        this.context.scopes.push(new Map());
+        statements.forEach(stmt => this.compileStatement(stmt, false));
+        this.context.scopes.pop();
+    }
+
+    compileStatement(node, isTopLevel) {
+        const writer = this.context.writer;
+        writer.mark(node);
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'StructDeclaration':
+                break;
+            case 'VariableDeclaration': {
+                if (node.init) {
+                    this.compileExpression(node.init);
+                } else {
+                    writer.emit('PUSH_UNDEFINED');
+                }
+                writer.mark(node);
+                writer.emit('DECLARE', this.optionalConstant(node.varType), this.constant(node.name));
+                if (isTopLevel) {
+                    writer.emit('STORE_GLOBAL', this.globals.get(node.name).slot);
+                } else {
+                    const caseVariable = this.context.scopes[this.context.scopes.length - 1].get(node.name);
+                    const local = caseVariable && caseVariable.declaration === node ? caseVariable : this.declareLocal(node.name, node.varType, node);
+                    writer.emit('STORE_LOCAL', local.slot);
+                }
+                break;
+            }
+            case 'ExpressionStatement':
+                this.compileExpression(node.expression);
+                writer.emit('POP');
+                break;
+            case 'BlockStatement':
+                this.compileBlock(node.body);
+                break;
+            case 'IfStatement': {
+                this.compileExpression(node.test);
+                const toElse = writer.emitJump('JUMP_IF_FALSE');
+                this.compileStatement(node.consequent, false);
+                if (node.alternate) {
+                    const toEnd = writer.emitJump('JUMP');
+                    writer.patch(toElse);
+                    this.compileStatement(node.alternate, false);
+                    writer.patch(toEnd);
+                } else {
+                    writer.patch(toElse);
+                }
+                break;
+            }
+            case 'WhileStatement': {
+                const start = writer.pc;
+                this.compileExpression(node.test);
+                const toEnd = writer.emitJump('JUMP_IF_FALSE');
+                this.compileLoopBody(node.body, start);
+                writer.mark(node);
+                writer.emit('JUMP', start);
+                writer.patch(toEnd);
+                this.endJumpTarget();
+                break;
+            }
+            case 'DoWhileStatement': {
+                const start = writer.pc;
+                const target = this.compileLoopBody(node.body, null);
+                target.continues.forEach(offset => writer.patch(offset));
+                this.compileExpression(node.test);
+                writer.mark(node);
+                writer.emit('JUMP_IF_TRUE', start);
+                this.endJumpTarget();
+                break;
+            }
+            case 'ForStatement': {
+                this.context.scopes.push(new Map());
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') {
+                        this.compileStatement(node.init, false);
+                    } else {
+                        this.compileExpression(node.init);
+                        writer.emit('POP');
+                    }
+                }
+                const start = writer.pc;
+                let toEnd = null;
+                if (node.test) {
+                    this.compileExpression(node.test);
+                    toEnd = writer.emitJump('JUMP_IF_FALSE');
+                }
+                const target = this.compileLoopBody(node.body, null);
+                target.continues.forEach(offset => writer.patch(offset));
+                if (node.update) {
+                    this.compileExpression(node.update);
+                    writer.emit('POP');
+                }
+                writer.mark(node);
+                writer.emit('JUMP', start);
+                if (toEnd !== null) writer.patch(toEnd);
+                this.endJumpTarget();
+                this.context.scopes.pop();
+                break;
+            }
+            case 'SwitchStatement':
+                this.compileSwitch(node);
+                break;
+            case 'ReturnStatement':
+                if (node.argument) {
+                    this.compileExpression(node.argument);
+                    writer.emit('CONVERT', this.optionalConstant(this.context.returnType));
+                } else {
+                    writer.emit('PUSH_UNDEFINED');
+                }
+                writer.emit('RETURN');
+                break;
+            case 'BreakStatement':
+                this.context.jumpTargets[this.context.jumpTargets.length - 1].breaks.push(writer.emitJump('JUMP'));
+                break;
+            case 'ContinueStatement': {
+                const loop = [...this.context.jumpTargets].reverse().find(target => target.isLoop);
+                if (loop.continueTarget !== null) {
+                    writer.emit('JUMP', loop.continueTarget);
+                } else {
+                    loop.continues.push(writer.emitJump('JUMP'));
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown statement type in bytecode compiler: ${node.type}`);
+        }
+    }
+
+    // continueTarget is null when it comes after the body (do-while condition, for update)
+    compileLoopBody(body, continueTarget) {
+        const target = { isLoop: true, breaks: [], continues: [], continueTarget };
+        this.context.jumpTargets.push(target);
+        this.compileStatement(body, false);
+        return target;
+    }
+
+    endJumpTarget() {
+        const target = this.context.jumpTargets.pop();
+        target.breaks.forEach(offset => this.context.writer.patch(offset));
+    }
+
+    // The discriminant is kept in a local, the cases are compared in order with ===.
+    // The variables of the cases are declared for the whole switch body and checked where they
+    // are used (see Interpreter.declareCaseVariables).
+    compileSwitch(node) {
+        const writer = this.context.writer;
+        this.context.scopes.push(new Map());
+        const discriminant = this.declareLocal('<switch>', null).slot;
+        this.compileExpression(node.discriminant);
+        writer.emit('STORE_LOCAL', discriminant);
+        node.cases.forEach(switchCase => switchCase.consequent.forEach(stmt => {
+            if (stmt.type === 'VariableDeclaration') {
+                const local = this.declareLocal(stmt.name, stmt.varType, stmt);
+                local.caseVariable = true;
+                writer.emit('UNINITIALIZE', local.slot);
+            }
+        }));
+
+        const caseJumps = node.cases.map(switchCase => {
+            if (!switchCase.test) return null;
+            writer.emit('LOAD_LOCAL', discriminant);
+            this.compileExpression(switchCase.test);
+            writer.emit('STRICT_EQ');
+            return writer.emitJump('JUMP_IF_TRUE');
+        });
+        const toDefault = writer.emitJump('JUMP');
+
+        this.context.jumpTargets.push({ isLoop: false, breaks: [], continues: [] });
+        let defaultPc = null;
+        node.cases.forEach((switchCase, i) => {
+            if (caseJumps[i] !== null) {
+                writer.patch(caseJumps[i]);
+            } else {
+                defaultPc = writer.pc;
+            }
+            switchCase.consequent.forEach(stmt => this.compileStatement(stmt, false));
+        });
+        writer.patch(toDefault, defaultPc !== null ? defaultPc : writer.pc);
+        this.endJumpTarget();
+        this.context.scopes.pop();
+    }
+
+    compileExpression(node) {
+        const writer = this.context.writer;
+        writer.mark(node);
+
+        switch (node.type) {
+            case 'Literal':
+                if (node.value === undefined) {
+                    writer.emit('PUSH_UNDEFINED');
+                } else {
+                    writer.emit('PUSH_CONST', this.constant(node.value));
+                }
+                break;
+            case 'Identifier':
+                this.compileIdentifier(node);
+                break;
+            case 'BinaryExpression':
+                if (node.operator === '&&' || node.operator === '||') {
+                    this.compileExpression(node.left);
+                    const toEnd = writer.emitJump(node.operator === '&&' ? 'JUMP_IF_FALSE_KEEP' : 'JUMP_IF_TRUE_KEEP');
+                    this.compileExpression(node.right);
+                    writer.patch(toEnd);
+                } else {
+                    this.compileExpression(node.left);
+                    this.compileExpression(node.right);
+                    writer.mark(node);
+                    writer.emit(BYTECODE_BINARY_OPCODES[node.operator]);
+                }
+                break;
+            case 'UnaryExpression':
+                if (node.operator === '++' || node.operator === '--') {
+                    this.compileUpdate(node.argument, node.operator === '++' ? 1 : -1, true);
+                } else {
+                    this.compileExpression(node.argument);
+                    writer.emit({ '!': 'NOT', '-': 'NEG', '~': 'BIT_NOT' }[node.operator]);
+                }
+                break;
+            case 'UpdateExpression':
+                this.compileUpdate(node.argument, node.operator === '++' ? 1 : -1, node.prefix);
+                break;
+            case 'AssignmentExpression':
+                this.compileAssignment(node);
+                break;
+            case 'CallExpression':
+                this.compileCall(node);
+                break;
+            case 'MemberExpression':
+                this.compileExpression(node.object);
+                if (node.computed) {
+                    this.compileExpression(node.property);
+                    writer.mark(node);
+                    writer.emit('GET_INDEX');
+                } else {
+                    writer.mark(node);
+                    writer.emit('GET_FIELD', this.constant(node.property));
+                }
+                break;
+            case 'ArrayExpression':
+                node.elements.forEach(element => this.compileExpression(element));
+                writer.emit('NEW_ARRAY', node.elements.length);
+                break;
+            case 'ObjectExpression':
+                for (const property of node.properties) {
+                    writer.emit('PUSH_CONST', this.constant(property.key));
+                    this.compileExpression(property.value);
+                }
+                writer.emit('NEW_OBJECT', node.properties.length);
+                break;
+            case 'ConditionalExpression': {
+                this.compileExpression(node.test);
+                const toAlternate = writer.emitJump('JUMP_IF_FALSE');
+                this.compileExpression(node.consequent);
+                const toEnd = writer.emitJump('JUMP');
+                writer.patch(toAlternate);
+                this.compileExpression(node.alternate);
+                writer.patch(toEnd);
+                break;
+            }
+            default:
+                throw new Error(`Unknown expression type in bytecode compiler: ${node.type}`);
+        }
+    }
+
+    compileIdentifier(node) {
+        const writer = this.context.writer;
+        if (node.name.startsWith('LV_')) {
+            writer.emit('LOAD_LV_CONST', this.constant(node.name));
+            return;
+        }
+        const symbol = this.resolve(node.name);
+        if (!symbol) {
+            writer.emit('LOAD_HOST', this.constant(node.name));
+        } else if (symbol.kind === 'function') {
+            writer.emit('LOAD_FUNCTION', symbol.slot);
+        } else {
+            this.checkInitialized(symbol);
+            writer.emit(symbol.kind === 'local' ? 'LOAD_LOCAL' : 'LOAD_GLOBAL', symbol.slot);
+        }
+    }
+
+    checkInitialized(symbol) {
+        if (symbol.caseVariable) {
+            this.context.writer.emit('CHECK_INITIALIZED', symbol.slot, this.constant(symbol.declaration.name));
+        }
+    }
+
+    // The variable an assignment or increment of node (an Identifier) stores to, see Interpreter.lookupAssignable
+    resolveAssignable(node) {
+        const symbol = this.resolve(node.name);
+        if (!symbol) {
+            throw this.error(`Cannot assign to undefined variable: ${node.name}`, node, 'undefined-variable');
+        }
+        if (symbol.kind === 'function') {
+            throw this.error(`Cannot assign to function: ${node.name}`, node);
+        }
+        const declaration = { node: symbol.declaration };
+        if (symbol.declaration && symbol.declaration.kind === 'const') {
+            throw this.error(`Cannot assign to const variable: ${node.name}${describeDeclaration(declaration)}`, node, 'const-assignment',
+                declarationInfo(declaration, `${node.name} is declared const here`));
+        }
+        return symbol;
+    }
+
+    storeVariable(symbol) {
+        this.checkInitialized(symbol);
+        this.context.writer.emit(symbol.kind === 'local' ? 'STORE_LOCAL' : 'STORE_GLOBAL', symbol.slot);
+    }
+
+    // Element type of an array variable, to convert the values stored into it
+    arrayElementType(node) {
+        if (node.object.type !== 'Identifier') return null;
+        const symbol = this.resolve(node.object.name);
+        const arrayType = symbol ? parseArrayType(symbol.type) : null;
+        return arrayType ? arrayType.elementType : null;
+    }
+
+    compileAssignment(node) {
+        const writer = this.context.writer;
+        const left = node.left;
+        const opcode = node.operator === '=' ? null : BYTECODE_BINARY_OPCODES[node.operator.slice(0, -1)];
+
+        if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+            throw this.error('Invalid assignment target', left);
+        }
+        if (left.type === 'Identifier') {
+            const symbol = this.resolveAssignable(left);
+            if (opcode) {
+                this.compileIdentifier(left);
+                this.compileExpression(node.right);
+                writer.emit(opcode);
+            } else {
+                this.compileExpression(node.right);
+                writer.mark(node);
+                writer.emit('CONVERT', this.optionalConstant(symbol.type));
+            }
+            writer.emit('DUP');
+            this.storeVariable(symbol);
+            return;
+        }
+
+        this.compileExpression(left.object);
+        if (left.computed) {
+            this.compileExpression(left.property);
+            if (opcode) {
+                writer.emit('DUP2');
+                writer.mark(left);
+                writer.emit('GET_INDEX');
+                this.compileExpression(node.right);
+                writer.emit(opcode);
+            } else {
+                this.compileExpression(node.right);
+            }
+            writer.mark(node);
+            const elementType = this.arrayElementType(left);
+            if (elementType) {
+                writer.emit('CHECK_ELEMENT', this.constant(elementType));
+            }
+            writer.emit('SET_INDEX');
+        } else {
+            if (opcode) {
+                writer.emit('DUP');
+                writer.mark(left);
+                writer.emit('GET_FIELD', this.constant(left.property));
+                this.compileExpression(node.right);
+                writer.emit(opcode);
+            } else {
+                this.compileExpression(node.right);
+            }
+            writer.mark(node);
+            writer.emit('SET_FIELD', this.constant(left.property));
+        }
+    }
+
+    compileUpdate(argument, delta, prefix) {
+        const writer = this.context.writer;
+        const flags = (delta < 0 ? 1 : 0) | (prefix ? 2 : 0);
+
+        if (argument.type !== 'Identifier' && argument.type !== 'MemberExpression') {
+            throw this.error('Can only increment variables', argument);
+        }
+        if (argument.type === 'Identifier') {
+            const symbol = this.resolveAssignable(argument);
+            this.compileIdentifier(argument);
+            if (!prefix) writer.emit('DUP');
+            writer.emit('PUSH_CONST', this.constant(1));
+            writer.emit(delta < 0 ? 'SUB' : 'ADD');
+            if (prefix) writer.emit('DUP');
+            this.storeVariable(symbol);
+        } else if (argument.computed) {
+            this.compileExpression(argument.object);
+            this.compileExpression(argument.property);
+            writer.mark(argument);
+            writer.emit('UPDATE_INDEX', flags);
+        } else {
+            this.compileExpression(argument.object);
+            writer.mark(argument);
+            writer.emit('UPDATE_FIELD', this.constant(argument.property), flags);
+        }
+    }
+
+    compileCall(node) {
+        const writer = this.context.writer;
+        const callee = node.callee;
+        const compileArguments = () => node.arguments.forEach(arg => this.compileExpression(arg));
+
+        if (callee.type === 'Identifier') {
+            const symbol = this.resolve(callee.name);
+            if (callee.name.startsWith('lv_') && !symbol) {
+                compileArguments();
+                writer.mark(node);
+                writer.emit('CALL_LVGL', this.lvglFunction(callee.name), node.arguments.length);
+                return;
+            }
+            if (symbol && symbol.kind === 'function') {
+                compileArguments();
+                writer.mark(node);
+                writer.emit('CALL', symbol.slot, node.arguments.length);
+                return;
+            }
+            if (!symbol) {
+                compileArguments();
+                writer.mark(node);
+                writer.emit('CALL_HOST', this.constant(callee.name), node.arguments.length);
+                return;
+            }
+        }
+
+        // System.UTF8ToString(...) and other functions of the host globals
+        const path = callee.type === 'MemberExpression' ? getMemberExpressionPath(callee) : null;
+        if (path && !this.resolve(path.split('.')[0])) {
+            compileArguments();
+            writer.mark(node);
+            writer.emit('CALL_HOST', this.constant(path), node.arguments.length);
+            return;
+        }
+
+        this.compileExpression(callee);
+        compileArguments();
+        writer.mark(node);
+        writer.emit('CALL_VALUE', node.arguments.length);
+    }
+}
+
+function compileBytecode(ast, allowedFunctions) {
+    return new BytecodeCompiler(allowedFunctions).compile(ast);
+}
+
+// Binary format, all numbers little endian:
+//   'EEZB', u16 format version
+//   u16 constant count, constants: u8 tag (0 number: f64, 1 string: u32 length + UTF-8, 2 false, 3 true, 4 null)
+//   u16 struct count, structs: u16 name, u16 field count, fields: u16 name, u16 type
+//   u16 LVGL function count, functions: u16 name, u16 runtime name, u16 return type, u8 param count, u16 param types
+//   u16 global count, globals: u16 name
+//   u16 function count, functions: u16 name, u16 return type, u8 param count, params: u16 name, u16 type,
+//       u16 local count, u32 code length, code, u32 location count, locations: u32 pc, u32 line, u16 column, u16 length
+//   u16 main function index
+// Names and types are constant pool indexes, 0xFFFF when there is none.
+const BYTECODE_MAGIC = 'EEZB';
+const BYTECODE_FORMAT_VERSION = 1;
+
+function serializeBytecode(program) {
+    const bytes = [];
+    const u8 = value => bytes.push(value & 0xFF);
+    const u16 = value => { u8(value); u8(value >>> 8); };
+    const u32 = value => { u16(value & 0xFFFF); u16(value >>> 16); };
+    const f64 = value => {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value, true);
+        for (let i = 0; i < 8; i++) u8(view.getUint8(i));
+    };
+    const constantIndexes = new Map(program.constants.map((value, i) => [`${typeof value}:${value}`, i]));
+    const name = value => u16(value === null || value === undefined ? BYTECODE_NONE : constantIndexes.get(`string:${value}`));
+
+    [...BYTECODE_MAGIC].forEach(ch => u8(ch.charCodeAt(0)));
+    u16(BYTECODE_FORMAT_VERSION);
+
+    u16(program.constants.length);
+    for (const value of program.constants) {
+        if (typeof value === 'number') {
+            u8(0);
+            f64(value);
+        } else if (typeof value === 'string') {
+            const utf8 = new TextEncoder().encode(value);
+            u8(1);
+            u32(utf8.length);
+            utf8.forEach(u8);
+        } else if (typeof value === 'boolean') {
+            u8(value ? 3 : 2);
+        } else {
+            u8(4);
+        }
+    }
+
+    u16(program.structs.length);
+    for (const struct of program.structs) {
+        name(struct.name);
+        u16(struct.fields.length);
+        struct.fields.forEach(field => { name(field.name); name(field.type); });
+    }
+
+    u16(program.lvglFunctions.length);
+    for (const func of program.lvglFunctions) {
+        name(func.name);
+        name(func.runtimeName);
+        name(func.returnType);
+        u8(func.params.length);
+        func.params.forEach(name);
+    }
+
+    u16(program.globals.length);
+    program.globals.forEach(name);
+
+    u16(program.functions.length);
+    for (const func of program.functions) {
+        name(func.name);
+        name(func.returnType);
+        u8(func.params.length);
+        func.params.forEach(param => { name(param.name); name(param.type); });
+        u16(func.localCount);
+        u32(func.code.length);
+        func.code.forEach(u8);
+        u32(func.locations.length);
+        func.locations.forEach(([pc, line, column, length]) => { u32(pc); u32(line); u16(column); u16(length); });
+    }
+
+    u16(program.main);
+    return Uint8Array.from(bytes);
+}
+
+function deserializeBytecode(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    const u8 = () => view.getUint8(offset++);
+    const u16 = () => { const value = view.getUint16(offset, true); offset += 2; return value; };
+    const u32 = () => { const value = view.getUint32(offset, true); offset += 4; return value; };
+
+    const magic = String.fromCharCode(u8(), u8(), u8(), u8());
+    if (magic !== BYTECODE_MAGIC) {
+        throw new Error('Not EEZ Script bytecode');
+    }
+    const version = u16();
+    if (version !== BYTECODE_FORMAT_VERSION) {
+        throw new Error(`Unsupported bytecode format version ${version}`);
+    }
+
+    const constants = [];
+    for (let i = u16(); i > 0; i--) {
+        const tag = u8();
+        if (tag === 0) {
+            constants.push(view.getFloat64(offset, true));
+            offset += 8;
+        } else if (tag === 1) {
+            const length = u32();
+            constants.push(new TextDecoder().decode(bytes.subarray(offset, offset + length)));
+            offset += length;
+        } else {
+            constants.push([false, true, null][tag - 2]);
+        }
+    }
+    const name = () => {
+        const index = u16();
+        return index === BYTECODE_NONE ? null : constants[index];
+    };
+    const list = (count, read) => Array.from({ length: count }, read);
+
+    const structs = list(u16(), () => ({ name: name(), fields: list(u16(), () => ({ name: name(), type: name() })) }));
+    const lvglFunctions = list(u16(), () => ({ name: name(), runtimeName: name(), returnType: name(), params: list(u8(), name) }));
+    const globals = list(u16(), name);
+    const functions = list(u16(), () => {
+        const func = { name: name(), returnType: name(), params: list(u8(), () => ({ name: name(), type: name() })), localCount: u16() };
+        const codeLength = u32();
+        func.code = bytes.slice(offset, offset + codeLength);
+        offset += codeLength;
+        func.locations = list(u32(), () => [u32(), u32(), u16(), u16()]);
+        return func;
+    });
+
+    return { constants, structs, lvglFunctions, globals, functions, main: u16() };
+}
+
+// Value of the locals declared by a switch case while the switch jumped past their declaration
+const UNINITIALIZED = Symbol('uninitialized');
+
+// Runs bytecode from the BytecodeCompiler. Values, structs, arrays, cstring and lv_color
+// conversions work like in the Interpreter (the VM reuses its value handling), LVGL calls are
+// bridged like in Interpreter.visitCallExpression.
+class BytecodeVM extends Interpreter {
+    constructor(program, globals, lvgl, constants, executionLimits) {
+        super(globals, lvgl, constants, null, executionLimits);
+        this.program = program;
+        for (const struct of program.structs) {
+            this.structTypes[struct.name] = struct;
+        }
+        this.globalValues = new Array(program.globals.length);
+        this.functionValues = [];
+        this.frame = null; // { func, pc } of the executing instruction, for error locations
+    }
+
+    // Runs the top level code
+    init() {
+        this.run(this.program.main, []);
+    }
+
+    callFunction(name, args) {
+        const index = this.program.functions.findIndex(func => func.name === name);
+        if (index === -1 || index === this.program.main) {
+            throw new ScriptError(createDiagnostic('error', 'undefined-function', `Runtime error: Function not found: ${name}`, null));
+        }
+        return this.run(index, args);
+    }
+
+    // Errors get the location of the executing instruction
+    createRuntimeError(message, node = null, code = 'runtime-error', relatedInformation = []) {
+        return super.createRuntimeError(message, findLocation(node) ? node : this.currentLocationNode(), code, relatedInformation);
+    }
+
+    currentLocationNode() {
+        if (!this.frame) return null;
+        let location = null;
+        for (const entry of this.frame.func.locations) {
+            if (entry[0] > this.frame.pc) break;
+            location = entry;
         }
+        return location ? { loc: { line: location[1], column: location[2], length: location[3] } } : null;
+    }
 
-        // Special handling for lv_obj_add_event_cb
-        if (functionName === 'lv_obj_add_event_cb') {
-            // args: [obj, callback_function, event_code, user_data]
-            // Register the callback with the event manager
-            if (this.eventManager && typeof args[1] === 'function') {
-                // EventManager handles the entire registration internally
-                // It will call wasm._lv_obj_add_event_cb with the global dispatcher
-                this.eventManager.register(args[0], args[2], args[1], scope);
-                // Don't call the function again - return early
-                return 0;
-            }
+    // Script functions passed as values (like event callbacks) call back into the VM
+    functionValue(index) {
+        if (!this.functionValues[index]) {
+            this.functionValues[index] = (...args) => this.run(index, args);
         }
+        return this.functionValues[index];
+    }
 
-        // Special handling for lv_color_hex which uses sret calling convention
-        if (functionName === 'lv_color_hex') {
-            // Allocate color buffer on first use (reused for all color operations)
-            if (!this._colorBuffer && this.lvgl && this.lvgl._lv_malloc) {
-                this._colorBuffer = this.lvgl._lv_malloc(4);
+    run(index, args) {
+        return this.withExecutionBudget(() => this.enterFunction(this.program.functions[index], args));
+    }
+
+    enterFunction(func, args) {
+        this.enterCall(null);
+        const locals = new Array(func.localCount);
+        const outerFrame = this.frame;
+        const frame = { func, pc: 0 };
+        this.frame = frame;
+
+        try {
+            func.params.forEach((param, i) => {
+                locals[i] = this.prepareParameter(func, i, args[i]);
+            });
+            const returnValue = this.runCode(func, locals, frame);
+            if (func.returnType && returnValue !== undefined && !this.isTypeCompatible(this.getValueType(returnValue), func.returnType)) {
+                throw this.createRuntimeError(`Function ${func.name} return type mismatch: expected ${func.returnType}, but got ${this.getValueType(returnValue)}`, null, 'type-mismatch');
             }
-            // Call with sret: first param is pointer to result location
-            func(this._colorBuffer, args[0]);
-            return this._colorBuffer;
+            return returnValue;
+        } finally {
+            this.frame = outerFrame;
+            this.leaveCall();
         }
+    }
 
-        const returnValue = func.apply(thisContext, args);
+    // See Interpreter.callFunction
+    prepareParameter(func, i, value) {
+        const param = func.params[i];
+        if (value === undefined) return value;
+        value = this.prepareStoredValue(value, param.type, null);
+        if (!param.type) return value;
 
-        // Validate return type for global functions if specified
-        if (isGlobalFunction && functionName in this.globalFunctionTypes) {
-            const typeSpec = this.globalFunctionTypes[functionName];
-            if (typeSpec.returnType && returnValue !== undefined) {
-                const actualType = this.getValueType(returnValue);
-                if (!this.isTypeCompatible(actualType, typeSpec.returnType)) {
-                    throw new Error(`Function ${functionName} return type mismatch: expected ${typeSpec.returnType}, but got ${actualType}`);
-                }
-            }
+        const actualType = this.getValueType(value);
+        if (param.type === 'cstring' && actualType === 'string') {
+            return this.convertStringToCString(value);
+        }
+        if (!this.isTypeCompatible(actualType, param.type)) {
+            throw this.createRuntimeError(`Function ${func.name} parameter ${i + 1} expects type ${param.type}, but got ${actualType}`, null, 'type-mismatch');
         }
+        const arrayType = parseArrayType(param.type);
+        if (arrayType && arrayType.size !== null && value.length !== arrayType.size) {
+            throw this.createRuntimeError(`Function ${func.name} parameter ${i + 1} expects an array of length ${arrayType.size}, but got ${value.length}`, null, 'type-mismatch');
+        }
+        return value;
+    }
 
-        // Auto-convert cstring return values to JavaScript strings
-        if (functionName && functionName.startsWith('lv_') && functionName in this.functionTypes) {
-            const typeSpec = this.functionTypes[functionName];
-            if (typeSpec.returnType === 'cstring' && typeof returnValue === 'number' && returnValue !== 0) {
-                // Convert C string pointer to JavaScript string using System.UTF8ToString
-                if (this.globals.System && this.globals.System.UTF8ToString) {
-                    const fn = this.globals.System.UTF8ToString.function || this.globals.System.UTF8ToString;
-                    return fn(returnValue);
+    runCode(func, locals, frame) {
+        const code = func.code;
+        const constants = this.program.constants;
+        const stack = [];
+        let pc = 0;
+        const u8 = () => code[pc++];
+        const u16 = () => { pc += 2; return code[pc - 2] | (code[pc - 1] << 8); };
+        const u32 = () => { pc += 4; return (code[pc - 4] | (code[pc - 3] << 8) | (code[pc - 2] << 16) | (code[pc - 1] << 24)) >>> 0; };
+        const binary = operator => {
+            const right = stack.pop();
+            stack.push(operator(stack.pop(), right));
+        };
+
+        while (true) {
+            frame.pc = pc;
+            const opcode = code[pc++];
+            switch (opcode) {
+                case OPCODES.PUSH_CONST: stack.push(constants[u16()]); break;
+                case OPCODES.PUSH_UNDEFINED: stack.push(undefined); break;
+                case OPCODES.POP: stack.pop(); break;
+                case OPCODES.DUP: stack.push(stack[stack.length - 1]); break;
+                case OPCODES.DUP2: stack.push(stack[stack.length - 2], stack[stack.length - 1]); break;
+                case OPCODES.LOAD_LOCAL: stack.push(locals[u16()]); break;
+                case OPCODES.STORE_LOCAL: locals[u16()] = stack.pop(); break;
+                case OPCODES.LOAD_GLOBAL: stack.push(this.globalValues[u16()]); break;
+                case OPCODES.STORE_GLOBAL: this.globalValues[u16()] = stack.pop(); break;
+                case OPCODES.LOAD_LV_CONST: {
+                    const name = constants[u16()];
+                    if (!this.constants || !(name in this.constants)) {
+                        throw this.createRuntimeError(`Unknown constant: ${name}`);
+                    }
+                    stack.push(this.constants[name]);
+                    break;
+                }
+                case OPCODES.LOAD_HOST: {
+                    const name = constants[u16()];
+                    if (!(name in this.globals)) {
+                        throw this.createRuntimeError(`Undefined variable: ${name}`, null, 'undefined-variable');
+                    }
+                    stack.push(this.globals[name]);
+                    break;
+                }
+                case OPCODES.LOAD_FUNCTION: stack.push(this.functionValue(u16())); break;
+                case OPCODES.DECLARE: {
+                    const type = constants[u16()];
+                    const name = constants[u16()];
+                    stack.push(this.declareValue(stack.pop(), type === undefined ? null : type, name));
+                    break;
+                }
+                case OPCODES.CONVERT: {
+                    const type = constants[u16()];
+                    const value = stack.pop();
+                    stack.push(value === undefined ? value : this.prepareStoredValue(value, type === undefined ? null : type, null));
+                    break;
+                }
+                case OPCODES.CHECK_ELEMENT: stack.push(this.checkArrayElement(stack.pop(), constants[u16()], null)); break;
+                case OPCODES.ADD: binary((a, b) => a + b); break;
+                case OPCODES.SUB: binary((a, b) => a - b); break;
+                case OPCODES.MUL: binary((a, b) => a * b); break;
+                case OPCODES.DIV: binary((a, b) => a / b); break;
+                case OPCODES.MOD: binary((a, b) => a % b); break;
+                case OPCODES.EQ: binary((a, b) => a == b); break;
+                case OPCODES.NE: binary((a, b) => a != b); break;
+                case OPCODES.LT: binary((a, b) => a < b); break;
+                case OPCODES.GT: binary((a, b) => a > b); break;
+                case OPCODES.LE: binary((a, b) => a <= b); break;
+                case OPCODES.GE: binary((a, b) => a >= b); break;
+                case OPCODES.STRICT_EQ: binary((a, b) => a === b); break;
+                case OPCODES.BIT_AND: binary((a, b) => a & b); break;
+                case OPCODES.BIT_OR: binary((a, b) => a | b); break;
+                case OPCODES.BIT_XOR: binary((a, b) => a ^ b); break;
+                case OPCODES.SHL: binary((a, b) => a << b); break;
+                case OPCODES.SHR: binary((a, b) => a >> b); break;
+                case OPCODES.NOT: stack.push(!stack.pop()); break;
+                case OPCODES.NEG: stack.push(-stack.pop()); break;
+                case OPCODES.BIT_NOT: stack.push(~stack.pop()); break;
+                case OPCODES.JUMP: {
+                    const target = u32();
+                    if (target < pc) this.countExecutionStep(null);
+                    pc = target;
+                    break;
+                }
+                case OPCODES.JUMP_IF_FALSE: {
+                    const target = u32();
+                    if (!stack.pop()) pc = target;
+                    break;
+                }
+                case OPCODES.JUMP_IF_TRUE: {
+                    const target = u32();
+                    if (stack.pop()) {
+                        if (target < pc) this.countExecutionStep(null);
+                        pc = target;
+                    }
+                    break;
+                }
+                case OPCODES.JUMP_IF_FALSE_KEEP: {
+                    const target = u32();
+                    if (!stack[stack.length - 1]) pc = target; else stack.pop();
+                    break;
+                }
+                case OPCODES.JUMP_IF_TRUE_KEEP: {
+                    const target = u32();
+                    if (stack[stack.length - 1]) pc = target; else stack.pop();
+                    break;
+                }
+                case OPCODES.NEW_ARRAY: stack.push(stack.splice(stack.length - u16())); break;
+                case OPCODES.NEW_OBJECT: {
+                    const pairs = stack.splice(stack.length - 2 * u16());
+                    const result = {};
+                    Object.defineProperty(result, '__literal', { value: true });
+                    for (let i = 0; i < pairs.length; i += 2) {
+                        result[pairs[i]] = pairs[i + 1];
+                    }
+                    stack.push(result);
+                    break;
+                }
+                case OPCODES.GET_INDEX: {
+                    const index = stack.pop();
+                    stack.push(this.getIndex(stack.pop(), index));
+                    break;
+                }
+                case OPCODES.SET_INDEX: {
+                    const value = stack.pop();
+                    const index = stack.pop();
+                    const array = this.checkArray(stack.pop());
+                    array[this.checkArrayIndex(array, index, null)] = value;
+                    stack.push(value);
+                    break;
+                }
+                case OPCODES.GET_FIELD: stack.push(this.getField(stack.pop(), constants[u16()])); break;
+                case OPCODES.SET_FIELD: {
+                    const name = constants[u16()];
+                    const value = stack.pop();
+                    const struct = stack.pop();
+                    const field = this.checkStructField(struct, name);
+                    struct[field.name] = this.checkFieldValue(value, struct.__struct, field, null);
+                    stack.push(struct[field.name]);
+                    break;
+                }
+                case OPCODES.UPDATE_INDEX: {
+                    const flags = u8();
+                    const index = stack.pop();
+                    const array = this.checkArray(stack.pop());
+                    const i = this.checkArrayIndex(array, index, null);
+                    const oldValue = array[i];
+                    array[i] = oldValue + (flags & 1 ? -1 : 1);
+                    stack.push(flags & 2 ? array[i] : oldValue);
+                    break;
+                }
+                case OPCODES.UPDATE_FIELD: {
+                    const name = constants[u16()];
+                    const flags = u8();
+                    const struct = stack.pop();
+                    const field = this.checkStructField(struct, name);
+                    const oldValue = struct[field.name];
+                    struct[field.name] = this.checkFieldValue(oldValue + (flags & 1 ? -1 : 1), struct.__struct, field, null);
+                    stack.push(flags & 2 ? struct[field.name] : oldValue);
+                    break;
+                }
+                case OPCODES.CALL: {
+                    const index = u16();
+                    const args = stack.splice(stack.length - u8());
+                    stack.push(this.run(index, args));
+                    break;
                 }
+                case OPCODES.CALL_LVGL: {
+                    const lvglFunction = this.program.lvglFunctions[u16()];
+                    const args = stack.splice(stack.length - u8());
+                    stack.push(this.callLvglFunction(lvglFunction, args));
+                    break;
+                }
+                case OPCODES.CALL_HOST: {
+                    const path = constants[u16()];
+                    const args = stack.splice(stack.length - u8());
+                    stack.push(this.callHostFunction(path, args));
+                    break;
+                }
+                case OPCODES.CALL_VALUE: {
+                    const args = stack.splice(stack.length - u8());
+                    const callee = stack.pop();
+                    if (typeof callee !== 'function') {
+                        throw this.createRuntimeError(`Cannot call non-function: ${typeof callee}`);
+                    }
+                    stack.push(callee(...args));
+                    break;
+                }
+                case OPCODES.RETURN: return stack.pop();
+                case OPCODES.UNINITIALIZE: locals[u16()] = UNINITIALIZED; break;
+                case OPCODES.CHECK_INITIALIZED: {
+                    const slot = u16();
+                    const name = constants[u16()];
+                    if (locals[slot] === UNINITIALIZED) {
+                        throw this.createRuntimeError(`Cannot access ${name} before its declaration`, null, 'uninitialized-variable');
+                    }
+                    break;
+                }
+                default:
+                    throw this.createRuntimeError(`Invalid opcode ${opcode}`);
             }
         }
-
-        return returnValue;
     }
 
-    visitMemberExpression(node, scope) {
-        const object = this.visitExpression(node.object, scope);
-        const property = node.computed
-            ? this.visitExpression(node.property, scope)
-            : node.property;
+    // Value of a variable declaration, see Interpreter.visitVariableDeclaration
+    declareValue(value, type, name) {
+        const arrayType = parseArrayType(type);
+        if (arrayType) {
+            return this.createArrayValue({ name, varType: type }, arrayType, value);
+        }
+        if (Array.isArray(value) && value.length === 0) {
+            throw this.createRuntimeError(`Cannot infer element type of empty array ${name}, add a type annotation like number[4]`);
+        }
+        if (type in this.structTypes || value !== undefined) {
+            value = this.prepareStoredValue(value, type, null);
+        }
+        if (type && value !== undefined) {
+            if (type === 'cstring' && typeof value === 'string') {
+                return this.convertStringToCString(value);
+            }
+            if (!this.isTypeCompatible(this.getValueType(value), type)) {
+                throw this.createRuntimeError(`Type mismatch: Cannot assign ${this.getValueType(value)} to ${type}`);
+            }
+        }
+        return value;
+    }
 
-        return object[property];
+    checkArray(value) {
+        if (!Array.isArray(value)) {
+            throw this.createRuntimeError(`Cannot index non-array value of type ${this.getValueType(value)}`);
+        }
+        return value;
     }
 
-    callFunction(name, args) {
-        const func = this.functions[name];
-        if (!func) {
-            throw new Error(`Function not found: ${name}`);
+    checkStructField(struct, name) {
+        if (!this.isStructValue(struct)) {
+            throw this.createRuntimeError(`Cannot set property ${name} on value of type ${this.getValueType(struct)}`);
         }
+        return this.getStructField(struct, { property: name });
+    }
 
-        // Create new scope for function execution
-        const funcScope = Object.create(this.globalScope);
+    // See Interpreter.visitMemberExpression
+    getIndex(object, index) {
+        if (Array.isArray(object)) {
+            return object[this.checkArrayIndex(object, index, null)];
+        }
+        if (this.isStructValue(object)) {
+            throw this.createRuntimeError(`Cannot index struct ${object.__struct}, use .field access`);
+        }
+        return object[index];
+    }
 
-        // Bind parameters with type checking
-        for (let i = 0; i < func.params.length; i++) {
-            const param = func.params[i];
-            const paramName = typeof param === 'string' ? param : param.name;
-            const paramType = typeof param === 'object' ? param.type : null;
+    getField(object, name) {
+        if (Array.isArray(object)) {
+            if (name === 'length') {
+                return object.length;
+            }
+            throw this.createRuntimeError(`Arrays only support the .length property, got .${name}`);
+        }
+        if (this.isStructValue(object)) {
+            return object[this.getStructField(object, { property: name }).name];
+        }
+        return object[name];
+    }
 
-            // Type check parameter if type is specified
-            if (paramType && args[i] !== undefined) {
-                const actualType = this.getValueType(args[i]);
+    // Same conversions as Interpreter.visitCallExpression: strings to C strings (freed after the
+    // call unless the function keeps them), numbers to lv_color_t, script callbacks through the
+    // EventManager and C string results to strings
+    callLvglFunction(lvglFunction, args) {
+        const name = lvglFunction.name;
+        const func = this.lvgl && this.lvgl['_' + lvglFunction.runtimeName];
+        if (typeof func !== 'function') {
+            throw this.createRuntimeError(`Unknown LVGL function: ${name}`);
+        }
 
-                // Auto-convert string to cstring
-                if (paramType === 'cstring' && actualType === 'string') {
-                    args[i] = this.convertStringToCString(args[i]);
-                } else if (!this.isTypeCompatible(actualType, paramType)) {
-                    throw new Error(`Function ${name} parameter ${i + 1} expects type ${paramType}, but got ${actualType}`);
+        const temporaryCStrings = [];
+        lvglFunction.params.forEach((type, i) => {
+            if (type === 'cstring' && typeof args[i] === 'string') {
+                args[i] = this.convertStringToCString(args[i]);
+                if (!keepsCStringArguments(name)) {
+                    temporaryCStrings.push(args[i]);
                 }
+            } else if (type === 'lv_color' && typeof args[i] === 'number') {
+                args[i] = this.convertNumberToLvColor(args[i], i, null);
             }
+        });
 
-            funcScope[paramName] = args[i];
+        if (name === 'lv_obj_add_event_cb' && this.eventManager && typeof args[1] === 'function') {
+            this.eventManager.register(args[0], args[2], args[1]);
+            return 0;
         }
 
-        // Execute function body
-        const result = this.visitBlockStatement(func.body, funcScope);
-
-        // Return value with type checking
-        const returnValue = this.isReturnValue(result) ? result.value : undefined;
+        if (name === 'lv_color_hex') {
+            return args[0];
+        }
 
-        if (func.returnType && returnValue !== undefined) {
-            const actualType = this.getValueType(returnValue);
-            if (!this.isTypeCompatible(actualType, func.returnType)) {
-                throw new Error(`Function ${name} return type mismatch: expected ${func.returnType}, but got ${actualType}`);
+        let returnValue;
+        try {
+            returnValue = func.apply(this.lvgl, args);
+        } finally {
+            if (temporaryCStrings.length > 0 && this.lvgl._free) {
+                temporaryCStrings.forEach(ptr => this.lvgl._free(ptr));
             }
         }
 
+        if (lvglFunction.returnType === 'cstring' && typeof returnValue === 'number' && returnValue !== 0 &&
+            this.globals.System && this.globals.System.UTF8ToString) {
+            return this.globals.System.UTF8ToString(returnValue);
+        }
         return returnValue;
     }
+
+    callHostFunction(path, args) {
+        let thisContext = null;
+        let func = this.globals;
+        for (const name of path.split('.')) {
+            thisContext = func;
+            func = func !== null && func !== undefined ? func[name] : undefined;
+        }
+        if (typeof func !== 'function') {
+            throw this.createRuntimeError(func === undefined ? `Undefined variable: ${path}` : `Cannot call non-function: ${typeof func}`);
+        }
+
+        const typeSpec = this.globalFunctionTypes[path];
+        if (typeSpec) {
+            typeSpec.params.forEach((type, i) => {
+                if (type === 'cstring' && typeof args[i] === 'string') {
+                    args[i] = this.convertStringToCString(args[i]);
+                } else if (type === 'lv_color' && typeof args[i] === 'number') {
+                    args[i] = this.convertNumberToLvColor(args[i], i, null);
+                }
+            });
+        }
+        return func.apply(path.includes('.') ? thisContext : null, args);
+    }
+}
+
+// ============================================================================
+// CONSOLE OUTPUT
+// ============================================================================
+
+// Output functions for scripts, the host passes them with its globals (see createConsoleGlobals).
+// emitC turns them into printf() and the LVGL log macros, which add the line break themselves.
+const CONSOLE_FUNCTIONS = {
+    print: { level: 'log', cFunction: 'printf', cFormat: '"%s\\n"' },
+    log_user: { level: 'user', cFunction: 'LV_LOG_USER', cFormat: '"%s"' },
+    log_warn: { level: 'warn', cFunction: 'LV_LOG_WARN', cFormat: '"%s"' }
+};
+
+// Globals with types for the CONSOLE_FUNCTIONS, write(level, message) gets their output
+function createConsoleGlobals(write) {
+    const globals = {};
+    for (const [name, { level }] of Object.entries(CONSOLE_FUNCTIONS)) {
+        globals[name] = {
+            function: message => {
+                write(level, message);
+            },
+            params: ['string'],
+            returnType: 'void'
+        };
+    }
+    return globals;
 }
 
 // ============================================================================
@@ -1525,7 +5526,8 @@ function eez_script_version() {
             'Automatic string-to-cstring conversion',
             'LVGL integration',
             'Function whitelisting',
-            'Type checking'
+            'Type checking',
+            'Static type checker'
         ]
     };
 }
@@ -1547,11 +5549,52 @@ function eez_script_validate(script) {
     } catch (error) {
         return {
             valid: false,
-            error: error.message
+            error: error.message,
+            diagnostic: getErrorDiagnostic(error)
         };
     }
 }
 
+/**
+ * Parse a script without stopping at the first syntax error.
+ * Returns { ast, diagnostics } where ast leaves out the statements that couldn't be parsed
+ * and diagnostics has all syntax errors (empty if the script is valid).
+ */
+function eez_script_parse(script) {
+    const lexer = new Lexer(script, { recover: true });
+    const tokens = lexer.tokenize();
+    const parser = new Parser(tokens, { recover: true });
+    const ast = parser.parseProgram();
+    return { ast, diagnostics: [...lexer.diagnostics, ...parser.diagnostics] };
+}
+
+/**
+ * Format a script, keeping its comments. Throws on syntax errors like eez_script_compile.
+ */
+function eez_script_format(script) {
+    const lexer = new Lexer(script);
+    const tokens = lexer.tokenize();
+    const ast = new Parser(tokens).parseProgram();
+    return formatScript(attachComments(ast, lexer.comments));
+}
+
+/**
+ * Statically check a script without running it.
+ * allowedFunctions and constants are the same as for init(), globals are only used for their names
+ * and function type specs. Returns { valid, errors, ast } where errors are diagnostics.
+ * If there are syntax errors, only those are reported (with the partial AST).
+ */
+function eez_script_check(script, allowedFunctions = null, constants = null, globals = null) {
+    const { ast, diagnostics } = eez_script_parse(script);
+    if (diagnostics.length > 0) {
+        return { valid: false, errors: diagnostics, ast };
+    }
+
+    const checker = new TypeChecker(allowedFunctions, constants, globals);
+    const errors = checker.check(ast);
+    return { valid: errors.length === 0, errors, ast };
+}
+
 function eez_script_compile(script) {
     let ast;
 
@@ -1563,6 +5606,9 @@ function eez_script_compile(script) {
         // Parse
         const parser = new Parser(tokens);
         ast = parser.parseProgram();
+
+        // Keep the comments for the emitted code
+        attachComments(ast, lexer.comments);
     } catch (error) {
         throw error;
     }
@@ -1572,18 +5618,72 @@ function eez_script_compile(script) {
         _interpreter: null,
         _sourceCode: script,
         _allowedFunctions: null,
+        _jsFunctions: null,
+        _vm: null,
 
         // Initialize with globals, lvgl instance, constants, and optional allowed functions list
         // globals can include type specifications: { funcName: { function: fn, params: [...], returnType: type } }
-        init: function (globals, lvgl, constants, allowedFunctions) {
-            this._interpreter = new Interpreter(globals, lvgl, constants, allowedFunctions);
+        // executionLimits: { maxSteps, maxTime } of one run, see DEFAULT_EXECUTION_LIMITS
+        init: function (globals, lvgl, constants, allowedFunctions, executionLimits) {
+            this._interpreter = new Interpreter(globals, lvgl, constants, allowedFunctions, executionLimits);
             this._interpreter.sourceCode = this._sourceCode;
+            this._jsFunctions = null;
+            this._vm = null;
             this._interpreter.execute(this._ast);
             this._allowedFunctions = allowedFunctions;
         },
 
+        // Initialize like init(), but run the emitJS output instead of the interpreter.
+        // Event callbacks are registered with eventManager. The code runs with $step() calls at
+        // function entries and loop iterations for the executionLimits (see runEmittedJS).
+        initJS: function (globals, lvgl, constants, allowedFunctions, eventManager, executionLimits) {
+            this._interpreter = null;
+            this._vm = null;
+            this._allowedFunctions = allowedFunctions;
+            const jsCode = emitJS(this._ast, allowedFunctions, { countSteps: true });
+            this._jsFunctions = runEmittedJS(this._ast, jsCode, globals, lvgl, constants, eventManager, executionLimits);
+        },
+
+        // Initialize like init(), but run the top level code and then entryFunction (if given) in the
+        // DebugInterpreter. Returns the Debugger (see there for the options), the run may already be
+        // paused or finished; exec() calls functions without stopping at breakpoints.
+        initDebug: function (globals, lvgl, constants, allowedFunctions, eventManager, entryFunction, options) {
+            this._jsFunctions = null;
+            this._vm = null;
+            this._allowedFunctions = allowedFunctions;
+            this._interpreter = new DebugInterpreter(globals, lvgl, constants, allowedFunctions, options && options.executionLimits);
+            this._interpreter.sourceCode = this._sourceCode;
+            this._interpreter.eventManager = eventManager;
+            const scriptDebugger = new Debugger(this._interpreter, options);
+            scriptDebugger.start(this._interpreter.stepProgram(this._ast, entryFunction));
+            return scriptDebugger;
+        },
+
+        // Initialize like init(), but run the script as bytecode in the BytecodeVM. The bytecode
+        // goes through the binary format, so this runs exactly what emitBytecode() returns.
+        initBytecode: function (globals, lvgl, constants, allowedFunctions, eventManager, executionLimits) {
+            this._interpreter = null;
+            this._jsFunctions = null;
+            this._allowedFunctions = allowedFunctions;
+            this._vm = new BytecodeVM(deserializeBytecode(this.emitBytecode()), globals, lvgl, constants, executionLimits);
+            this._vm.sourceCode = this._sourceCode;
+            this._vm.eventManager = eventManager;
+            this._vm.init();
+        },
+
         // Execute a function by name with arguments
         exec: function (functionName, ...args) {
+            if (this._jsFunctions) {
+                if (typeof this._jsFunctions[functionName] !== 'function') {
+                    throw new ScriptError(createDiagnostic('error', 'undefined-function', `Runtime error: Function not found: ${functionName}`, null));
+                }
+                return this._jsFunctions[functionName](...args);
+            }
+
+            if (this._vm) {
+                return this._vm.callFunction(functionName, args);
+            }
+
             if (!this._interpreter) {
                 throw new Error('Script not initialized. Call init(globals, lvgl, LVGL_CONSTANTS, allowedFunctions) first.');
             }
@@ -1596,17 +5696,34 @@ function eez_script_compile(script) {
             return emitJS(this._ast, this._allowedFunctions);
         },
 
+        // Compile EEZ Script AST to bytecode in the binary format (see serializeBytecode)
+        emitBytecode: function () {
+            return serializeBytecode(compileBytecode(this._ast, this._allowedFunctions));
+        },
+
         // Generate C code from EEZ Script AST
-        emitC: function () {
-            return emitC(this._ast, this._allowedFunctions);
+        // options: { lvglVersion, constantAliases } of the target LVGL version
+        emitC: function (options = {}) {
+            return emitC(this._ast, this._allowedFunctions, options);
+        },
+
+        // Generate a C project from EEZ Script AST: { header, source } for <name>.h and <name>.c
+        emitCProject: function (name = 'ui', options = {}) {
+            return emitCProject(this._ast, this._allowedFunctions, name, options);
         }
     };
 }
 
 // Shared type inference - collects type information from AST and decorates nodes
 function collectTypeInformation(ast, allowedFunctions) {
-    const varTypes = {};
     const eventHandlers = new Set();  // Track functions used as event handlers
+    const structTypes = collectStructTypes(ast);
+    const userFunctions = {};
+    ast.body.forEach(stmt => {
+        if (stmt.type === 'FunctionDeclaration') {
+            userFunctions[stmt.name] = stmt;
+        }
+    });
 
     // First pass: find event handler functions
     function findEventHandlers(node) {
@@ -1641,9 +5758,12 @@ function collectTypeInformation(ast, allowedFunctions) {
             findEventHandlers(node.test);
             findEventHandlers(node.update);
             findEventHandlers(node.body);
-        } else if (node.type === 'WhileStatement') {
+        } else if (node.type === 'WhileStatement' || node.type === 'DoWhileStatement') {
             findEventHandlers(node.test);
             findEventHandlers(node.body);
+        } else if (node.type === 'SwitchStatement') {
+            findEventHandlers(node.discriminant);
+            node.cases.forEach(c => c.consequent.forEach(stmt => findEventHandlers(stmt)));
         } else if (node.type === 'ReturnStatement') {
             findEventHandlers(node.argument);
         }
@@ -1652,7 +5772,7 @@ function collectTypeInformation(ast, allowedFunctions) {
     findEventHandlers(ast);
 
     // Helper to resolve type of an expression and decorate it
-    function resolveExpressionType(node, currentFunc = null) {
+    function resolveExpressionType(node, scope) {
         if (!node) return null;
 
         if (node.type === 'Literal') {
@@ -1663,26 +5783,37 @@ function collectTypeInformation(ast, allowedFunctions) {
         }
 
         if (node.type === 'Identifier') {
-            const localKey = currentFunc ? `${currentFunc}.${node.name}` : node.name;
-            node.resolvedType = varTypes[localKey] || varTypes[node.name] || null;
+            const symbol = scope.lookup(node.name);
+            node.resolvedType = symbol ? symbol.type : node.name.startsWith('LV_') ? 'number' : null;
             return node.resolvedType;
         }
 
         if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
             const functionName = node.callee.name;
+            const userFunction = userFunctions[functionName];
             if (allowedFunctions && allowedFunctions[functionName]) {
                 node.resolvedType = allowedFunctions[functionName].returnType;
+            } else if (userFunction) {
+                node.resolvedType = userFunction.returnType;
             }
             // Resolve types for arguments too
-            node.arguments.forEach(arg => resolveExpressionType(arg, currentFunc));
+            node.arguments.forEach((arg, i) => {
+                resolveExpressionType(arg, scope);
+                if (userFunction && userFunction.params[i]) {
+                    applyExpectedType(arg, userFunction.params[i].type);
+                }
+            });
             return node.resolvedType;
         }
 
         if (node.type === 'BinaryExpression') {
-            resolveExpressionType(node.left, currentFunc);
-            resolveExpressionType(node.right, currentFunc);
+            resolveExpressionType(node.left, scope);
+            resolveExpressionType(node.right, scope);
             if (['==', '!=', '<', '>', '<=', '>=', '&&', '||'].includes(node.operator)) {
                 node.resolvedType = 'bool';
+            } else if (node.operator !== '+' && (node.left.resolvedType === 'string' || node.right.resolvedType === 'string')) {
+                // Only + concatenates, the other operators convert strings to numbers
+                node.resolvedType = 'number';
             } else {
                 node.resolvedType = node.left.resolvedType;
             }
@@ -1690,86 +5821,372 @@ function collectTypeInformation(ast, allowedFunctions) {
         }
 
         if (node.type === 'UnaryExpression') {
-            resolveExpressionType(node.argument, currentFunc);
+            resolveExpressionType(node.argument, scope);
             node.resolvedType = node.argument.resolvedType;
             return node.resolvedType;
         }
 
-        if (node.type === 'AssignmentExpression') {
-            resolveExpressionType(node.left, currentFunc);
-            resolveExpressionType(node.right, currentFunc);
-            node.resolvedType = node.left.resolvedType;
-            return node.resolvedType;
+        if (node.type === 'ConditionalExpression') {
+            resolveExpressionType(node.test, scope);
+            resolveExpressionType(node.alternate, scope);
+            node.resolvedType = resolveExpressionType(node.consequent, scope);
+            return node.resolvedType;
+        }
+
+        if (node.type === 'AssignmentExpression') {
+            resolveExpressionType(node.left, scope);
+            resolveExpressionType(node.right, scope);
+            applyExpectedType(node.right, node.left.resolvedType);
+            node.resolvedType = node.left.resolvedType;
+            return node.resolvedType;
+        }
+
+        if (node.type === 'ObjectExpression') {
+            // The struct type comes from the context (see applyExpectedType)
+            node.properties.forEach(property => resolveExpressionType(property.value, scope));
+            return node.resolvedType || null;
+        }
+
+        if (node.type === 'ArrayExpression') {
+            node.elements.forEach(element => resolveExpressionType(element, scope));
+            const elementType = node.elements.length > 0 ? node.elements[0].resolvedType : null;
+            node.resolvedType = elementType ? `${elementType}[${node.elements.length}]` : null;
+            return node.resolvedType;
+        }
+
+        if (node.type === 'MemberExpression') {
+            const arrayType = parseArrayType(resolveExpressionType(node.object, scope));
+            if (node.computed) {
+                resolveExpressionType(node.property, scope);
+                node.resolvedType = arrayType ? arrayType.elementType : null;
+            } else if (arrayType) {
+                node.resolvedType = node.property === 'length' ? 'number' : null;
+            } else {
+                const struct = structTypes[node.object.resolvedType];
+                const field = struct ? struct.fields.find(f => f.name === node.property) : null;
+                node.resolvedType = field ? field.type : null;
+            }
+            return node.resolvedType;
+        }
+
+        return null;
+    }
+
+    // Object literals get their struct type from where they are used (declaration, assignment, argument...)
+    function applyExpectedType(node, type) {
+        if (!node || !type) return;
+
+        if (node.type === 'ObjectExpression' && structTypes[type]) {
+            node.resolvedType = type;
+            node.properties.forEach(property => {
+                const field = structTypes[type].fields.find(f => f.name === property.key);
+                if (field) applyExpectedType(property.value, field.type);
+            });
+        } else if (node.type === 'ArrayExpression') {
+            const arrayType = parseArrayType(type);
+            if (arrayType) {
+                node.elements.forEach(element => applyExpectedType(element, arrayType.elementType));
+            }
+        } else if (node.type === 'ConditionalExpression') {
+            applyExpectedType(node.consequent, type);
+            applyExpectedType(node.alternate, type);
+        }
+    }
+
+    // Traverse AST to collect type information and decorate nodes.
+    // Variables are tracked in lexical scopes, so locals with the same name in different
+    // functions or blocks don't affect each other and inner declarations shadow outer ones.
+    function collectTypes(node, scope, currentFunc = null) {
+        if (!node) return;
+
+        if (node.type === 'Program') {
+            // Function bodies run after the top level code, so they are processed last and see all globals
+            node.body.forEach(stmt => {
+                if (stmt.type !== 'FunctionDeclaration') collectTypes(stmt, scope);
+            });
+            node.body.forEach(stmt => {
+                if (stmt.type === 'FunctionDeclaration') collectTypes(stmt, scope);
+            });
+        } else if (node.type === 'FunctionDeclaration') {
+            // If this function is used as an event handler, infer first parameter as number (lv_event_t*)
+            if (eventHandlers.has(node.name) && node.params.length > 0 && !node.params[0].type) {
+                node.params[0].type = 'number';  // Will be lv_event_t* in C
+            }
+
+            const funcScope = new Scope(scope);
+            node.params.forEach(p => {
+                funcScope.declare(p.name, { kind: 'param', type: p.type || null, node });
+            });
+            node.body.body.forEach(stmt => collectTypes(stmt, funcScope, node.name));
+        } else if (node.type === 'VariableDeclaration') {
+            // Use explicit type if provided, otherwise try to infer
+            const inferredType = node.init ? resolveExpressionType(node.init, scope) : null;
+            let type = node.varType || inferredType || null;
+
+            // Record the actual size of number[] style arrays sized by their initializer
+            const arrayType = parseArrayType(node.varType);
+            if (arrayType && arrayType.size === null && node.init && node.init.type === 'ArrayExpression') {
+                type = `${arrayType.elementType}[${node.init.elements.length}]`;
+            }
+
+            applyExpectedType(node.init, type);
+            node.resolvedType = type;
+            scope.declare(node.name, { kind: node.kind, type, node });
+        } else if (node.type === 'BlockStatement') {
+            const blockScope = new Scope(scope);
+            node.body.forEach(stmt => collectTypes(stmt, blockScope, currentFunc));
+        } else if (node.type === 'ExpressionStatement') {
+            resolveExpressionType(node.expression, scope);
+        } else if (node.type === 'IfStatement') {
+            resolveExpressionType(node.test, scope);
+            collectTypes(node.consequent, scope, currentFunc);
+            collectTypes(node.alternate, scope, currentFunc);
+        } else if (node.type === 'ForStatement') {
+            const forScope = new Scope(scope);
+            if (node.init) {
+                if (node.init.type === 'VariableDeclaration') collectTypes(node.init, forScope, currentFunc);
+                else resolveExpressionType(node.init, forScope);
+            }
+            if (node.test) resolveExpressionType(node.test, forScope);
+            if (node.update) resolveExpressionType(node.update, forScope);
+            collectTypes(node.body, forScope, currentFunc);
+        } else if (node.type === 'WhileStatement' || node.type === 'DoWhileStatement') {
+            resolveExpressionType(node.test, scope);
+            collectTypes(node.body, scope, currentFunc);
+        } else if (node.type === 'SwitchStatement') {
+            resolveExpressionType(node.discriminant, scope);
+            const switchScope = new Scope(scope);
+            node.cases.forEach(c => {
+                resolveExpressionType(c.test, switchScope);
+                c.consequent.forEach(stmt => collectTypes(stmt, switchScope, currentFunc));
+            });
+        } else if (node.type === 'ReturnStatement') {
+            if (node.argument) {
+                resolveExpressionType(node.argument, scope);
+                if (currentFunc && userFunctions[currentFunc]) {
+                    applyExpectedType(node.argument, userFunctions[currentFunc].returnType);
+                }
+            }
+        }
+    }
+
+    collectTypes(ast, new Scope());
+}
+
+// Operator precedence shared by the JS and C emitters (higher binds tighter).
+// The parser drops grouping parentheses, so emitters use this table to put them back.
+const BINARY_PRECEDENCE = {
+    '||': 3,
+    '&&': 4,
+    '|': 5,
+    '^': 6,
+    '&': 7,
+    '==': 8, '!=': 8,
+    '<': 9, '>': 9, '<=': 9, '>=': 9,
+    '<<': 10, '>>': 10,
+    '+': 11, '-': 11,
+    '*': 12, '/': 12, '%': 12
+};
+
+const UNARY_PRECEDENCE = 13;
+
+function getExpressionPrecedence(node) {
+    switch (node.type) {
+        case 'AssignmentExpression': return 1;
+        case 'ConditionalExpression': return 2;
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+            return BINARY_PRECEDENCE[node.operator] || 0;
+        case 'UnaryExpression': return UNARY_PRECEDENCE;
+        case 'UpdateExpression': return node.prefix ? UNARY_PRECEDENCE : 14;
+        default: return 16;
+    }
+}
+
+// Wrap emitted operand code in parentheses if it binds looser than its parent requires
+function wrapOperand(code, node, minPrecedence) {
+    return getExpressionPrecedence(node) < minPrecedence ? `(${code})` : code;
+}
+
+// Emit both operands of a binary expression, left-associative
+function emitBinaryOperands(node, emitOperand) {
+    const precedence = getExpressionPrecedence(node);
+    const left = wrapOperand(emitOperand(node.left), node.left, precedence);
+    const right = wrapOperand(emitOperand(node.right), node.right, precedence + 1);
+    return { left, right };
+}
+
+function appendComments(code, comments = []) {
+    return comments.reduce((result, comment) => `${result} ${comment.text}`, code);
+}
+
+// Emit a list of statements with the comments attached by attachComments(). Returns one chunk
+// per statement (its leading comments and code, with the trailing comments at the end of the
+// last line), plus a chunk with the comments after the last statement.
+function emitStatementsWithComments(statements, indent, emitStatement, innerComments = []) {
+    const indentStr = '    '.repeat(indent);
+    const commentLines = comments => comments.map(comment => indentStr + comment.text);
+
+    const chunks = statements.map(stmt => {
+        const code = emitStatement(stmt);
+        const lines = commentLines(stmt.leadingComments || []);
+        if (code) {
+            lines.push(appendComments(code, stmt.trailingComments));
+        } else {
+            lines.push(...commentLines(stmt.trailingComments || []));
+        }
+        return lines.join('\n');
+    });
+    if (innerComments.length > 0) {
+        chunks.push(commentLines(innerComments).join('\n'));
+    }
+    return chunks;
+}
+
+// Runtime helpers of the emitted JavaScript, added to the output when used. They do what the
+// interpreter does for LVGL calls: colors through lv_color_hex() buffers, C strings freed
+// after the call and event callbacks registered with the EventManager.
+const JS_RUNTIME_HELPERS = {
+    color: `function $color(value, index) {
+    if (!$lvgl._lv_color_hex) {
+        throw new Error(${JSON.stringify(LV_COLOR_HEX_UNAVAILABLE)});
+    }
+    const buffers = $lvgl.$colorBuffers || ($lvgl.$colorBuffers = []);
+    if (!buffers[index]) {
+        buffers[index] = $lvgl._lv_malloc(4);
+    }
+    $lvgl._lv_color_hex(buffers[index], value);
+    return buffers[index];
+}`,
+    cstring: `function $cstring(value) {
+    return typeof value === 'string' ? $System.stringToNewUTF8(value) : value;
+}`,
+    callWithCStrings: `function $callWithCStrings(fn, indexes, ...args) {
+    const cstrings = [];
+    for (const index of indexes) {
+        if (typeof args[index] === 'string') {
+            cstrings.push(args[index] = $System.stringToNewUTF8(args[index]));
+        }
+    }
+    try {
+        return fn(...args);
+    } finally {
+        cstrings.forEach(ptr => $lvgl._free(ptr));
+    }
+}`,
+    addEventCallback: `function $addEventCallback(obj, callback, eventCode, userData) {
+    if (typeof callback === 'function') {
+        $eventManager.register(obj, eventCode, callback);
+        return 0;
+    }
+    return $lvgl._lv_obj_add_event_cb(obj, callback, eventCode, userData);
+}`,
+    index: `function $index(array, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= array.length) {
+        throw new Error(\`Array index out of bounds: \${index} (length \${array.length})\`);
+    }
+    return index;
+}`,
+    at: `function $at(array, index) {
+    return array[$index(array, index)];
+}`
+};
+
+// JavaScript code emitter - converts AST to JavaScript code. options:
+//   countSteps - calls $step(line, column, length) at loop iterations, and $enterCall(line, column, length)
+//                and $leaveCall() around function bodies (provided by runEmittedJS for the execution limits)
+function emitJS(ast, allowedFunctions, options = {}) {
+    // Collect type information (explicit and inferred) and decorate AST nodes
+    collectTypeInformation(ast, allowedFunctions);
+    const structTypes = collectStructTypes(ast);
+
+    // JS expression producing the zero value of a type (fresh objects for every struct/array element)
+    function emitDefaultValue(type) {
+        if (structTypes[type]) {
+            const fields = structTypes[type].fields.map(field => `${field.name}: ${emitDefaultValue(field.type)}`);
+            return `{ ${fields.join(', ')} }`;
+        }
+        const arrayType = parseArrayType(type);
+        if (arrayType && arrayType.size !== null) {
+            if (structTypes[arrayType.elementType]) {
+                return `Array.from({ length: ${arrayType.size} }, () => (${emitDefaultValue(arrayType.elementType)}))`;
+            }
+            return `new Array(${arrayType.size}).fill(${emitDefaultValue(arrayType.elementType)})`;
+        }
+        return emit({ type: 'Literal', value: getDefaultValueForType(type) });
+    }
+
+    // Structs have value semantics, so struct variables are copied when stored elsewhere
+    function copyIfStruct(code, node) {
+        if (structTypes[node.resolvedType] && ['Identifier', 'MemberExpression', 'ConditionalExpression'].includes(node.type)) {
+            return `structuredClone(${code})`;
+        }
+        return code;
+    }
+
+    // Typed array declarations and struct fields get their own copy of the elements (padded
+    // to the declared size) like in the interpreter, array literals are already fresh
+    function copyArray(code, node, type) {
+        if (node.type === 'ArrayExpression') {
+            return code;
+        }
+        const arrayType = parseArrayType(type);
+        if (arrayType.size === null) {
+            return `structuredClone(${code})`;
         }
+        return `Object.assign(${emitDefaultValue(type)}, structuredClone(${code}))`;
+    }
 
-        return null;
+    // Indexed assignment targets check the index before the store
+    function emitTarget(node, context) {
+        if (node.type === 'MemberExpression' && node.computed) {
+            const objectCode = emit(node.object, 0, context);
+            return `${objectCode}[${useHelper('index')}(${objectCode}, ${emit(node.property, 0, context)})]`;
+        }
+        return emit(node, 0, context);
     }
 
-    // Traverse AST to collect type information and decorate nodes
-    function collectTypes(node, currentFunc = null) {
-        if (!node) return;
+    function emitLocationArguments(node) {
+        const loc = findLocation(node);
+        return loc ? `${loc.line}, ${loc.column}, ${loc.length || 1}` : '';
+    }
 
-        if (node.type === 'Program') {
-            node.body.forEach(stmt => collectTypes(stmt));
-        } else if (node.type === 'FunctionDeclaration') {
-            // If this function is used as an event handler, infer first parameter as number (lv_event_t*)
-            if (eventHandlers.has(node.name) && node.params.length > 0 && !node.params[0].type) {
-                node.params[0].type = 'number';  // Will be lv_event_t* in C
-                varTypes[`${node.name}.${node.params[0].name}`] = 'number';
-            }
-            
-            if (node.params) {
-                node.params.forEach(p => {
-                    if (p.type) {
-                        varTypes[`${node.name}.${p.name}`] = p.type;
-                    }
-                });
-            }
-            collectTypes(node.body, node.name);
-        } else if (node.type === 'VariableDeclaration') {
-            const key = currentFunc ? `${currentFunc}.${node.name}` : node.name;
+    // Loop body with a $step() call as its first statement
+    function emitCountedBody(body, stepNode, indent, context) {
+        const code = emit(body, indent, context);
+        if (!options.countSteps) {
+            return code;
+        }
+        const step = `${'    '.repeat(indent + 1)}$step(${emitLocationArguments(stepNode)});`;
+        if (body.type === 'BlockStatement') {
+            const firstLineEnd = code.indexOf('\n');
+            return `${code.slice(0, firstLineEnd)}\n${step}${code.slice(firstLineEnd)}`;
+        }
+        return `{\n${step}\n${emit(body, indent + 1, context)}\n${'    '.repeat(indent)}}`;
+    }
 
-            // Use explicit type if provided, otherwise try to infer
-            if (node.varType) {
-                varTypes[key] = node.varType;
-            } else if (node.init) {
-                const inferredType = resolveExpressionType(node.init, currentFunc);
-                if (inferredType) {
-                    varTypes[key] = inferredType;
-                }
-            }
-            node.resolvedType = varTypes[key];
-        } else if (node.type === 'BlockStatement') {
-            node.body.forEach(stmt => collectTypes(stmt, currentFunc));
-        } else if (node.type === 'ExpressionStatement') {
-            resolveExpressionType(node.expression, currentFunc);
-        } else if (node.type === 'IfStatement') {
-            resolveExpressionType(node.test, currentFunc);
-            collectTypes(node.consequent, currentFunc);
-            collectTypes(node.alternate, currentFunc);
-        } else if (node.type === 'ForStatement') {
-            if (node.init) {
-                if (node.init.type === 'VariableDeclaration') collectTypes(node.init, currentFunc);
-                else resolveExpressionType(node.init, currentFunc);
-            }
-            if (node.test) resolveExpressionType(node.test, currentFunc);
-            if (node.update) resolveExpressionType(node.update, currentFunc);
-            collectTypes(node.body, currentFunc);
-        } else if (node.type === 'WhileStatement') {
-            resolveExpressionType(node.test, currentFunc);
-            collectTypes(node.body, currentFunc);
-        } else if (node.type === 'ReturnStatement') {
-            if (node.argument) resolveExpressionType(node.argument, currentFunc);
+    // Function body in try/finally between $enterCall() and $leaveCall(), for the call depth
+    function emitCountedFunctionBody(node, indent, context) {
+        if (!options.countSteps) {
+            return emit(node.body, indent, context);
         }
+        const pad = '    '.repeat(indent + 1);
+        return [
+            '{',
+            `${pad}$enterCall(${emitLocationArguments(node)});`,
+            `${pad}try ${emit(node.body, indent + 1, context).trimStart()} finally {`,
+            `${pad}    $leaveCall();`,
+            `${pad}}`,
+            `${'    '.repeat(indent)}}`
+        ].join('\n');
     }
 
-    collectTypes(ast);
-}
+    const usedHelpers = new Set();
 
-// JavaScript code emitter - converts AST to JavaScript code
-function emitJS(ast, allowedFunctions) {
-    // Collect type information (explicit and inferred) and decorate AST nodes
-    collectTypeInformation(ast, allowedFunctions);
+    function useHelper(name) {
+        usedHelpers.add(name);
+        return `$${name}`;
+    }
 
     function emit(node, indent = 0, context = {}) {
         const indentStr = '    '.repeat(indent);
@@ -1778,7 +6195,9 @@ function emitJS(ast, allowedFunctions) {
 
         switch (node.type) {
             case 'Program':
-                return node.body.map(stmt => emit(stmt, indent, context)).join('\n');
+                const jsBody = emitStatementsWithComments(node.body, indent, stmt => emit(stmt, indent, context), node.innerComments);
+                const helpers = Object.keys(JS_RUNTIME_HELPERS).filter(name => usedHelpers.has(name)).map(name => JS_RUNTIME_HELPERS[name]);
+                return [...helpers, ...jsBody].join('\n');
 
             case 'FunctionDeclaration':
                 const fnParams = node.params.map(p => {
@@ -1786,28 +6205,64 @@ function emitJS(ast, allowedFunctions) {
                     return p.name;
                 }).join(', ');
                 const fnContext = { ...context, currentFunction: node.name };
-                const fnBody = emit(node.body, indent, fnContext);
+                const fnBody = emitCountedFunctionBody(node, indent, fnContext);
                 return `${indentStr}function ${node.name}(${fnParams}) ${fnBody}`;
 
+            case 'StructDeclaration':
+                // Structs are plain objects in JS, keep the declaration as documentation
+                // (on one line, unless the fields have comments)
+                const fieldComments = node.fields.some(field => (field.leadingComments || []).length > 0 || (field.trailingComments || []).length > 0);
+                if (!fieldComments && !(node.innerComments || []).length) {
+                    const jsFields = node.fields.map(field => `${field.name}: ${field.type};`).join(' ');
+                    return `${indentStr}// struct ${node.name} { ${jsFields} }`;
+                }
+                const commentLine = comment => `${indentStr}//     ${comment.text}`;
+                const jsFieldLines = node.fields.flatMap(field => [
+                    ...(field.leadingComments || []).map(commentLine),
+                    appendComments(`${indentStr}//     ${field.name}: ${field.type};`, field.trailingComments)
+                ]);
+                return [`${indentStr}// struct ${node.name} {`, ...jsFieldLines, ...(node.innerComments || []).map(commentLine), `${indentStr}// }`].join('\n');
+
             case 'VariableDeclaration':
                 let varInit = '';
+                const jsArrayType = parseArrayType(node.resolvedType);
+                if (jsArrayType) {
+                    const elementType = jsArrayType.elementType;
+                    const defaultValue = emitDefaultValue(elementType);
+                    if (!node.init) {
+                        if (jsArrayType.size === null) {
+                            throw new Error(`Array ${node.name} needs a size or an initializer`);
+                        }
+                        varInit = ` = ${emitDefaultValue(node.resolvedType)}`;
+                    } else if (node.init.type === 'ArrayExpression') {
+                        const elements = node.init.elements.map(element => {
+                            const elementCode = emit(element, 0, context);
+                            return elementType === 'cstring' && element.resolvedType === 'string'
+                                ? `$System.stringToNewUTF8(${elementCode})`
+                                : elementCode;
+                        });
+                        while (elements.length < jsArrayType.size) {
+                            elements.push(defaultValue);
+                        }
+                        varInit = ` = [${elements.join(', ')}]`;
+                    } else if (node.varType) {
+                        varInit = ' = ' + copyArray(emit(node.init, 0, context), node.init, node.resolvedType);
+                    } else {
+                        varInit = ' = ' + emit(node.init, 0, context);
+                    }
+                    return `${indentStr}${node.kind} ${node.name}${varInit};`;
+                }
+                if (structTypes[node.resolvedType]) {
+                    varInit = node.init
+                        ? ' = ' + copyIfStruct(emit(node.init, 0, context), node.init)
+                        : ' = ' + emitDefaultValue(node.resolvedType);
+                    return `${indentStr}${node.kind} ${node.name}${varInit};`;
+                }
                 if (node.init) {
                     const initExpr = emit(node.init, 0, context);
-                    // Check if we need to wrap with System.stringToNewUTF8
+                    // Check if we need to wrap with $System.stringToNewUTF8
                     if (node.varType === 'cstring' && node.init.type === 'Literal' && typeof node.init.value === 'string') {
-                        varInit = ' = System.stringToNewUTF8(' + initExpr + ')';
-                    } else if (node.varType === 'lv_color') {
-                        // For lv_color type, use pre-allocated color buffer on lvgl instance
-                        // lv_color_hex uses sret: first parameter is pointer to result location
-                        if (node.init.type === 'CallExpression' &&
-                            node.init.callee.type === 'Identifier' &&
-                            node.init.callee.name === 'lv_color_hex') {
-                            const colorArg = emit(node.init.arguments[0], 0, context);
-                            // Use lvgl instance color buffer (allocated once, reused per lvgl instance)
-                            varInit = ` = (() => { if (!lvgl._colorBuffer) lvgl._colorBuffer = lvgl._lv_malloc(4); lvgl._lv_color_hex(lvgl._colorBuffer, ${colorArg}); return lvgl._colorBuffer; })()`;
-                        } else {
-                            varInit = ' = ' + initExpr;
-                        }
+                        varInit = ' = $System.stringToNewUTF8(' + initExpr + ')';
                     } else {
                         varInit = ' = ' + initExpr;
                     }
@@ -1818,16 +6273,20 @@ function emitJS(ast, allowedFunctions) {
                 return `${indentStr}${emit(node.expression, 0, context)};`;
 
             case 'BlockStatement':
-                const statements = node.body.map(stmt => emit(stmt, indent + 1, context)).join('\n');
-                return `{\n${statements}\n${indentStr}}`;
+                const statements = emitStatementsWithComments(node.body, indent + 1, stmt => emit(stmt, indent + 1, context), node.innerComments).join('\n');
+                return `${appendComments('{', node.openingComments)}\n${statements}\n${indentStr}}`;
 
             case 'IfStatement':
-                let ifResult = `${indentStr}if (${emit(node.test, 0, context)}) ${emit(node.consequent, indent, context)}`;
+                let ifResult = `${indentStr}if (${emit(node.test, 0, context)}) ${emit(node.consequent, indent, context).trimStart()}`;
                 if (node.alternate) {
+                    // Comments after the consequent stay on its closing line, else goes on the next one
+                    ifResult = node.elseComments && node.elseComments.length > 0
+                        ? `${appendComments(ifResult, node.elseComments)}\n${indentStr}else `
+                        : ifResult + ' else ';
                     if (node.alternate.type === 'IfStatement') {
-                        ifResult += ' else ' + emit(node.alternate, indent, context).trim();
+                        ifResult += emit(node.alternate, indent, context).trim();
                     } else {
-                        ifResult += ' else ' + emit(node.alternate, indent, context);
+                        ifResult += emit(node.alternate, indent, context).trimStart();
                     }
                 }
                 return ifResult;
@@ -1836,33 +6295,55 @@ function emitJS(ast, allowedFunctions) {
                 const forInit = node.init ? emit(node.init, 0, context).trim().replace(/;$/, '') : '';
                 const forTest = node.test ? emit(node.test, 0, context) : '';
                 const forUpdate = node.update ? emit(node.update, 0, context) : '';
-                return `${indentStr}for (${forInit}; ${forTest}; ${forUpdate}) ${emit(node.body, indent, context)}`;
+                return `${indentStr}for (${forInit}; ${forTest}; ${forUpdate}) ${emitCountedBody(node.body, node, indent, context).trimStart()}`;
 
             case 'WhileStatement':
-                return `${indentStr}while (${emit(node.test, 0, context)}) ${emit(node.body, indent, context)}`;
+                return `${indentStr}while (${emit(node.test, 0, context)}) ${emitCountedBody(node.body, node, indent, context).trimStart()}`;
+
+            case 'DoWhileStatement':
+                return `${indentStr}do ${emitCountedBody(node.body, node, indent, context).trimStart()} while (${emit(node.test, 0, context)});`;
+
+            case 'SwitchStatement':
+                const jsCases = node.cases.map(c => {
+                    const label = c.test ? `case ${emit(c.test, 0, context)}:` : 'default:';
+                    const comments = (c.leadingComments || []).map(comment => `${indentStr}    ${comment.text}`);
+                    const body = emitStatementsWithComments(c.consequent, indent + 2, stmt => emit(stmt, indent + 2, context), c.innerComments);
+                    return [...comments, `${indentStr}    ${label}`, ...body].join('\n');
+                });
+                return `${indentStr}switch (${emit(node.discriminant, 0, context)}) {\n${jsCases.join('\n')}\n${indentStr}}`;
+
+            case 'BreakStatement':
+                return `${indentStr}break;`;
+
+            case 'ContinueStatement':
+                return `${indentStr}continue;`;
 
             case 'ReturnStatement':
-                const retArg = node.argument ? ' ' + emit(node.argument, 0, context) : '';
+                const retArg = node.argument ? ' ' + copyIfStruct(emit(node.argument, 0, context), node.argument) : '';
                 return `${indentStr}return${retArg};`;
 
             case 'BinaryExpression':
-                return `${emit(node.left, 0, context)} ${node.operator} ${emit(node.right, 0, context)}`;
-
             case 'LogicalExpression':
-                return `${emit(node.left, 0, context)} ${node.operator} ${emit(node.right, 0, context)}`;
+                const jsOperands = emitBinaryOperands(node, operand => emit(operand, 0, context));
+                return `${jsOperands.left} ${node.operator} ${jsOperands.right}`;
 
             case 'UnaryExpression':
-                return `${node.operator}${emit(node.argument, 0, context)}`;
+                // Nested unary operands are wrapped too, so -(-x) doesn't turn into --x
+                return `${node.operator}${wrapOperand(emit(node.argument, 0, context), node.argument, UNARY_PRECEDENCE + 1)}`;
 
             case 'UpdateExpression':
                 if (node.prefix) {
-                    return `${node.operator}${emit(node.argument, 0, context)}`;
+                    return `${node.operator}${emitTarget(node.argument, context)}`;
                 } else {
-                    return `${emit(node.argument, 0, context)}${node.operator}`;
+                    return `${emitTarget(node.argument, context)}${node.operator}`;
                 }
 
             case 'AssignmentExpression':
-                return `${emit(node.left, 0, context)} ${node.operator} ${emit(node.right, 0, context)}`;
+                return `${emitTarget(node.left, context)} ${node.operator} ${copyIfStruct(emit(node.right, 0, context), node.right)}`;
+
+            case 'ConditionalExpression':
+                const jsTest = wrapOperand(emit(node.test, 0, context), node.test, 3);
+                return `${jsTest} ? ${emit(node.consequent, 0, context)} : ${emit(node.alternate, 0, context)}`;
 
             case 'CallExpression':
                 let calleeName = null;
@@ -1883,7 +6364,7 @@ function emitJS(ast, allowedFunctions) {
                         }
                     }
                     
-                    calleePrefix = 'lvgl._';
+                    calleePrefix = '$lvgl._';
                 }
 
                 // Get function type information if available
@@ -1896,124 +6377,723 @@ function emitJS(ast, allowedFunctions) {
                     calleeName.includes('add_text')
                 );
 
-                // Emit arguments with cstring conversion if needed
-                const emittedArgs = node.arguments.map((arg, index) => {
-                    let argCode = emit(arg, 0, context);
-                    let needsConversion = false;
-                    let isLvColor = false;
+                // lv_color values are numbers (see convertNumberToLvColor)
+                if (calleeName === 'lv_color_hex' && node.arguments.length === 1) {
+                    const colorArg = node.arguments[0];
+                    return wrapOperand(emit(colorArg, 0, context), colorArg, 16);
+                }
+
+                // C strings converted for the call, freed after it unless the function keeps them
+                const cstringArgs = [];
+
+                // Emit arguments with cstring conversion if needed
+                const emittedArgs = node.arguments.map((arg, index) => {
+                    let argCode = emit(arg, 0, context);
+                    let needsConversion = false;
+                    let isLvColor = false;
+
+                    // Check function signature for this parameter
+                    if (funcTypeInfo && funcTypeInfo.params) {
+                        const expectedType = funcTypeInfo.params[index];
+
+                        // Check if this parameter expects lv_color (lv_color values are numbers too)
+                        if (expectedType === 'lv_color') {
+                            isLvColor = true;
+                        }
+
+                        // Strings are converted like in the interpreter, untyped values when they are strings
+                        if (expectedType === 'cstring' && (arg.type === 'Literal' ? typeof arg.value === 'string' : (!arg.resolvedType || arg.resolvedType === 'string'))) {
+                            needsConversion = arg.resolvedType === 'string' || arg.type === 'Literal' ? true : 'untyped';
+                        }
+                    }
+                    // Without a signature, string literals and string variables of text setters
+                    else if (arg.type === 'Literal' && typeof arg.value === 'string') {
+                        needsConversion = expectsCString;
+                    } else if (arg.type === 'Identifier') {
+                        if (arg.resolvedType === 'string' && expectsCString) {
+                            needsConversion = true;
+                        }
+                    }
+
+                    // Apply lv_color conversion if needed
+                    if (isLvColor) {
+                        return `${useHelper('color')}(${argCode}, ${index})`;
+                    }
+
+                    if (needsConversion) {
+                        if (calleeName && !keepsCStringArguments(calleeName)) {
+                            cstringArgs.push(index);
+                            return argCode;
+                        }
+                        if (needsConversion === 'untyped') {
+                            return `${useHelper('cstring')}(${argCode})`;
+                        }
+                        return `$System.stringToNewUTF8(${argCode})`;
+                    }
+                    return copyIfStruct(argCode, arg);
+                });
+
+                const args = emittedArgs.join(', ');
+
+                // Check if this function returns cstring - wrap with $System.UTF8ToString
+                const returnsCString = funcTypeInfo && funcTypeInfo.returnType === 'cstring';
+
+                if (calleePrefix) {
+                    // Event callbacks go through the EventManager, like in the interpreter
+                    if (calleeName === 'lv_obj_add_event_cb') {
+                        return `${useHelper('addEventCallback')}(${args})`;
+                    }
+
+                    // Use actualFuncName (resolved alias) for the actual function call
+                    const callCode = cstringArgs.length > 0
+                        ? `${useHelper('callWithCStrings')}(${calleePrefix}${actualFuncName}, [${cstringArgs.join(', ')}], ${args})`
+                        : `${calleePrefix}${actualFuncName}(${args})`;
+                    if (returnsCString) {
+                        return `$System.UTF8ToString(${callCode})`;
+                    }
+                    return callCode;
+                } else {
+                    const callCode = `${emit(node.callee, 0, context)}(${args})`;
+                    return callCode;
+                }
+
+            case 'MemberExpression':
+                if (node.computed) {
+                    useHelper('index');
+                    return `${useHelper('at')}(${emit(node.object, 0, context)}, ${emit(node.property, 0, context)})`;
+                } else {
+                    // For non-computed access, property is just a string
+                    const propName = typeof node.property === 'string' ? node.property : emit(node.property, 0, context);
+                    return `${emit(node.object, 0, context)}.${propName}`;
+                }
+
+            case 'ArrayExpression':
+                return `[${node.elements.map(element => emit(element, 0, context)).join(', ')}]`;
+
+            case 'ObjectExpression':
+                const jsStruct = structTypes[node.resolvedType];
+                if (!jsStruct) {
+                    return `{ ${node.properties.map(p => `${p.key}: ${emit(p.value, 0, context)}`).join(', ')} }`;
+                }
+                // Emit every field in declaration order, zeroing the missing ones like the interpreter does
+                const jsStructFields = jsStruct.fields.map(field => {
+                    const property = node.properties.find(p => p.key === field.name);
+                    if (!property) {
+                        return `${field.name}: ${emitDefaultValue(field.type)}`;
+                    }
+                    let valueCode = parseArrayType(field.type)
+                        ? copyArray(emit(property.value, 0, context), property.value, field.type)
+                        : copyIfStruct(emit(property.value, 0, context), property.value);
+                    if (field.type === 'cstring' && property.value.resolvedType === 'string') {
+                        valueCode = `$System.stringToNewUTF8(${valueCode})`;
+                    }
+                    return `${field.name}: ${valueCode}`;
+                });
+                return `{ ${jsStructFields.join(', ')} }`;
+
+            case 'Identifier':
+                // Prefix LVGL constants with $lvgl_const.
+                if (node.name.startsWith('LV_')) {
+                    return `$lvgl_const.${node.name}`;
+                }
+                return node.name;
+
+            case 'Literal':
+                if (typeof node.value === 'string') {
+                    return JSON.stringify(node.value);
+                }
+                return String(node.value);
+
+            default:
+                throw new Error(`Unknown node type in emit: ${node.type}`);
+        }
+    }
+
+    return emit(ast);
+}
+
+// Plain values of the globals passed to init(): { function, params, returnType } specs become the function
+function unwrapGlobals(globals) {
+    const result = {};
+    for (const key in globals) {
+        const value = globals[key];
+        if (typeof value === 'object' && value !== null && 'function' in value) {
+            result[key] = value.function;
+        } else if (typeof value === 'object' && value !== null) {
+            result[key] = unwrapGlobals(value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+// Evaluates the emitJS output of a program, returns its functions by name.
+// The emitted code runs with $lvgl, $lvgl_const, $System, $eventManager and the globals in scope.
+// Script identifiers can't start with $, so a script variable can't hide what the emitted code uses.
+function runEmittedJS(ast, jsCode, globals, lvgl, constants, eventManager, executionLimits) {
+    const plainGlobals = unwrapGlobals(globals || {});
+    const globalNames = Object.keys(plainGlobals).filter(name => !name.startsWith('$'));
+    const functionNames = ast.body.filter(node => node.type === 'FunctionDeclaration').map(node => node.name);
+
+    // Runs are the top level code, exec() calls and event callbacks, like in the interpreter
+    // (see withExecutionBudget); $step() counts the steps of the current run, $enterCall() and
+    // $leaveCall() also the call depth (see Interpreter.enterCall).
+    const limits = { ...DEFAULT_EXECUTION_LIMITS, ...executionLimits };
+    let budget = null;
+    const run = (fn, args) => {
+        if (budget) {
+            return fn(...args);
+        }
+        budget = { steps: 0, startTime: Date.now(), callDepth: 0 };
+        try {
+            return fn(...args);
+        } finally {
+            budget = null;
+        }
+    };
+    const countStep = count => (line, column, length) => {
+        const message = budget && count(budget, limits);
+        if (message) {
+            throw createLocatedRuntimeError(message, line ? { line, column, length } : null, 'execution-limit');
+        }
+    };
+    const leaveCall = () => {
+        if (budget) budget.callDepth--;
+    };
+    const budgetEventManager = eventManager && Object.create(eventManager, {
+        register: { value: (obj, eventCode, callback, scope) => eventManager.register(obj, eventCode, (...args) => run(callback, args), scope) }
+    });
+
+    const factory = new Function('$lvgl', '$lvgl_const', '$System', '$eventManager', '$step', '$enterCall', '$leaveCall',
+        ...globalNames, `${jsCode}\nreturn { ${functionNames.join(', ')} };`);
+    const functions = run(factory, [lvgl, constants, plainGlobals.System, budgetEventManager,
+        countStep(countBudgetStep), countStep(enterBudgetCall), leaveCall, ...globalNames.map(name => plainGlobals[name])]);
+    for (const name of functionNames) {
+        const fn = functions[name];
+        functions[name] = (...args) => run(fn, args);
+    }
+    return functions;
+}
+
+// C code emitter - converts AST to C code
+// C type from the LVGL API JSON as used in declarations: struct tags and const on the pointed-to
+// object are dropped ('const struct _lv_obj_t *' -> 'lv_obj_t*'), except for const char*
+function normalizeCType(cType) {
+    let type = cType.replace(/\s+/g, ' ').trim().replace(/\bstruct _?(lv_\w+)/g, '$1');
+    if (type !== 'const char *') {
+        type = type.replace(/^const /, '');
+    }
+    return type.replace(/ \*/g, '*');
+}
+
+// C code emitter. options:
+//   lvglVersion     - target LVGL version ('8.4.0', '9.3.0', ...), v9 when not given
+//   constantAliases - constant names of other versions mapped to the target version's names
+//   project         - returns a header/source pair instead (see emitCProject)
+// Function aliases are resolved with allowedFunctions[name].aliasOf, and the C types of LVGL
+// parameters and return values come from allowedFunctions[name].cParams/cReturnType.
+function emitC(ast, allowedFunctions, options = {}) {
+    // Collect type information (explicit and inferred) and decorate AST nodes
+    collectTypeInformation(ast, allowedFunctions);
+    const structTypes = collectStructTypes(ast);
+    const isLvgl8 = /^8\./.test(options.lvglVersion || '');
+    const constantAliases = options.constantAliases || {};
+
+    function mapTypeToCType(type) {
+        if (!type) return 'void';
+        switch (type) {
+            case 'number': return 'int32_t';
+            case 'bool': return 'bool';
+            case 'string': return 'const char*';
+            case 'cstring': return 'const char*';
+            case 'lv_obj': return 'lv_obj_t*';
+            case 'lv_color': return 'lv_color_t';
+            case 'function': return 'lv_event_cb_t';
+            default:
+                // Custom types like lv_obj
+                if (type.startsWith('lv_')) {
+                    return type + '_t*';
+                }
+                return type;
+        }
+    }
+
+    // Brace initializer for a struct: { .x = 1, .y = 2 }, usable in declarations and compound literals
+    function emitStructInitializer(node, context) {
+        const struct = structTypes[node.resolvedType];
+        if (!struct) {
+            throw new Error('Object literals need a struct type in C, like let p: Point = { x: 0, y: 0 }');
+        }
+        const fields = node.properties.map(property => {
+            const field = struct.fields.find(f => f.name === property.key);
+            if (!field) {
+                throw new Error(`Unknown field ${property.key} in struct ${struct.name}`);
+            }
+            return `.${property.key} = ${emitInitializerValue(property.value, field.type, context)}`;
+        });
+        return `{ ${fields.join(', ')} }`;
+    }
+
+    // Names declared inside functions and struct field names. A #define for a const global
+    // with one of these names would also replace them, so such globals use static const instead.
+    const localNames = new Set();
+    (function collectLocalNames(node, inFunction) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => collectLocalNames(child, inFunction));
+            return;
+        }
+        if (node.type === 'FunctionDeclaration') {
+            node.params.forEach(p => localNames.add(p.name));
+            collectLocalNames(node.body, true);
+            return;
+        }
+        if (node.type === 'StructDeclaration') {
+            node.fields.forEach(field => localNames.add(field.name));
+            return;
+        }
+        if (node.type === 'VariableDeclaration' && inFunction) {
+            localNames.add(node.name);
+        }
+        for (const key of Object.keys(node)) {
+            if (typeof node[key] === 'object') collectLocalNames(node[key], inFunction);
+        }
+    })(ast, false);
+
+    // emitC doesn't know the host globals, script functions named like a console function
+    // (see CONSOLE_FUNCTIONS) are called as they are
+    const userFunctionNames = new Set(ast.body.filter(stmt => stmt.type === 'FunctionDeclaration').map(stmt => stmt.name));
+
+    // C types of declarations without a type annotation, inferred from how they are used with the
+    // LVGL API: a variable that holds an object (let label = 0; ... label = lv_label_create(...))
+    // is an lv_obj_t*, an untyped parameter gets the C type of the LVGL parameter it is passed to
+    // and the first parameter of an event callback is an lv_event_t*. Only pointer and callback
+    // types are inferred, plus the return type of untyped functions that return a value.
+    const inferredCTypes = inferCTypes();
+
+    function inferCTypes() {
+        const resolver = new SymbolResolver().resolve(ast);
+        const symbols = new Map(resolver.occurrences.map(({ loc, symbol }) => [loc, symbol]));
+        const userFunctions = {};
+        ast.body.forEach(stmt => {
+            if (stmt.type === 'FunctionDeclaration') userFunctions[stmt.name] = stmt;
+        });
+
+        const cTypes = new Map();
+        const returnValues = new Map();
+        const calledFunctions = new Set();
+        let hints;
+
+        // The VariableDeclaration, parameter or FunctionDeclaration an identifier refers to
+        function declarationOf(node) {
+            const symbol = node.type === 'Identifier' ? symbols.get(node.loc) : null;
+            if (!symbol) return null;
+            return symbol.kind === 'param' ? symbol.node.params.find(p => p.loc === symbol.loc) : symbol.node;
+        }
+
+        function isInferable(declaration) {
+            if (declaration.type === 'FunctionDeclaration') return !declaration.returnType;
+            if (declaration.type === 'VariableDeclaration') {
+                return !declaration.varType && (!declaration.resolvedType || declaration.resolvedType === 'number');
+            }
+            // Parameters, number is also how scripts declare pointers
+            return !declaration.type || declaration.type === 'number';
+        }
+
+        function declaredCType(declaration) {
+            if (cTypes.has(declaration)) return cTypes.get(declaration);
+            const type = declaration.type === 'VariableDeclaration' ? declaration.varType
+                : declaration.type === 'FunctionDeclaration' ? declaration.returnType
+                : declaration.type;
+            return type ? mapTypeToCType(type) : null;
+        }
+
+        // C type of an expression, if it has one
+        function expressionCType(node) {
+            if (node.type === 'Identifier') {
+                const declaration = declarationOf(node);
+                return declaration && declaration.type !== 'FunctionDeclaration' ? declaredCType(declaration) : null;
+            }
+            if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+                const spec = allowedFunctions ? allowedFunctions[node.callee.name] : null;
+                if (spec && spec.cReturnType) return normalizeCType(spec.cReturnType);
+                const fn = userFunctions[node.callee.name];
+                if (fn) return declaredCType(fn);
+            }
+            return null;
+        }
+
+        function addHint(declaration, cType) {
+            if (!declaration || !cType || !isInferable(declaration)) return;
+            const type = normalizeCType(cType);
+            if (!type.endsWith('*') && !type.endsWith('_cb_t')) return;
+            if (!hints.has(declaration)) hints.set(declaration, []);
+            hints.get(declaration).push(type);
+        }
+
+        // An argument passed where cType is expected; functions passed as event callbacks
+        // get the lv_event_t* parameter
+        function addArgumentHint(arg, cType) {
+            const declaration = declarationOf(arg);
+            if (declaration && declaration.type === 'FunctionDeclaration') {
+                if (cType && normalizeCType(cType) === 'lv_event_cb_t' && declaration.params.length > 0) {
+                    addHint(declaration.params[0], 'lv_event_t *');
+                }
+                return;
+            }
+            addHint(declaration, cType);
+        }
+
+        function visit(node, func) {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(child => visit(child, func));
+                return;
+            }
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                    visit(node.body, node);
+                    return;
+                case 'VariableDeclaration':
+                    if (node.init) addHint(node, expressionCType(node.init));
+                    break;
+                case 'AssignmentExpression':
+                    if (node.operator === '=') addHint(declarationOf(node.left), expressionCType(node.right));
+                    break;
+                case 'ReturnStatement':
+                    if (func && node.argument) {
+                        addHint(func, expressionCType(node.argument));
+                        if (!func.returnType && !returnValues.has(func)) returnValues.set(func, node.argument);
+                    }
+                    break;
+                case 'CallExpression': {
+                    const name = node.callee.type === 'Identifier' ? node.callee.name : null;
+                    const spec = name && allowedFunctions ? allowedFunctions[name] : null;
+                    const fn = name ? userFunctions[name] : null;
+                    if (fn) calledFunctions.add(name);
+                    node.arguments.forEach((arg, i) => {
+                        if (spec && spec.cParams) {
+                            addArgumentHint(arg, spec.cParams[i]);
+                        } else if (fn && fn.params[i]) {
+                            // Both ways between the arguments and parameters of script functions
+                            addHint(fn.params[i], expressionCType(arg));
+                            addArgumentHint(arg, declaredCType(fn.params[i]));
+                        }
+                    });
+                    break;
+                }
+            }
+            for (const key of Object.keys(node)) {
+                if (typeof node[key] === 'object') visit(node[key], func);
+            }
+        }
+
+        // lv_obj_t* before other pointers, void* last
+        const rank = type => type === 'lv_obj_t*' ? 0 : type === 'void*' ? 3 : type.endsWith('char*') ? 2 : 1;
+
+        // Types flow through assignments and calls, repeat until nothing changes
+        for (let pass = 0; pass < 10; pass++) {
+            hints = new Map();
+            visit(ast, null);
+            let changed = false;
+            for (const [declaration, types] of hints) {
+                const type = [...types].sort((a, b) => rank(a) - rank(b))[0];
+                if (cTypes.get(declaration) !== type) {
+                    cTypes.set(declaration, type);
+                    changed = true;
+                }
+            }
+            if (!changed) break;
+        }
+
+        for (const [func, argument] of returnValues) {
+            if (!cTypes.has(func)) {
+                cTypes.set(func, mapTypeToCType(argument.resolvedType || 'number'));
+            }
+        }
+
+        // Without the LVGL signatures: a void function with a number first parameter that
+        // the script never calls is most likely an event callback
+        Object.values(userFunctions).forEach(func => {
+            const first = func.params[0];
+            if (first && first.type === 'number' && !cTypes.has(first) && !calledFunctions.has(func.name) &&
+                !returnValues.has(func) && (!func.returnType || func.returnType === 'void')) {
+                cTypes.set(first, 'lv_event_t*');
+            }
+        });
+        return cTypes;
+    }
+
+    // Number to lv_color_t. v8 has no lv_color_hex() function, there literals use LV_COLOR_MAKE()
+    // and other values a helper function added to the output.
+    let usesColorHelper = false;
+
+    function emitColor(argCode, argNode) {
+        if (!isLvgl8) {
+            return `lv_color_hex(${argCode})`;
+        }
+        if (argNode.type === 'Literal' && typeof argNode.value === 'number') {
+            const channel = shift => '0x' + ((argNode.value >> shift) & 0xFF).toString(16).toUpperCase().padStart(2, '0');
+            return `LV_COLOR_MAKE(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+        }
+        usesColorHelper = true;
+        return `color_from_hex(${argCode})`;
+    }
+
+    const COLOR_HELPER = `static lv_color_t color_from_hex(uint32_t c) {
+    return LV_COLOR_MAKE((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF);
+}`;
+
+    // Const globals that are compile-time constants, with their folded values (when known)
+    const constNames = new Set();
+    const constValues = {};
+
+    // The declaration an identifier of the script refers to (see SymbolResolver), or null
+    let symbolsByLocation = null;
+
+    function symbolAt(node) {
+        if (!symbolsByLocation) {
+            symbolsByLocation = new Map();
+            for (const { loc, symbol } of new SymbolResolver().resolve(ast).occurrences) {
+                symbolsByLocation.set(`${loc.line}:${loc.column}`, symbol);
+            }
+        }
+        return node.loc ? symbolsByLocation.get(`${node.loc.line}:${node.loc.column}`) || null : null;
+    }
+
+    // Numbers are int32_t in C, except declarations initialized with a fractional constant
+    // (let x = 1.5, const RATIO = 7 / 2): those are double, with the value the interpreter computes
+    const doubleDeclarations = new Set();
+    (function collectDoubleDeclarations() {
+        const globalValues = {};
+        const isFraction = value => typeof value === 'number' && Number.isFinite(value) && !Number.isInteger(value);
+        (function visit(node) {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (node.type === 'VariableDeclaration' && node.resolvedType === 'number' && node.init) {
+                const value = evaluateConstantExpression(node.init, globalValues);
+                if (isFraction(value)) doubleDeclarations.add(node);
+                // Other declarations see the const globals declared above them, like in emitConstGlobal
+                if (node.kind === 'const' && ast.body.includes(node) && value !== undefined) {
+                    globalValues[node.name] = value;
+                }
+            }
+            for (const key of Object.keys(node)) {
+                if (key !== 'loc' && typeof node[key] === 'object') visit(node[key]);
+            }
+        })(ast.body);
+    })();
+
+    // Whether an expression is a double in C (see doubleDeclarations), for the snprintf() formats
+    function isDoubleExpression(node) {
+        switch (node.type) {
+            case 'Literal':
+                return typeof node.value === 'number' && !Number.isInteger(node.value);
+            case 'Identifier': {
+                const symbol = symbolAt(node);
+                return !!symbol && doubleDeclarations.has(symbol.node);
+            }
+            case 'UnaryExpression':
+                return node.operator === '-' && isDoubleExpression(node.argument);
+            case 'BinaryExpression':
+                return ['+', '-', '*', '/', '%'].includes(node.operator) &&
+                    (isDoubleExpression(node.left) || isDoubleExpression(node.right));
+            case 'ConditionalExpression':
+                return isDoubleExpression(node.consequent) || isDoubleExpression(node.alternate);
+            default:
+                return false;
+        }
+    }
+
+    // A const global with a compile-time constant initializer becomes a #define (or static const),
+    // folding the initializer when all of its values are known. Returns null for other const globals.
+    function emitConstGlobal(node, context) {
+        const type = node.resolvedType;
+
+        if (type === 'string' || type === 'cstring') {
+            if (node.init.type !== 'Literal' || typeof node.init.value !== 'string') return null;
+            return `static const char ${node.name}[] = "${node.init.value.replace(/"/g, '\\"')}";`;
+        }
+
+        if ((type !== 'number' && type !== 'bool') || !isConstantExpression(node.init, constNames)) {
+            return null;
+        }
 
-                    // Check function signature for this parameter
-                    if (funcTypeInfo && funcTypeInfo.params && funcTypeInfo.params[index]) {
-                        const expectedType = funcTypeInfo.params[index];
+        // The value is folded like the interpreter computes it, C would use integer division (7 / 2)
+        const value = evaluateConstantExpression(node.init, constValues);
+        let code;
+        if (typeof value === 'boolean' || Number.isFinite(value)) {
+            constValues[node.name] = value;
+            code = value < 0 ? `(${value})` : String(value);
+        } else {
+            code = emit(node.init, 0, context);
+            if (node.init.type !== 'Literal' && node.init.type !== 'Identifier') {
+                code = `(${code})`;
+            }
+        }
 
-                        // Check if this parameter expects lv_color
-                        if (expectedType === 'lv_color') {
-                            isLvColor = true;
-                            // If it's already a pointer to lv_color, don't convert
-                            if (arg.resolvedType === 'lv_color') {
-                                isLvColor = false;
-                            }
-                        }
+        if (localNames.has(node.name)) {
+            // A static const isn't a constant expression in C, other initializers can only use its folded value
+            if (node.name in constValues) constNames.add(node.name);
+            const cType = doubleDeclarations.has(node) ? 'double' : mapTypeToCType(type);
+            return `static const ${cType} ${node.name} = ${code};`;
+        }
+        constNames.add(node.name);
+        return `#define ${node.name} ${code}`;
+    }
 
-                        if (expectedType === 'cstring') {
-                            // Check if argument is a string
-                            if (arg.resolvedType === 'string') {
-                                needsConversion = true;
-                            }
-                        }
-                    }
+    // Globals of a project whose initializer isn't a constant in C (calls, other variables, colors
+    // through lv_color_hex()) are zero-initialized at file scope and assigned in the entry point
+    const deferredGlobals = new Set();
+
+    function isConstantInitializer(init, type) {
+        if (init.type === 'ObjectExpression') {
+            const struct = structTypes[init.resolvedType];
+            return init.properties.every(property => {
+                const field = struct && struct.fields.find(f => f.name === property.key);
+                return isConstantInitializer(property.value, field && field.type);
+            });
+        }
+        if (init.type === 'ArrayExpression') {
+            const arrayType = parseArrayType(type);
+            return init.elements.every(element => isConstantInitializer(element, arrayType && arrayType.elementType));
+        }
+        if (type === 'lv_color' && init.resolvedType === 'number') {
+            return isLvgl8 && init.type === 'Literal';
+        }
+        return init.type === 'Literal' || isConstantExpression(init, constNames);
+    }
 
-                    // Check if this is a string literal
-                    if (arg.type === 'Literal' && typeof arg.value === 'string') {
-                        needsConversion = expectsCString;
-                    }
-                    // Check if this is an identifier with string type
-                    else if (arg.type === 'Identifier') {
-                        if (arg.resolvedType === 'string' && expectsCString) {
-                            needsConversion = true;
-                        }
-                    }
+    // Case labels must be integer constant expressions in C: literals, LVGL constants and const
+    // globals that aren't shadowed by a local. A static const global isn't a constant expression
+    // (see emitConstGlobal), labels using one get the folded value instead.
+    function emitCaseLabel(test, context) {
+        const globalConsts = new Set();
+        (function collectGlobalConsts(node) {
+            if (node.type === 'Identifier') {
+                const symbol = symbolAt(node);
+                if (symbol && symbol.kind === 'const' && !symbol.container && constNames.has(node.name)) {
+                    globalConsts.add(node.name);
+                }
+                return;
+            }
+            ['left', 'right', 'argument', 'test', 'consequent', 'alternate'].forEach(key => node[key] && collectGlobalConsts(node[key]));
+        })(test);
 
-                    // Apply lv_color conversion if needed
-                    if (isLvColor) {
-                        return `(lvgl._colorBuffer || (lvgl._colorBuffer = lvgl._lv_malloc(4)), lvgl._lv_color_hex(lvgl._colorBuffer, ${argCode}), lvgl._colorBuffer)`;
-                    }
+        if (!isConstantExpression(test, globalConsts)) {
+            throw new Error('switch with case labels that are not constants is not supported in C');
+        }
+        if ([...globalConsts].some(name => localNames.has(name))) {
+            const value = evaluateConstantExpression(test, constValues);
+            return value < 0 ? `(${value})` : String(value);
+        }
+        return emit(test, 0, context);
+    }
 
-                    if (needsConversion) {
-                        return `System.stringToNewUTF8(${argCode})`;
-                    }
-                    return argCode;
-                });
+    // Return type, name and parameters of a function, used by definitions and prototypes
+    function emitFunctionSignature(node, name = node.name) {
+        if (parseArrayType(node.returnType)) {
+            throw new Error(`Function ${node.name} cannot return an array in C`);
+        }
+        const returnType = inferredCTypes.get(node) || mapTypeToCType(node.returnType);
+        const params = node.params.map(p => {
+            const paramArrayType = parseArrayType(p.type);
+            if (paramArrayType) {
+                return `${mapTypeToCType(paramArrayType.elementType)} ${p.name}[${paramArrayType.size || ''}]`;
+            }
+            const paramType = inferredCTypes.get(p) || mapTypeToCType(p.type || 'number');
+            return `${paramType} ${p.name}`;
+        }).join(', ');
+        // Prototypes need (void), () would leave the parameters unspecified
+        return `${returnType} ${name}(${params || (options.project ? 'void' : '')})`;
+    }
 
-                const args = emittedArgs.join(', ');
+    function emitInitializerValue(node, type, context) {
+        if (node.type === 'ObjectExpression') {
+            return emitStructInitializer(node, context);
+        }
+        if (node.type === 'ArrayExpression') {
+            const arrayType = parseArrayType(type);
+            const elementType = arrayType ? arrayType.elementType : null;
+            return `{${node.elements.map(element => emitInitializerValue(element, elementType, context)).join(', ')}}`;
+        }
+        return emit(node, 0, context);
+    }
 
-                // Check if this function returns cstring - wrap with System.UTF8ToString
-                const returnsCString = funcTypeInfo && funcTypeInfo.returnType === 'cstring';
+    const isString = type => type === 'string' || type === 'cstring';
 
-                if (calleePrefix) {
-                    // Use actualFuncName (resolved alias) for the actual function call
-                    const callCode = `${calleePrefix}${actualFuncName}(${args})`;
-                    if (returnsCString) {
-                        return `System.UTF8ToString(${callCode})`;
-                    }
-                    return callCode;
-                } else {
-                    const callCode = `${emit(node.callee, 0, context)}(${args})`;
-                    return callCode;
-                }
+    // A string used as a number is converted with atoi(), like JavaScript does
+    function emitNumber(node, context) {
+        const code = emit(node, 0, context);
+        return isString(node.resolvedType) ? `atoi(${code})` : code;
+    }
 
-            case 'MemberExpression':
-                if (node.computed) {
-                    return `${emit(node.object, 0, context)}[${emit(node.property, 0, context)}]`;
-                } else {
-                    // For non-computed access, property is just a string
-                    const propName = typeof node.property === 'string' ? node.property : emit(node.property, 0, context);
-                    return `${emit(node.object, 0, context)}.${propName}`;
-                }
+    // A + with a string operand concatenates, C gets an snprintf() into a buffer
+    function isStringConcatenation(node) {
+        return node.type === 'BinaryExpression' && node.operator === '+' &&
+            (isString(node.left.resolvedType) || isString(node.right.resolvedType));
+    }
 
-            case 'Identifier':
-                // Prefix LVGL constants with lvgl_const.
-                if (node.name.startsWith('LV_')) {
-                    return `lvgl_const.${node.name}`;
-                }
-                return node.name;
+    // Format and arguments of the snprintf() for a concatenation: "n=%d", n
+    function emitConcatenationFormat(node, context) {
+        const parts = [];
+        (function collectParts(n) {
+            if (isStringConcatenation(n)) {
+                collectParts(n.left);
+                collectParts(n.right);
+            } else {
+                parts.push(n);
+            }
+        })(node);
 
-            case 'Literal':
-                if (typeof node.value === 'string') {
-                    return `"${node.value.replace(/"/g, '\\"')}"`;
-                }
-                return String(node.value);
+        let format = '';
+        const args = [];
+        parts.forEach(part => {
+            if (part.type === 'Literal' && typeof part.value === 'string') {
+                format += part.value.replace(/%/g, '%%').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+            } else {
+                format += isString(part.resolvedType) ? '%s' : isDoubleExpression(part) ? '%g' : '%d';
+                args.push(emit(part, 0, context));
+            }
+        });
+        return `"${format}"${args.map(arg => `, ${arg}`).join('')}`;
+    }
 
-            default:
-                throw new Error(`Unknown node type in emit: ${node.type}`);
-        }
+    // Static buffer for a concatenation, declared at the top of the function (or the file)
+    // being emitted, see context.stringBufferDeclarations
+    function addStringBuffer(context) {
+        context.stringBufferCount = (context.stringBufferCount || 0) + 1;
+        const bufferName = context.stringBufferCount === 1 ? '_str_buf' : `_str_buf${context.stringBufferCount}`;
+        context.stringBufferDeclarations.push(`static char ${bufferName}[256];`);
+        return bufferName;
     }
 
-    return emit(ast);
-}
+    // Whether an expression uses one of the names (as a variable, not a field)
+    function usesName(node, names) {
+        if (!node || typeof node !== 'object') return false;
+        if (node.type === 'Identifier') return names.has(node.name);
+        return Object.keys(node).some(key => key !== 'loc' && usesName(node[key], names));
+    }
 
-// C code emitter - converts AST to C code
-function emitC(ast, allowedFunctions) {
-    // Collect type information (explicit and inferred) and decorate AST nodes
-    collectTypeInformation(ast, allowedFunctions);
+    // Buffer declarations go after the opening brace of a function body
+    function declareStringBuffers(body, declarations, indentStr) {
+        if (declarations.length === 0) return body;
+        const lines = declarations.map(declaration => `${indentStr}    ${declaration}`).join('\n');
+        return body.replace('\n', `\n${lines}\n`);
+    }
 
-    function mapTypeToCType(type) {
-        if (!type) return 'void';
-        switch (type) {
-            case 'number': return 'int32_t';
-            case 'bool': return 'bool';
-            case 'string': return 'const char*';
-            case 'cstring': return 'const char*';
-            case 'lv_obj': return 'lv_obj_t*';
-            case 'lv_color': return 'lv_color_t';
-            case 'function': return 'lv_event_cb_t';
-            default:
-                // Custom types like lv_obj
-                if (type.startsWith('lv_')) {
-                    return type + '_t*';
-                }
-                return type;
+    // Functions referenced above their definition need a prototype, C has no hoisting
+    function functionsUsedBeforeDefinition(program) {
+        const before = (a, b) => a.line < b.line || (a.line === b.line && a.column < b.column);
+        const used = new Set();
+        for (const { loc, symbol } of new SymbolResolver().resolve(program).occurrences) {
+            if (symbol.kind === 'function' && before(loc, symbol.loc)) used.add(symbol.node);
         }
+        return program.body.filter(stmt => used.has(stmt));
     }
 
     function emit(node, indent = 0, context = {}) {
@@ -2024,54 +7104,135 @@ function emitC(ast, allowedFunctions) {
         switch (node.type) {
             case 'Program':
                 // Add includes header for string operations and LVGL
-                const codeBody = node.body.map(stmt => emit(stmt, indent, context)).join('\n\n');
+                context.stringBufferDeclarations = [];
+                const codeBody = emitStatementsWithComments(node.body, indent, stmt => emit(stmt, indent, context), node.innerComments);
+                if (context.stringBufferDeclarations.length > 0) codeBody.unshift(context.stringBufferDeclarations.join('\n'));
+                if (usesColorHelper) codeBody.unshift(COLOR_HELPER);
+                const forwardDeclared = functionsUsedBeforeDefinition(node);
+                if (forwardDeclared.length > 0) {
+                    codeBody.unshift(forwardDeclared.map(fn => `${emitFunctionSignature(fn)};`).join('\n'));
+                }
                 return `#include <stdio.h>
+#include <stdlib.h>
 #include <string.h>
 #include <stdint.h>
 #include <stdbool.h>
 #include "lvgl.h"
 
-${codeBody}`;
+${codeBody.join('\n\n')}`;
 
             case 'FunctionDeclaration':
-                const returnType = mapTypeToCType(node.returnType);
-                const params = node.params.map(p => {
-                    let paramType = mapTypeToCType(p.type);
-                    // Event callbacks receive lv_event_t* instead of int32_t
-                    // Check if param type is 'number' and this is likely an event handler
-                    if (p.type === 'number' && node.params.length >= 1 && node.params[0] === p) {
-                        // First parameter of type number likely means event callback
-                        paramType = 'lv_event_t*';
+                const fnContext = {
+                    ...context,
+                    currentFunction: node.name,
+                    returnsString: isString(node.returnType) || inferredCTypes.get(node) === 'const char*',
+                    localStringNames: new Set(),
+                    stringBufferCount: 0,
+                    stringBufferDeclarations: []
+                };
+                const fnBody = declareStringBuffers(emit(node.body, indent, fnContext), fnContext.stringBufferDeclarations, indentStr);
+                return `${indentStr}${emitFunctionSignature(node)} ${fnBody}`;
+
+            case 'StructDeclaration':
+                const cFields = emitStatementsWithComments(node.fields, indent + 1, field => {
+                    const fieldArrayType = parseArrayType(field.type);
+                    if (fieldArrayType) {
+                        return `${indentStr}    ${mapTypeToCType(fieldArrayType.elementType)} ${field.name}[${fieldArrayType.size}];`;
                     }
-                    return `${paramType} ${p.name}`;
-                }).join(', ');
-                const fnContext = { ...context, currentFunction: node.name };
-                const fnBody = emit(node.body, indent, fnContext);
-                return `${indentStr}${returnType} ${node.name}(${params}) ${fnBody}`;
+                    return `${indentStr}    ${mapTypeToCType(field.type)} ${field.name};`;
+                }, node.innerComments);
+                return `${indentStr}typedef struct {\n${cFields.join('\n')}\n${indentStr}} ${node.name};`;
 
             case 'VariableDeclaration':
+                if (node.kind === 'const' && !context.currentFunction) {
+                    const constCode = emitConstGlobal(node, context);
+                    if (constCode) return indentStr + constCode;
+                }
+                if (options.project && !context.currentFunction && node.init && !isConstantInitializer(node.init, node.resolvedType)) {
+                    if (parseArrayType(node.resolvedType)) {
+                        throw new Error(`Array ${node.name} must be initialized with constants at the top level in C`);
+                    }
+                    deferredGlobals.add(node);
+                    const declaration = { ...node, init: null };
+                    if (inferredCTypes.has(node)) inferredCTypes.set(declaration, inferredCTypes.get(node));
+                    return emit(declaration, indent, context);
+                }
+                // const locals keep the qualifier (arrays and structs don't: their elements and fields stay writable)
+                const isConstLocal = node.kind === 'const' && !!context.currentFunction;
+
+                // Arrays become fixed-size C arrays
+                const cArrayType = parseArrayType(node.resolvedType);
+                if (cArrayType) {
+                    if (cArrayType.size === null) {
+                        throw new Error(`Array ${node.name} needs a size or an initializer`);
+                    }
+                    const elementCType = mapTypeToCType(cArrayType.elementType);
+                    let arrayInit = '';
+                    if (node.init && node.init.type === 'ArrayExpression') {
+                        arrayInit = ' = ' + emitInitializerValue(node.init, cArrayType.elementType + '[]', context);
+                    } else if (node.init) {
+                        throw new Error(`Array ${node.name} must be initialized with an array literal in C`);
+                    } else {
+                        arrayInit = ' = {0}';
+                    }
+                    return `${indentStr}${elementCType} ${node.name}[${cArrayType.size}]${arrayInit};`;
+                }
+
+                if (structTypes[node.resolvedType]) {
+                    let structInit = ' = {0}';
+                    if (node.init && node.init.type === 'ObjectExpression') {
+                        structInit = ' = ' + emitStructInitializer(node.init, context);
+                    } else if (node.init) {
+                        structInit = ' = ' + emit(node.init, 0, context);
+                    }
+                    return `${indentStr}${node.resolvedType} ${node.name}${structInit};`;
+                }
+
                 // Get type from collected types (either explicit or inferred)
-                const varType = mapTypeToCType(node.varType || node.resolvedType);
+                const varType = inferredCTypes.get(node) ||
+                    (doubleDeclarations.has(node) ? 'double' : mapTypeToCType(node.varType || node.resolvedType));
                 const isStringType = node.varType === 'string' || node.resolvedType === 'string';
                 
                 if (isStringType) {
                     // String variables become char arrays in C
+                    if (context.localStringNames) context.localStringNames.add(node.name);
                     let varInit = '';
                     if (node.init) {
                         if (node.init.type === 'Literal' && typeof node.init.value === 'string') {
                             varInit = ` = "${node.init.value.replace(/"/g, '\\"')}"`;
+                            if (isConstLocal) {
+                                return `${indentStr}const char ${node.name}[]${varInit};`;
+                            }
+                        } else if (context.currentFunction) {
+                            // Other values are copied into the buffer like an assignment (strcpy or snprintf)
+                            const assignment = {
+                                type: 'ExpressionStatement',
+                                expression: {
+                                    type: 'AssignmentExpression',
+                                    operator: '=',
+                                    left: { type: 'Identifier', name: node.name, resolvedType: 'string' },
+                                    right: node.init
+                                }
+                            };
+                            return `${indentStr}char ${node.name}[256] = "";\n${emit(assignment, indent, context)}`;
                         } else {
-                            // Initialize with empty string, will be assigned later
                             varInit = ' = ""';
                         }
                     }
                     return `${indentStr}char ${node.name}[256]${varInit};`;
                 } else {
                     let varInit = '';
-                    if (node.init) {
+                    if (node.init && varType.endsWith('*') && node.init.type === 'Literal' && node.init.value === 0) {
+                        varInit = ' = NULL';
+                    } else if (node.init && varType === 'lv_color_t' && node.init.resolvedType === 'number') {
+                        varInit = ' = ' + emitColor(emit(node.init, 0, context), node.init);
+                    } else if (node.init) {
                         varInit = ' = ' + emit(node.init, 0, context);
                     }
-                    return `${indentStr}${varType} ${node.name}${varInit};`;
+                    // const applies to the pointer itself for pointer types (lv_obj_t* const)
+                    const qualifiedType = !isConstLocal ? varType
+                        : varType.endsWith('*') ? `${varType} const` : `const ${varType}`;
+                    return `${indentStr}${qualifiedType} ${node.name}${varInit};`;
                 };
 
             case 'ExpressionStatement':
@@ -2088,45 +7249,15 @@ ${codeBody}`;
                         const varName = leftNode.name;
                         
                         // Check if right side is a string concatenation
-                        if (rightNode.type === 'BinaryExpression' && rightNode.operator === '+') {
-                            const parts = [];
-                            function collectConcatParts(n) {
-                                if (n.type === 'BinaryExpression' && n.operator === '+') {
-                                    collectConcatParts(n.left);
-                                    collectConcatParts(n.right);
-                                } else {
-                                    parts.push(n);
-                                }
-                            }
-                            collectConcatParts(rightNode);
-                            
-                            // Generate snprintf format string
-                            let formatStr = '';
-                            const sprintfArgs = [];
-                            
-                            parts.forEach(part => {
-                                if (part.type === 'Literal' && typeof part.value === 'string') {
-                                    formatStr += part.value;
-                                } else {
-                                    const partType = part.resolvedType;
-                                    if (partType === 'string' || partType === 'cstring') {
-                                        formatStr += '%s';
-                                    } else {
-                                        formatStr += '%d';
-                                    }
-                                    sprintfArgs.push(emit(part, 0, context));
-                                }
-                            });
-                            
-                            const argsStr = sprintfArgs.length > 0 ? ', ' + sprintfArgs.join(', ') : '';
-                            return `${indentStr}snprintf(${varName}, sizeof(${varName}), "${formatStr}"${argsStr});`;
+                        if (isStringConcatenation(rightNode)) {
+                            return `${indentStr}snprintf(${varName}, sizeof(${varName}), ${emitConcatenationFormat(rightNode, context)});`;
                         }
                         // Simple string literal assignment
                         else if (rightNode.type === 'Literal' && typeof rightNode.value === 'string') {
                             return `${indentStr}strcpy(${varName}, "${rightNode.value.replace(/"/g, '\\"')}");`;
                         }
-                        // Assignment from another string variable or function result
-                        else if (rightNode.type === 'Identifier' || rightNode.type === 'CallExpression') {
+                        // Assignment from another string variable, function result, field, ...
+                        else {
                             return `${indentStr}strcpy(${varName}, ${emit(rightNode, 0, context)});`;
                         }
                     }
@@ -2138,61 +7269,18 @@ ${codeBody}`;
                 if (node.expression.type === 'CallExpression') {
                     const callNode = node.expression;
 
-                    // Check each argument for string concatenation
-                    callNode.arguments.forEach((arg, index) => {
-                        if (arg.type === 'BinaryExpression' && arg.operator === '+') {
-                            const parts = [];
-
-                            function collectParts(n) {
-                                if (n.type === 'BinaryExpression' && n.operator === '+') {
-                                    collectParts(n.left);
-                                    collectParts(n.right);
-                                } else {
-                                    parts.push(n);
-                                }
-                            }
-
-                            collectParts(arg);
-
-                            const hasStringLiteral = parts.some(p =>
-                                p.type === 'Literal' && typeof p.value === 'string'
-                            );
-
-                            if (hasStringLiteral && parts.length > 1) {
-                                // Generate format string and args
-                                let formatStr = '';
-                                const sprintfArgs = [];
-
-                                parts.forEach(part => {
-                                    if (part.type === 'Literal' && typeof part.value === 'string') {
-                                        formatStr += part.value;
-                                    } else {
-                                        const partType = part.resolvedType;
-
-                                        if (partType === 'number' || !partType) {
-                                            formatStr += '%d';
-                                        } else if (partType === 'string' || partType === 'cstring') {
-                                            formatStr += '%s';
-                                        } else {
-                                            formatStr += '%d';
-                                        }
-
-                                        sprintfArgs.push(emit(part, 0, context));
-                                    }
-                                });
-
-                                const bufferName = `_str_buf`;
-                                const argsStr = sprintfArgs.length > 0 ? ', ' + sprintfArgs.join(', ') : '';
-
-                                // Store buffer info in context for CallExpression to use
-                                if (!context.stringBuffers) {
-                                    context.stringBuffers = new Map();
-                                }
-                                context.stringBuffers.set(arg, bufferName);
+                    // Each concatenated argument is written into its own buffer before the call
+                    callNode.arguments.forEach(arg => {
+                        if (isStringConcatenation(arg)) {
+                            const bufferName = addStringBuffer(context);
 
-                                preamble += `${indentStr}static char ${bufferName}[256];\n`;
-                                preamble += `${indentStr}snprintf(${bufferName}, sizeof(${bufferName}), "${formatStr}"${argsStr});\n`;
+                            // Store buffer info in context for CallExpression to use
+                            if (!context.stringBuffers) {
+                                context.stringBuffers = new Map();
                             }
+                            context.stringBuffers.set(arg, bufferName);
+
+                            preamble += `${indentStr}snprintf(${bufferName}, sizeof(${bufferName}), ${emitConcatenationFormat(arg, context)});\n`;
                         }
                     });
                 }
@@ -2200,16 +7288,20 @@ ${codeBody}`;
                 return preamble + `${indentStr}${emit(node.expression, 0, context)};`;
 
             case 'BlockStatement':
-                const statements = node.body.map(stmt => emit(stmt, indent + 1, context)).join('\n');
-                return `{\n${statements}\n${indentStr}}`;
+                const statements = emitStatementsWithComments(node.body, indent + 1, stmt => emit(stmt, indent + 1, context), node.innerComments).join('\n');
+                return `${appendComments('{', node.openingComments)}\n${statements}\n${indentStr}}`;
 
             case 'IfStatement':
-                let ifResult = `${indentStr}if (${emit(node.test, 0, context)}) ${emit(node.consequent, indent, context)}`;
+                let ifResult = `${indentStr}if (${emit(node.test, 0, context)}) ${emit(node.consequent, indent, context).trimStart()}`;
                 if (node.alternate) {
+                    // Comments after the consequent stay on its closing line, else goes on the next one
+                    ifResult = node.elseComments && node.elseComments.length > 0
+                        ? `${appendComments(ifResult, node.elseComments)}\n${indentStr}else `
+                        : ifResult + ' else ';
                     if (node.alternate.type === 'IfStatement') {
-                        ifResult += ' else ' + emit(node.alternate, indent, context).trim();
+                        ifResult += emit(node.alternate, indent, context).trim();
                     } else {
-                        ifResult += ' else ' + emit(node.alternate, indent, context);
+                        ifResult += emit(node.alternate, indent, context).trimStart();
                     }
                 }
                 return ifResult;
@@ -2218,12 +7310,43 @@ ${codeBody}`;
                 const forInit = node.init ? emit(node.init, 0, context).trim().replace(/;$/, '') : '';
                 const forTest = node.test ? emit(node.test, 0, context) : '';
                 const forUpdate = node.update ? emit(node.update, 0, context) : '';
-                return `${indentStr}for (${forInit}; ${forTest}; ${forUpdate}) ${emit(node.body, indent, context)}`;
+                return `${indentStr}for (${forInit}; ${forTest}; ${forUpdate}) ${emit(node.body, indent, context).trimStart()}`;
 
             case 'WhileStatement':
-                return `${indentStr}while (${emit(node.test, 0, context)}) ${emit(node.body, indent, context)}`;
+                return `${indentStr}while (${emit(node.test, 0, context)}) ${emit(node.body, indent, context).trimStart()}`;
+
+            case 'DoWhileStatement':
+                return `${indentStr}do ${emit(node.body, indent, context).trimStart()} while (${emit(node.test, 0, context)});`;
+
+            case 'SwitchStatement':
+                if (node.discriminant.resolvedType === 'string') {
+                    throw new Error('switch on strings is not supported in C');
+                }
+                const cCases = node.cases.map(c => {
+                    const label = c.test ? `case ${emitCaseLabel(c.test, context)}:` : 'default:';
+                    // C doesn't allow a declaration right after a case label, so wrap those in a block
+                    const needsBlock = c.consequent.some(stmt => stmt.type === 'VariableDeclaration');
+                    const comments = (c.leadingComments || []).map(comment => `${indentStr}    ${comment.text}`);
+                    const body = emitStatementsWithComments(c.consequent, indent + 2, stmt => emit(stmt, indent + 2, context), c.innerComments);
+                    if (needsBlock) {
+                        return [...comments, `${indentStr}    ${label} {`, ...body, `${indentStr}    }`].join('\n');
+                    }
+                    return [...comments, `${indentStr}    ${label}`, ...body].join('\n');
+                });
+                return `${indentStr}switch (${emit(node.discriminant, 0, context)}) {\n${cCases.join('\n')}\n${indentStr}}`;
+
+            case 'BreakStatement':
+                return `${indentStr}break;`;
+
+            case 'ContinueStatement':
+                return `${indentStr}continue;`;
 
             case 'ReturnStatement':
+                // A local char array doesn't outlive the function, its text is returned in a static buffer
+                if (node.argument && context.returnsString && usesName(node.argument, context.localStringNames)) {
+                    const bufferName = addStringBuffer(context);
+                    return `${indentStr}return strcpy(${bufferName}, ${emit(node.argument, 0, context)});`;
+                }
                 const retArg = node.argument ? ' ' + emit(node.argument, 0, context) : '';
                 return `${indentStr}return${retArg};`;
 
@@ -2238,15 +7361,27 @@ ${codeBody}`;
                 if (op === '&&') op = '&&';
                 if (op === '||') op = '||';
 
-                // For + operator with string concatenation, it should have been
-                // handled in ExpressionStatement. If we reach here, emit as-is
-                return `${emit(node.left, 0, context)} ${op} ${emit(node.right, 0, context)}`;
+                // Strings are compared by content
+                if (['==', '!=', '<', '>', '<=', '>='].includes(op) &&
+                    (isString(node.left.resolvedType) || isString(node.right.resolvedType))) {
+                    return `strcmp(${emit(node.left, 0, context)}, ${emit(node.right, 0, context)}) ${op} 0`;
+                }
+
+                // Concatenations used as a value: (snprintf(_str_buf, sizeof(_str_buf), "n=%d", n), _str_buf)
+                if (isStringConcatenation(node)) {
+                    const bufferName = addStringBuffer(context);
+                    return `(snprintf(${bufferName}, sizeof(${bufferName}), ${emitConcatenationFormat(node, context)}), ${bufferName})`;
+                }
+
+                const cOperands = emitBinaryOperands(node, operand => emitNumber(operand, context));
+                return `${cOperands.left} ${op} ${cOperands.right}`;
 
             case 'LogicalExpression':
-                return `${emit(node.left, 0, context)} ${node.operator} ${emit(node.right, 0, context)}`;
+                const cLogicalOperands = emitBinaryOperands(node, operand => emit(operand, 0, context));
+                return `${cLogicalOperands.left} ${node.operator} ${cLogicalOperands.right}`;
 
             case 'UnaryExpression':
-                return `${node.operator}${emit(node.argument, 0, context)}`;
+                return `${node.operator}${wrapOperand(emit(node.argument, 0, context), node.argument, UNARY_PRECEDENCE + 1)}`;
 
             case 'UpdateExpression':
                 if (node.prefix) {
@@ -2256,8 +7391,18 @@ ${codeBody}`;
                 }
 
             case 'AssignmentExpression':
+                if (node.left.resolvedType === 'number') {
+                    return `${emit(node.left, 0, context)} ${node.operator} ${emitNumber(node.right, context)}`;
+                }
+                if (node.left.resolvedType === 'lv_color' && node.right.resolvedType === 'number') {
+                    return `${emit(node.left, 0, context)} ${node.operator} ${emitColor(emit(node.right, 0, context), node.right)}`;
+                }
                 return `${emit(node.left, 0, context)} ${node.operator} ${emit(node.right, 0, context)}`;
 
+            case 'ConditionalExpression':
+                const cTest = wrapOperand(emit(node.test, 0, context), node.test, 3);
+                return `${cTest} ? ${emit(node.consequent, 0, context)} : ${emit(node.alternate, 0, context)}`;
+
             case 'CallExpression':
                 let calleeName = null;
 
@@ -2287,8 +7432,7 @@ ${codeBody}`;
                             if (arg.resolvedType === 'lv_color') {
                                 return argCode;
                             }
-                            // Wrap with lv_color_hex
-                            return `lv_color_hex(${argCode})`;
+                            return emitColor(argCode, arg);
                         }
                     }
 
@@ -2297,8 +7441,17 @@ ${codeBody}`;
 
                 const args = emittedArgs.join(', ');
 
+                // print() and the log functions, unless the script declares a function with that name
+                const consoleFunction = node.callee.type === 'Identifier' && !userFunctionNames.has(node.callee.name)
+                    ? CONSOLE_FUNCTIONS[node.callee.name] : null;
+                if (consoleFunction) {
+                    return `${consoleFunction.cFunction}(${consoleFunction.cFormat}, ${args})`;
+                }
+
                 if (calleeName) {
-                    return `${calleeName}(${args})`;
+                    // Names of other LVGL versions are aliases of the target version's function
+                    const cName = funcTypeInfo && funcTypeInfo.aliasOf ? funcTypeInfo.aliasOf : calleeName;
+                    return `${cName}(${args})`;
                 } else {
                     return `${emit(node.callee, 0, context)}(${args})`;
                 }
@@ -2307,13 +7460,31 @@ ${codeBody}`;
                 if (node.computed) {
                     return `${emit(node.object, 0, context)}[${emit(node.property, 0, context)}]`;
                 } else {
+                    const objectArrayType = parseArrayType(node.object.resolvedType);
+                    if (objectArrayType && node.property === 'length') {
+                        // Arrays are fixed-size, so the length is a compile-time constant
+                        if (objectArrayType.size === null) {
+                            throw new Error(`Cannot determine the length of array ${emit(node.object, 0, context)} in C, declare it with a size like number[4]`);
+                        }
+                        return String(objectArrayType.size);
+                    }
                     const propName = typeof node.property === 'string' ? node.property : emit(node.property, 0, context);
                     return `${emit(node.object, 0, context)}.${propName}`;
                 }
 
+            case 'ArrayExpression':
+                // Array literals outside of declarations become C99 compound literals
+                const literalArrayType = parseArrayType(node.resolvedType);
+                const literalCType = literalArrayType ? mapTypeToCType(literalArrayType.elementType) : 'int32_t';
+                return `(${literalCType}[]){${node.elements.map(element => emit(element, 0, context)).join(', ')}}`;
+
+            case 'ObjectExpression':
+                // Object literals outside of declarations become compound literals: (Point){ .x = 1 }
+                return `(${node.resolvedType})${emitStructInitializer(node, context)}`;
+
             case 'Identifier':
-                // LVGL constants are used directly in C
-                return node.name;
+                // LVGL constants are used directly in C, with the target version's name
+                return constantAliases[node.name] || node.name;
 
             case 'Literal':
                 if (typeof node.value === 'string') {
@@ -2332,7 +7503,294 @@ ${codeBody}`;
         }
     }
 
-    return emit(ast);
+    // Header/source pair of a C project. The header has the struct types and the <name>_init()
+    // entry point, everything else is static in the source file. The entry point runs the
+    // top-level statements (with the assignments of the deferredGlobals in between) and then
+    // calls the script's init(), like the playground does.
+    function emitProject(program, name) {
+        const entryName = `${name}_init`;
+        const guard = `${name.toUpperCase()}_H`;
+
+        const structs = program.body.filter(stmt => stmt.type === 'StructDeclaration');
+        const functions = program.body.filter(stmt => stmt.type === 'FunctionDeclaration');
+        const declarations = program.body.filter(stmt => stmt.type === 'FunctionDeclaration' || stmt.type === 'VariableDeclaration');
+        const statements = program.body.filter(stmt => !structs.includes(stmt) && !declarations.includes(stmt));
+
+        if (functions.some(fn => fn.name === entryName)) {
+            throw new Error(`Function ${entryName} conflicts with the generated entry point`);
+        }
+        const init = functions.find(fn => fn.name === 'init');
+        const entrySignature = init ? emitFunctionSignature(init, entryName) : `void ${entryName}(void)`;
+
+        const typeCode = emitStatementsWithComments(structs, 0, stmt => emit(stmt, 0)).join('\n\n');
+        const prototypes = functions.map(fn => `static ${emitFunctionSignature(fn)};`);
+        const declarationContext = { stringBufferDeclarations: [] };
+        const declarationCode = emitStatementsWithComments(declarations, 0, stmt => {
+            const code = emit(stmt, 0, declarationContext);
+            return code.startsWith('#define') || code.startsWith('static ') ? code : `static ${code}`;
+        }, program.innerComments);
+        if (declarationContext.stringBufferDeclarations.length > 0) {
+            declarationCode.unshift(declarationContext.stringBufferDeclarations.join('\n'));
+        }
+
+        const entryStatements = program.body.filter(stmt => statements.includes(stmt) || deferredGlobals.has(stmt)).map(stmt => {
+            if (!deferredGlobals.has(stmt)) return stmt;
+            const left = { type: 'Identifier', name: stmt.name, resolvedType: stmt.resolvedType };
+            return { type: 'ExpressionStatement', expression: { type: 'AssignmentExpression', operator: '=', left, right: stmt.init } };
+        });
+        const entryContext = { currentFunction: entryName, stringBufferDeclarations: [] };
+        const entryBody = emitStatementsWithComments(entryStatements, 1, stmt => emit(stmt, 1, entryContext));
+        entryBody.unshift(...entryContext.stringBufferDeclarations.map(declaration => `    ${declaration}`));
+        if (init) {
+            const initCall = `init(${init.params.map(p => p.name).join(', ')})`;
+            entryBody.push(entrySignature.startsWith('void ') ? `    ${initCall};` : `    return ${initCall};`);
+        }
+
+        const header = [
+            `#ifndef ${guard}`,
+            `#define ${guard}`,
+            '',
+            '#include "lvgl.h"',
+            '',
+            '#ifdef __cplusplus',
+            'extern "C" {',
+            '#endif',
+            '',
+            ...(typeCode ? [typeCode, ''] : []),
+            '// Creates the UI, call it once after lv_init() and the display and input device setup',
+            `${entrySignature};`,
+            '',
+            '#ifdef __cplusplus',
+            '} /* extern "C" */',
+            '#endif',
+            '',
+            `#endif /* ${guard} */`
+        ].join('\n') + '\n';
+
+        const source = [
+            `#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <stdint.h>
+#include <stdbool.h>
+#include "${name}.h"`,
+            ...(prototypes.length > 0 ? [prototypes.join('\n')] : []),
+            ...(usesColorHelper ? [COLOR_HELPER] : []),
+            ...declarationCode,
+            `${entrySignature} {\n${entryBody.join('\n')}\n}`
+        ].join('\n\n') + '\n';
+
+        return { header, source };
+    }
+
+    return options.project ? emitProject(ast, options.project) : emit(ast);
+}
+
+// C project for a script: { header, source } for <name>.h and <name>.c, see emitProject in emitC
+function emitCProject(ast, allowedFunctions, name = 'ui', options = {}) {
+    return emitC(ast, allowedFunctions, { ...options, project: name });
+}
+
+// Source formatter - prints the AST back as EEZ Script with normalized indentation and spacing.
+// Comments are the ones attached to the statements by attachComments(). Single blank lines
+// between statements are kept.
+function formatScript(ast) {
+    const INDENT = '    ';
+
+    // Statements with their leading comments, one per line, then the comments after the last one
+    function formatStatements(statements, indent, innerComments = []) {
+        const indentStr = INDENT.repeat(indent);
+        const lines = [];
+        let lastLine = null;
+
+        const addComments = (list) => {
+            for (const comment of list) {
+                if (lastLine !== null && comment.line > lastLine + 1) lines.push('');
+                lines.push(indentStr + comment.text);
+                lastLine = comment.endLine;
+            }
+        };
+
+        for (const stmt of statements) {
+            addComments(stmt.leadingComments || []);
+            if (lastLine !== null && stmt.start.line > lastLine + 1) lines.push('');
+
+            const trailing = stmt.trailingComments || [];
+            lines.push(appendComments(format(stmt, indent), trailing));
+            lastLine = trailing.reduce((line, comment) => Math.max(line, comment.endLine), stmt.end.line);
+        }
+
+        addComments(innerComments);
+        return lines;
+    }
+
+    function formatBlock(node, indent) {
+        const indentStr = INDENT.repeat(indent);
+        const opening = appendComments('{', node.openingComments);
+        const lines = formatStatements(node.body, indent + 1, node.innerComments);
+        if (lines.length === 0 && opening === '{') return '{}';
+        return `${opening}\n${lines.join('\n')}\n${indentStr}}`;
+    }
+
+    // Body of if/for/while/do: blocks stay on the same line, single statements go on the next one
+    function formatBody(node, indent) {
+        if (node.type === 'BlockStatement') {
+            return ' ' + formatBlock(node, indent);
+        }
+        return '\n' + format(node, indent + 1);
+    }
+
+    function formatParams(params) {
+        return params.map(param => param.type ? `${param.name}: ${param.type}` : param.name).join(', ');
+    }
+
+    function formatVariableDeclaration(node) {
+        const type = node.varType ? `: ${node.varType}` : '';
+        const init = node.init ? ` = ${formatExpression(node.init)}` : '';
+        return `${node.kind} ${node.name}${type}${init}`;
+    }
+
+    function format(node, indent) {
+        const indentStr = INDENT.repeat(indent);
+
+        switch (node.type) {
+            case 'Program':
+                return formatStatements(node.body, 0, node.innerComments).join('\n');
+
+            case 'FunctionDeclaration': {
+                const returnType = node.returnType ? `: ${node.returnType}` : '';
+                return `${indentStr}function ${node.name}(${formatParams(node.params)})${returnType} ${formatBlock(node.body, indent)}`;
+            }
+
+            case 'StructDeclaration': {
+                const fields = emitStatementsWithComments(node.fields, indent + 1,
+                    field => `${indentStr}${INDENT}${field.name}: ${field.type};`, node.innerComments).join('\n');
+                return node.typeAlias
+                    ? `${indentStr}type ${node.name} = {\n${fields}\n${indentStr}};`
+                    : `${indentStr}struct ${node.name} {\n${fields}\n${indentStr}}`;
+            }
+
+            case 'VariableDeclaration':
+                return `${indentStr}${formatVariableDeclaration(node)};`;
+
+            case 'ExpressionStatement':
+                return `${indentStr}${formatExpression(node.expression)};`;
+
+            case 'BlockStatement':
+                return indentStr + formatBlock(node, indent);
+
+            case 'IfStatement': {
+                let code = `${indentStr}if (${formatExpression(node.test)})${formatBody(node.consequent, indent)}`;
+                if (node.alternate) {
+                    const hasElseComments = node.elseComments && node.elseComments.length > 0;
+                    code = appendComments(code, node.elseComments);
+                    code += node.consequent.type === 'BlockStatement' && !hasElseComments ? ' else' : `\n${indentStr}else`;
+                    code += node.alternate.type === 'IfStatement'
+                        ? ' ' + format(node.alternate, indent).trimStart()
+                        : formatBody(node.alternate, indent);
+                }
+                return code;
+            }
+
+            case 'ForStatement': {
+                const init = !node.init ? ''
+                    : node.init.type === 'VariableDeclaration' ? formatVariableDeclaration(node.init)
+                    : formatExpression(node.init);
+                const test = node.test ? ' ' + formatExpression(node.test) : '';
+                const update = node.update ? ' ' + formatExpression(node.update) : '';
+                return `${indentStr}for (${init};${test};${update})${formatBody(node.body, indent)}`;
+            }
+
+            case 'WhileStatement':
+                return `${indentStr}while (${formatExpression(node.test)})${formatBody(node.body, indent)}`;
+
+            case 'DoWhileStatement': {
+                const separator = node.body.type === 'BlockStatement' ? ' ' : `\n${indentStr}`;
+                return `${indentStr}do${formatBody(node.body, indent)}${separator}while (${formatExpression(node.test)});`;
+            }
+
+            case 'SwitchStatement': {
+                const lines = [`${indentStr}switch (${formatExpression(node.discriminant)}) {`];
+                node.cases.forEach(c => {
+                    // Comments before a case label stay with the label
+                    (c.leadingComments || []).forEach(comment => lines.push(`${indentStr}${INDENT}${comment.text}`));
+                    lines.push(c.test ? `${indentStr}${INDENT}case ${formatExpression(c.test)}:` : `${indentStr}${INDENT}default:`);
+                    lines.push(...formatStatements(c.consequent, indent + 2, c.innerComments));
+                });
+                lines.push(`${indentStr}}`);
+                return lines.join('\n');
+            }
+
+            case 'ReturnStatement':
+                return node.argument ? `${indentStr}return ${formatExpression(node.argument)};` : `${indentStr}return;`;
+
+            case 'BreakStatement':
+                return `${indentStr}break;`;
+
+            case 'ContinueStatement':
+                return `${indentStr}continue;`;
+
+            default:
+                throw new Error(`Unknown node type in format: ${node.type}`);
+        }
+    }
+
+    function formatExpression(node) {
+        switch (node.type) {
+            case 'Literal':
+                if (node.raw !== undefined) return node.raw;
+                if (typeof node.value === 'string') return `"${node.value.replace(/"/g, '\\"')}"`;
+                return String(node.value);
+
+            case 'Identifier':
+                return node.name;
+
+            case 'BinaryExpression':
+            case 'LogicalExpression': {
+                const { left, right } = emitBinaryOperands(node, formatExpression);
+                return `${left} ${node.operator} ${right}`;
+            }
+
+            case 'UnaryExpression':
+                return `${node.operator}${wrapOperand(formatExpression(node.argument), node.argument, UNARY_PRECEDENCE + 1)}`;
+
+            case 'UpdateExpression':
+                return node.prefix
+                    ? `${node.operator}${formatExpression(node.argument)}`
+                    : `${formatExpression(node.argument)}${node.operator}`;
+
+            case 'AssignmentExpression':
+                return `${formatExpression(node.left)} ${node.operator} ${formatExpression(node.right)}`;
+
+            case 'ConditionalExpression':
+                return `${wrapOperand(formatExpression(node.test), node.test, 3)} ? ` +
+                    `${wrapOperand(formatExpression(node.consequent), node.consequent, 2)} : ` +
+                    `${wrapOperand(formatExpression(node.alternate), node.alternate, 2)}`;
+
+            case 'CallExpression':
+                return `${wrapOperand(formatExpression(node.callee), node.callee, 15)}(${node.arguments.map(formatExpression).join(', ')})`;
+
+            case 'MemberExpression': {
+                const object = wrapOperand(formatExpression(node.object), node.object, 15);
+                return node.computed
+                    ? `${object}[${formatExpression(node.property)}]`
+                    : `${object}.${node.property}`;
+            }
+
+            case 'ArrayExpression':
+                return `[${node.elements.map(formatExpression).join(', ')}]`;
+
+            case 'ObjectExpression':
+                if (node.properties.length === 0) return '{}';
+                return `{ ${node.properties.map(p => `${p.key}: ${formatExpression(p.value)}`).join(', ')} }`;
+
+            default:
+                throw new Error(`Unknown node type in format: ${node.type}`);
+        }
+    }
+
+    const code = format(ast, 0);
+    return code ? code + '\n' : '';
 }
 
 // Export for use in browser or Node.js
@@ -2341,8 +7799,25 @@ if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
         eez_script_compile,
         eez_script_version,
         eez_script_validate,
+        eez_script_parse,
+        eez_script_check,
+        eez_script_format,
+        KEYWORDS,
         Lexer,
         Parser,
-        Interpreter
+        Interpreter,
+        DebugInterpreter,
+        Debugger,
+        BytecodeVM,
+        compileBytecode,
+        serializeBytecode,
+        deserializeBytecode,
+        TypeChecker,
+        SymbolResolver,
+        Scope,
+        ScriptError,
+        getErrorDiagnostic,
+        CONSOLE_FUNCTIONS,
+        createConsoleGlobals
     };
 }
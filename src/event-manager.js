@@ -0,0 +1,72 @@
+// Event Manager - Bridges EEZ Script callbacks to LVGL C events
+// Used by the playground and by the pages exported with the standalone runtime
+// (standalone-runtime.js), which inline this file.
+
+class EventManager {
+    constructor(wasmModule, onError = error => console.error(error)) {
+        this.wasm = wasmModule;
+        this.onError = onError; // Errors thrown by the callbacks
+        this.handlers = new Map(); // id -> {callback, obj, eventCode}
+        this.nextId = 0;
+        // Workaround for LVGL v9.3.0+ bug: event codes >= 10 don't filter correctly
+        // We register with LV_EVENT_ALL and filter in JavaScript
+        this.useJsFiltering = true;
+    }
+
+    register(obj, eventCode, callback, scope) {
+        const id = this.nextId++;
+        this.handlers.set(id, { callback, obj, eventCode });
+
+        // Get the function pointer as an integer (not the JS wrapper)
+        const dispatcherPtr = this.wasm._get_global_dispatcher_ptr();
+        
+        // Use LV_EVENT_ALL (0) for registration if JS filtering is enabled
+        // This is a workaround for LVGL v9.3.0+ where event codes >= 10 don't filter correctly in WASM
+        const registerEventCode = this.useJsFiltering ? 0 : eventCode;
+        
+        // Call lv_obj_add_event_cb with the global dispatcher pointer
+        this.wasm._lv_obj_add_event_cb(obj, dispatcherPtr, registerEventCode, id);
+        
+        return id;
+    }
+
+    unregister(id) {
+        this.handlers.delete(id);
+        // Note: We don't remove the LVGL event callback here
+        // The callback will just be a no-op if the handler is not in the map
+    }
+
+    clear() {
+        this.handlers.clear();
+        this.nextId = 0;
+    }
+    
+    dispatch(handlerId, eventPtr) {
+        const handler = this.handlers.get(handlerId);
+        if (handler) {
+            const actualEventCode = this.wasm._lv_event_get_code(eventPtr);
+            
+            // Skip draw/render events (26-34 in v9.3.0+) to avoid "Invalidate area during rendering" errors
+            // These events should not trigger user callbacks
+            if (actualEventCode >= 26 && actualEventCode <= 34) {
+                return;
+            }
+            
+            // If JS filtering is enabled, check if event code matches
+            if (this.useJsFiltering && handler.eventCode !== 0) {
+                if (actualEventCode !== handler.eventCode) {
+                    // Event code doesn't match, skip
+                    return;
+                }
+            }
+            
+            try {
+                // Call the EEZ Script callback with the event pointer as a number
+                handler.callback(eventPtr);
+            } catch (error) {
+                // Show error in UI instead of just console
+                this.onError(error);
+            }
+        }
+    }
+}
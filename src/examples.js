@@ -748,6 +748,36 @@ function init() {
     let equalsBtn = create_button(screen, opX, btnStartY + (btnH + gap) * 4, btnW, btnH, "=", on_equals_clicked);
     lv_obj_set_style_bg_color(equalsBtn, 0xff9500, 0);
     
+    return screen;
+}`
+    },
+    'console': {
+        name: '12. Console Output',
+        code: `// print() writes to the Console tab, log_user() and log_warn() go through the LVGL log
+let clicks = 0;
+
+function on_clicked(event) {
+    clicks = clicks + 1;
+    print("Button clicked " + clicks + " times");
+    if (clicks % 5 == 0) {
+        log_warn("That's " + clicks + " clicks already");
+    }
+}
+
+function init() {
+    let screen = lv_obj_create(0);
+    lv_screen_load_anim(screen, LV_SCR_LOAD_ANIM_FADE_IN, 200, 0, false);
+    
+    let button = lv_button_create(screen);
+    lv_obj_set_size(button, 200, 60);
+    lv_obj_set_style_align(button, LV_ALIGN_CENTER, LV_PART_MAIN | LV_STATE_DEFAULT);
+    lv_obj_add_event_cb(button, on_clicked, LV_EVENT_CLICKED, 0);
+    
+    let label = lv_label_create(button);
+    lv_obj_set_style_align(label, LV_ALIGN_CENTER, LV_PART_MAIN | LV_STATE_DEFAULT);
+    lv_label_set_text(label, "Click Me!");
+    
+    log_user("Screen created");
     return screen;
 }`
     }
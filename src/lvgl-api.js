@@ -114,6 +114,7 @@ let currentVersion = DEFAULT_VERSION;
 // Processed data for current version
 let allowedFunctions = {};
 let LVGL_CONSTANTS = {};
+let constantAliases = {};
 let helpData = null;
 
 /**
@@ -194,7 +195,8 @@ function processFunctionDef(funcDef) {
         returnType: returnType === 'void' ? 'number' : returnType,
         description: funcDef.description || '',
         returnsDescription: funcDef.returnsDescription || '',
-        args: funcDef.args || []
+        args: funcDef.args || [],
+        cReturnType: funcDef.returns || 'void'
     };
 
     // If static_inline is present, use it as the runtime function name
@@ -426,6 +428,12 @@ async function setVersion(version) {
     
     // Add constant aliases for cross-version compatibility
     addConstantAliases(fullConstants);
+    constantAliases = {};
+    for (const [name, spec] of Object.entries(fullConstants)) {
+        if (spec.aliasOf) {
+            constantAliases[name] = spec.aliasOf;
+        }
+    }
     
     // Create simple value map for runtime use
     LVGL_CONSTANTS = {};
@@ -465,6 +473,9 @@ function getAllowedFunctions() {
         if (spec.runtimeName) {
             simplified[name].runtimeName = spec.runtimeName;
         }
+        // C types from the API, so emitC can declare variables and parameters with them
+        simplified[name].cParams = spec.args.map(arg => arg.type);
+        simplified[name].cReturnType = spec.cReturnType;
     }
     return simplified;
 }
@@ -485,6 +496,14 @@ function getConstants() {
     return LVGL_CONSTANTS;
 }
 
+/**
+ * Get the constant aliases of the current version
+ * @returns {Object} Map of alias name to the name used by the current version
+ */
+function getConstantAliases() {
+    return constantAliases;
+}
+
 /**
  * Get the help data
  * @returns {Object} Help data structure
@@ -536,5 +555,6 @@ window.LvglApi = {
     getAllowedFunctions,
     getAllowedFunctionsFull,
     getConstants,
+    getConstantAliases,
     getHelpData
 };
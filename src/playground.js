@@ -17,14 +17,10 @@ function initMonacoEditor(initialCode = '') {
     return new Promise((resolve, reject) => {
         require.config({ paths: { 'vs': 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.45.0/min/vs' }});
         require(['vs/editor/editor.main'], function() {
-            // Disable TypeScript diagnostics to prevent false errors
-            monaco.languages.typescript.typescriptDefaults.setDiagnosticsOptions({
-                noSemanticValidation: true,
-                noSyntaxValidation: false,
-                noSuggestionDiagnostics: true
-            });
-            
-            // Also disable for JavaScript
+            registerEezScriptLanguage();
+            registerEditorProviders();
+
+            // Disable JavaScript semantic diagnostics in the generated code view
             monaco.languages.typescript.javascriptDefaults.setDiagnosticsOptions({
                 noSemanticValidation: true,
                 noSyntaxValidation: false,
@@ -41,12 +37,13 @@ function initMonacoEditor(initialCode = '') {
             
             editor = monaco.editor.create(container, {
                 value: initialCode,
-                language: 'typescript',
+                language: EEZ_SCRIPT_LANGUAGE,
                 theme: 'vs',
                 automaticLayout: true,
                 minimap: { enabled: false },
                 fontSize: 13,
                 lineNumbers: 'on',
+                glyphMargin: true,
                 scrollBeyondLastLine: false,
                 wordWrap: 'off',
                 tabSize: 4,
@@ -73,8 +70,11 @@ function initMonacoEditor(initialCode = '') {
             editor.onDidChangeModelContent(() => {
                 const code = editor.getValue();
                 localStorage.setItem('eez_script_saved', code);
+                scheduleLiveDiagnostics();
             });
             
+            initBreakpoints();
+
             monacoLoaded = true;
             resolve(editor);
         });
@@ -93,41 +93,54 @@ function setEditorContent(code) {
     }
 }
 
-// Display errors inline in Monaco Editor
+// Display diagnostics (see createDiagnostic in eez-script.js) inline in Monaco Editor
 let errorDecorations = [];
 
-function showEditorErrors(errors) {
+function toMarkerSeverity(severity) {
+    switch (severity) {
+        case 'warning': return monaco.MarkerSeverity.Warning;
+        case 'info': return monaco.MarkerSeverity.Info;
+        default: return monaco.MarkerSeverity.Error;
+    }
+}
+
+function showEditorErrors(diagnostics) {
     if (!editor || !monaco) return;
-    
+
     const model = editor.getModel();
-    const markers = errors.map(err => {
-        // Use token length from error if available, otherwise default to 10
-        let endColumn = err.column ? err.column + (err.length || 10) : 100;
-        
-        return {
-            severity: monaco.MarkerSeverity.Error,
-            startLineNumber: err.line || 1,
-            startColumn: err.column || 1,
-            endLineNumber: err.line || 1,
-            endColumn: endColumn,
-            message: err.message
-        };
-    });
-    
+    const located = diagnostics.filter(diagnostic => diagnostic.range);
+    const markers = located.map(diagnostic => ({
+        severity: toMarkerSeverity(diagnostic.severity),
+        code: diagnostic.code,
+        message: diagnostic.message,
+        startLineNumber: diagnostic.range.startLine,
+        startColumn: diagnostic.range.startColumn,
+        endLineNumber: diagnostic.range.endLine,
+        endColumn: diagnostic.range.endColumn,
+        relatedInformation: (diagnostic.relatedInformation || []).map(info => ({
+            resource: model.uri,
+            message: info.message,
+            startLineNumber: info.range.startLine,
+            startColumn: info.range.startColumn,
+            endLineNumber: info.range.endLine,
+            endColumn: info.range.endColumn
+        }))
+    }));
+
     monaco.editor.setModelMarkers(model, 'eez-script', markers);
-    
+
     // Add inline decorations to show error text in the editor
-    const decorations = errors.map(err => ({
-        range: new monaco.Range(err.line || 1, 1, err.line || 1, 1),
+    const decorations = located.map(diagnostic => ({
+        range: new monaco.Range(diagnostic.range.startLine, 1, diagnostic.range.startLine, 1),
         options: {
             isWholeLine: false,
             after: {
-                content: ` ❌ ${err.message}`,
+                content: ` ${diagnostic.severity === 'error' ? '❌' : '⚠️'} ${diagnostic.message.split('\n')[0]}`,
                 inlineClassName: 'inline-error-decoration'
             }
         }
     }));
-    
+
     errorDecorations = editor.deltaDecorations(errorDecorations, decorations);
 }
 
@@ -143,6 +156,530 @@ function clearEditorErrors() {
     }
 }
 
+// EEZ Script language - syntax highlighting mirrors the Lexer (KEYWORDS in eez-script.js)
+const EEZ_SCRIPT_LANGUAGE = 'eez-script';
+
+function registerEezScriptLanguage() {
+    monaco.languages.register({ id: EEZ_SCRIPT_LANGUAGE });
+
+    const keywords = Object.keys(KEYWORDS);
+    // lv_obj is not a keyword for the Lexer, but it is highlighted like the built-in types
+    const typeKeywords = keywords.filter(keyword => KEYWORDS[keyword].startsWith('TYPE_')).concat('lv_obj');
+
+    monaco.languages.setMonarchTokensProvider(EEZ_SCRIPT_LANGUAGE, {
+        keywords: keywords.filter(keyword => !typeKeywords.includes(keyword)),
+        typeKeywords,
+        operators: [
+            '<<=', '>>=', '==', '!=', '<=', '>=', '&&', '||', '++', '--', '<<', '>>',
+            '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=',
+            '=', '+', '-', '*', '/', '%', '<', '>', '!', '~', '?', ':', '&', '|', '^'
+        ],
+        symbols: /[=><!~?:&|+\-*\/\^%]+/,
+
+        tokenizer: {
+            root: [
+                [/LV_[A-Z0-9_]*/, 'constant'],
+                [/lv_[a-z0-9_]*(?=\s*\()/, 'predefined'],
+                [/[a-zA-Z_]\w*/, {
+                    cases: {
+                        '@typeKeywords': 'type',
+                        '@keywords': 'keyword',
+                        '@default': 'identifier'
+                    }
+                }],
+                { include: '@whitespace' },
+                [/[{}()\[\]]/, '@brackets'],
+                [/@symbols/, { cases: { '@operators': 'operator', '@default': '' } }],
+                [/0[xX][0-9a-fA-F]+/, 'number.hex'],
+                [/[0-9][0-9.]*/, 'number'],
+                [/[;,.]/, 'delimiter'],
+                [/"([^"\\]|\\.)*$/, 'string.invalid'],
+                [/'([^'\\]|\\.)*$/, 'string.invalid'],
+                [/"/, 'string', '@stringDouble'],
+                [/'/, 'string', '@stringSingle']
+            ],
+            whitespace: [
+                [/[ \t\r\n]+/, ''],
+                [/\/\*/, 'comment', '@comment'],
+                [/\/\/.*$/, 'comment']
+            ],
+            comment: [
+                [/[^\/*]+/, 'comment'],
+                [/\*\//, 'comment', '@pop'],
+                [/[\/*]/, 'comment']
+            ],
+            stringDouble: [
+                [/[^\\"]+/, 'string'],
+                [/\\./, 'string.escape'],
+                [/"/, 'string', '@pop']
+            ],
+            stringSingle: [
+                [/[^\\']+/, 'string'],
+                [/\\./, 'string.escape'],
+                [/'/, 'string', '@pop']
+            ]
+        }
+    });
+
+    monaco.languages.setLanguageConfiguration(EEZ_SCRIPT_LANGUAGE, {
+        comments: { lineComment: '//', blockComment: ['/*', '*/'] },
+        brackets: [['{', '}'], ['[', ']'], ['(', ')']]
+    });
+}
+
+// Live diagnostics - parse and type check the script a moment after the last edit
+const LIVE_DIAGNOSTICS_DELAY = 500;
+let liveDiagnosticsTimer = null;
+
+function scheduleLiveDiagnostics() {
+    clearTimeout(liveDiagnosticsTimer);
+    liveDiagnosticsTimer = setTimeout(updateLiveDiagnostics, LIVE_DIAGNOSTICS_DELAY);
+}
+
+function updateLiveDiagnostics() {
+    liveDiagnosticsTimer = null;
+    // Function and constant checks need the API of the loaded LVGL version
+    if (!editor || !lvgl || !LvglApi.getHelpData()) return;
+
+    const code = getEditorContent();
+    if (!code.trim()) {
+        clearEditorErrors();
+        return;
+    }
+
+    const result = eez_script_check(code, LvglApi.getAllowedFunctions(), LvglApi.getConstants(), createScriptGlobals());
+    showEditorErrors(result.errors);
+}
+
+// Editor language features - LVGL data is built once per LVGL version, script symbols on every request
+let lvglEditorData = null;
+
+function invalidateLvglEditorData() {
+    lvglEditorData = null;
+}
+
+// Functions, constants (by name, with their group) and completion items of the active LVGL version
+function getLvglEditorData() {
+    if (!lvglEditorData) {
+        const functions = LvglApi.getAllowedFunctionsFull();
+        const helpData = LvglApi.getHelpData();
+        // Don't cache until the API for the LVGL version is loaded
+        if (!helpData || Object.keys(functions).length === 0) return null;
+
+        // Constants are grouped by enum type (or category)
+        const constants = new Map();
+        for (const group of Object.values(helpData.constantGroups)) {
+            for (const constant of group.constants) {
+                constants.set(constant.name, { ...constant, group: group.name });
+            }
+        }
+
+        lvglEditorData = {
+            functions,
+            constants,
+            completionItems: buildLvglCompletionItems(functions, constants)
+        };
+    }
+    return lvglEditorData;
+}
+
+function formatParam(param) {
+    return param.type ? `${param.name}: ${param.type}` : param.name;
+}
+
+function formatFunctionSignature(name, params, returnType) {
+    const paramList = params.map(formatParam).join(', ');
+    return returnType ? `${name}(${paramList}) -> ${returnType}` : `${name}(${paramList})`;
+}
+
+// As declared in the script: "function name(a: number, b): lv_obj"
+function formatScriptFunctionSignature(node) {
+    return `function ${node.name}(${node.params.map(formatParam).join(', ')})${node.returnType ? `: ${node.returnType}` : ''}`;
+}
+
+// "name(${1:parent}, ${2:x})" - tab moves through the argument placeholders
+function functionCallSnippet(name, paramNames) {
+    const placeholders = paramNames.map((paramName, i) => `\${${i + 1}:${paramName}}`);
+    return `${name}(${placeholders.join(', ')})`;
+}
+
+function lvglFunctionParams(spec) {
+    return (spec.args || []).map((arg, i) => ({
+        name: arg.name || `arg${i + 1}`,
+        type: spec.params[i],
+        description: arg.description || ''
+    }));
+}
+
+function lvglFunctionDocumentation(spec, withParams = true) {
+    let documentation = spec.description || '';
+    const paramDocs = lvglFunctionParams(spec).filter(param => param.description)
+        .map(param => `- \`${param.name}\`: ${param.description}`);
+    if (withParams && paramDocs.length > 0) {
+        documentation += `\n\n**Parameters:**\n${paramDocs.join('\n')}`;
+    }
+    if (spec.returnsDescription) {
+        documentation += `\n\n**Returns:** ${spec.returnsDescription}`;
+    }
+    if (spec.aliasOf) {
+        documentation += `\n\nAlias of \`${spec.aliasOf}\``;
+    }
+    return documentation.trim();
+}
+
+function lvglConstantDocumentation(constant) {
+    return constant.aliasOf
+        ? `${constant.description}\n\nAlias of \`${constant.aliasOf}\``.trim()
+        : constant.description;
+}
+
+function buildLvglCompletionItems(functions, constants) {
+    const items = [];
+
+    for (const [name, spec] of Object.entries(functions)) {
+        const params = lvglFunctionParams(spec);
+        items.push({
+            label: name,
+            kind: monaco.languages.CompletionItemKind.Function,
+            detail: formatFunctionSignature(name, params, spec.returnType),
+            documentation: { value: lvglFunctionDocumentation(spec) },
+            insertText: functionCallSnippet(name, params.map(param => param.name)),
+            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+            sortText: `1_${name}`
+        });
+    }
+
+    // The group is shown next to each constant
+    for (const constant of constants.values()) {
+        items.push({
+            label: { label: constant.name, description: constant.group },
+            kind: constant.enumType
+                ? monaco.languages.CompletionItemKind.EnumMember
+                : monaco.languages.CompletionItemKind.Constant,
+            detail: `${constant.group} = ${constant.value}`,
+            documentation: { value: lvglConstantDocumentation(constant) },
+            insertText: constant.name,
+            sortText: `2_${constant.group}_${constant.name}`
+        });
+    }
+
+    return items;
+}
+
+// print() and the log functions passed to scripts by createScriptGlobals()
+function buildConsoleCompletionItems() {
+    return Object.entries(CONSOLE_FUNCTIONS).map(([name, { level }]) => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Function,
+        detail: formatFunctionSignature(name, [{ name: 'message', type: 'string' }], 'void'),
+        documentation: { value: level === 'log' ? 'Writes a line to the Console tab' : `Writes a line to the Console tab at the LVGL log level "${level}"` },
+        insertText: functionCallSnippet(name, ['message']),
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        sortText: `1_${name}`
+    }));
+}
+
+// Functions, structs, variables and parameters declared in the script
+function collectScriptCompletionItems(ast) {
+    const items = new Map();
+
+    const add = (name, item) => {
+        if (!items.has(name)) {
+            items.set(name, { label: name, insertText: name, sortText: `0_${name}`, ...item });
+        }
+    };
+
+    const visit = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                add(node.name, {
+                    kind: monaco.languages.CompletionItemKind.Function,
+                    detail: formatFunctionSignature(node.name, node.params, node.returnType),
+                    insertText: functionCallSnippet(node.name, node.params.map(param => param.name)),
+                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+                });
+                for (const param of node.params) {
+                    add(param.name, {
+                        kind: monaco.languages.CompletionItemKind.Variable,
+                        detail: `${formatParam(param)} (parameter of ${node.name})`
+                    });
+                }
+                break;
+            case 'StructDeclaration':
+                add(node.name, {
+                    kind: monaco.languages.CompletionItemKind.Struct,
+                    detail: `{ ${node.fields.map(field => `${field.name}: ${field.type}`).join(', ')} }`
+                });
+                break;
+            case 'VariableDeclaration':
+                add(node.name, {
+                    kind: node.kind === 'const'
+                        ? monaco.languages.CompletionItemKind.Constant
+                        : monaco.languages.CompletionItemKind.Variable,
+                    detail: node.varType ? `${node.kind} ${node.name}: ${node.varType}` : `${node.kind} ${node.name}`
+                });
+                break;
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key !== 'loc' && value && typeof value === 'object') visit(value);
+        }
+    };
+
+    visit(ast.body);
+    return [...items.values()];
+}
+
+function findScriptFunction(ast, name) {
+    return ast.body.find(statement => statement.type === 'FunctionDeclaration' && statement.name === name) || null;
+}
+
+// Innermost unclosed call before the cursor: { name, argIndex }, or null
+function findCallAtPosition(textBeforeCursor) {
+    const tokens = new Lexer(textBeforeCursor, { recover: true }).tokenize();
+    const open = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        switch (token.type) {
+            case 'LPAREN': {
+                const previous = tokens[i - 1];
+                open.push({ name: previous && previous.type === 'IDENTIFIER' ? previous.value : null, argIndex: 0 });
+                break;
+            }
+            case 'LBRACKET':
+            case 'LBRACE':
+                // Commas inside array and object literals don't separate arguments
+                open.push({ name: null, argIndex: 0 });
+                break;
+            case 'RPAREN':
+            case 'RBRACKET':
+            case 'RBRACE':
+                open.pop();
+                break;
+            case 'COMMA':
+                if (open.length > 0) open[open.length - 1].argIndex++;
+                break;
+        }
+    }
+
+    const call = open[open.length - 1];
+    return call && call.name ? call : null;
+}
+
+function provideSignatureHelp(model, position) {
+    const call = findCallAtPosition(model.getValueInRange(
+        new monaco.Range(1, 1, position.lineNumber, position.column)));
+    if (!call) return null;
+
+    let label, params, documentation;
+    const lvglData = getLvglEditorData();
+    const spec = lvglData && lvglData.functions[call.name];
+    if (spec) {
+        params = lvglFunctionParams(spec);
+        label = formatFunctionSignature(call.name, params, spec.returnType);
+        documentation = lvglFunctionDocumentation(spec, false);
+    } else {
+        const node = findScriptFunction(eez_script_parse(model.getValue()).ast, call.name);
+        if (!node) return null;
+        params = node.params.map(param => ({ ...param, description: '' }));
+        label = formatFunctionSignature(call.name, params, node.returnType);
+        documentation = '';
+    }
+
+    // Parameters are given as [start, end] offsets into the label, so the active one is highlighted
+    let offset = call.name.length + 1;
+    const parameters = params.map(param => {
+        const range = [offset, offset + formatParam(param).length];
+        offset = range[1] + 2;
+        return { label: range, documentation: param.description };
+    });
+
+    return {
+        value: {
+            signatures: [{ label, documentation: { value: documentation }, parameters }],
+            activeSignature: 0,
+            activeParameter: Math.min(call.argIndex, Math.max(parameters.length - 1, 0))
+        },
+        dispose() {}
+    };
+}
+
+function provideHover(model, position) {
+    const word = model.getWordAtPosition(position);
+    if (!word) return null;
+
+    const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+    const codeBlock = code => `\`\`\`${EEZ_SCRIPT_LANGUAGE}\n${code}\n\`\`\``;
+
+    const lvglData = getLvglEditorData();
+    if (lvglData) {
+        const spec = lvglData.functions[word.word];
+        if (spec) {
+            const signature = formatFunctionSignature(word.word, lvglFunctionParams(spec), spec.returnType);
+            return { range, contents: [{ value: codeBlock(signature) }, { value: lvglFunctionDocumentation(spec) }] };
+        }
+
+        const constant = lvglData.constants.get(word.word);
+        if (constant) {
+            const contents = [{ value: codeBlock(`${constant.name}: ${constant.group} = ${constant.value}`) }];
+            const documentation = lvglConstantDocumentation(constant);
+            if (documentation) contents.push({ value: documentation });
+            return { range, contents };
+        }
+    }
+
+    const node = findScriptFunction(eez_script_parse(model.getValue()).ast, word.word);
+    if (node) {
+        return { range, contents: [{ value: codeBlock(formatScriptFunctionSignature(node)) }] };
+    }
+
+    return null;
+}
+
+// Navigation - go to definition, references, outline and rename, resolved by SymbolResolver
+function resolveScriptSymbols(model) {
+    return new SymbolResolver(createScriptGlobals()).resolve(eez_script_parse(model.getValue()).ast);
+}
+
+function locToMonacoRange(loc) {
+    return new monaco.Range(loc.line, loc.column, loc.line, loc.column + loc.length);
+}
+
+function symbolAtPosition(resolver, position) {
+    const symbol = resolver.symbolAt(position.lineNumber, position.column);
+    return symbol && symbol.loc ? symbol : null;
+}
+
+function provideDefinition(model, position) {
+    const symbol = symbolAtPosition(resolveScriptSymbols(model), position);
+    return symbol ? { uri: model.uri, range: locToMonacoRange(symbol.loc) } : null;
+}
+
+function provideReferences(model, position, context) {
+    const symbol = symbolAtPosition(resolveScriptSymbols(model), position);
+    if (!symbol) return [];
+
+    const locations = symbol.references.map(ref => ref.loc);
+    if (context.includeDeclaration) locations.unshift(symbol.loc);
+    return locations.map(loc => ({ uri: model.uri, range: locToMonacoRange(loc) }));
+}
+
+// Functions (with their parameters and variables), structs (with their fields) and globals
+function provideDocumentSymbols(model) {
+    const resolver = resolveScriptSymbols(model);
+    const SymbolKind = monaco.languages.SymbolKind;
+
+    const toDocumentSymbol = (name, detail, kind, node, loc, children = []) => {
+        const selectionRange = locToMonacoRange(loc);
+        const range = node && node.end
+            ? new monaco.Range(loc.line, loc.column, node.end.line, node.end.column + 1)
+            : selectionRange;
+        return { name, detail, kind, tags: [], range, selectionRange, children };
+    };
+
+    const variableSymbol = symbol => toDocumentSymbol(symbol.name, symbol.type || '',
+        symbol.kind === 'const' ? SymbolKind.Constant : SymbolKind.Variable, null, symbol.loc);
+
+    const symbolsOf = container => resolver.symbols
+        .filter(symbol => symbol.container === container && symbol.loc)
+        .sort((a, b) => a.loc.line - b.loc.line || a.loc.column - b.loc.column)
+        .map(symbol => {
+            switch (symbol.kind) {
+                case 'function':
+                    return toDocumentSymbol(symbol.name, formatScriptFunctionSignature(symbol.node),
+                        SymbolKind.Function, symbol.node, symbol.loc, symbolsOf(symbol.node));
+                case 'struct':
+                    return toDocumentSymbol(symbol.name, '', SymbolKind.Struct, symbol.node, symbol.loc,
+                        symbol.node.fields.map(field => toDocumentSymbol(field.name, field.type, SymbolKind.Field, null, field.loc)));
+                default:
+                    return variableSymbol(symbol);
+            }
+        });
+
+    return symbolsOf(null);
+}
+
+function resolveRenameLocation(model, position) {
+    const resolver = resolveScriptSymbols(model);
+    const symbol = symbolAtPosition(resolver, position);
+    if (!symbol) {
+        return { range: null, text: '', rejectReason: 'Only functions, variables and parameters declared in the script can be renamed' };
+    }
+    const rejectReason = resolver.validateRenameTarget(symbol);
+    if (rejectReason) {
+        return { range: null, text: '', rejectReason };
+    }
+    const word = model.getWordAtPosition(position);
+    return {
+        range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+        text: word.word
+    };
+}
+
+function provideRenameEdits(model, position, newName) {
+    const resolver = resolveScriptSymbols(model);
+    const symbol = symbolAtPosition(resolver, position);
+    if (!symbol) return { edits: [] };
+
+    const rejectReason = resolver.validateRename(symbol, newName);
+    if (rejectReason) return { edits: [], rejectReason };
+
+    const versionId = model.getVersionId();
+    return {
+        edits: [symbol.loc, ...symbol.references.map(ref => ref.loc)].map(loc => ({
+            resource: model.uri,
+            textEdit: { range: locToMonacoRange(loc), text: newName },
+            versionId
+        }))
+    };
+}
+
+function registerEditorProviders() {
+    monaco.languages.registerCompletionItemProvider(EEZ_SCRIPT_LANGUAGE, {
+        provideCompletionItems(model, position) {
+            const word = model.getWordUntilPosition(position);
+            const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+
+            const lvglData = getLvglEditorData();
+            const scriptItems = collectScriptCompletionItems(eez_script_parse(model.getValue()).ast);
+            const suggestions = [...scriptItems, ...buildConsoleCompletionItems(), ...(lvglData ? lvglData.completionItems : [])]
+                .map(item => ({ ...item, range }));
+            return { suggestions };
+        }
+    });
+
+    monaco.languages.registerSignatureHelpProvider(EEZ_SCRIPT_LANGUAGE, {
+        signatureHelpTriggerCharacters: ['(', ','],
+        signatureHelpRetriggerCharacters: [')'],
+        provideSignatureHelp
+    });
+
+    monaco.languages.registerHoverProvider(EEZ_SCRIPT_LANGUAGE, { provideHover });
+
+    monaco.languages.registerDefinitionProvider(EEZ_SCRIPT_LANGUAGE, { provideDefinition });
+    monaco.languages.registerReferenceProvider(EEZ_SCRIPT_LANGUAGE, { provideReferences });
+    monaco.languages.registerDocumentSymbolProvider(EEZ_SCRIPT_LANGUAGE, { provideDocumentSymbols });
+    monaco.languages.registerRenameProvider(EEZ_SCRIPT_LANGUAGE, { provideRenameEdits, resolveRenameLocation });
+
+    monaco.languages.registerDocumentFormattingEditProvider(EEZ_SCRIPT_LANGUAGE, {
+        provideDocumentFormattingEdits(model) {
+            try {
+                return [{ range: model.getFullModelRange(), text: eez_script_format(model.getValue()) }];
+            } catch (error) {
+                // Syntax errors are already shown by the live diagnostics
+                return [];
+            }
+        }
+    });
+}
+
 // Initialize output editors (readonly Monaco editors) - called lazily
 function initJsOutputEditor() {
     if (jsOutputEditor || !monacoLoaded || !monaco) return;
@@ -285,6 +822,9 @@ async function initPlayground() {
     const version = urlParams.get('version') || localStorage.getItem('lvgl_version') || LvglApi.getDefaultVersion();
     
     try {
+        // Before the WASM module is loaded, so the Console tab gets its log from the start
+        captureWasmOutput();
+
         // Initialize LVGL API first
         await LvglApi.init();
         
@@ -297,11 +837,18 @@ async function initPlayground() {
         initHelpPanel();
         initExamples();
         initVersionSelector();
+        initExecutionModeSelector();
+        initDebugPanel();
         await loadSavedScript();
         initHelp();
 
-        // Auto-run the loaded script
-        setTimeout(() => runScript(), 100);
+        // Auto-run the loaded script, unless the page is opened in safe mode (?norun=1)
+        // to fix a saved script that fails or hangs on load
+        if (urlParams.get('norun') === '1') {
+            showStatus('Safe mode: the script was not run, press Run to start it');
+        } else {
+            setTimeout(() => runScript(), 100);
+        }
     } catch (error) {
         console.error('Failed to initialize playground:', error);
         showError(`Failed to initialize: ${error.message}`);
@@ -354,7 +901,7 @@ async function loadAndInitWasm(version) {
     }
     
     // Reset event manager for new WASM instance
-    eventManager = new EventManager(wasm);
+    eventManager = new EventManager(wasm, handleScriptError);
     
     // Set API version BEFORE starting main loop
     await LvglApi.setVersion(version);
@@ -398,6 +945,32 @@ function updateVersionSelector(version) {
     }
 }
 
+// Execution mode - 'interpreter' runs the script with the Interpreter, 'js' runs the emitJS output,
+// 'bytecode' runs the compiled bytecode in the BytecodeVM
+const EXECUTION_MODES = ['interpreter', 'js', 'bytecode'];
+
+const EXECUTION_MODE_STATUS = {
+    interpreter: '',
+    js: ' (compiled JS)',
+    bytecode: ' (bytecode VM)'
+};
+
+function getExecutionMode() {
+    const mode = localStorage.getItem('execution_mode');
+    return EXECUTION_MODES.includes(mode) ? mode : 'interpreter';
+}
+
+function initExecutionModeSelector() {
+    const select = document.getElementById('executionModeSelect');
+    if (!select) return;
+
+    select.value = getExecutionMode();
+    select.addEventListener('change', function() {
+        localStorage.setItem('execution_mode', this.value);
+        runScript();
+    });
+}
+
 // Change LVGL version
 async function changeVersion(version) {
     if (version === currentLvglVersion) return;
@@ -416,6 +989,9 @@ async function changeVersion(version) {
         
         // Regenerate help
         initHelp();
+
+        // Offer the new version's functions and constants in autocompletion, signature help and hovers
+        invalidateLvglEditorData();
         
         // Re-run script with new version
         setTimeout(() => runScript(), 100);
@@ -496,78 +1072,7 @@ function setupEvents() {
     }, { passive: false });
 }
 
-// ============================================================================
-// Event Manager - Bridges EEZ Script callbacks to LVGL C events
-// ============================================================================
-
-class EventManager {
-    constructor(wasmModule) {
-        this.wasm = wasmModule;
-        this.handlers = new Map(); // id -> {callback, obj, eventCode}
-        this.nextId = 0;
-        // Workaround for LVGL v9.3.0+ bug: event codes >= 10 don't filter correctly
-        // We register with LV_EVENT_ALL and filter in JavaScript
-        this.useJsFiltering = true;
-    }
-
-    register(obj, eventCode, callback, scope) {
-        const id = this.nextId++;
-        this.handlers.set(id, { callback, obj, eventCode });
-
-        // Get the function pointer as an integer (not the JS wrapper)
-        const dispatcherPtr = this.wasm._get_global_dispatcher_ptr();
-        
-        // Use LV_EVENT_ALL (0) for registration if JS filtering is enabled
-        // This is a workaround for LVGL v9.3.0+ where event codes >= 10 don't filter correctly in WASM
-        const registerEventCode = this.useJsFiltering ? 0 : eventCode;
-        
-        // Call lv_obj_add_event_cb with the global dispatcher pointer
-        this.wasm._lv_obj_add_event_cb(obj, dispatcherPtr, registerEventCode, id);
-        
-        return id;
-    }
-
-    unregister(id) {
-        this.handlers.delete(id);
-        // Note: We don't remove the LVGL event callback here
-        // The callback will just be a no-op if the handler is not in the map
-    }
-
-    clear() {
-        this.handlers.clear();
-        this.nextId = 0;
-    }
-    
-    dispatch(handlerId, eventPtr) {
-        const handler = this.handlers.get(handlerId);
-        if (handler) {
-            const actualEventCode = this.wasm._lv_event_get_code(eventPtr);
-            
-            // Skip draw/render events (26-34 in v9.3.0+) to avoid "Invalidate area during rendering" errors
-            // These events should not trigger user callbacks
-            if (actualEventCode >= 26 && actualEventCode <= 34) {
-                return;
-            }
-            
-            // If JS filtering is enabled, check if event code matches
-            if (this.useJsFiltering && handler.eventCode !== 0) {
-                if (actualEventCode !== handler.eventCode) {
-                    // Event code doesn't match, skip
-                    return;
-                }
-            }
-            
-            try {
-                // Call the EEZ Script callback with the event pointer as a number
-                handler.callback(eventPtr);
-            } catch (error) {
-                // Show error in UI instead of just console
-                handleScriptError(error);
-            }
-        }
-    }
-}
-
+// EventManager (event-manager.js) bridges EEZ Script callbacks to LVGL C events
 let eventManager = null;
 
 // Global dispatcher function called from WASM
@@ -1151,6 +1656,13 @@ lv_obj_set_style_text_color(label, 0x00FF00, 0);  // Green</pre></div>
 }</pre>
         </div>
         
+        <h4>Console Output</h4>
+        <p><code>print()</code>, <code>log_user()</code> and <code>log_warn()</code> write a string to the Console tab, together with the LVGL log. In the C code they become <code>printf</code>, <code>LV_LOG_USER</code> and <code>LV_LOG_WARN</code>:</p>
+        <div class="help-snippet">
+            <pre>print("Value: " + value);
+log_warn("Value out of range");</pre>
+        </div>
+        
         <h4>Using LVGL Constants</h4>
         <p>LVGL constants are available directly in your code:</p>
         <ul>
@@ -1420,6 +1932,8 @@ function switchTab(tabName) {
         setTimeout(() => initJsOutputEditor(), 10);
     } else if (tabName === 'c') {
         setTimeout(() => initCOutputEditor(), 10);
+    } else if (tabName === 'console') {
+        setUnreadConsoleMessages(0);
     }
 }
 window.switchTab = switchTab;
@@ -1460,58 +1974,18 @@ function showStatus(message) {
 
 // Handle script errors (from compilation, execution, or event handlers)
 function handleScriptError(error) {
-    const errorMsg = error.message || String(error);
-    
-    // Extract line, column, and length information from error message
-    // Pattern 1: "At line X, column Y, length Z:" (from createRuntimeError with length)
-    const atLineMatchWithLength = errorMsg.match(/At line (\d+), column (\d+), length (\d+)/);
-    // Pattern 2: "At line X, column Y:" (from createRuntimeError without length)
-    const atLineMatch = errorMsg.match(/At line (\d+), column (\d+)/);
-    // Pattern 3: "line X:Y" or "line X column Y" (from lexer/parser)
-    const lineColonMatch = errorMsg.match(/line (\d+):(\d+)/i);
-    const lineColumnMatch = errorMsg.match(/line (\d+).*column (\d+)/i);
-    
-    let line = null;
-    let column = null;
-    let length = null;
-    
-    if (atLineMatchWithLength) {
-        line = parseInt(atLineMatchWithLength[1]);
-        column = parseInt(atLineMatchWithLength[2]);
-        length = parseInt(atLineMatchWithLength[3]);
-    } else if (atLineMatch) {
-        line = parseInt(atLineMatch[1]);
-        column = parseInt(atLineMatch[2]);
-    } else if (lineColonMatch) {
-        line = parseInt(lineColonMatch[1]);
-        column = parseInt(lineColonMatch[2]);
-    } else if (lineColumnMatch) {
-        line = parseInt(lineColumnMatch[1]);
-        column = parseInt(lineColumnMatch[2]);
-    }
-    
-    // Extract just the message part (remove the "At line X, column Y:" or "At line X, column Y, length Z:" prefix)
-    // Keep the "Runtime error:" or "Syntax error:" prefix in the message
-    let displayMessage = errorMsg;
-    if (atLineMatchWithLength) {
-        displayMessage = errorMsg.replace(/^At line \d+, column \d+, length \d+:\s*/, '');
-    } else if (atLineMatch) {
-        displayMessage = errorMsg.replace(/^At line \d+, column \d+:\s*/, '');
-    }
-    
-    // Show error in canvas with line/column info
-    showError(displayMessage, line, column);
-    
-    // Show inline error in Monaco editor
-    if (line) {
-        const errors = [{
-            line: line,
-            column: column || 1,
-            length: length,
-            message: displayMessage.split('\n')[0] // Only show the first line of the error
-        }];
-        showEditorErrors(errors);
-    }
+    const diagnostic = getErrorDiagnostic(error);
+    showDiagnostics([diagnostic]);
+    appendConsoleMessage('error', diagnostic.line ? `Line ${diagnostic.line}: ${diagnostic.message}` : diagnostic.message);
+}
+
+// Show diagnostics: the first one (and how many others there are) above the canvas, all in the editor
+function showDiagnostics(diagnostics) {
+    const first = diagnostics[0];
+    const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+    showError(first.message.split('\n')[0] + more, first.line, first.column);
+
+    showEditorErrors(diagnostics);
 }
 
 // Show error message
@@ -1544,7 +2018,31 @@ function clearMessages() {
 // Run the script
 let currentScript = null;
 
-function runScript() {
+// Globals available to scripts, bound to the current LVGL instance
+function createScriptGlobals() {
+    return {
+        System: {
+            stringToNewUTF8: {
+                function: lvgl.stringToNewUTF8.bind(lvgl),
+                params: ['string'],
+                returnType: 'number'
+            },
+            UTF8ToString: {
+                function: lvgl.UTF8ToString.bind(lvgl),
+                params: ['number'],
+                returnType: 'string'
+            }
+        },
+        // print(), log_user() and log_warn(), shown in the Console tab
+        ...createConsoleGlobals(appendConsoleMessage)
+    };
+}
+
+// debug: run the script in the step debugger (see the Debugger section below) instead of the execution mode
+function runScript(debug = false) {
+    // A new run replaces the debugged one, its callbacks run without stopping until the script is replaced
+    stopDebugging();
+
     // Switch to canvas tab to show the output
     document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
     document.querySelector('.tab[onclick*="canvas"]')?.classList.add('active');
@@ -1553,6 +2051,7 @@ function runScript() {
     
     clearMessages();
     clearEditorErrors();
+    clearConsole();
 
     const scriptCode = getEditorContent().trim();
     if (!scriptCode) {
@@ -1573,36 +2072,47 @@ function runScript() {
         }
         // Always ensure eventManager is using the current WASM instance
         if (!eventManager || eventManager.wasm !== wasm) {
-            eventManager = new EventManager(wasm);
+            eventManager = new EventManager(wasm, handleScriptError);
         }
 
-        // Compile the script
-        currentScript = eez_script_compile(scriptCode);
-
         // Initialize with globals, lvgl instance and constants
-        const globals = {
-            System: {
-                stringToNewUTF8: {
-                    function: lvgl.stringToNewUTF8.bind(lvgl),
-                    params: ['string'],
-                    returnType: 'number'
-                },
-                UTF8ToString: {
-                    function: lvgl.UTF8ToString.bind(lvgl),
-                    params: ['number'],
-                    returnType: 'string'
-                }
-            }
-        };
+        const globals = createScriptGlobals();
 
         // Get version-specific functions and constants
         const allowedFunctions = LvglApi.getAllowedFunctions();
         const LVGL_CONSTANTS = LvglApi.getConstants();
 
-        currentScript.init(globals, lvgl, LVGL_CONSTANTS, allowedFunctions);
+        // Type check the whole script first, so errors in code that hasn't run yet
+        // (like event handlers) are reported before anything is executed
+        const checkResult = eez_script_check(scriptCode, allowedFunctions, LVGL_CONSTANTS, globals);
+        if (!checkResult.valid) {
+            showDiagnostics(checkResult.errors);
+            return;
+        }
+
+        // Compile the script
+        currentScript = eez_script_compile(scriptCode);
 
-        // Set event manager on the interpreter
-        currentScript._interpreter.eventManager = eventManager;
+        if (debug) {
+            // The debugger steps through the AST, so it always uses the interpreter
+            currentDebugger = currentScript.initDebug(globals, lvgl, LVGL_CONSTANTS, allowedFunctions, eventManager, 'init', {
+                breakpoints: getBreakpointLines(),
+                pauseOnError: document.getElementById('debugPauseOnError').checked,
+                onPause: showDebugPause,
+                onResume: showDebugRunning,
+                onFinish: onDebugRunFinished
+            });
+        } else if (getExecutionMode() === 'js') {
+            // Compiled JS: the emitted code gets the same globals and registers callbacks with the event manager
+            currentScript.initJS(globals, lvgl, LVGL_CONSTANTS, allowedFunctions, eventManager);
+        } else if (getExecutionMode() === 'bytecode') {
+            currentScript.initBytecode(globals, lvgl, LVGL_CONSTANTS, allowedFunctions, eventManager);
+        } else {
+            currentScript.init(globals, lvgl, LVGL_CONSTANTS, allowedFunctions);
+
+            // Set event manager on the interpreter
+            currentScript._interpreter.eventManager = eventManager;
+        }
 
         // Generate and display JS code
         const jsCode = currentScript.emitJS();
@@ -1616,7 +2126,7 @@ function runScript() {
         }
 
         // Generate and display C code
-        const cCode = currentScript.emitC();
+        const cCode = currentScript.emitC(getCEmitOptions());
         if (cOutputEditor) {
             cOutputEditor.setValue(cCode);
         }
@@ -1626,6 +2136,11 @@ function runScript() {
             cContainer.dataset.pendingCode = cCode;
         }
 
+        // The debugger has already started init(), it reports the result when the run finishes
+        if (debug) {
+            return;
+        }
+
         // Find and execute the init function (try common names)
         const initFunctions = ['init'];
         let executed = false;
@@ -1635,7 +2150,7 @@ function runScript() {
             try {
                 currentScript.exec(funcName);
                 executed = true;
-                showStatus('✓ Script executed successfully!');
+                showStatus(`✓ Script executed successfully${EXECUTION_MODE_STATUS[getExecutionMode()]}!`);
                 break;
             } catch (e) {
                 lastError = e;
@@ -1658,6 +2173,281 @@ function runScript() {
 }
 window.runScript = runScript;
 
+function debugScript() {
+    runScript(true);
+}
+window.debugScript = debugScript;
+
+// ============================================================================
+// Debugger - breakpoints in the editor gutter, stepping, call stack and variables
+// ============================================================================
+
+let currentDebugger = null;
+let breakpointDecorations = null;
+let debugLineDecorations = null;
+let selectedDebugFrame = 0;
+// init() reports success once, later runs are script callbacks
+let debugInitFinished = false;
+
+// Clicking the glyph margin or a line number toggles a breakpoint on that line
+function initBreakpoints() {
+    breakpointDecorations = editor.createDecorationsCollection();
+    debugLineDecorations = editor.createDecorationsCollection();
+
+    editor.onMouseDown(e => {
+        const type = e.target.type;
+        if (type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN &&
+            type !== monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS) {
+            return;
+        }
+        toggleBreakpoint(e.target.position.lineNumber);
+    });
+}
+
+// Breakpoints are decorations, so they move with the code when lines are inserted or removed above them
+function getBreakpointLines() {
+    if (!breakpointDecorations) return [];
+    return [...new Set(breakpointDecorations.getRanges().map(range => range.startLineNumber))];
+}
+
+function toggleBreakpoint(line) {
+    const lines = getBreakpointLines();
+    const newLines = lines.includes(line) ? lines.filter(l => l !== line) : [...lines, line];
+    breakpointDecorations.set(newLines.map(l => ({
+        range: new monaco.Range(l, 1, l, 1),
+        options: {
+            glyphMarginClassName: 'debug-breakpoint',
+            glyphMarginHoverMessage: { value: 'Breakpoint' },
+            stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+        }
+    })));
+
+    if (currentDebugger) {
+        currentDebugger.setBreakpoints(newLines);
+    }
+}
+
+function initDebugPanel() {
+    document.getElementById('debugPauseOnError').addEventListener('change', e => {
+        if (currentDebugger) {
+            currentDebugger.pauseOnError = e.target.checked;
+        }
+    });
+
+    // Same keys as in most debuggers, only while a run is paused
+    document.addEventListener('keydown', e => {
+        if (!currentDebugger || !currentDebugger.paused) return;
+        if (e.key === 'F5') {
+            currentDebugger.continue();
+        } else if (e.key === 'F10') {
+            currentDebugger.stepOver();
+        } else if (e.key === 'F11' && e.shiftKey) {
+            currentDebugger.stepOut();
+        } else if (e.key === 'F11') {
+            currentDebugger.stepInto();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+}
+
+function debugContinue() {
+    currentDebugger?.continue();
+}
+window.debugContinue = debugContinue;
+
+function debugStepOver() {
+    currentDebugger?.stepOver();
+}
+window.debugStepOver = debugStepOver;
+
+function debugStepInto() {
+    currentDebugger?.stepInto();
+}
+window.debugStepInto = debugStepInto;
+
+function debugStepOut() {
+    currentDebugger?.stepOut();
+}
+window.debugStepOut = debugStepOut;
+
+// Ends the debugging session, the script stays loaded and its callbacks run without stopping
+function stopDebugging() {
+    if (!currentDebugger) return;
+    currentDebugger.detach();
+    currentDebugger = null;
+    debugInitFinished = false;
+    debugLineDecorations?.clear();
+    document.getElementById('debugPanel').classList.add('hidden');
+}
+window.stopDebugging = stopDebugging;
+
+function setDebugButtonsEnabled(paused) {
+    for (const id of ['debugContinueBtn', 'debugStepOverBtn', 'debugStepIntoBtn', 'debugStepOutBtn']) {
+        document.getElementById(id).disabled = !paused;
+    }
+}
+
+function showDebugPause(scriptDebugger) {
+    document.getElementById('debugPanel').classList.remove('hidden');
+    setDebugButtonsEnabled(true);
+
+    const { error } = scriptDebugger.paused;
+    const status = document.getElementById('debugStatus');
+    status.textContent = error ? `Paused on error: ${getErrorDiagnostic(error).message.split('\n')[0]}` : 'Paused';
+    status.classList.toggle('debug-status-error', !!error);
+
+    selectedDebugFrame = 0;
+    renderDebugCallStack();
+    renderDebugVariables();
+    showDebugFrameLine();
+}
+
+function showDebugRunning() {
+    document.getElementById('debugPanel').classList.remove('hidden');
+    setDebugButtonsEnabled(false);
+
+    const status = document.getElementById('debugStatus');
+    status.textContent = debugInitFinished ? 'Running - callbacks stop at breakpoints' : 'Running';
+    status.classList.remove('debug-status-error');
+
+    document.getElementById('debugCallStack').innerHTML = '';
+    document.getElementById('debugVariables').innerHTML = '';
+    debugLineDecorations.clear();
+}
+
+function onDebugRunFinished(error) {
+    if (error) {
+        handleScriptError(error);
+    } else if (!debugInitFinished) {
+        showStatus('✓ Script executed successfully in the debugger!');
+    }
+    debugInitFinished = true;
+    showDebugRunning();
+}
+
+function renderDebugCallStack() {
+    const container = document.getElementById('debugCallStack');
+    container.innerHTML = '';
+    currentDebugger.getCallStack().forEach((frame, index) => {
+        const item = document.createElement('div');
+        item.className = 'debug-item debug-frame' + (index === selectedDebugFrame ? ' selected' : '');
+        item.textContent = frame.line ? `${frame.name}  line ${frame.line}` : frame.name;
+        item.addEventListener('click', () => {
+            selectedDebugFrame = index;
+            renderDebugCallStack();
+            renderDebugVariables();
+            showDebugFrameLine();
+        });
+        container.appendChild(item);
+    });
+}
+
+function renderDebugVariables() {
+    const container = document.getElementById('debugVariables');
+    container.innerHTML = '';
+    for (const group of currentDebugger.getVariables(selectedDebugFrame)) {
+        const title = document.createElement('div');
+        title.className = 'debug-group';
+        title.textContent = group.name;
+        container.appendChild(title);
+
+        for (const variable of group.variables) {
+            const item = document.createElement('div');
+            item.className = 'debug-item';
+            item.textContent = `${variable.name}${variable.type ? `: ${variable.type}` : ''} = ${variable.value}`;
+            item.title = item.textContent;
+            container.appendChild(item);
+        }
+    }
+}
+
+// Highlights the line of the selected call stack frame and scrolls to it
+function showDebugFrameLine() {
+    const frame = currentDebugger.getCallStack()[selectedDebugFrame];
+    if (!frame || !frame.line) {
+        debugLineDecorations.clear();
+        return;
+    }
+    debugLineDecorations.set([{
+        range: new monaco.Range(frame.line, 1, frame.line, 1),
+        options: {
+            isWholeLine: true,
+            className: 'debug-current-line',
+            glyphMarginClassName: 'debug-current-line-glyph'
+        }
+    }]);
+    editor.revealLineInCenterIfOutsideViewport(frame.line);
+}
+
+// ============================================================================
+// Console Tab - script output (print, log_user, log_warn), LVGL log and script errors
+// ============================================================================
+
+const MAX_CONSOLE_LINES = 1000;
+const CONSOLE_LEVEL_PREFIXES = { user: '[User] ', warn: '[Warn] ' };
+let unreadConsoleMessages = 0;
+
+// level: 'log' (print), 'user', 'warn', 'error' or 'lvgl' (output of the WASM runtime)
+function appendConsoleMessage(level, message) {
+    const output = document.getElementById('consoleOutput');
+    const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 4;
+
+    const line = document.createElement('div');
+    line.className = `console-line console-${level}`;
+    line.textContent = (CONSOLE_LEVEL_PREFIXES[level] || '') + message;
+    output.appendChild(line);
+    while (output.childElementCount > MAX_CONSOLE_LINES) {
+        output.firstElementChild.remove();
+    }
+
+    // Follow new output, unless scrolled up to read older lines
+    if (atBottom) {
+        output.scrollTop = output.scrollHeight;
+    }
+
+    if (!document.getElementById('consoleTab').classList.contains('active')) {
+        setUnreadConsoleMessages(unreadConsoleMessages + 1);
+    }
+}
+
+function clearConsole() {
+    document.getElementById('consoleOutput').innerHTML = '';
+    setUnreadConsoleMessages(0);
+}
+window.clearConsole = clearConsole;
+
+function setUnreadConsoleMessages(count) {
+    unreadConsoleMessages = count;
+    document.getElementById('consoleTabButton').textContent = count > 0 ? `Console (${count})` : 'Console';
+}
+
+// The WASM runtime writes printf() output, and with it the LVGL log (LV_LOG_*), with console.log
+// and console.error and this prefix (Module.print/printErr of the runtime)
+const WASM_OUTPUT_PREFIX = 'From LVGL-WASM flow runtime:';
+
+function captureWasmOutput() {
+    for (const method of ['log', 'error']) {
+        const original = console[method];
+        console[method] = function (...args) {
+            if (args[0] === WASM_OUTPUT_PREFIX) {
+                const text = args.slice(1).join(' ').replace(/\n$/, '');
+                appendConsoleMessage(wasmOutputLevel(text, method), text);
+            }
+            original.apply(console, args);
+        };
+    }
+}
+
+// LVGL log lines start with the level: "[Warn]	(1.234, +5)	 lv_obj_set_x: ..."
+function wasmOutputLevel(text, method) {
+    const level = /^\[(\w+)\]/.exec(text);
+    if (level && level[1] === 'Warn') return 'warn';
+    if ((level && level[1] === 'Error') || method === 'error') return 'error';
+    return 'lvgl';
+}
+
 // Copy to clipboard functionality
 function copyToClipboard(elementId) {
     let text = '';
@@ -1712,6 +2502,220 @@ function copyToClipboard(elementId) {
 }
 window.copyToClipboard = copyToClipboard;
 
+// C project export
+
+const C_PROJECT_NAME = 'ui';
+
+// Options for emitting C that compiles against the selected LVGL version
+function getCEmitOptions() {
+    return {
+        lvglVersion: LvglApi.getCurrentVersion(),
+        constantAliases: LvglApi.getConstantAliases()
+    };
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[i] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip archive with the files stored uncompressed, files is { name: text }
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    // Modification time in MS-DOS format
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = encoder.encode(name);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);     // local file header signature
+        local.setUint16(4, 20, true);             // version needed
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);   // compressed size
+        local.setUint32(22, data.length, true);   // uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);   // central directory header signature
+        central.setUint16(4, 20, true);           // version made by
+        central.setUint16(6, 20, true);           // version needed
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);      // offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);           // end of central directory signature
+    end.setUint16(8, centralParts.length / 2, true);
+    end.setUint16(10, centralParts.length / 2, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// Download the C project (ui.h/ui.c) of the last run script as a zip
+function downloadCProject() {
+    if (!currentScript) {
+        alert('Run the script first to generate the C project');
+        return;
+    }
+
+    let project;
+    try {
+        project = currentScript.emitCProject(C_PROJECT_NAME, getCEmitOptions());
+    } catch (error) {
+        alert('Failed to generate the C project: ' + error.message);
+        return;
+    }
+
+    const zip = createZip({
+        [`${C_PROJECT_NAME}.h`]: project.header,
+        [`${C_PROJECT_NAME}.c`]: project.source
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(zip);
+    link.download = `${C_PROJECT_NAME}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+window.downloadCProject = downloadCProject;
+
+// Standalone HTML export - the emitted JS with the LVGL runtime, runnable without the playground
+
+const STANDALONE_NAME = 'lvgl-demo';
+
+// Inlined scripts can't contain </script>
+function inlineScript(code) {
+    return `<script>\n${code.replace(/<\/script/gi, '<\\/script')}\n</script>`;
+}
+
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}`);
+    }
+    return response.text();
+}
+
+// index.html with the runtime script, event-manager.js and standalone-runtime.js inlined.
+// Only the constants the code uses are included.
+async function createStandaloneHtml(jsCode, version) {
+    const allConstants = LvglApi.getConstants();
+    const constants = {};
+    for (const [, name] of jsCode.matchAll(/\$lvgl_const\.(\w+)/g)) {
+        constants[name] = allConstants[name];
+    }
+
+    const [runtimeScript, eventManagerScript, standaloneScript] = await Promise.all([
+        fetchText(`wasm/lvgl_runtime_v${version}.js`),
+        fetchText('src/event-manager.js'),
+        fetchText('src/standalone-runtime.js')
+    ]);
+
+    const appScript = `runStandalone(${JSON.stringify(constants, null, 4)}, function ($lvgl, $lvgl_const, $System, $eventManager, { print, log_user, log_warn }) {
+const System = $System;
+${jsCode}
+
+if (typeof init === 'function') {
+    init();
+}
+});`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${STANDALONE_NAME} (LVGL ${version})</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; background: #1e1e1e; font-family: sans-serif; }
+        canvas { max-width: 100%; touch-action: none; outline: none; }
+        #error { display: none; margin: 1rem; color: #f48771; }
+    </style>
+</head>
+<body>
+    <canvas id="canvas" tabindex="0"></canvas>
+    <div id="error"></div>
+
+    <script>
+        // Global variables needed by emscripten-generated WASM code, the .wasm file is next to this page
+        var module = {};
+        var __dirname = ".";
+    </script>
+${[runtimeScript, eventManagerScript, standaloneScript, appScript].map(inlineScript).join('\n')}
+</body>
+</html>
+`;
+}
+
+// Download the emitted JS of the last run script as index.html and the LVGL WASM runtime in a zip
+async function downloadStandaloneHtml() {
+    if (!currentScript) {
+        alert('Run the script first to generate the JavaScript code');
+        return;
+    }
+
+    const version = LvglApi.getCurrentVersion();
+    const wasmFile = `lvgl_runtime_v${version}.wasm`;
+    let files;
+    try {
+        const response = await fetch(`wasm/${wasmFile}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load wasm/${wasmFile}`);
+        }
+        files = {
+            'index.html': await createStandaloneHtml(currentScript.emitJS(), version),
+            [wasmFile]: new Uint8Array(await response.arrayBuffer())
+        };
+    } catch (error) {
+        alert('Failed to export the HTML page: ' + error.message);
+        return;
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(createZip(files));
+    link.download = `${STANDALONE_NAME}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+window.downloadStandaloneHtml = downloadStandaloneHtml;
+
 // Toggle Help Panel
 function toggleHelp() {
     const helpPanel = document.getElementById('helpPanel');
@@ -0,0 +1,153 @@
+// Standalone Runtime - Runs the emitJS output outside of the playground
+// The page exported by the JS tab inlines the LVGL WASM runtime script, event-manager.js and
+// this file, and calls runStandalone() with the emitted code. It does what the playground does
+// for a script: loads the WASM module, runs the main loop with pointer input and provides the
+// $lvgl, $lvgl_const, $System and $eventManager of the emitted code, and the System and console
+// function (print, log_user, log_warn) globals a script can use.
+
+const DISPLAY_WIDTH = 800;
+const DISPLAY_HEIGHT = 480;
+const FPS = 60;
+
+let wasm = null;
+let eventManager = null;
+let pointerEvents = [];
+let wheelUpdated = false;
+let wheelPressed = 0;
+let wheelDeltaY = 0;
+
+// Global dispatcher function called from WASM
+window.js_dispatch_event = function(handlerId, eventPtr) {
+    if (eventManager) {
+        eventManager.dispatch(handlerId, eventPtr);
+    }
+};
+
+function showStandaloneError(error) {
+    console.error(error);
+    const element = document.getElementById('error');
+    element.textContent = error && error.message ? error.message : String(error);
+    element.style.display = 'block';
+}
+
+// The inlined runtime script sets module.exports to the WASM module constructor
+function initWasmModule(constructor) {
+    return new Promise((resolve) => {
+        const wasmInstance = constructor(() => {
+            resolve(wasmInstance);
+        });
+    });
+}
+
+function sendPointerEvent(canvas, event) {
+    const bbox = canvas.getBoundingClientRect();
+    const x = (event.clientX - bbox.left) * (canvas.width / bbox.width);
+    const y = (event.clientY - bbox.top) * (canvas.height / bbox.height);
+    const pressed = event.buttons == 1 ? 1 : 0;
+
+    pointerEvents.push({ x, y, pressed });
+
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+function setupEvents(canvas) {
+    canvas.addEventListener("pointerdown", event => {
+        canvas.focus();
+        if (event.buttons == 4) {
+            wheelUpdated = true;
+            wheelPressed = 1;
+        }
+        canvas.setPointerCapture(event.pointerId);
+        sendPointerEvent(canvas, event);
+    }, true);
+
+    canvas.addEventListener("pointermove", event => {
+        sendPointerEvent(canvas, event);
+    }, true);
+
+    const release = event => {
+        wheelUpdated = true;
+        wheelPressed = 0;
+        canvas.releasePointerCapture(event.pointerId);
+        sendPointerEvent(canvas, event);
+    };
+    canvas.addEventListener("pointerup", release, true);
+    canvas.addEventListener("pointercancel", release, true);
+
+    canvas.addEventListener("wheel", event => {
+        canvas.focus();
+        wheelUpdated = true;
+        wheelDeltaY += event.deltaY;
+    }, { passive: false });
+}
+
+function mainLoop(ctx) {
+    for (const pointerEvent of pointerEvents) {
+        wasm._onPointerEvent(pointerEvent.x, pointerEvent.y, pointerEvent.pressed);
+    }
+    pointerEvents = [];
+
+    if (wheelUpdated) {
+        wasm._onMouseWheelEvent(wheelDeltaY, wheelPressed);
+        wheelUpdated = false;
+        wheelDeltaY = 0;
+    }
+
+    wasm._mainLoop();
+
+    const buf_addr = wasm._getSyncedBuffer();
+    if (buf_addr != 0) {
+        const screen = new Uint8ClampedArray(
+            wasm.HEAPU8.subarray(buf_addr, buf_addr + DISPLAY_WIDTH * DISPLAY_HEIGHT * 4)
+        );
+        ctx.putImageData(new ImageData(screen, DISPLAY_WIDTH, DISPLAY_HEIGHT), 0, 0);
+    }
+
+    setTimeout(() => mainLoop(ctx), 1000 / FPS);
+}
+
+// app($lvgl, $lvgl_const, $System, $eventManager, consoleFunctions) runs the emitted code and its init()
+async function runStandalone(constants, app) {
+    if (location.protocol === 'file:') {
+        showStandaloneError('Browsers don\'t load WebAssembly from file:// pages, serve this folder over HTTP (e.g. npx http-server)');
+    }
+
+    const canvas = document.getElementById('canvas');
+    canvas.width = DISPLAY_WIDTH;
+    canvas.height = DISPLAY_HEIGHT;
+
+    wasm = await initWasmModule(module["exports"]);
+    wasm._init(
+        0, // uint32_t wasmModuleId
+        0, // uint32_t debuggerMessageSubsciptionFilter
+        0, // uint8_t *assets
+        1, // uint32_t assetsSize
+        DISPLAY_WIDTH,  // uint32_t displayWidth
+        DISPLAY_HEIGHT, // uint32_t displayHeight
+        false, // bool darkTheme
+        0, // uint32_t timeZone,
+        0  // bool screensLifetimeSupport
+    );
+
+    eventManager = new EventManager(wasm, showStandaloneError);
+    const System = {
+        stringToNewUTF8: value => wasm.stringToNewUTF8(value),
+        UTF8ToString: ptr => wasm.UTF8ToString(ptr)
+    };
+    // The playground shows these in its Console tab, here they go to the browser console
+    const consoleFunctions = {
+        print: message => console.log(message),
+        log_user: message => console.info(`[User] ${message}`),
+        log_warn: message => console.warn(`[Warn] ${message}`)
+    };
+
+    setupEvents(canvas);
+    mainLoop(canvas.getContext("2d"));
+
+    try {
+        app(wasm, constants, System, eventManager, consoleFunctions);
+    } catch (error) {
+        showStandaloneError(error);
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Loads the browser scripts of the playground (src/lvgl-api.js, src/examples.js and
+ * src/event-manager.js) in Node, with a window and a fetch() that reads files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadBrowserScripts() {
+    const context = {
+        window: {},
+        console: { log() {}, warn() {}, error: console.error },
+        fetch: async (url) => {
+            const file = path.join(ROOT, url);
+            return {
+                ok: fs.existsSync(file),
+                json: async () => JSON.parse(fs.readFileSync(file, 'utf8'))
+            };
+        }
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'src/lvgl-api.js'), 'utf8'), context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'src/examples.js'), 'utf8') + '\nthis.EXAMPLE_SCRIPTS = EXAMPLE_SCRIPTS;', context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'src/event-manager.js'), 'utf8') + '\nthis.EventManager = EventManager;', context);
+    return {
+        LvglApi: context.window.LvglApi,
+        EXAMPLE_SCRIPTS: context.EXAMPLE_SCRIPTS,
+        EventManager: context.EventManager
+    };
+}
+
+module.exports = { ROOT, loadBrowserScripts };
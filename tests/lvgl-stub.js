@@ -0,0 +1,119 @@
+/**
+ * Minimal lvgl.h for compile checks of the C emitter output, generated from
+ * data/lvgl-v<version>-api.json: the function prototypes, the enum items, constants
+ * and style properties as #defines and placeholder typedefs for the types they use.
+ * Only good enough for cc -fsyntax-only, the structs are opaque and the
+ * scalar types are all int32_t.
+ */
+
+const C_TYPES = new Set([
+    'void', 'bool', 'char', 'int', 'float', 'double', 'size_t',
+    'int8_t', 'int16_t', 'int32_t', 'int64_t', 'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t'
+]);
+
+// Type name without qualifiers and pointers: 'const struct _lv_obj_t *' -> 'lv_obj_t'
+function baseType(type) {
+    return type.replace(/\b(const|struct)\b/g, '').replace(/\*/g, '').trim().replace(/^_(lv_)/, '$1');
+}
+
+// Types the stub can declare, leaves out functions with macros (LV_ATTRIBUTE_*, LV_FORMAT_*)
+// or types from outside LVGL in their signature
+function isSupportedType(type) {
+    if (!/^[\w\s*]+$/.test(type) || /\bLV_[A-Z_]+\b/.test(type)) return false;
+    const base = baseType(type);
+    return C_TYPES.has(base) || /^lv_\w+$/.test(base);
+}
+
+// 'struct _lv_obj_t *' -> 'lv_obj_t *', the typedef names are used everywhere
+function cleanType(type) {
+    return type.replace(/\bstruct\s+/g, '').replace(/\b_(lv_\w+)/g, '$1');
+}
+
+function getFunctions(api) {
+    const functions = new Map();
+    for (const category of ['concepts', 'widgets']) {
+        for (const group of Object.values(api.functions[category] || {})) {
+            for (const func of group) {
+                const types = [func.returns || 'void', ...(func.args || []).map(arg => arg.type)];
+                if (!functions.has(func.name) && types.every(isSupportedType)) {
+                    functions.set(func.name, func);
+                }
+            }
+        }
+    }
+    return [...functions.values()];
+}
+
+function generateLvglStub(api, version) {
+    const functions = getFunctions(api);
+
+    // Types used as pointers are opaque structs, the others scalars or callbacks
+    const structTypes = new Set(['lv_obj_t', 'lv_event_t']);
+    const scalarTypes = new Set();
+    for (const func of functions) {
+        for (const type of [func.returns || 'void', ...func.args.map(arg => arg.type)]) {
+            const base = baseType(type);
+            if (C_TYPES.has(base) || base === 'lv_color_t' || base === 'lv_event_cb_t') continue;
+            if (type.includes('*') || /\bstruct\b/.test(type)) {
+                structTypes.add(base);
+            } else {
+                scalarTypes.add(base);
+            }
+        }
+    }
+
+    const lines = [
+        `/* Stub lvgl.h for LVGL ${version}, generated from lvgl-v${version}-api.json */`,
+        '#ifndef LVGL_H',
+        '#define LVGL_H',
+        '',
+        '#include <stdio.h>',
+        '#include <stdint.h>',
+        '#include <stdbool.h>',
+        '#include <stddef.h>',
+        ''
+    ];
+
+    for (const type of structTypes) {
+        if (!scalarTypes.has(type)) lines.push(`typedef struct _${type} ${type};`);
+    }
+    lines.push('typedef struct { uint8_t blue; uint8_t green; uint8_t red; } lv_color_t;');
+    lines.push('typedef void (*lv_event_cb_t)(lv_event_t * e);');
+    for (const type of scalarTypes) {
+        lines.push(type.endsWith('_cb_t') ? `typedef void (*${type})(void);` : `typedef int32_t ${type};`);
+    }
+    lines.push('');
+
+    const defined = new Set();
+    const define = (name, number) => {
+        if (number === undefined || number === null || defined.has(name)) return;
+        defined.add(name);
+        lines.push(`#define ${name} ${number}`);
+    };
+    for (const section of Object.values(api.types || {})) {
+        for (const def of Object.values(section.enums || {})) {
+            (def.items || []).forEach(item => define(item.name, item.number));
+        }
+    }
+    Object.entries(api.constants || {}).forEach(([name, def]) => define(name, def.number));
+    (api.styles || []).forEach(style => define(style.name, style.number));
+
+    // v8 has no lv_color_hex(), the C emitter uses this macro instead
+    if (version.startsWith('8.')) {
+        lines.push('#define LV_COLOR_MAKE(r8, g8, b8) ((lv_color_t){ .blue = (b8), .green = (g8), .red = (r8) })');
+    }
+    // The log macros of print()/log_*() in the C output (see CONSOLE_FUNCTIONS), printf-like
+    lines.push('#define LV_LOG_USER(...) printf(__VA_ARGS__)');
+    lines.push('#define LV_LOG_WARN(...) printf(__VA_ARGS__)');
+    lines.push('');
+
+    for (const func of functions) {
+        const args = func.args.map((arg, i) => `${cleanType(arg.type)} ${/^\w+$/.test(arg.name || '') ? arg.name : `arg${i}`}`);
+        lines.push(`${cleanType(func.returns || 'void')} ${func.name}(${args.join(', ') || 'void'});`);
+    }
+
+    lines.push('', '#endif /* LVGL_H */', '');
+    return lines.join('\n');
+}
+
+module.exports = { generateLvglStub };
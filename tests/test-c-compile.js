@@ -0,0 +1,205 @@
+/**
+ * Compile check of the C emitter output
+ * Emits C for every example in src/examples.js and every supported LVGL version and
+ * compiles it with the system cc against a stub lvgl.h (see lvgl-stub.js).
+ * Run with: node test-c-compile.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { eez_script_compile, eez_script_check, createConsoleGlobals } = require('../src/eez-script.js');
+const { generateLvglStub } = require('./lvgl-stub.js');
+const { ROOT, loadBrowserScripts } = require('./browser-scripts.js');
+
+const CC = process.env.CC || 'cc';
+const CFLAGS = ['-std=c99', '-Wall', '-Werror', '-Wno-unused-variable', '-Wno-unused-but-set-variable', '-fsyntax-only'];
+
+// Scripts for the C output the examples don't cover. Unlike the examples they must pass the
+// check on every version, a failing check fails the test.
+const C_PROGRAMS = {
+    'global-initializers': `let shade = 0x202020;
+let background: lv_color = shade;
+const accent: lv_color = 0xFF8000;
+let base = 10;
+let scaled = base * 2;
+let title: string = "Total: " + scaled;
+let screen = lv_obj_create(0);
+lv_obj_set_style_bg_color(screen, background, 0);
+function init() {
+    let label = lv_label_create(screen);
+    lv_label_set_text(label, title);
+    lv_obj_set_style_text_color(label, accent, 0);
+}`,
+    'string-initializers': `function describe(n: number): string {
+    return n > 0 ? "positive" : "other";
+}
+function init() {
+    let label = lv_label_create(lv_obj_create(0));
+    let text: string = describe(1);
+    let joined = text + " " + 5;
+    lv_label_set_text(label, joined);
+}`,
+    'string-concatenation': `struct Item {
+    name: string;
+}
+let names: string[2] = ["a", "b"];
+function describe(n: number): string {
+    return "n=" + n;
+}
+function show(text: string, n: number) {
+    let label = lv_label_create(lv_obj_create(0));
+    lv_label_set_text(label, text);
+}
+function init() {
+    let n = 3;
+    let item: Item = { name: "x" };
+    item.name = "v" + n;
+    names[0] = "v" + n;
+    show(n > 0 ? "a" + n : "b", n);
+    let label = lv_label_create(lv_obj_create(0));
+    let text: string = describe(n);
+    if (text == lv_label_get_text(label)) {
+        lv_label_set_text(label, item.name + names[0]);
+    }
+}`,
+    'string-return-and-fractions': `const RATIO = 7 / 2;
+function describe(flag: bool): string {
+    let text: string = "abc";
+    if (flag) {
+        return text;
+    }
+    return flag ? "x" : text;
+}
+function init() {
+    let scale = 1.5;
+    let half = RATIO / 7;
+    let count = 3;
+    let label = lv_label_create(lv_obj_create(0));
+    lv_label_set_text(label, describe(true) + " " + scale + " " + half + " " + count + " " + RATIO);
+}`
+};
+
+// cc output, empty when the file compiles without errors and warnings
+function compile(file, includeDir) {
+    const result = spawnSync(CC, [...CFLAGS, '-I', includeDir, file], { encoding: 'utf8', timeout: 60000 });
+    if (result.error) throw result.error;
+    return result.status === 0 ? '' : (result.stderr || `${CC} exited with ${result.status}`);
+}
+
+async function main() {
+    if (spawnSync(CC, ['--version']).error) {
+        console.log(`${CC} not found, skipping the C compile check`);
+        return 0;
+    }
+
+    const { LvglApi, EXAMPLE_SCRIPTS } = loadBrowserScripts();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eez-script-c-'));
+    let passCount = 0;
+    let failCount = 0;
+    let skipCount = 0;
+
+    try {
+        for (const version of LvglApi.getSupportedVersions()) {
+            console.log(`\n--- LVGL ${version} ---`);
+            await LvglApi.setVersion(version);
+            const allowedFunctions = LvglApi.getAllowedFunctions();
+            const constants = LvglApi.getConstants();
+            const options = { lvglVersion: version, constantAliases: LvglApi.getConstantAliases() };
+
+            const api = JSON.parse(fs.readFileSync(path.join(ROOT, `data/lvgl-v${version}-api.json`), 'utf8'));
+            const versionDir = path.join(dir, version);
+            fs.mkdirSync(versionDir);
+            fs.writeFileSync(path.join(versionDir, 'lvgl.h'), generateLvglStub(api, version));
+
+            for (const [key, example] of Object.entries(EXAMPLE_SCRIPTS)) {
+                // Examples written for another version can't run in the playground either
+                const check = eez_script_check(example.code, allowedFunctions, constants, createConsoleGlobals(() => {}));
+                if (!check.valid) {
+                    skipCount++;
+                    console.log(`- ${key} (${check.errors[0].message})`);
+                    continue;
+                }
+
+                const errors = [];
+                try {
+                    // init() runs the top-level statements, the examples only declare globals there
+                    const script = eez_script_compile(example.code);
+                    script.init({}, {}, constants, allowedFunctions);
+
+                    const file = path.join(versionDir, `${key}.c`);
+                    fs.writeFileSync(file, script.emitC(options));
+                    errors.push(compile(file, versionDir));
+
+                    const projectDir = path.join(versionDir, key);
+                    fs.mkdirSync(projectDir);
+                    const project = script.emitCProject('ui', options);
+                    fs.writeFileSync(path.join(projectDir, 'ui.h'), project.header);
+                    fs.writeFileSync(path.join(projectDir, 'ui.c'), project.source);
+                    errors.push(compile(path.join(projectDir, 'ui.c'), versionDir));
+                } catch (error) {
+                    errors.push(error.message);
+                }
+
+                const output = errors.filter(Boolean).join('\n');
+                if (output) {
+                    failCount++;
+                    console.log(`✗ ${key}`);
+                    console.log(output.replace(/^/gm, '  '));
+                } else {
+                    passCount++;
+                    console.log(`✓ ${key}`);
+                }
+            }
+
+            for (const [key, code] of Object.entries(C_PROGRAMS)) {
+                let output;
+                try {
+                    const check = eez_script_check(code, allowedFunctions, constants);
+                    if (!check.valid) throw new Error(check.errors[0].message);
+                    const script = eez_script_compile(code);
+                    script._allowedFunctions = allowedFunctions;
+
+                    const projectDir = path.join(versionDir, key);
+                    fs.mkdirSync(projectDir);
+                    const project = script.emitCProject('ui', options);
+                    fs.writeFileSync(path.join(projectDir, 'ui.h'), project.header);
+                    fs.writeFileSync(path.join(projectDir, 'ui.c'), project.source);
+                    output = compile(path.join(projectDir, 'ui.c'), versionDir);
+                } catch (error) {
+                    output = error.message;
+                }
+
+                if (output) {
+                    failCount++;
+                    console.log(`✗ ${key} (project)`);
+                    console.log(output.replace(/^/gm, '  '));
+                } else {
+                    passCount++;
+                    console.log(`✓ ${key} (project)`);
+                }
+            }
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n=== C Compile Summary ===');
+    console.log(`Passed: ${passCount}`);
+    console.log(`Failed: ${failCount}`);
+    console.log(`Skipped: ${skipCount}`);
+
+    if (failCount === 0) {
+        console.log('\n✓ All examples compile!');
+        return 0;
+    }
+    console.log(`\n✗ ${failCount} example(s) failed to compile`);
+    return 1;
+}
+
+main().then(code => process.exit(code), error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,221 @@
+/**
+ * Differential test of the interpreter, the emitJS output and the bytecode VM
+ * Runs every example in src/examples.js on the LVGL WASM runtime of every supported version,
+ * with the interpreter, as the emitted JavaScript and as bytecode, clicks every widget and
+ * compares the resulting widget trees and console output.
+ * Run with: node test-differential.js
+ */
+
+const path = require('path');
+
+const { eez_script_compile, eez_script_check, createConsoleGlobals } = require('../src/eez-script.js');
+const { ROOT, loadBrowserScripts } = require('./browser-scripts.js');
+
+const DISPLAY_WIDTH = 800;
+const DISPLAY_HEIGHT = 480;
+
+// The runtime calls js_dispatch_event() for the callbacks registered by the EventManager
+let eventManager = null;
+globalThis.js_dispatch_event = (handlerId, eventPtr) => {
+    if (eventManager) {
+        eventManager.dispatch(handlerId, eventPtr);
+    }
+};
+
+function loadWasm(version) {
+    const constructor = require(path.join(ROOT, `wasm/lvgl_runtime_v${version}.js`));
+    return new Promise((resolve) => {
+        const wasm = constructor(() => {
+            wasm._init(0, 0, 0, 1, DISPLAY_WIDTH, DISPLAY_HEIGHT, false, 0, 0);
+            resolve(wasm);
+        });
+    });
+}
+
+// The functions and constants of LVGL 8 and 9 the test uses
+function createLvglHelpers(wasm, constants) {
+    const isV8 = !wasm._lv_screen_active;
+
+    // The class of a label, to read back the label texts
+    const tempScreen = wasm._lv_obj_create(0);
+    const labelClass = wasm._lv_obj_get_class(wasm._lv_label_create(tempScreen));
+    (isV8 ? wasm._lv_obj_del : wasm._lv_obj_delete)(tempScreen);
+
+    return {
+        labelClass,
+        activeScreen: () => isV8 ? wasm._lv_disp_get_scr_act(0) : wasm._lv_screen_active(),
+        childCount: obj => isV8 ? wasm._lv_obj_get_child_cnt(obj) : wasm._lv_obj_get_child_count(obj),
+        click: obj => isV8
+            ? wasm._lv_event_send(obj, constants.LV_EVENT_CLICKED, 0)
+            : wasm._lv_obj_send_event(obj, constants.LV_EVENT_CLICKED, 0)
+    };
+}
+
+// Widget tree: class, position, size, label text and children of every object
+function snapshot(wasm, helpers, obj) {
+    const node = {
+        class: wasm._lv_obj_get_class(obj),
+        x: wasm._lv_obj_get_x(obj),
+        y: wasm._lv_obj_get_y(obj),
+        width: wasm._lv_obj_get_width(obj),
+        height: wasm._lv_obj_get_height(obj),
+        children: []
+    };
+    if (node.class === helpers.labelClass) {
+        node.text = wasm.UTF8ToString(wasm._lv_label_get_text(obj));
+    }
+    const count = helpers.childCount(obj);
+    for (let i = 0; i < count; i++) {
+        node.children.push(snapshot(wasm, helpers, wasm._lv_obj_get_child(obj, i)));
+    }
+    return node;
+}
+
+function collectObjects(wasm, helpers, obj, objects = []) {
+    objects.push(obj);
+    const count = helpers.childCount(obj);
+    for (let i = 0; i < count; i++) {
+        collectObjects(wasm, helpers, wasm._lv_obj_get_child(obj, i), objects);
+    }
+    return objects;
+}
+
+// Interpreter errors have the location in the message, the diagnostic message is the same as in emitJS
+function errorMessage(error) {
+    return error.diagnostic ? error.diagnostic.message.replace(/^Runtime error: /, '') : error.message;
+}
+
+// Runs init(), clicks every object of the screen it returns and snapshots the screen before and after,
+// output has the lines written with print() and the log functions
+function runExample(wasm, helpers, EventManager, start) {
+    const errors = [];
+    const output = [];
+    eventManager = new EventManager(wasm, error => errors.push(errorMessage(error)));
+
+    let screen;
+    try {
+        screen = start(eventManager, output) || helpers.activeScreen();
+    } catch (error) {
+        return { error: errorMessage(error), output };
+    }
+
+    wasm._lv_obj_update_layout(screen);
+    const created = snapshot(wasm, helpers, screen);
+    for (const obj of collectObjects(wasm, helpers, screen)) {
+        helpers.click(obj);
+    }
+    wasm._lv_obj_update_layout(screen);
+    const clicked = snapshot(wasm, helpers, screen);
+
+    eventManager = null;
+    return { created, clicked, errors: errors.length, output };
+}
+
+// Same globals as createScriptGlobals() in playground.js, the console functions write to output
+function createScriptGlobals(wasm, output) {
+    return {
+        System: {
+            stringToNewUTF8: { function: wasm.stringToNewUTF8.bind(wasm), params: ['string'], returnType: 'number' },
+            UTF8ToString: { function: wasm.UTF8ToString.bind(wasm), params: ['number'], returnType: 'string' }
+        },
+        ...createConsoleGlobals((level, message) => output.push(`${level}: ${message}`))
+    };
+}
+
+function runInterpreter(code, wasm, constants, allowedFunctions) {
+    return (manager, output) => {
+        const script = eez_script_compile(code);
+        script.init(createScriptGlobals(wasm, output), wasm, constants, allowedFunctions);
+        script._interpreter.eventManager = manager;
+        return script.exec('init');
+    };
+}
+
+// Like the "Compiled JS" execution mode of the playground
+function runEmittedJS(code, wasm, constants, allowedFunctions) {
+    return (manager, output) => {
+        const script = eez_script_compile(code);
+        script.initJS(createScriptGlobals(wasm, output), wasm, constants, allowedFunctions, manager);
+        return script.exec('init');
+    };
+}
+
+// Like the "Bytecode VM" execution mode of the playground
+function runBytecode(code, wasm, constants, allowedFunctions) {
+    return (manager, output) => {
+        const script = eez_script_compile(code);
+        script.initBytecode(createScriptGlobals(wasm, output), wasm, constants, allowedFunctions, manager);
+        return script.exec('init');
+    };
+}
+
+// Path and values of the first difference of two snapshots
+function findDifference(a, b, where = 'screen') {
+    if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) {
+        return a === b ? null : `${where}: ${JSON.stringify(a)} != ${JSON.stringify(b)}`;
+    }
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const difference = findDifference(a[key], b[key], Array.isArray(a) ? `${where}[${key}]` : `${where}.${key}`);
+        if (difference) return difference;
+    }
+    return null;
+}
+
+async function main() {
+    const { LvglApi, EXAMPLE_SCRIPTS, EventManager } = loadBrowserScripts();
+    let passCount = 0;
+    let failCount = 0;
+    let skipCount = 0;
+
+    for (const version of LvglApi.getSupportedVersions()) {
+        console.log(`\n--- LVGL ${version} ---`);
+        await LvglApi.setVersion(version);
+        const allowedFunctions = LvglApi.getAllowedFunctions();
+        const constants = LvglApi.getConstants();
+        const wasm = await loadWasm(version);
+        const helpers = createLvglHelpers(wasm, constants);
+
+        for (const [key, example] of Object.entries(EXAMPLE_SCRIPTS)) {
+            // Examples written for another version can't run in the playground either
+            const check = eez_script_check(example.code, allowedFunctions, constants, createScriptGlobals(wasm, []));
+            if (!check.valid) {
+                skipCount++;
+                console.log(`- ${key} (${check.errors[0].message})`);
+                continue;
+            }
+
+            const interpreted = runExample(wasm, helpers, EventManager, runInterpreter(example.code, wasm, constants, allowedFunctions));
+            const emitted = runExample(wasm, helpers, EventManager, runEmittedJS(example.code, wasm, constants, allowedFunctions));
+            const bytecode = runExample(wasm, helpers, EventManager, runBytecode(example.code, wasm, constants, allowedFunctions));
+
+            const emittedDifference = findDifference(interpreted, emitted);
+            const bytecodeDifference = findDifference(interpreted, bytecode);
+            if (emittedDifference || bytecodeDifference) {
+                failCount++;
+                console.log(`✗ ${key}`);
+                if (emittedDifference) console.log(`  interpreter != emitJS at ${emittedDifference}`);
+                if (bytecodeDifference) console.log(`  interpreter != bytecode VM at ${bytecodeDifference}`);
+            } else {
+                passCount++;
+                console.log(`✓ ${key}${interpreted.error ? ` (all fail: ${interpreted.error})` : ''}`);
+            }
+        }
+    }
+
+    console.log('\n=== Differential Summary ===');
+    console.log(`Passed: ${passCount}`);
+    console.log(`Failed: ${failCount}`);
+    console.log(`Skipped: ${skipCount}`);
+
+    if (failCount === 0) {
+        console.log('\n✓ Interpreter, emitJS and bytecode VM agree on all examples!');
+        return 0;
+    }
+    console.log(`\n✗ ${failCount} example(s) differ`);
+    return 1;
+}
+
+main().then(code => process.exit(code), error => {
+    console.error(error);
+    process.exit(1);
+});
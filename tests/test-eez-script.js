@@ -4,7 +4,7 @@
  */
 
 // Load the EEZ Script compiler
-const { eez_script_compile, eez_script_version, eez_script_validate, Lexer, Parser, Interpreter } = require('../src/eez-script.js');
+const { eez_script_compile, eez_script_version, eez_script_validate, eez_script_parse, eez_script_check, eez_script_format, getErrorDiagnostic, Lexer, Parser, Interpreter, SymbolResolver, compileBytecode, serializeBytecode, deserializeBytecode, Debugger, createConsoleGlobals } = require('../src/eez-script.js');
 
 // Test framework
 let testCount = 0;
@@ -1350,6 +1350,26 @@ test('C gen: complete event handler example', () => {
     assert(cCode.includes('lv_label_set_text(labelObj, _str_buf)'), 'Should pass buffer to function');
 });
 
+test('C gen: string variables initialized from calls and expressions copy the value', () => {
+    const script = eez_script_compile(`
+        function name(): string {
+            return "abc";
+        }
+        function f(n: number, flag: bool) {
+            let a: string = name();
+            let b = "n=" + n;
+            const c: string = flag ? "yes" : "no";
+            let d = a;
+            lv_label_set_text(0, d);
+        }
+    `);
+    const cCode = script.emitC();
+    assert(cCode.includes('    char a[256] = "";\n    strcpy(a, name());'), cCode);
+    assert(cCode.includes('    char b[256] = "";\n    snprintf(b, sizeof(b), "n=%d", n);'), cCode);
+    assert(cCode.includes('    char c[256] = "";\n    strcpy(c, flag ? "yes" : "no");'), cCode);
+    assert(cCode.includes('    char d[256] = "";\n    strcpy(d, a);'), cCode);
+});
+
 test('C gen: function parameter type', () => {
     const code = `
         function callback1(event: number) {
@@ -1376,6 +1396,2607 @@ test('C gen: function parameter type', () => {
     assert(cCode.includes('void callback2(lv_event_t* e)'), 'Single-param number should still be lv_event_t* for event callbacks');
 });
 
+// ============================================================================
+// ARRAY TESTS
+// ============================================================================
+
+console.log('\n--- Array Tests ---');
+
+test('Parser: parse array literal and array type', () => {
+    const code = 'let values: number[] = [1, 2, 3]; let buttons: lv_obj[4];';
+    const lexer = new Lexer(code);
+    const parser = new Parser(lexer.tokenize());
+    const ast = parser.parseProgram();
+
+    assertEquals(ast.body[0].varType, 'number[]');
+    assertEquals(ast.body[0].init.type, 'ArrayExpression');
+    assertEquals(ast.body[0].init.elements.length, 3);
+    assertEquals(ast.body[1].varType, 'lv_obj[4]');
+});
+
+test('Interpreter: array indexing, length and assignment', () => {
+    const script = eez_script_compile(`
+        let values: number[] = [1, 2, 3];
+        function test(): number {
+            let sum = 0;
+            for (let i = 0; i < values.length; i++) {
+                sum += values[i];
+            }
+            values[0] = 10;
+            values[1]++;
+            values[2] += 5;
+            return sum;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 6);
+    const values = script._interpreter.globalScope.lookup('values').value;
+    assertEquals(values[0], 10);
+    assertEquals(values[1], 3);
+    assertEquals(values[2], 8);
+});
+
+test('Interpreter: sized array without initializer is zero-filled', () => {
+    const script = eez_script_compile(`
+        let buttons: lv_obj[3];
+        let flags: bool[2] = [true];
+        function test(): number {
+            buttons[1] = lv_button_create(0);
+            return buttons.length;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 3);
+    assertEquals(script._interpreter.globalScope.lookup('buttons').value[0], 0);
+    assertEquals(script._interpreter.globalScope.lookup('buttons').value[1].type, 'button');
+    assertEquals(script._interpreter.globalScope.lookup('flags').value[1], false);
+});
+
+test('Error: array index out of bounds', () => {
+    const script = eez_script_compile(`
+        let values: number[] = [1, 2, 3];
+        function test() {
+            values[3] = 1;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('Array index out of bounds: 3 (length 3)'));
+    }
+});
+
+test('Error: array element type mismatch', () => {
+    const script = eez_script_compile(`
+        let values: number[] = [1, 2, 3];
+        function test() {
+            values[0] = "text";
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('Cannot assign string to array element of type number'));
+    }
+});
+
+test('Error: too many elements for sized array', () => {
+    const script = eez_script_compile(`
+        let values: number[2] = [1, 2, 3];
+    `);
+    try {
+        script.init({}, mockLvgl, mockConstants);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('Too many elements for number[2]'));
+    }
+});
+
+test('emitJS: arrays', () => {
+    const script = eez_script_compile(`
+        let values: number[] = [1, 2, 3];
+        let flags: bool[4];
+        function test(): number {
+            return values[1] + values.length;
+        }
+    `);
+    const js = script.emitJS();
+    assert(js.includes('let values = [1, 2, 3];'));
+    assert(js.includes('let flags = new Array(4).fill(false);'));
+    assert(js.includes('return $at(values, 1) + values.length;'));
+    assert(js.includes('function $index(array, index)'), 'Should include the bounds check helper');
+});
+
+test('C gen: arrays become fixed-size C arrays', () => {
+    const script = eez_script_compile(`
+        let values: number[] = [1, 2, 3];
+        let buttons: lv_obj[4];
+        function sum(items: number[5]): number {
+            let total = 0;
+            for (let i = 0; i < items.length; i++) {
+                total += items[i];
+            }
+            return total + values.length;
+        }
+    `);
+    const cCode = script.emitC();
+    assert(cCode.includes('int32_t values[3] = {1, 2, 3};'), 'Should declare sized array');
+    assert(cCode.includes('lv_obj_t* buttons[4] = {0};'), 'Should zero-initialize array');
+    assert(cCode.includes('int32_t sum(int32_t items[5])'), 'Should emit array parameter');
+    assert(cCode.includes('i < 5'), 'Should lower .length to a constant');
+    assert(cCode.includes('return total + 3;'), 'Should lower global .length to a constant');
+});
+
+// ============================================================================
+// BREAK / CONTINUE / SWITCH TESTS
+// ============================================================================
+
+console.log('\n--- Break / Continue / Switch Tests ---');
+
+test('Lexer: tokenize break, continue and switch keywords', () => {
+    const lexer = new Lexer('break continue switch case default');
+    const tokens = lexer.tokenize();
+    assertEquals(tokens[0].type, 'BREAK');
+    assertEquals(tokens[1].type, 'CONTINUE');
+    assertEquals(tokens[2].type, 'SWITCH');
+    assertEquals(tokens[3].type, 'CASE');
+    assertEquals(tokens[4].type, 'DEFAULT');
+});
+
+test('Parser: parse switch statement', () => {
+    const code = 'switch (x) { case 1: y = 1; break; case 2: case 3: y = 2; break; default: y = 0; }';
+    const lexer = new Lexer(code);
+    const parser = new Parser(lexer.tokenize());
+    const ast = parser.parseProgram();
+
+    assertEquals(ast.body[0].type, 'SwitchStatement');
+    assertEquals(ast.body[0].cases.length, 4);
+    assertEquals(ast.body[0].cases[1].consequent.length, 0);
+    assertEquals(ast.body[0].cases[3].test, null);
+});
+
+test('Error: break outside of loop or switch', () => {
+    try {
+        eez_script_compile('function test() { break; }');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('break outside of loop or switch'));
+    }
+});
+
+test('Error: continue inside switch but outside loop', () => {
+    try {
+        eez_script_compile('function test(x) { switch (x) { case 1: continue; } }');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('continue outside of loop'));
+    }
+});
+
+test('Interpreter: break and continue in loops', () => {
+    const script = eez_script_compile(`
+        function test(): number {
+            let sum = 0;
+            for (let i = 0; i < 10; i++) {
+                if (i == 5) break;
+                if (i % 2 == 0) continue;
+                sum += i;
+            }
+            let count = 0;
+            while (true) {
+                count++;
+                if (count >= 3) {
+                    break;
+                }
+            }
+            return sum * 100 + count;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 403); // 1 + 3 = 4, count = 3
+});
+
+test('Interpreter: switch with fall-through and default', () => {
+    const script = eez_script_compile(`
+        function classify(code: number): number {
+            let result = 0;
+            switch (code) {
+                case 1:
+                    result = 10;
+                    break;
+                case 2:
+                case 3:
+                    result = 20;
+                    break;
+                case LV_ALIGN_CENTER:
+                    result = 30;
+                default:
+                    result += 1;
+            }
+            return result;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('classify', 1), 10);
+    assertEquals(script.exec('classify', 3), 20);
+    assertEquals(script.exec('classify', 9), 31);
+    assertEquals(script.exec('classify', 42), 1);
+});
+
+test('Interpreter: break in switch does not exit enclosing loop', () => {
+    const script = eez_script_compile(`
+        function test(): number {
+            let total = 0;
+            for (let i = 0; i < 4; i++) {
+                switch (i) {
+                    case 1:
+                        continue;
+                    case 2:
+                        total += 10;
+                        break;
+                    default:
+                        total += 1;
+                }
+                total += 100;
+            }
+            return total;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 312);
+});
+
+test('Execution modes: the cases of a switch share one scope, the switch can jump past a declaration', () => {
+    const code = `
+        function f(x: number): number {
+            switch (x) {
+                case 1:
+                    let y = 3;
+                case 2:
+                    y++;
+                    return y;
+            }
+            return 0;
+        }
+    `;
+    const errors = eez_script_check(code).errors;
+    assertEquals(errors.map(e => e.line).join(), '7,8', 'Every use in the later case is reported');
+    assertEquals(errors[0].message, 'Type error: y is declared by an earlier case, it is not initialized when the switch jumps to this case');
+    ['init', 'initJS', 'initBytecode'].forEach(mode => {
+        const script = eez_script_compile(code);
+        script[mode]({}, mockLvgl, mockConstants, null, null);
+        assertEquals(script.exec('f', 1), 4, `${mode}: falls through the declaration`);
+        assertEquals(script.exec('f', 3), 0, mode);
+        try {
+            script.exec('f', 2);
+            assert(false, 'Should have thrown an error');
+        } catch (error) {
+            if (mode === 'initJS') {
+                assert(error instanceof ReferenceError, error.message);
+            } else {
+                assertEquals(error.message, 'At line 7, column 21, length 1: Runtime error: Cannot access y before its declaration', mode);
+            }
+        }
+    });
+});
+
+test('emitJS: switch, break and continue', () => {
+    const script = eez_script_compile(`
+        function test(code: number) {
+            for (let i = 0; i < 3; i++) {
+                if (i == 1) continue;
+                switch (code) {
+                    case 1:
+                        break;
+                    default:
+                        return;
+                }
+            }
+        }
+    `);
+    const js = script.emitJS();
+    assert(js.includes('if (i == 1) continue;'));
+    assert(js.includes('switch (code) {'));
+    assert(js.includes('case 1:'));
+    assert(js.includes('default:'));
+    assert(js.includes('break;'));
+});
+
+test('C gen: switch wraps case declarations in a block', () => {
+    const script = eez_script_compile(`
+        function test(a: bool, code: number): number {
+            switch (code) {
+                case LV_ALIGN_CENTER:
+                    let doubled = code * 2;
+                    return doubled;
+                default:
+                    break;
+            }
+            return 0;
+        }
+    `);
+    const cCode = script.emitC();
+    assert(cCode.includes('switch (code) {'), 'Should emit switch');
+    assert(cCode.includes('case LV_ALIGN_CENTER: {'), 'Should wrap declaration in a block');
+    assert(cCode.includes('int32_t doubled = code * 2;'), 'Should declare local inside case block');
+});
+
+test('C gen: switch case labels must be constants', () => {
+    const cCode = eez_script_compile(`
+        const FIRST = 1;
+        const SECOND = 2;
+        function test(code: number): number {
+            switch (code) {
+                case FIRST:
+                    return 1;
+                case SECOND + 1:
+                    return 2;
+            }
+            return 0;
+        }
+        function other() {
+            let SECOND = 0;
+            return SECOND;
+        }
+    `).emitC();
+    assert(cCode.includes('case FIRST:'), cCode);
+    assert(cCode.includes('case 3:'), 'A static const global should be folded: ' + cCode);
+
+    for (const code of [
+        'function test(code: number) {\n    let k = 2;\n    switch (code) {\n        case k:\n            break;\n    }\n}',
+        'const K = 2;\nfunction test(code: number) {\n    let K = 3;\n    switch (code) {\n        case K:\n            break;\n    }\n}'
+    ]) {
+        try {
+            eez_script_compile(code).emitC();
+            assert(false, 'Should have thrown an error');
+        } catch (error) {
+            assertEquals(error.message, 'switch with case labels that are not constants is not supported in C');
+        }
+    }
+});
+
+// ============================================================================
+// OPERATOR TESTS
+// ============================================================================
+
+console.log('\n--- Operator Tests ---');
+
+test('Lexer: shift, bitwise assignment and ternary tokens', () => {
+    const lexer = new Lexer('a <<= 1; b >>= 2; c %= 3; d |= e & ~f ? g << 1 : h >> 1;');
+    const types = lexer.tokenize().map(t => t.type);
+    ['<<=', '>>=', '%=', '|=', 'AMP', 'TILDE', 'QUESTION', 'COLON', '<<', '>>'].forEach(type => {
+        assert(types.includes(type), `Should tokenize ${type}`);
+    });
+});
+
+test('Parser: shift binds looser than addition', () => {
+    const lexer = new Lexer('let x = 1 << 2 + 3;');
+    const parser = new Parser(lexer.tokenize());
+    const init = parser.parseProgram().body[0].init;
+    assertEquals(init.operator, '<<');
+    assertEquals(init.right.operator, '+');
+});
+
+test('Interpreter: shift and bitwise operators', () => {
+    const script = eez_script_compile(`
+        function test(): number {
+            let flags = 1 << 4;
+            flags |= 3;
+            flags &= ~1;
+            flags ^= 8;
+            flags <<= 1;
+            flags >>= 2;
+            let rest = 17;
+            rest %= 5;
+            return flags * 10 + rest;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 132);
+});
+
+test('Interpreter: ternary only evaluates the selected branch', () => {
+    const script = eez_script_compile(`
+        let calls = 0;
+        function bump(): number {
+            calls++;
+            return calls;
+        }
+        function pick(x: number): number {
+            return x > 0 ? 1 : x < 0 ? -1 : bump();
+        }
+        function getCalls(): number {
+            return calls;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('pick', 5), 1);
+    assertEquals(script.exec('pick', -5), -1);
+    assertEquals(script.exec('getCalls'), 0);
+    assertEquals(script.exec('pick', 0), 1);
+});
+
+test('Interpreter: do/while runs the body at least once', () => {
+    const script = eez_script_compile(`
+        function test(n: number): number {
+            let count = 0;
+            do {
+                count++;
+                if (count == 3) continue;
+                if (count > 5) break;
+            } while (count < n);
+            return count;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test', 0), 1);
+    assertEquals(script.exec('test', 4), 4);
+    assertEquals(script.exec('test', 100), 6);
+});
+
+test('emitJS: restores grouping parentheses', () => {
+    const script = eez_script_compile(`
+        function test(a: number, b: number, c: number): number {
+            let x = (a + b) * c;
+            let y = a - (b - c);
+            let z = -(-a);
+            return (a > b ? a : b) + x + y + z;
+        }
+    `);
+    const js = script.emitJS();
+    assert(js.includes('let x = (a + b) * c;'), 'Should keep parentheses around addition');
+    assert(js.includes('let y = a - (b - c);'), 'Should keep right-hand grouping');
+    assert(js.includes('let z = -(-a);'), 'Should not merge unary minus into --');
+    assert(js.includes('return (a > b ? a : b) + x + y + z;'), 'Should wrap ternary operand');
+});
+
+test('C gen: do/while, ternary and shifts', () => {
+    const script = eez_script_compile(`
+        function test(a: bool, n: number): number {
+            let mask = 0;
+            do {
+                mask |= 1 << n;
+                n--;
+            } while (n > 0);
+            return a ? mask : (mask | 1) >> 1;
+        }
+    `);
+    const cCode = script.emitC();
+    assert(cCode.includes('do {'), 'Should emit do block');
+    assert(cCode.includes('} while (n > 0);'), 'Should emit trailing while');
+    assert(cCode.includes('mask |= 1 << n;'), 'Should emit shift in compound assignment');
+    assert(cCode.includes('return a ? mask : (mask | 1) >> 1;'), 'Should keep parentheses around bitwise or');
+});
+
+// ============================================================================
+// STRUCT TESTS
+// ============================================================================
+
+console.log('\n--- Struct Tests ---');
+
+test('Parser: struct and type declarations', () => {
+    const lexer = new Lexer(`
+        struct Point { x: number; y: number; }
+        type Line = { from: Point, to: Point };
+        let type = 1;
+    `);
+    const parser = new Parser(lexer.tokenize());
+    const ast = parser.parseProgram();
+    assertEquals(ast.body[0].type, 'StructDeclaration');
+    assertEquals(ast.body[0].fields.map(f => f.type).join(','), 'number,number');
+    assertEquals(ast.body[1].type, 'StructDeclaration');
+    assertEquals(ast.body[1].fields[1].type, 'Point');
+    assertEquals(ast.body[2].type, 'VariableDeclaration', '"type" is still usable as a variable name');
+});
+
+test('Error: struct declared inside a function', () => {
+    const result = eez_script_validate('function f() { struct P { x: number; } }');
+    assert(!result.valid);
+    assert(result.error.includes('top level'));
+});
+
+test('Interpreter: struct fields, defaults and nested structs', () => {
+    const script = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        struct Thermostat {
+            setpoint: number;
+            heating: bool;
+            origin: Point;
+            history: number[3];
+        }
+        let state: Thermostat = { setpoint: 21, origin: { x: 5 } };
+        function test(): number {
+            state.setpoint += 2;
+            state.origin.y++;
+            state.history[2] = 7;
+            if (!state.heating) state.heating = true;
+            return state.setpoint * 100 + state.origin.x * 10 + state.origin.y + state.history[2];
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 2358);
+});
+
+test('Interpreter: structs are copied on assignment and calls', () => {
+    const script = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        let points: Point[2] = [{ x: 1, y: 2 }];
+        function shifted(p: Point, dx: number): Point {
+            p.x += dx;
+            return p;
+        }
+        function test(): number {
+            let a = points[0];
+            a.x = 10;
+            let b: Point = shifted(a, 5);
+            return points[0].x * 100 + a.x + b.x + points[1].y;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 125);
+});
+
+test('Error: unknown struct field', () => {
+    const script = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        function test(): number {
+            let p: Point = { x: 1 };
+            return p.z;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown');
+    } catch (e) {
+        assert(e.message.includes('Unknown field z in struct Point'), e.message);
+    }
+});
+
+test('Error: struct field type mismatch', () => {
+    const script = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        let p: Point;
+        function test() {
+            p.y = "up";
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown');
+    } catch (e) {
+        assert(e.message.includes('Cannot assign string to field Point.y of type number'), e.message);
+    }
+});
+
+test('Error: object literal without struct type', () => {
+    const script = eez_script_compile('let p = { x: 1 };');
+    try {
+        script.init({}, mockLvgl, mockConstants);
+        assert(false, 'Should have thrown');
+    } catch (e) {
+        assert(e.message.includes('Object literals need a struct type'), e.message);
+    }
+});
+
+test('emitJS: structs become objects with all fields', () => {
+    const script = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        let origin: Point;
+        function test(): number {
+            let p: Point = { y: 2 };
+            let q = p;
+            return q.y + origin.x;
+        }
+    `);
+    const js = script.emitJS();
+    assert(js.includes('let origin = { x: 0, y: 0 };'), 'Should zero-initialize struct');
+    assert(js.includes('let p = { x: 0, y: 2 };'), 'Should fill missing fields');
+    assert(js.includes('let q = structuredClone(p);'), 'Should copy struct values');
+});
+
+test('C gen: typedef struct and designated initializers', () => {
+    const script = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        type Ui = { label: lv_obj, values: number[4], origin: Point };
+        let ui: Ui;
+        function move(p: Point): Point {
+            p = { x: p.y, y: p.x };
+            return p;
+        }
+        function test() {
+            let p: Point = { x: 1, y: 2 };
+            ui.origin = move(p);
+        }
+    `);
+    const cCode = script.emitC();
+    assert(cCode.includes('typedef struct {\n    int32_t x;\n    int32_t y;\n} Point;'), 'Should emit Point typedef');
+    assert(cCode.includes('    lv_obj_t* label;'), 'Should map lv_obj field');
+    assert(cCode.includes('    int32_t values[4];'), 'Should emit array field');
+    assert(cCode.includes('Ui ui = {0};'), 'Should zero-initialize struct global');
+    assert(cCode.includes('Point move(Point p) {'), 'Should pass structs by value');
+    assert(cCode.includes('p = (Point){ .x = p.y, .y = p.x };'), 'Should emit compound literal');
+    assert(cCode.includes('Point p = { .x = 1, .y = 2 };'), 'Should emit designated initializer');
+});
+
+// ============================================================================
+// TYPE CHECKER TESTS
+// ============================================================================
+
+console.log('\n--- Type Checker Tests ---');
+
+const checkerFunctions = {
+    lv_obj_create: { params: ['lv_obj'], returnType: 'lv_obj' },
+    lv_label_create: { params: ['lv_obj'], returnType: 'lv_obj' },
+    lv_label_set_text: { params: ['lv_obj', 'cstring'], returnType: 'number' },
+    lv_label_get_text: { params: ['lv_obj'], returnType: 'cstring' },
+    lv_obj_set_pos: { params: ['lv_obj', 'number', 'number'], returnType: 'number' },
+    lv_obj_add_event_cb: { params: ['lv_obj', 'function', 'number', 'number'], returnType: 'number' }
+};
+
+function checkMessages(code) {
+    return eez_script_check(code, checkerFunctions, mockConstants).errors.map(e => e.message);
+}
+
+test('Checker: valid script has no errors', () => {
+    const result = eez_script_check(`
+        let counter = 0;
+        let label: lv_obj = 0;
+        function on_click(e) {
+            counter++;
+            lv_label_set_text(label, "Clicked " + counter);
+        }
+        function init(): lv_obj {
+            let screen = lv_obj_create(0);
+            label = lv_label_create(screen);
+            lv_obj_set_pos(label, 10, LV_ALIGN_CENTER);
+            lv_obj_add_event_cb(label, on_click, 0, 0);
+            return screen;
+        }
+    `, checkerFunctions, mockConstants);
+    assertEquals(result.errors.length, 0, JSON.stringify(result.errors));
+    assert(result.valid);
+});
+
+test('Checker: reports errors in code that never runs', () => {
+    const result = eez_script_check(`
+        function on_click(e) {
+            let text: number = "hello";
+        }
+        function init() {}
+    `, checkerFunctions, mockConstants);
+    assert(!result.valid);
+    assertEquals(result.errors.length, 1);
+    assertEquals(result.errors[0].message, 'Type error: Type mismatch: Cannot assign string to number');
+    assertEquals(result.errors[0].line, 3);
+    assertEquals(result.errors[0].column, 32);
+});
+
+test('Checker: reports all errors at once', () => {
+    const messages = checkMessages(`
+        function init() {
+            let screen = lv_obj_create(0);
+            lv_obj_set_pos(screen, 10);
+            lv_label_set_text(scren, "x");
+            lv_obj_set_pos(screen, "a", 0);
+            lv_obj_destroy(screen);
+            let a = LV_NOT_A_CONSTANT;
+        }
+    `);
+    assert(messages.includes('Type error: Function lv_obj_set_pos expects 3 argument(s), but got 2'), messages.join('\n'));
+    assert(messages.includes('Type error: Undefined variable: scren'), messages.join('\n'));
+    assert(messages.includes('Type error: Function lv_obj_set_pos parameter 2 expects type number, but got string'), messages.join('\n'));
+    assert(messages.includes('Type error: Unknown LVGL function: lv_obj_destroy'), messages.join('\n'));
+    assert(messages.includes('Type error: Unknown constant: LV_NOT_A_CONSTANT'), messages.join('\n'));
+    assertEquals(messages.length, 5);
+});
+
+test('Checker: missing return and return type mismatch', () => {
+    const messages = checkMessages(`
+        function sign(x: number): number {
+            if (x > 0) {
+                return 1;
+            } else if (x < 0) {
+                return -1;
+            }
+        }
+        function name(x: number): string {
+            switch (x) {
+                case 1: return "one";
+                default: return x;
+            }
+        }
+        function forever(): number {
+            while (true) {
+                return 1;
+            }
+        }
+    `);
+    assertEquals(messages.length, 2, messages.join('\n'));
+    assertEquals(messages[0], 'Type error: Function sign must return a value of type number on all paths');
+    assertEquals(messages[1], 'Type error: Function name return type mismatch: expected string, but got number');
+});
+
+test('Checker: user function arguments, operators and struct fields', () => {
+    const messages = checkMessages(`
+        struct Point { x: number; y: number; }
+        function move(p: Point, dx: number): Point {
+            p.x += dx;
+            return p;
+        }
+        function init() {
+            let p: Point = { x: 1, z: 2 };
+            move(p);
+            move(p, true);
+            let flag = !p.y;
+            let q = flag * 2;
+            p.w = 1;
+        }
+    `);
+    assert(messages.includes('Type error: Unknown field z in struct Point'), messages.join('\n'));
+    assert(messages.includes('Type error: Function move expects 2 argument(s), but got 1'), messages.join('\n'));
+    assert(messages.includes('Type error: Function move parameter 2 expects type number, but got bool'), messages.join('\n'));
+    assert(messages.includes('Type error: Operator * cannot be applied to bool and number'), messages.join('\n'));
+    assert(messages.includes('Type error: Unknown field w in struct Point'), messages.join('\n'));
+    assertEquals(messages.length, 5);
+});
+
+test('Checker: block scope and reassigned variables', () => {
+    const messages = checkMessages(`
+        let value = 0;
+        function init() {
+            value = "now a string";
+            if (true) {
+                let inner = 1;
+            }
+            return inner;
+        }
+    `);
+    assertEquals(messages.length, 1, messages.join('\n'));
+    assertEquals(messages[0], 'Type error: Undefined variable: inner');
+});
+
+test('Checker: syntax errors are reported with location', () => {
+    const result = eez_script_check('function init() {\n  let x = ;\n}');
+    assert(!result.valid);
+    assertEquals(result.ast.body[0].name, 'init', 'partial AST is returned');
+    assertEquals(result.errors[0].line, 2);
+    assert(result.errors[0].message.startsWith('Syntax error'));
+});
+
+// ============================================================================
+// SCOPE TESTS
+// ============================================================================
+
+console.log('\n--- Scope Tests ---');
+
+test('Interpreter: block scope and shadowing', () => {
+    const script = eez_script_compile(`
+        let value = 1;
+        function test(): number {
+            let result = value;
+            if (true) {
+                let value = 10;
+                value++;
+                result = result * 100 + value;
+            }
+            for (let i = 0; i < 2; i++) {
+                let value = i;
+                result += value;
+            }
+            value += 1;
+            return result * 10 + value;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('test'), 1122);
+    assertEquals(script._interpreter.globalScope.lookup('value').value, 2);
+});
+
+test('Error: block scoped variable used outside its block', () => {
+    const script = eez_script_compile(`
+        function test() {
+            if (true) {
+                let inner = 1;
+            }
+            return inner;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('Undefined variable: inner'), error.message);
+    }
+});
+
+test('Error: const variables cannot be reassigned', () => {
+    const script = eez_script_compile(`
+        const limit = 10;
+        function assign() { limit = 20; }
+        function increment() { limit++; }
+        function shadow(): number {
+            let limit = 1;
+            limit += 1;
+            return limit;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    for (const name of ['assign', 'increment']) {
+        try {
+            script.exec(name);
+            assert(false, 'Should have thrown an error');
+        } catch (error) {
+            assert(error.message.includes('Cannot assign to const variable: limit'), error.message);
+        }
+    }
+    assertEquals(script.exec('shadow'), 2);
+});
+
+test('Error: variable declared twice in the same scope', () => {
+    const script = eez_script_compile(`
+        function test() {
+            let a = 1;
+            let a = 2;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('a is already declared in this scope'), error.message);
+    }
+});
+
+test('Error: parameters and the function body share one scope', () => {
+    const code = `
+        function redeclare(x: number): number {
+            let x = 2;
+            return x;
+        }
+        function shadow(x: number): number {
+            if (x > 0) {
+                let x = 5;
+                return x;
+            }
+            return x;
+        }
+    `;
+    assert(checkMessages(code).includes('Type error: x is already declared in this scope'), checkMessages(code).join('\n'));
+    assertEquals(checkMessages(code).length, 1, checkMessages(code).join('\n'));
+
+    const script = eez_script_compile(code);
+    script.init({}, mockLvgl, mockConstants);
+    assertEquals(script.exec('shadow', 1), 5);
+    try {
+        script.exec('redeclare', 1);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('x is already declared in this scope'), error.message);
+    }
+    try {
+        compileBytecode(eez_script_parse(code).ast);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.diagnostic.message.includes('x is already declared in this scope') && error.diagnostic.line === 3, error.message);
+    }
+
+    const resolver = new SymbolResolver().resolve(eez_script_parse(code).ast);
+    const xs = resolver.symbols.filter(symbol => symbol.name === 'x');
+    assertEquals(xs.map(symbol => symbol.kind).join(), 'param,param,let', 'The redeclaration is not a symbol of its own');
+});
+
+test('Checker: const reassignment and redeclaration', () => {
+    const messages = checkMessages(`
+        const limit = 10;
+        function init() {
+            limit = 5;
+            let x = 1;
+            let x = 2;
+            init = 0;
+        }
+    `);
+    assertEquals(messages.length, 3, messages.join('\n'));
+    assert(messages.includes('Type error: Cannot assign to const variable: limit (declared at line 2)'));
+    assert(messages.includes('Type error: x is already declared in this scope'));
+    assert(messages.includes('Type error: Cannot assign to function: init'));
+});
+
+test('Emitter: local types follow lexical scope', () => {
+    const script = eez_script_compile(`
+        let total = 0;
+        function format(n: number): string {
+            let total = "n=";
+            if (n > 0) {
+                let total = 5;
+                total = total + n;
+            }
+            total = total + n;
+            return total;
+        }
+        function count() {
+            let label = lv_label_create(0);
+            total = total + 1;
+        }
+        function rename() {
+            let label = "text";
+        }
+    `);
+    const c = script.emitC();
+    assert(c.includes('int32_t total = 5;'), c);
+    assert(c.includes('        total = total + n;'), c);
+    assert(c.includes('snprintf(total, sizeof(total), "%s%d", total, n);'), c);
+    assert(c.includes('    total = total + 1;'), c);
+    assert(c.includes('char label[256] = "text";'), c);
+});
+
+// ============================================================================
+// CONST TESTS
+// ============================================================================
+
+console.log('\n--- Const Tests ---');
+
+test('Error: const declaration without initializer', () => {
+    const result = eez_script_validate('const limit: number;');
+    assert(!result.valid);
+    assert(result.error.includes('Missing initializer in const declaration limit at line 1:7'), result.error);
+});
+
+test('Error: const reassignment is reported at the assignment', () => {
+    const script = eez_script_compile(`
+        const limit = 10;
+        function test() {
+            limit += 1;
+        }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    try {
+        script.exec('test');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.startsWith('At line 4, column 13, length 5: Runtime error:'), error.message);
+        assert(error.message.includes('Cannot assign to const variable: limit (declared at line 2)'), error.message);
+    }
+});
+
+test('Emitter: const globals become #define with folded values', () => {
+    const script = eez_script_compile(`
+        const WIDTH = 100 * 2;
+        const HALF = WIDTH / 2 - 1;
+        const RATIO = 7 / 2;
+        const DOUBLE_RATIO = RATIO * 2;
+        const OFFSET = -(WIDTH >> 2);
+        const ALIGN = LV_ALIGN_CENTER;
+        const NEXT_ALIGN = ALIGN + 1;
+        const WIDE = WIDTH > 100;
+        const TITLE = "Settings";
+        const screen = lv_obj_create(0);
+        let width = WIDTH;
+    `);
+    const c = script.emitC();
+    assert(c.includes('#define WIDTH 200\n'), c);
+    assert(c.includes('#define HALF 99\n'), c);
+    assert(c.includes('#define RATIO 3.5\n'), 'C would divide integers: ' + c);
+    assert(c.includes('#define DOUBLE_RATIO 7\n'), c);
+    assert(c.includes('#define OFFSET (-50)\n'), c);
+    assert(c.includes('#define ALIGN LV_ALIGN_CENTER\n'), c);
+    assert(c.includes('#define NEXT_ALIGN (ALIGN + 1)\n'), c);
+    assert(c.includes('#define WIDE true\n'), c);
+    assert(c.includes('static const char TITLE[] = "Settings";'), c);
+    assert(c.includes(' screen = lv_obj_create(0);'), c);
+    assert(!c.includes('#define screen'), c);
+    assert(c.includes('int32_t width = WIDTH;'), c);
+});
+
+test('Emitter: const in C locals and shadowed globals', () => {
+    const script = eez_script_compile(`
+        struct Size { count: number; }
+        const count = 3;
+        const total = count * 2;
+        const half = 1 / 2;
+        function init(): number {
+            const half = 0;
+            const count = 2;
+            const scale: bool = true;
+            const name = "local";
+            let sum = count + total;
+            return sum;
+        }
+    `);
+    const c = script.emitC();
+    assert(c.includes('static const int32_t count = 3;'), 'a #define would replace the local and the field: ' + c);
+    assert(c.includes('#define total 6\n'), c);
+    assert(c.includes('static const double half = 0.5;'), c);
+    assert(c.includes('    const int32_t count = 2;'), c);
+    assert(c.includes('    const bool scale = true;'), c);
+    assert(c.includes('    const char name[] = "local";'), c);
+    assert(c.includes('    int32_t sum = count + total;'), c);
+});
+
+// ============================================================================
+// DIAGNOSTIC TESTS
+// ============================================================================
+
+console.log('\n--- Diagnostic Tests ---');
+
+test('Diagnostics: lexer and parser errors', () => {
+    try {
+        new Lexer('let x = 1;\nlet y = #;').tokenize();
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        const diagnostic = error.diagnostic;
+        assertEquals(diagnostic.code, 'unexpected-character');
+        assertEquals(diagnostic.severity, 'error');
+        assertEquals(diagnostic.message, "Syntax error: Unexpected character '#'");
+        assertEquals(JSON.stringify(diagnostic.range), JSON.stringify({ startLine: 2, startColumn: 9, endLine: 2, endColumn: 10 }));
+    }
+
+    const result = eez_script_validate('function init() {\n    lv_obj_create(0;\n}');
+    assert(!result.valid);
+    assert(result.error.includes('at line 2:20'), 'message keeps the location: ' + result.error);
+    assertEquals(result.diagnostic.code, 'unexpected-token');
+    assertEquals(result.diagnostic.message, 'Syntax error: Expected RPAREN but got SEMICOLON');
+    assertEquals(result.diagnostic.range.startLine, 2);
+    assertEquals(result.diagnostic.range.startColumn, 20);
+});
+
+test('Diagnostics: null and undefined literals have locations', () => {
+    const ast = new Parser(new Lexer('let a = null;\nlet b = undefined;').tokenize()).parseProgram();
+    assertEquals(JSON.stringify(ast.body[0].init.loc), JSON.stringify({ line: 1, column: 9, length: 4 }));
+    assertEquals(JSON.stringify(ast.body[1].init.loc), JSON.stringify({ line: 2, column: 9, length: 9 }));
+});
+
+test('Diagnostics: runtime errors with related information', () => {
+    const script = eez_script_compile(`
+        const limit = 10;
+        function missing() { return count; }
+        function assign() { limit = 1; }
+        function typed(value: number) {}
+        function call() { typed("text"); }
+    `);
+    script.init({}, mockLvgl, mockConstants);
+    const diagnose = name => {
+        try {
+            script.exec(name);
+        } catch (error) {
+            return getErrorDiagnostic(error);
+        }
+        throw new Error(`${name} should have thrown an error`);
+    };
+
+    const missing = diagnose('missing');
+    assertEquals(missing.code, 'undefined-variable');
+    assertEquals(missing.message, 'Runtime error: Undefined variable: count');
+    assertEquals(JSON.stringify(missing.range), JSON.stringify({ startLine: 3, startColumn: 37, endLine: 3, endColumn: 42 }));
+
+    const assign = diagnose('assign');
+    assertEquals(assign.code, 'const-assignment');
+    assertEquals(assign.range.startLine, 4);
+    assertEquals(assign.relatedInformation.length, 1);
+    assertEquals(assign.relatedInformation[0].message, 'limit is declared const here');
+    assertEquals(assign.relatedInformation[0].range.startLine, 2);
+
+    const call = diagnose('call');
+    assertEquals(call.code, 'type-mismatch');
+    assertEquals(call.range.startLine, 6);
+    assertEquals(call.relatedInformation[0].range.startLine, 5);
+
+    const notFound = diagnose('nothing');
+    assertEquals(notFound.code, 'undefined-function');
+    assertEquals(notFound.range, null);
+});
+
+test('Diagnostics: type checker reports codes and related information', () => {
+    const result = eez_script_check(`
+        function init() {
+            let x = 1;
+            let x = "two";
+            undefined_call();
+        }
+    `);
+    assertEquals(result.errors.length, 2);
+    const [redeclared, undefinedCall] = result.errors;
+    assertEquals(redeclared.code, 'redeclaration');
+    assertEquals(redeclared.range.startLine, 4);
+    assertEquals(redeclared.relatedInformation[0].message, 'x is first declared here');
+    assertEquals(redeclared.relatedInformation[0].range.startLine, 3);
+    assertEquals(undefinedCall.code, 'undefined-function');
+    assertEquals(undefinedCall.range.endColumn - undefinedCall.range.startColumn, 'undefined_call'.length);
+
+    const syntax = eez_script_check('let x = ;');
+    assertEquals(syntax.errors[0].code, 'unexpected-token');
+    assertEquals(syntax.errors[0].line, 1);
+    assertEquals(syntax.errors[0].column, 9);
+});
+
+test('Diagnostics: errors from outside the compiler', () => {
+    const diagnostic = getErrorDiagnostic(new Error('LVGL is not loaded'));
+    assertEquals(diagnostic.message, 'LVGL is not loaded');
+    assertEquals(diagnostic.severity, 'error');
+    assertEquals(diagnostic.range, null);
+    assertEquals(diagnostic.relatedInformation.length, 0);
+});
+
+// ============================================================================
+// PARSER RECOVERY TESTS
+// ============================================================================
+
+console.log('\n--- Parser Recovery Tests ---');
+
+test('Recovery: all syntax errors are reported with a partial AST', () => {
+    const { ast, diagnostics } = eez_script_parse(`
+let a = ;
+function init() {
+    let screen = lv_obj_create(0;
+    if (x > ) { foo(); }
+    let ok = 1;
+    while (true) { let q = ; }
+    break;
+}
+function fine(): number { return 2; }
+    `);
+    assertEquals(diagnostics.map(d => `${d.line}:${d.column}`).join(' '), '2:9 4:33 5:13 7:28 8:5');
+    assertEquals(diagnostics[4].message, 'Syntax error: break outside of loop or switch');
+    assertEquals(ast.body.map(s => s.name).join(','), 'init,fine');
+    const initBody = ast.body[0].body.body;
+    assertEquals(initBody.map(s => s.type).join(','), 'VariableDeclaration,WhileStatement');
+    assertEquals(initBody[0].name, 'ok');
+});
+
+test('Recovery: unexpected characters and unclosed blocks', () => {
+    const { ast, diagnostics } = eez_script_parse('function init() {\n    let s = 1 # 2;\n    let t = 2;\n    if (s > 1) {');
+    assertEquals(diagnostics.length, 2, diagnostics.map(d => d.message).join('\n'));
+    assertEquals(diagnostics[0].code, 'unexpected-character');
+    assertEquals(diagnostics[0].column, 15);
+    assertEquals(diagnostics[1].message, 'Syntax error: Expected RBRACE but got EOF');
+    assertEquals(ast.body[0].name, 'init', 'function being typed is kept');
+    assert(ast.body[0].body.body.some(s => s.name === 't'));
+});
+
+test('Recovery: stray tokens never stop the parser', () => {
+    const { ast, diagnostics } = eez_script_parse('}}) let x = 1;\nfunction f( { }\nfunction g() {}');
+    assertEquals(diagnostics.map(d => d.line).join(','), '1,1,1,2,2');
+    assertEquals(ast.body.map(s => s.name).join(','), 'g');
+});
+
+test('Recovery: compile still stops at the first error', () => {
+    try {
+        eez_script_compile('let a = ;\nlet b = ;');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('at line 1:9'), error.message);
+    }
+});
+
+test('Checker: reports every syntax error', () => {
+    const result = eez_script_check('function init() {\n    let a = ;\n    let b = (;\n}\nfunction other() { return 1 }');
+    assert(!result.valid);
+    assertEquals(result.errors.length, 2);
+    assertEquals(result.errors[1].line, 3);
+    assertEquals(result.ast.body.length, 2);
+});
+
+// ============================================================================
+// SYMBOL TESTS
+// ============================================================================
+
+console.log('\n--- Symbol Tests ---');
+
+const symbolScript = `let count = 0;
+function add(a: number, b: number): number {
+    let count = a + b;
+    return count;
+}
+function init() {
+    count = add(count, 1);
+    for (let i = 0; i < 3; i++) { let x = i * count; }
+}`;
+
+function resolveSymbols(code) {
+    return new SymbolResolver().resolve(eez_script_parse(code).ast);
+}
+
+test('Symbols: references resolve to the innermost declaration', () => {
+    const resolver = resolveSymbols(symbolScript);
+    const global = resolver.symbolAt(7, 5);
+    assertEquals(global.loc.line, 1);
+    assertEquals(global.references.map(ref => `${ref.loc.line}:${ref.loc.column}`).join(' '), '7:5 7:17 8:47');
+    const local = resolver.symbolAt(4, 12);
+    assertEquals(local.loc.line, 3, 'local count shadows the global');
+    assertEquals(local.container.name, 'add');
+    assertEquals(resolver.symbolAt(7, 13).kind, 'function');
+});
+
+test('Symbols: parameters and struct fields have locations', () => {
+    const { ast } = eez_script_parse('struct P { x: number; y: number }\nfunction f(p: P, n) { return p.x + n; }');
+    assertEquals(JSON.stringify(ast.body[0].fields[1].loc), '{"line":1,"column":23,"length":1}');
+    assertEquals(JSON.stringify(ast.body[1].params[1].loc), '{"line":2,"column":18,"length":1}');
+    assertEquals(ast.body[1].end.line, 2);
+    const param = resolveSymbols('function f(p, n) { return p + n; }').symbolAt(1, 27);
+    assertEquals(param.kind, 'param');
+    assertEquals(param.loc.column, 12);
+});
+
+test('Symbols: rename is rejected when it would change what a name refers to', () => {
+    const resolver = resolveSymbols(symbolScript);
+    const global = resolver.symbolAt(1, 5);
+    assertEquals(resolver.validateRename(global, 'total'), null);
+    assertEquals(resolver.validateRename(global, 'add'), 'add is already declared (declared at line 2)');
+    assertEquals(resolver.validateRename(global, 'i'), 'i is already declared (declared at line 8)');
+    assertEquals(resolver.validateRename(resolver.symbolAt(2, 14), 'b'), 'b is already declared (declared at line 2)');
+    assertEquals(resolver.validateRename(global, 'while'), 'while is a keyword');
+    assertEquals(resolver.validateRename(global, '2x'), '2x is not a valid identifier');
+
+    const globals = { System: { UTF8ToString: { function: () => '', params: ['number'], returnType: 'string' } }, ...createConsoleGlobals(() => {}) };
+    const withGlobals = new SymbolResolver(globals).resolve(eez_script_parse(symbolScript).ast);
+    const count = withGlobals.symbolAt(1, 5);
+    assertEquals(withGlobals.validateRename(count, 'System'), 'System is a global passed to the script');
+    assertEquals(withGlobals.validateRename(count, 'print'), 'print is a global passed to the script');
+    assertEquals(withGlobals.validateRename(count, 'total'), null);
+});
+
+// ============================================================================
+// FORMATTER TESTS
+// ============================================================================
+
+console.log('\n--- Formatter Tests ---');
+
+test('Format: normalizes indentation and spacing', () => {
+    const formatted = eez_script_format(`function init(screen:lv_obj){
+let x:number=0x1F;
+  if(x>0&&!(x==2)){x++;}else x=-(-x);
+        for(let i=0;i<3;i++){lv_obj_set_x(screen,i*10);}
+}`);
+    assertEquals(formatted, `function init(screen: lv_obj) {
+    let x: number = 0x1F;
+    if (x > 0 && !(x == 2)) {
+        x++;
+    } else
+        x = -(-x);
+    for (let i = 0; i < 3; i++) {
+        lv_obj_set_x(screen, i * 10);
+    }
+}
+`);
+});
+
+test('Format: keeps comments and single blank lines', () => {
+    const source = `// Counter
+let count = 0; // clicks
+
+
+/* Called
+   once */
+function init() { // setup
+    // reset
+    count = 0;
+    switch (count) {
+        case 0:
+            break;
+        // fallback
+        default:
+            count = 1;
+    }
+    // end of init
+}
+// end of file
+`;
+    const formatted = eez_script_format(source);
+    assertEquals(formatted, source.replace('\n\n\n', '\n\n'));
+    assertEquals(eez_script_format(formatted), formatted, 'formatting is idempotent');
+});
+
+test('Format: structs, type aliases, literals and parentheses', () => {
+    const formatted = eez_script_format(`type Cfg = { a: number, b: string }
+struct P {x:number;y:number}
+const s = 'single';
+let v = (1 + 2) * 3 - (4 - 5);
+let p: P = {x:1,y:2};`);
+    assertEquals(formatted, `type Cfg = {
+    a: number;
+    b: string;
+};
+struct P {
+    x: number;
+    y: number;
+}
+const s = 'single';
+let v = (1 + 2) * 3 - (4 - 5);
+let p: P = { x: 1, y: 2 };
+`);
+});
+
+test('Format: syntax errors are thrown', () => {
+    try {
+        eez_script_format('let a = ;');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'unexpected-token');
+    }
+});
+
+// ============================================================================
+// COMMENT TESTS
+// ============================================================================
+
+console.log('\n--- Comment Tests ---');
+
+const COMMENTED_SCRIPT = `// Counter
+let count: number = 0; // clicks
+
+/* Called
+   once */
+function init(): void { // setup
+    // reset
+    count = 0;
+    switch (count) {
+        // first
+        case 0:
+            count = 1; // one
+            break;
+        default:
+            break;
+            // never
+    }
+    // end of init
+}
+// end of file`;
+
+test('Comments: attached to statements', () => {
+    const ast = eez_script_compile(COMMENTED_SCRIPT)._ast;
+    const [countDecl, init] = ast.body;
+    assertEquals(countDecl.leadingComments.map(c => c.text).join('|'), '// Counter');
+    assertEquals(countDecl.trailingComments.map(c => c.text).join('|'), '// clicks');
+    assertEquals(init.leadingComments[0].text, '/* Called\n   once */');
+    assertEquals(init.body.openingComments.map(c => c.text).join('|'), '// setup');
+    assertEquals(init.body.innerComments.map(c => c.text).join('|'), '// end of init');
+    const switchCases = init.body.body[1].cases;
+    assertEquals(switchCases[0].leadingComments.map(c => c.text).join('|'), '// first');
+    assertEquals(switchCases[1].innerComments.map(c => c.text).join('|'), '// never');
+    assertEquals(ast.innerComments.map(c => c.text).join('|'), '// end of file');
+});
+
+test('Comments: emitJS keeps comments', () => {
+    const js = eez_script_compile(COMMENTED_SCRIPT).emitJS();
+    assert(js.startsWith('// Counter\nlet count = 0; // clicks\n'), js);
+    assert(js.includes('function init() { // setup\n    // reset\n    count = 0;'), js);
+    assert(js.includes('        // first\n        case 0:\n            count = 1; // one'), js);
+    assert(js.includes('            break;\n            // never\n    }'), js);
+    assert(js.includes('    // end of init\n}\n// end of file'), js);
+});
+
+test('Comments: emitC keeps comments', () => {
+    const cCode = eez_script_compile(COMMENTED_SCRIPT).emitC();
+    assert(cCode.includes('// Counter\nint32_t count = 0; // clicks'), cCode);
+    assert(cCode.includes('/* Called\n   once */\nvoid init() { // setup\n    // reset\n'), cCode);
+    assert(cCode.includes('        // first\n        case 0:'), cCode);
+    assert(cCode.includes('    // end of init\n}\n\n// end of file'), cCode);
+});
+
+test('Comments: a comment after the closing brace before else stays on the brace', () => {
+    const source = `function f(x: number): number {
+    if (x > 1) {
+        x = 2;
+    } // big
+    else if (x > 0) { // positive
+        x = 3;
+    } /* small */
+    else {
+        x = 4;
+    }
+    return x;
+}
+`;
+    assertEquals(eez_script_format(source), source);
+    const branches = '        x = 2;\n    } // big\n    else if (x > 0) { // positive\n        x = 3;\n    } /* small */\n    else {\n';
+    const script = eez_script_compile(source);
+    assert(script.emitJS().includes(branches), script.emitJS());
+    assert(script.emitC().includes(branches), script.emitC());
+    assertEquals(script._ast.body[0].body.body[0].elseComments.map(c => c.text).join('|'), '// big');
+});
+
+const COMMENTED_STRUCT = `// A point
+struct Point {
+    // horizontal
+    x: number;
+    y: number; // vertical
+    // last field
+    z: number;
+    // after the fields
+} // end of struct`;
+
+test('Comments: struct field comments stay on their fields', () => {
+    const script = eez_script_compile(COMMENTED_STRUCT);
+    assertEquals(script.emitC().split('#include "lvgl.h"\n\n')[1], `// A point
+typedef struct {
+    // horizontal
+    int32_t x;
+    int32_t y; // vertical
+    // last field
+    int32_t z;
+    // after the fields
+} Point; // end of struct`);
+    assertEquals(script.emitJS(), `// A point
+// struct Point {
+//     // horizontal
+//     x: number;
+//     y: number; // vertical
+//     // last field
+//     z: number;
+//     // after the fields
+// } // end of struct`);
+    assertEquals(eez_script_format(COMMENTED_STRUCT), COMMENTED_STRUCT + '\n');
+});
+
+test('Comments: scripts without comments are emitted unchanged', () => {
+    const script = eez_script_compile('let a = 1;\nfunction f() {\n}');
+    assertEquals(script.emitJS(), 'let a = 1;\nfunction f() {\n\n}');
+});
+
+// ============================================================================
+// C PROJECT TESTS
+// ============================================================================
+
+console.log('\n--- C Project Tests ---');
+
+test('C project: header with types and entry point', () => {
+    const { header, source } = eez_script_compile(`
+        struct Point { x: number; y: number; }
+        function init(): lv_obj {
+            return lv_obj_create(0);
+        }
+    `).emitCProject();
+    assert(header.startsWith('#ifndef UI_H\n#define UI_H\n\n#include "lvgl.h"\n'), header);
+    assert(header.includes('typedef struct {\n    int32_t x;\n    int32_t y;\n} Point;'), header);
+    assert(header.includes('lv_obj_t* ui_init(void);'), header);
+    assert(header.trimEnd().endsWith('#endif /* UI_H */'), header);
+    assert(source.includes('#include "ui.h"'), source);
+    assert(!source.includes('typedef struct'), 'Types should only be in the header');
+    assert(source.includes('lv_obj_t* ui_init(void) {\n    return init();\n}'), source);
+});
+
+test('C project: prototypes and static declarations', () => {
+    const { source } = eez_script_compile(`
+        const SIZE = 10;
+        let count = 0;
+        function init() {
+            lv_obj_add_event_cb(lv_obj_create(0), on_click, LV_EVENT_CLICKED, 0);
+        }
+        function on_click(e: number) {
+            count = count + SIZE;
+        }
+    `).emitCProject('screen');
+    assert(source.includes('#include "screen.h"'), source);
+    assert(source.includes('static void init(void);\nstatic void on_click(lv_event_t* e);'), source);
+    assert(source.indexOf('static void on_click(lv_event_t* e);') < source.indexOf('static void init(void) {'),
+        'Prototypes should come before the definitions');
+    assert(source.includes('#define SIZE 10'), source);
+    assert(source.includes('static int32_t count = 0;'), source);
+    assert(source.includes('void screen_init(void) {\n    init();\n}'), source);
+});
+
+test('C project: top-level statements run in the entry point', () => {
+    const { source } = eez_script_compile(`
+        let screen: lv_obj;
+        screen = lv_obj_create(0); // main screen
+    `).emitCProject();
+    assert(source.includes('static lv_obj_t* screen;'), source);
+    assert(source.includes('void ui_init(void) {\n    screen = lv_obj_create(0); // main screen\n}'), source);
+});
+
+test('C project: globals with non-constant initializers are assigned in the entry point', () => {
+    const { source } = eez_script_compile(`
+        const SIZE = 10;
+        let shade = 0x202020;
+        let background: lv_color = shade;
+        const accent: lv_color = 0xFF8000;
+        let total = SIZE * 2;
+        let scaled = total + shade;
+        let screen: lv_obj = lv_obj_create(0);
+        lv_obj_create(screen);
+        let title: string = "Total: " + total;
+    `).emitCProject();
+    assert(source.includes('static int32_t shade = 2105376;'), source);
+    assert(source.includes('static lv_color_t background;'), source);
+    assert(source.includes('static lv_color_t accent;'), source);
+    assert(source.includes('static int32_t total = SIZE * 2;'), source);
+    assert(source.includes('static int32_t scaled;'), source);
+    assert(source.includes('static char title[256];'), source);
+    assert(source.includes(`void ui_init(void) {
+    background = lv_color_hex(shade);
+    accent = lv_color_hex(16744448);
+    scaled = total + shade;
+    screen = lv_obj_create(0);
+    lv_obj_create(screen);
+    snprintf(title, sizeof(title), "Total: %d", total);
+}`), source);
+});
+
+test('C project: entry point name conflict', () => {
+    try {
+        eez_script_compile('function ui_init() {}').emitCProject();
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('ui_init conflicts'), error.message);
+    }
+});
+
+// ============================================================================
+// C VERSION TESTS
+// ============================================================================
+
+console.log('\n--- C Version Tests ---');
+
+const cVersionFunctions = {
+    lv_obj_create: { params: ['lv_obj'], returnType: 'lv_obj', cParams: ['lv_obj_t *'], cReturnType: 'lv_obj_t *' },
+    lv_screen_load: { params: ['lv_obj'], returnType: 'void', cParams: ['lv_obj_t *'], cReturnType: 'void' },
+    lv_scr_load: { params: ['lv_obj'], returnType: 'void', aliasOf: 'lv_screen_load', cParams: ['lv_obj_t *'], cReturnType: 'void' },
+    lv_obj_get_child: { params: ['lv_obj', 'number'], returnType: 'lv_obj', cParams: ['const lv_obj_t *', 'int32_t'], cReturnType: 'lv_obj_t *' },
+    lv_obj_set_style_bg_color: { params: ['lv_obj', 'lv_color', 'number'], returnType: 'void', cParams: ['lv_obj_t *', 'lv_color_t', 'lv_style_selector_t'], cReturnType: 'void' },
+    lv_obj_add_event_cb: { params: ['lv_obj', 'number', 'number', 'number'], returnType: 'void', cParams: ['lv_obj_t *', 'lv_event_cb_t', 'lv_event_code_t', 'void *'], cReturnType: 'void' },
+    lv_event_get_target: { params: ['number'], returnType: 'number', cParams: ['lv_event_t *'], cReturnType: 'void *' }
+};
+
+function emitCForVersion(script, options) {
+    const compiled = eez_script_compile(script);
+    compiled.init({}, mockLvgl, mockConstants, cVersionFunctions);
+    return compiled.emitC(options);
+}
+
+test('C version: aliases resolve to the target version name', () => {
+    const cCode = emitCForVersion(`
+        function init() {
+            lv_scr_load(lv_obj_create(0));
+            lv_obj_set_style_bg_color(lv_obj_create(0), 0xFF0000, 0);
+        }
+    `, { lvglVersion: '9.2.2' });
+    assert(cCode.includes('lv_screen_load(lv_obj_create(0));'), cCode);
+    assert(!cCode.includes('lv_scr_load'), cCode);
+    assert(cCode.includes('lv_obj_set_style_bg_color(lv_obj_create(0), lv_color_hex(16711680), 0);'), cCode);
+});
+
+test('C version: constant aliases', () => {
+    const cCode = emitCForVersion('function pressed(): number { return LV_EVENT_PRESSED; }',
+        { constantAliases: { LV_EVENT_PRESSED: 'LV_EVENT_PRESSING' } });
+    assert(cCode.includes('return LV_EVENT_PRESSING;'), cCode);
+});
+
+test('C version: v8 colors', () => {
+    const cCode = emitCForVersion(`
+        function paint(obj: lv_obj, color: number) {
+            lv_obj_set_style_bg_color(obj, 0x12AB34, 0);
+            lv_obj_set_style_bg_color(obj, color, 0);
+        }
+    `, { lvglVersion: '8.4.0' });
+    assert(cCode.includes('lv_obj_set_style_bg_color(obj, LV_COLOR_MAKE(0x12, 0xAB, 0x34), 0);'), cCode);
+    assert(cCode.includes('lv_obj_set_style_bg_color(obj, color_from_hex(color), 0);'), cCode);
+    assert(cCode.includes('static lv_color_t color_from_hex(uint32_t c) {'), cCode);
+    assert(!cCode.includes('lv_color_hex'), cCode);
+});
+
+test('C version: pointer types from the LVGL C signatures', () => {
+    const cCode = emitCForVersion(`
+        let panel = 0;
+        function on_click(e) {
+            let target = lv_event_get_target(e);
+            lv_obj_get_child(target, 0);
+        }
+        function make(parent) {
+            return lv_obj_create(parent);
+        }
+        function init() {
+            panel = make(0);
+            lv_obj_add_event_cb(panel, on_click, LV_EVENT_CLICKED, 0);
+        }
+    `);
+    assert(cCode.includes('lv_obj_t* panel = NULL;'), cCode);
+    assert(cCode.includes('void on_click(lv_event_t* e) {'), cCode);
+    assert(cCode.includes('lv_obj_t* target = lv_event_get_target(e);'), cCode);
+    assert(cCode.includes('lv_obj_t* make(lv_obj_t* parent) {'), cCode);
+});
+
+test('C version: untyped functions returning a number', () => {
+    const cCode = emitCForVersion(`
+        function twice(x: number) {
+            return x * 2;
+        }
+    `);
+    assert(cCode.includes('int32_t twice(int32_t x) {'), cCode);
+});
+
+test('C strings: every comparison uses strcmp, only + concatenates', () => {
+    const script = eez_script_compile(`
+        let first = "a";
+        let second = "b";
+        function compare(): number {
+            let result = 0;
+            if (first < second) {
+                result = 1;
+            }
+            if (first != "x" && first >= second) {
+                result = 2;
+            }
+            let lower = first - 1;
+            let label = first + 1;
+            return result;
+        }
+    `);
+    const cCode = script.emitC();
+    assert(cCode.includes('if (strcmp(first, second) < 0) {'), cCode);
+    assert(cCode.includes('if (strcmp(first, "x") != 0 && strcmp(first, second) >= 0) {'), cCode);
+    assert(cCode.includes('int32_t lower = atoi(first) - 1;'), cCode);
+    assert(cCode.includes('snprintf(label, sizeof(label), "%s%d", first, 1);'), cCode);
+    assert(script.emitCProject().source.includes('#include <stdlib.h>\n'), 'The project source needs stdlib.h for atoi()');
+});
+
+test('C strings: concatenations used as values get a buffer, cstring compares with strcmp', () => {
+    const script = eez_script_compile(`
+        struct Item {
+            name: string;
+        }
+        let names: string[2] = ["a", "b"];
+        function describe(n: number): string {
+            return "n=" + n + "%";
+        }
+        function update(n: number, item: Item, label: lv_obj) {
+            item.name = "v" + n;
+            names[0] = "v" + n;
+            lv_label_set_text(label, n > 0 ? "a" + n : "b");
+            if (item.name == lv_label_get_text(label)) {
+                lv_label_set_text(label, "x" + (1 + n));
+            }
+        }
+    `);
+    script._allowedFunctions = { lv_label_get_text: { params: ['lv_obj'], returns: 'cstring' } };
+    const cCode = script.emitC();
+    assert(!cCode.includes('atoi'), cCode);
+    assert(cCode.includes('    static char _str_buf[256];\n    return (snprintf(_str_buf, sizeof(_str_buf), "n=%d%%", n), _str_buf);'), cCode);
+    assert(cCode.includes('item.name = (snprintf(_str_buf, sizeof(_str_buf), "v%d", n), _str_buf);'), cCode);
+    assert(cCode.includes('names[0] = (snprintf(_str_buf2, sizeof(_str_buf2), "v%d", n), _str_buf2);'), cCode);
+    assert(cCode.includes('n > 0 ? (snprintf(_str_buf3, sizeof(_str_buf3), "a%d", n), _str_buf3) : "b"'), cCode);
+    assert(cCode.includes('if (strcmp(item.name, lv_label_get_text(label)) == 0) {'), cCode);
+    assert(cCode.includes('snprintf(_str_buf4, sizeof(_str_buf4), "x%d", 1 + n);'), 'A + of numbers is one part: ' + cCode);
+});
+
+test('C strings: a local string is returned through a static buffer', () => {
+    const cCode = eez_script_compile(`
+        function describe(flag: bool): string {
+            let text: string = "abc";
+            if (flag) {
+                return text;
+            }
+            return flag ? "x" : text;
+        }
+        function count(text: string): number {
+            let copy: string = text;
+            return copy == "a" ? 1 : 0;
+        }
+    `).emitC();
+    assert(cCode.includes('    static char _str_buf[256];\n    static char _str_buf2[256];\n    char text[256] = "abc";'), cCode);
+    assert(cCode.includes('        return strcpy(_str_buf, text);'), cCode);
+    assert(cCode.includes('    return strcpy(_str_buf2, flag ? "x" : text);'), cCode);
+    assert(cCode.includes('    return strcmp(copy, "a") == 0 ? 1 : 0;'), 'Only string functions copy: ' + cCode);
+});
+
+test('C numbers: declarations initialized with a fraction are double', () => {
+    const cCode = eez_script_compile(`
+        const RATIO = 7 / 2;
+        function update() {
+            let scale = 1.5;
+            let half = RATIO / 7;
+            let whole = RATIO * 2;
+            let count = 3;
+            lv_label_set_text(0, "s=" + scale + " h=" + half + " c=" + count + " r=" + RATIO);
+        }
+    `).emitC();
+    assert(cCode.includes('#define RATIO 3.5\n'), cCode);
+    assert(cCode.includes('    double scale = 1.5;'), cCode);
+    assert(cCode.includes('    double half = RATIO / 7;'), cCode);
+    assert(cCode.includes('    int32_t whole = RATIO * 2;'), cCode);
+    assert(cCode.includes('    int32_t count = 3;'), cCode);
+    assert(cCode.includes('"s=%g h=%g c=%d r=%g", scale, half, count, RATIO);'), cCode);
+});
+
+// ============================================================================
+// C COMPILE CHECK TESTS
+// ============================================================================
+
+console.log('\n--- C Compile Check Tests ---');
+
+test('C strings: comparison and conversion to numbers', () => {
+    const cCode = eez_script_compile(`
+        let text = "0";
+        let value = 0;
+        function update() {
+            if (text == "0") {
+                value = text;
+            }
+            let doubled = text * 2;
+        }
+    `).emitC();
+    assert(cCode.includes('#include <stdlib.h>'), cCode);
+    assert(cCode.includes('if (strcmp(text, "0") == 0) {'), cCode);
+    assert(cCode.includes('value = atoi(text);'), cCode);
+    assert(cCode.includes('int32_t doubled = atoi(text) * 2;'), cCode);
+});
+
+test('C functions: prototypes for functions used before their definition', () => {
+    const cCode = eez_script_compile(`
+        function first(): number {
+            return second() + 1;
+        }
+        function second(): number {
+            return first();
+        }
+    `).emitC();
+    assert(cCode.includes('"lvgl.h"\n\nint32_t second();\n\nint32_t first() {'), cCode);
+    assert(!cCode.includes('int32_t first();'), 'Functions used after their definition need no prototype');
+});
+
+// ============================================================================
+// INTERPRETER / emitJS EQUIVALENCE TESTS
+// ============================================================================
+
+console.log('\n--- Interpreter / emitJS Equivalence Tests ---');
+
+const equivalenceFunctions = {
+    lv_obj_create: { params: ['lv_obj'], returnType: 'lv_obj' },
+    lv_label_create: { params: ['lv_obj'], returnType: 'lv_obj' },
+    lv_label_set_text: { params: ['lv_obj', 'cstring'], returnType: 'void' },
+    lv_label_set_text_static: { params: ['lv_obj', 'cstring'], returnType: 'void' },
+    lv_color_hex: { params: ['number'], returnType: 'lv_color' },
+    lv_obj_set_style_bg_color: { params: ['lv_obj', 'lv_color', 'number'], returnType: 'void' },
+    lv_obj_set_style_grad_colors: { params: ['lv_obj', 'lv_color', 'lv_color'], returnType: 'void' },
+    lv_obj_add_event_cb: { params: ['lv_obj', 'function', 'number', 'number'], returnType: 'void' }
+};
+
+// Records the LVGL calls, memory is a counter of allocated pointers
+function createRecordingLvgl({ withColorHex = true } = {}) {
+    const lvgl = { calls: [], nextPtr: 1000 };
+    const record = name => (...args) => {
+        lvgl.calls.push(`${name}(${args.join(', ')})`);
+        return lvgl.nextPtr++;
+    };
+    for (const name of Object.keys(equivalenceFunctions)) {
+        lvgl[`_${name}`] = record(name);
+    }
+    if (!withColorHex) delete lvgl._lv_color_hex;
+    lvgl._lv_malloc = record('malloc');
+    lvgl._free = ptr => { lvgl.calls.push(`free(${ptr})`); };
+    lvgl.stringToNewUTF8 = record('utf8');
+    return lvgl;
+}
+
+const recordingEventManager = lvgl => ({
+    register: (obj, eventCode, callback) => lvgl.calls.push(`register(${obj}, ${eventCode}, ${typeof callback})`)
+});
+
+function runInterpreted(code, lvgl) {
+    const globals = { System: { stringToNewUTF8: { function: lvgl.stringToNewUTF8, params: ['string'], returnType: 'number' } } };
+    const script = eez_script_compile(code);
+    script.init(globals, lvgl, mockConstants, equivalenceFunctions);
+    script._interpreter.eventManager = recordingEventManager(lvgl);
+    return script.exec('init');
+}
+
+function runEmitted(code, lvgl) {
+    const script = eez_script_compile(code);
+    script._allowedFunctions = equivalenceFunctions;
+    const js = script.emitJS();
+    const System = { stringToNewUTF8: lvgl.stringToNewUTF8 };
+    return new Function('$lvgl', '$lvgl_const', '$System', '$eventManager', `${js}\nreturn init();`)(lvgl, mockConstants, System, recordingEventManager(lvgl));
+}
+
+const EQUIVALENCE_SCRIPT = `
+function clicked(e) {
+}
+function setText(label, text) {
+    lv_label_set_text(label, text);
+}
+function init() {
+    let label = lv_label_create(0);
+    lv_label_set_text(label, "temporary");
+    lv_label_set_text_static(label, "kept");
+    setText(label, "untyped");
+    let red = lv_color_hex(0xFF0000);
+    lv_obj_set_style_bg_color(label, red, 0);
+    lv_obj_set_style_grad_colors(label, 0x00FF00, red);
+    lv_obj_add_event_cb(label, clicked, 7, 0);
+    return red;
+}`;
+
+test('Interpreter: temporary C strings are freed after the LVGL call', () => {
+    const lvgl = createRecordingLvgl();
+    runInterpreted(EQUIVALENCE_SCRIPT, lvgl);
+    const calls = lvgl.calls.slice(0, 8).join('\n');
+    assertEquals(calls, [
+        'lv_label_create(0)', 'utf8(temporary)', 'lv_label_set_text(1000, 1001)', 'free(1001)',
+        'utf8(kept)', 'lv_label_set_text_static(1000, 1003)', 'utf8(untyped)', 'lv_label_set_text(1000, 1005)'
+    ].join('\n'));
+    assertEquals(lvgl.calls[8], 'free(1005)');
+});
+
+test('Interpreter: C strings of functions that keep the pointer stay allocated', () => {
+    const lvgl = createRecordingLvgl();
+    lvgl._lv_textarea_create = () => lvgl.nextPtr++;
+    lvgl._lv_textarea_set_accepted_chars = (textarea, chars) => {
+        lvgl.calls.push(`lv_textarea_set_accepted_chars(${textarea}, ${chars})`);
+    };
+    const functions = {
+        ...equivalenceFunctions,
+        lv_textarea_create: { params: ['lv_obj'], returnType: 'lv_obj' },
+        lv_textarea_set_accepted_chars: { params: ['lv_obj', 'cstring'], returnType: 'void' }
+    };
+    const code = `function init() {
+    let textarea = lv_textarea_create(0);
+    lv_textarea_set_accepted_chars(textarea, "0123456789");
+    lv_label_set_text(textarea, "more");
+    lv_label_set_text(textarea, "strings");
+}`;
+    const expected = [
+        'utf8(0123456789)', 'lv_textarea_set_accepted_chars(1000, 1001)',
+        'utf8(more)', 'lv_label_set_text(1000, 1002)', 'free(1002)',
+        'utf8(strings)', 'lv_label_set_text(1000, 1004)', 'free(1004)'
+    ].join('\n');
+
+    const globals = { System: { stringToNewUTF8: { function: lvgl.stringToNewUTF8, params: ['string'], returnType: 'number' } } };
+    const script = eez_script_compile(code);
+    script.init(globals, lvgl, mockConstants, functions);
+    script.exec('init');
+    assertEquals(lvgl.calls.join('\n'), expected);
+    assert(!lvgl.calls.includes('free(1001)'), 'The accepted chars are never freed');
+
+    // Same in the emitted JS and the bytecode VM
+    for (const mode of ['initJS', 'initBytecode']) {
+        lvgl.calls = [];
+        lvgl.nextPtr = 1000;
+        const compiled = eez_script_compile(code);
+        compiled[mode](globals, lvgl, mockConstants, functions, null);
+        compiled.exec('init');
+        assertEquals(lvgl.calls.join('\n'), expected, mode);
+    }
+});
+
+test('Interpreter: lv_color values are numbers with a buffer per argument', () => {
+    const lvgl = createRecordingLvgl();
+    assertEquals(runInterpreted(EQUIVALENCE_SCRIPT, lvgl), 0xFF0000);
+    const calls = lvgl.calls.join('\n');
+    assert(calls.includes('malloc(4)\nlv_color_hex(1007, 16711680)\nlv_obj_set_style_bg_color(1000, 1007, 0)'), calls);
+    assert(calls.includes('lv_color_hex(1007, 65280)\nmalloc(4)\nlv_color_hex(1011, 16711680)\nlv_obj_set_style_grad_colors(1000, 1007, 1011)'), calls);
+    assert(calls.endsWith('register(1000, 7, function)'), calls);
+});
+
+test('Interpreter: lv_color without lv_color_hex in the runtime', () => {
+    try {
+        runInterpreted('function init() {\n    lv_obj_set_style_bg_color(lv_obj_create(0), 0xFF0000, 0);\n}', createRecordingLvgl({ withColorHex: false }));
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('lv_color_hex is not available in this LVGL version'), error.message);
+    }
+});
+
+test('emitJS: same LVGL calls as the interpreter', () => {
+    const interpreted = createRecordingLvgl();
+    const emitted = createRecordingLvgl();
+    assertEquals(runEmitted(EQUIVALENCE_SCRIPT, emitted), runInterpreted(EQUIVALENCE_SCRIPT, interpreted));
+    assertEquals(emitted.calls.join('\n'), interpreted.calls.join('\n'));
+});
+
+test('emitJS: runtime helpers only when used', () => {
+    const script = eez_script_compile(EQUIVALENCE_SCRIPT);
+    script._allowedFunctions = equivalenceFunctions;
+    const js = script.emitJS();
+    assert(js.startsWith('function $color(value, index) {'), js);
+    assert(js.includes('$callWithCStrings($lvgl._lv_label_set_text, [1], label, "temporary");'), js);
+    assert(js.includes('$lvgl._lv_label_set_text_static(label, $System.stringToNewUTF8("kept"));'), js);
+    assert(js.includes('let red = 16711680;'), js);
+    assert(js.includes('$lvgl._lv_obj_set_style_grad_colors(label, $color(65280, 1), $color(red, 2));'), js);
+    assert(js.includes('$addEventCallback(label, clicked, 7, 0);'), js);
+
+    const plain = eez_script_compile('function f() {\n    return 1;\n}');
+    plain._allowedFunctions = equivalenceFunctions;
+    assertEquals(plain.emitJS(), 'function f() {\n    return 1;\n}');
+});
+
+test('initJS: runs the emitted code with the globals', () => {
+    const interpreted = createRecordingLvgl();
+    const compiled = createRecordingLvgl();
+    const globals = { System: { stringToNewUTF8: { function: compiled.stringToNewUTF8, params: ['string'], returnType: 'number' } } };
+    const script = eez_script_compile(EQUIVALENCE_SCRIPT);
+    script.initJS(globals, compiled, mockConstants, equivalenceFunctions, recordingEventManager(compiled));
+    assertEquals(script.exec('init'), runInterpreted(EQUIVALENCE_SCRIPT, interpreted));
+    assertEquals(compiled.calls.join('\n'), interpreted.calls.join('\n'));
+    assertEquals(script._interpreter, null);
+});
+
+test('initJS: global variables, plain global functions and missing functions', () => {
+    const script = eez_script_compile(`
+        let total = 10;
+        function add(n) {
+            total = total + twice(n);
+            return total;
+        }
+    `);
+    script.initJS({ twice: n => n * 2 }, mockLvgl, mockConstants, null, null);
+    assertEquals(script.exec('add', 1), 12);
+    assertEquals(script.exec('add', 2), 16);
+    try {
+        script.exec('missing');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('Function not found: missing'), error.message);
+    }
+});
+
+test('emitJS: string literals are escaped', () => {
+    const js = eez_script_compile('let s = "a\\nb \\"c\\"";').emitJS();
+    assertEquals(js, 'let s = "a\\nb \\"c\\"";');
+});
+
+// ============================================================================
+// BYTECODE TESTS
+// ============================================================================
+
+console.log('\n--- Bytecode Tests ---');
+
+const BYTECODE_SCRIPT = `
+struct Point {
+    x: number;
+    y: number;
+}
+let counter: number = 0;
+let names: string[3] = ["a", "b"];
+function fib(n: number): number {
+    if (n < 2) return n;
+    return fib(n - 1) + fib(n - 2);
+}
+function run() {
+    let p: Point = { x: 1, y: 2 };
+    p.x += 5;
+    p.y++;
+    let arr: number[4] = [1, 2, 3];
+    arr[3] = 10;
+    arr[0]++;
+    --arr[1];
+    let sum = 0;
+    for (let i = 0; i < arr.length; i++) {
+        if (i == 2) continue;
+        sum += arr[i];
+    }
+    let j = 0;
+    while (true) {
+        j++;
+        if (j > 5) break;
+    }
+    do {
+        j--;
+    } while (j > 0);
+    switch (sum) {
+        case 1:
+            sum = 100;
+            break;
+        default:
+            sum = sum * 2;
+        case 99:
+            sum = sum + 1;
+    }
+    counter = counter + 1;
+    return [p.x, p.y, arr, sum, j, sum > 10 ? "big" : "small", fib(10), names[0], counter, 7 % 3, 1 << 4, ~5, !true];
+}`;
+
+function runBytecode(code, globals, lvgl, allowedFunctions, eventManager) {
+    const script = eez_script_compile(code);
+    script.initBytecode(globals, lvgl, mockConstants, allowedFunctions, eventManager);
+    return script;
+}
+
+test('Bytecode: same results as the interpreter', () => {
+    const interpreted = eez_script_compile(BYTECODE_SCRIPT);
+    interpreted.init({}, mockLvgl, mockConstants);
+    const script = runBytecode(BYTECODE_SCRIPT, {}, mockLvgl);
+    const expected = interpreted.exec('run');
+    assertEquals(JSON.stringify(script.exec('run')), JSON.stringify(expected));
+    assertEquals(JSON.stringify(expected), '[6,3,[2,1,3,10],27,0,"big",55,"a",1,1,16,-6,false]');
+    assertEquals(script.exec('run')[8], 2);
+    assertEquals(script._interpreter, null);
+});
+
+test('Bytecode: binary format round trip', () => {
+    const program = compileBytecode(eez_script_parse(BYTECODE_SCRIPT).ast, equivalenceFunctions);
+    const bytes = serializeBytecode(program);
+    assertEquals(String.fromCharCode(...bytes.slice(0, 4)), 'EEZB');
+    const restored = deserializeBytecode(bytes);
+    assertEquals(JSON.stringify(restored.constants), JSON.stringify(program.constants));
+    assertEquals(JSON.stringify(restored.structs), JSON.stringify(program.structs));
+    assertEquals(restored.globals.join(), 'counter,names');
+    assertEquals(restored.functions.map(func => func.name).join(), 'fib,run,<main>');
+    assertEquals(restored.main, 2);
+    restored.functions.forEach((func, i) => {
+        assertEquals(Array.from(func.code).join(), Array.from(program.functions[i].code).join());
+        assertEquals(JSON.stringify(func.locations), JSON.stringify(program.functions[i].locations));
+        assertEquals(JSON.stringify(func.params), JSON.stringify(program.functions[i].params));
+    });
+    assertEquals(serializeBytecode(restored).join(), bytes.join());
+});
+
+test('Bytecode: rejects data that is not bytecode', () => {
+    try {
+        deserializeBytecode(new Uint8Array([69, 69, 90, 88, 1, 0]));
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.message, 'Not EEZ Script bytecode');
+    }
+});
+
+test('Bytecode: same LVGL calls as the interpreter', () => {
+    const interpreted = createRecordingLvgl();
+    const vm = createRecordingLvgl();
+    const globals = { System: { stringToNewUTF8: { function: vm.stringToNewUTF8, params: ['string'], returnType: 'number' } } };
+    const script = runBytecode(EQUIVALENCE_SCRIPT, globals, vm, equivalenceFunctions, recordingEventManager(vm));
+    assertEquals(script.exec('init'), runInterpreted(EQUIVALENCE_SCRIPT, interpreted));
+    assertEquals(vm.calls.join('\n'), interpreted.calls.join('\n'));
+});
+
+test('Bytecode: runtime errors have the script location', () => {
+    const script = runBytecode('function f() {\n    let a: number[2] = [1, 2];\n    return a[5];\n}', {}, mockLvgl);
+    try {
+        script.exec('f');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.message, 'At line 3, column 12, length 1: Runtime error: Array index out of bounds: 5 (length 2)');
+        assertEquals(error.diagnostic.line, 3);
+    }
+});
+
+test('Bytecode: const stores, undeclared names and invalid targets are located errors', () => {
+    const cases = [
+        ['const K = 1;\nfunction f() {\n    K = 2;\n}', 'Cannot assign to const variable: K (declared at line 1)', 'const-assignment'],
+        ['const K = 1;\nfunction f() {\n    K++;\n}', 'Cannot assign to const variable: K (declared at line 1)', 'const-assignment'],
+        ['function f() {\n    const K = 1;\n    K += 1;\n}', 'Cannot assign to const variable: K (declared at line 2)', 'const-assignment'],
+        ['function f() {\n    let x = 1;\n    y = 2;\n}', 'Cannot assign to undefined variable: y', 'undefined-variable'],
+        ['function f() {\n    let x = 1;\n    y++;\n}', 'Cannot assign to undefined variable: y', 'undefined-variable'],
+        ['function f() {\n    let x = 1;\n    1 = 3;\n}', 'Invalid assignment target', 'runtime-error'],
+        ['function f() {\n    let x = 1;\n    (x + 1)++;\n}', 'Can only increment variables', 'runtime-error'],
+        ['function g() {}\nfunction f() {\n    g = 1;\n}', 'Cannot assign to function: g', 'runtime-error']
+    ];
+    for (const [code, message, errorCode] of cases) {
+        try {
+            compileBytecode(eez_script_parse(code).ast);
+            assert(false, 'Should have thrown an error');
+        } catch (error) {
+            assertEquals(error.diagnostic.message, `Runtime error: ${message}`, code);
+            assertEquals(error.diagnostic.code, errorCode, code);
+            assertEquals(error.diagnostic.line, 3, code);
+        }
+    }
+});
+
+test('Bytecode: host functions and short-circuit evaluation', () => {
+    const calls = [];
+    const script = runBytecode(`
+        function f(n) {
+            return n > 0 && check(n) || n == 0;
+        }
+    `, { check: n => { calls.push(n); return n > 1; } }, mockLvgl);
+    assertEquals(script.exec('f', 2), true);
+    assertEquals(script.exec('f', -1), false);
+    assertEquals(script.exec('f', 0), true);
+    assertEquals(calls.join(), '2');
+    try {
+        script.exec('missing');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('Function not found: missing'), error.message);
+    }
+});
+
+test('Execution modes: && and || short-circuit in the interpreter, emitted JS and bytecode', () => {
+    const code = `let c = 0;
+function s() {
+    c = c + 1;
+    return true;
+}
+function run() {
+    let a = false && s();
+    let b = true || s();
+    let d = true && s();
+    let e = false || s();
+    let f = (c > 100 && s()) || (c < 100 && s());
+    return c * 100 + (a ? 1 : 0) + (b ? 2 : 0) + (d ? 4 : 0) + (e ? 8 : 0) + (f ? 16 : 0);
+}`;
+    const results = ['init', 'initJS', 'initBytecode'].map(mode => {
+        const script = eez_script_compile(code);
+        script[mode]({}, mockLvgl, mockConstants, null, null);
+        return script.exec('run');
+    });
+    assertEquals(results.join(), '330,330,330');
+});
+
+test('Execution modes: typed array declarations copy the array in the interpreter, emitted JS and bytecode', () => {
+    const code = `struct P {
+    x: number;
+    values: number[2];
+}
+let a: number[3] = [1, 2, 3];
+function get(): number[] {
+    return a;
+}
+function run() {
+    let b: number[] = a;
+    b[0] = 5;
+    let c: number[4] = get();
+    c[1] = 6;
+    let values: number[2] = [7, 8];
+    let p: P = { x: 1, values: values };
+    values[0] = 9;
+    let ps: P[1] = [p];
+    let qs: P[1] = ps;
+    qs[0].x = 2;
+    let alias = a;
+    alias[2] = 10;
+    return a[0] * 1000 + a[1] * 100 + a[2] + c[3] + p.values[0] * 10000 + ps[0].x * 100000;
+}`;
+    const results = ['init', 'initJS', 'initBytecode'].map(mode => {
+        const script = eez_script_compile(code);
+        script[mode]({}, mockLvgl, mockConstants, null, null);
+        return script.exec('run');
+    });
+    assertEquals(results.join(), '171210,171210,171210');
+});
+
+test('Execution modes: array index out of bounds throws in the interpreter, emitted JS and bytecode', () => {
+    const code = `let a: number[3] = [1, 2, 3];
+function read(i: number) {
+    return a[i];
+}
+function write(i: number) {
+    a[i] = 4;
+}
+function update(i: number) {
+    a[i]++;
+}`;
+    for (const mode of ['init', 'initJS', 'initBytecode']) {
+        const script = eez_script_compile(code);
+        script[mode]({}, mockLvgl, mockConstants, null, null);
+        for (const [name, index] of [['read', 3], ['write', -1], ['update', 1.5]]) {
+            try {
+                script.exec(name, index);
+                assert(false, 'Should have thrown an error');
+            } catch (e) {
+                assert(e.message.includes(`Array index out of bounds: ${index} (length 3)`), `${mode} ${name}: ${e.message}`);
+            }
+        }
+        assertEquals(script.exec('read', 2), 3);
+    }
+});
+
+test('Execution modes: script variables named like the runtime objects of the emitted JS', () => {
+    const code = `let lvgl = 1;
+function run(): number {
+    let lvgl_const = 5;
+    let eventManager = 3;
+    let label = lv_label_create(lv_obj_create(0));
+    lv_obj_set_size(label, 10, 20);
+    return LV_ALIGN_CENTER + lvgl_const + lvgl + eventManager;
+}`;
+    const results = ['init', 'initJS', 'initBytecode'].map(mode => {
+        const script = eez_script_compile(code);
+        script[mode]({}, mockLvgl, mockConstants, null, null);
+        return script.exec('run');
+    });
+    assertEquals(results.join(), '18,18,18');
+});
+
+// ============================================================================
+// EXECUTION LIMIT TESTS
+// ============================================================================
+
+console.log('\n--- Execution Limit Tests ---');
+
+const INFINITE_LOOP_SCRIPT = `let ticks = 0;
+function tick() {
+    ticks++;
+    return ticks;
+}
+function spin() {
+    let i = 0;
+    while (true) {
+        i++;
+    }
+}`;
+
+test('Interpreter: infinite loop stops at the step limit with the loop location', () => {
+    const script = eez_script_compile(INFINITE_LOOP_SCRIPT);
+    script.init({}, mockLvgl, mockConstants, null, { maxSteps: 1000 });
+    try {
+        script.exec('spin');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 8);
+        assert(error.message.includes('Execution limit exceeded: more than 1000 steps'), error.message);
+    }
+});
+
+test('Interpreter: every call from the host gets a new budget', () => {
+    const script = eez_script_compile(INFINITE_LOOP_SCRIPT + `
+        function count(n) {
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                total += tick();
+            }
+            return total;
+        }`);
+    script.init({}, mockLvgl, mockConstants, null, { maxSteps: 50 });
+    assertEquals(script.exec('count', 20), 210);
+    assertEquals(script.exec('count', 20), 610);
+    try {
+        script.exec('count', 30);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+    }
+    assertEquals(script._interpreter.executionBudget, null);
+});
+
+test('Interpreter: infinite loop stops at the time limit', () => {
+    let waited = false;
+    const wait = () => {
+        const start = Date.now();
+        while (!waited && Date.now() - start < 5);
+        waited = true;
+    };
+    const script = eez_script_compile('function f() {\n    do {\n        wait();\n    } while (true);\n}');
+    script.init({ wait }, mockLvgl, mockConstants, null, { maxTime: 1 });
+    try {
+        script.exec('f');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.message.includes('At line 2, column 5'), error.message);
+        assert(error.message.includes('running for more than 1 ms'), error.message);
+    }
+});
+
+test('Bytecode: infinite loop stops at the step limit with the loop location', () => {
+    const script = eez_script_compile(INFINITE_LOOP_SCRIPT);
+    script.initBytecode({}, mockLvgl, mockConstants, null, null, { maxSteps: 1000 });
+    try {
+        script.exec('spin');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 8);
+    }
+    assertEquals(script.exec('tick'), 1);
+});
+
+const RECURSION_SCRIPT = `function f(n) {
+    return f(n + 1);
+}
+function depth(n) {
+    if (n > 0) {
+        return depth(n - 1) + 1;
+    }
+    return 0;
+}`;
+
+test('Interpreter: infinite recursion stops at the call depth limit with the call location', () => {
+    const script = eez_script_compile(RECURSION_SCRIPT);
+    script.init({}, mockLvgl, mockConstants, null);
+    try {
+        script.exec('f', 0);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assert(error.diagnostic, 'Should be a ScriptError');
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 2);
+        assert(error.message.includes('more than 200 nested function calls'), error.message);
+    }
+    assertEquals(script.exec('depth', 199), 199);
+    assertEquals(script._interpreter.executionBudget, null);
+});
+
+test('Bytecode: infinite recursion stops at the call depth limit with the call location', () => {
+    const script = eez_script_compile(RECURSION_SCRIPT);
+    script.initBytecode({}, mockLvgl, mockConstants, null, null, { maxCallDepth: 50 });
+    try {
+        script.exec('f', 0);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 2);
+        assert(error.message.includes('more than 50 nested function calls'), error.message);
+    }
+    assertEquals(script.exec('depth', 49), 49);
+});
+
+test('initJS: infinite recursion stops at the call depth limit with the function location', () => {
+    const script = eez_script_compile(RECURSION_SCRIPT);
+    script.initJS({}, mockLvgl, mockConstants, null, null, { maxCallDepth: 50 });
+    try {
+        script.exec('f', 0);
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 1);
+        assert(error.message.includes('more than 50 nested function calls'), error.message);
+    }
+    assertEquals(script.exec('depth', 49), 49, 'The depth goes back down when the functions return');
+    assertEquals(script.exec('depth', 49), 49);
+});
+
+test('Debugger: the call depth carries over when the run continues', () => {
+    let error = null;
+    const script = eez_script_compile(RECURSION_SCRIPT);
+    const scriptDebugger = script.initDebug({}, mockLvgl, mockConstants, null, null, null, {
+        breakpoints: [6],
+        pauseOnError: false,
+        executionLimits: { maxCallDepth: 10 },
+        onFinish: runError => { error = runError; }
+    });
+    scriptDebugger.start(script._interpreter.stepFunction('depth', [20]));
+    for (let i = 0; i < 10; i++) {
+        assert(scriptDebugger.paused, `Should pause in call ${i + 1}`);
+        scriptDebugger.resume();
+    }
+    assert(!scriptDebugger.paused && error, 'Should stop at the limit');
+    assertEquals(error.diagnostic.code, 'execution-limit');
+    assertEquals(error.diagnostic.line, 6);
+});
+
+test('initJS: infinite loop stops at the step limit with the loop location', () => {
+    const script = eez_script_compile(INFINITE_LOOP_SCRIPT);
+    script.initJS({}, mockLvgl, mockConstants, null, null, { maxSteps: 1000 });
+    try {
+        script.exec('spin');
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 8);
+        assert(error.message.includes('Execution limit exceeded: more than 1000 steps'), error.message);
+    }
+    assertEquals(script.exec('tick'), 1);
+    assert(!/\$step|\$enterCall/.test(script.emitJS()), 'Should count steps only in the code run by initJS');
+});
+
+test('initJS: top level code and event callbacks get their own budget', () => {
+    const script = eez_script_compile(`let total = 0;
+let loops = 30;
+function clicked(e) {
+    for (let i = 0; i < loops; i++) {
+        total++;
+    }
+}
+function init() {
+    lv_obj_add_event_cb(lv_label_create(0), clicked, 7, 0);
+    loops = 50;
+    return total;
+}
+for (let i = 0; i < 30; i++) {
+    total++;
+}`);
+    const callbacks = [];
+    const eventManager = { register: (obj, eventCode, callback) => callbacks.push(callback) };
+    script.initJS({}, createRecordingLvgl(), mockConstants, equivalenceFunctions, eventManager, { maxSteps: 40 });
+    assertEquals(script.exec('init'), 30);
+    try {
+        callbacks[0]();
+        assert(false, 'Should have thrown an error');
+    } catch (error) {
+        assertEquals(error.diagnostic.code, 'execution-limit');
+        assertEquals(error.diagnostic.line, 4);
+    }
+});
+
+// ============================================================================
+// DEBUGGER TESTS
+// ============================================================================
+
+console.log('\n--- Debugger Tests ---');
+
+const DEBUG_SCRIPT = `let total = 1;
+function square(x) {
+    let result = x * x;
+    return result;
+}
+function init() {
+    let a = square(3);
+    let b = square(a) + 1;
+    total = b;
+    return b;
+}`;
+
+// Runs init() of the script in the debugger and records the pauses and how the run ended
+function startDebugging(code, options = {}, globals = {}) {
+    const events = [];
+    const script = eez_script_compile(code);
+    const scriptDebugger = script.initDebug(globals, mockLvgl, mockConstants, null, null, 'init', {
+        ...options,
+        onPause: pausedDebugger => {
+            const frame = pausedDebugger.getCallStack()[0];
+            events.push(`pause ${frame.name}:${frame.line}${pausedDebugger.paused.error ? ' error' : ''}`);
+        },
+        onFinish: (error, value) => events.push(error ? `error ${error.diagnostic.message}` : `finish ${value}`)
+    });
+    return { script, scriptDebugger, events };
+}
+
+test('Debugger: runs to the end without breakpoints', () => {
+    const { events, scriptDebugger } = startDebugging(DEBUG_SCRIPT);
+    assertEquals(events.join(), 'finish 82');
+    assertEquals(scriptDebugger.paused, null);
+});
+
+test('Debugger: stops at breakpoints and steps into, out and over', () => {
+    const { events, scriptDebugger } = startDebugging(DEBUG_SCRIPT, { breakpoints: [7] });
+    scriptDebugger.stepInto();
+    scriptDebugger.stepOver();
+    scriptDebugger.stepOut();
+    scriptDebugger.stepOver();
+    scriptDebugger.continue();
+    assertEquals(events.join(), 'pause init:7,pause square:3,pause square:4,pause init:8,pause init:9,finish 82');
+});
+
+test('Debugger: step over moves from the top level into the entry function, continue stops at the next breakpoint', () => {
+    const { events, scriptDebugger } = startDebugging(DEBUG_SCRIPT, { breakpoints: [1, 4] });
+    scriptDebugger.stepOver();
+    scriptDebugger.continue();
+    scriptDebugger.setBreakpoints([]);
+    scriptDebugger.continue();
+    assertEquals(events.join(), 'pause (top level):1,pause init:7,pause square:4,finish 82');
+});
+
+test('Debugger: call stack and variables', () => {
+    const { scriptDebugger } = startDebugging(DEBUG_SCRIPT, { breakpoints: [4] });
+    assertEquals(JSON.stringify(scriptDebugger.getCallStack()), JSON.stringify([
+        { name: 'square', line: 4, column: 5 },
+        { name: 'init', line: 7, column: 9 }
+    ]));
+    assertEquals(JSON.stringify(scriptDebugger.getVariables()), JSON.stringify([
+        { name: 'Locals', variables: [{ name: 'x', type: 'number', value: '3' }, { name: 'result', type: 'number', value: '9' }] },
+        { name: 'Globals', variables: [{ name: 'total', type: 'number', value: '1' }] }
+    ]));
+    assertEquals(scriptDebugger.getVariables(1)[0].variables.length, 0);
+});
+
+test('Debugger: describes strings, arrays and structs', () => {
+    const { scriptDebugger } = startDebugging(`struct Point {
+    x: number;
+    y: number;
+}
+function init() {
+    let p: Point = { x: 1, y: 2 };
+    let names: string[] = ["a", "b"];
+    return 0;
+}`, { breakpoints: [8] });
+    const locals = scriptDebugger.getVariables()[0].variables;
+    assertEquals(locals.map(variable => `${variable.name}: ${variable.type} = ${variable.value}`).join('\n'),
+        'p: Point = Point { x: 1, y: 2 }\nnames: string[] = ["a", "b"]');
+});
+
+test('Debugger: pauses on runtime errors before the call stack unwinds', () => {
+    const { events, scriptDebugger } = startDebugging(`function item(i) {
+    let items: number[2] = [1, 2];
+    return items[i];
+}
+function init() {
+    return item(5);
+}`);
+    assertEquals(events.join(), 'pause item:3 error');
+    assertEquals(scriptDebugger.getCallStack().map(frame => frame.name).join(), 'item,init');
+    assert(scriptDebugger.paused.error.message.includes('Array index out of bounds: 5'), scriptDebugger.paused.error.message);
+    scriptDebugger.continue();
+    assertEquals(events[1], 'error Runtime error: Array index out of bounds: 5 (length 2)');
+});
+
+test('Debugger: callbacks from the host start a new run, or run through while paused', () => {
+    const { script, scriptDebugger, events } = startDebugging(`let clicks = 0;
+function clicked(e) {
+    clicks++;
+    return clicks;
+}
+function init() {
+    return clicks;
+}`, { breakpoints: [3, 7] });
+    const clicked = script._interpreter.globalScope.lookup('clicked').value;
+    assertEquals(clicked(0), 1);
+    scriptDebugger.continue();
+    assertEquals(clicked(0), undefined);
+    assertEquals(events.join(), 'pause init:7,finish 1,pause clicked:3');
+    // Stopping abandons the paused callback before it incremented the counter
+    scriptDebugger.stop();
+    assertEquals(scriptDebugger.interpreter.callStack.length, 0);
+    scriptDebugger.detach();
+    assertEquals(clicked(0), 2);
+    assertEquals(events.length, 3);
+});
+
+test('Debugger: steps into script calls nested in expressions', () => {
+    const { events, scriptDebugger } = startDebugging(`function one() {
+    return 1;
+}
+function init() {
+    let values: number[2] = [0, 0];
+    values[one()] = one() > 0 ? one() + 1 : 0;
+    values[one()]++;
+    return values[1];
+}`, { breakpoints: [6] });
+    scriptDebugger.stepInto();
+    scriptDebugger.stepOut();
+    scriptDebugger.continue();
+    assertEquals(events.join(), 'pause init:6,pause one:2,pause init:7,finish 3');
+});
+
+test('Debugger: unknown entry function', () => {
+    const { events } = startDebugging('function main() {\n}');
+    assertEquals(events.join(), 'error Runtime error: Function not found: init');
+});
+
+// ============================================================================
+// CONSOLE OUTPUT TESTS
+// ============================================================================
+
+console.log('\n--- Console Output Tests ---');
+
+const CONSOLE_SCRIPT = `let count = 2;
+function init() {
+    print("count: " + count);
+    log_user("user");
+    log_warn("low " + count);
+    return count;
+}`;
+
+test('Console: print and log functions write with their level in every execution mode', () => {
+    for (const mode of ['init', 'initJS', 'initBytecode']) {
+        const output = [];
+        const script = eez_script_compile(CONSOLE_SCRIPT);
+        script[mode](createConsoleGlobals((level, message) => output.push(`${level}: ${message}`)), mockLvgl, mockConstants, null, null);
+        assertEquals(script.exec('init'), 2);
+        assertEquals(output.join('\n'), 'log: count: 2\nuser: user\nwarn: low 2', mode);
+    }
+});
+
+test('Console: functions are typed', () => {
+    const globals = createConsoleGlobals(() => {});
+    assert(eez_script_check(CONSOLE_SCRIPT, null, null, globals).valid, 'Console script should type check');
+
+    const result = eez_script_check('let x: number = print(1, 2);', null, null, globals);
+    assert(result.errors.some(e => e.message.includes('Function print expects 1 argument(s), but got 2')), 'Should report the argument count');
+    assert(!eez_script_check('function init() {\n    print("x");\n}').valid, 'print is only defined when the host passes it');
+
+    const script = eez_script_compile('function init() {\n    print(42);\n}');
+    script.init(globals, mockLvgl, mockConstants);
+    try {
+        script.exec('init');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assert(e.message.includes('Function print parameter 1 expects type string, but got number'), e.message);
+    }
+});
+
+test('C gen: console functions become printf and LVGL log macros', () => {
+    const script = eez_script_compile(CONSOLE_SCRIPT);
+    const cCode = script.emitC();
+    assert(cCode.includes('snprintf(_str_buf, sizeof(_str_buf), "count: %d", count);\n    printf("%s\\n", _str_buf);'), cCode);
+    assert(cCode.includes('LV_LOG_USER("%s", "user");'), cCode);
+    assert(cCode.includes('static char _str_buf2[256];'), 'Each concatenation gets its own buffer');
+    assert(cCode.includes('LV_LOG_WARN("%s", _str_buf2);'), cCode);
+});
+
+test('C gen: script functions named like console functions are called as they are', () => {
+    const script = eez_script_compile('function print(message: string) {\n}\nfunction init() {\n    print("x");\n}');
+    const cCode = script.emitC();
+    assert(cCode.includes('    print("x");'), cCode);
+    assert(!cCode.includes('printf("%s'), 'Should not map to printf');
+});
+
 // ============================================================================
 // SUMMARY
 // ============================================================================